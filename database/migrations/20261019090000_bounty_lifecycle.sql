@@ -0,0 +1,42 @@
+-- 20261019090000_bounty_lifecycle.sql
+-- Up migration
+
+BEGIN;
+
+ALTER TABLE bounties
+  ADD COLUMN IF NOT EXISTS fact_check_id UUID REFERENCES fact_checks(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS claim_expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS payout_amount NUMERIC(18, 8),
+  ADD COLUMN IF NOT EXISTS dispute_reason TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE bounties ALTER COLUMN status SET DEFAULT 'open';
+
+ALTER TABLE bounties
+  ADD CONSTRAINT bounties_status_check
+  CHECK (status IN ('open', 'claimed', 'submitted', 'completed', 'expired', 'disputed'));
+
+CREATE INDEX IF NOT EXISTS idx_bounties_status ON bounties(status);
+CREATE INDEX IF NOT EXISTS idx_bounties_claim_expires_at ON bounties(claim_expires_at) WHERE status = 'claimed';
+CREATE INDEX IF NOT EXISTS idx_bounties_expires_at ON bounties(expires_at) WHERE expires_at IS NOT NULL;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_bounties_expires_at;
+--   DROP INDEX IF EXISTS idx_bounties_claim_expires_at;
+--   DROP INDEX IF EXISTS idx_bounties_status;
+--   ALTER TABLE bounties DROP CONSTRAINT IF EXISTS bounties_status_check;
+--   ALTER TABLE bounties
+--     DROP COLUMN IF EXISTS updated_at,
+--     DROP COLUMN IF EXISTS dispute_reason,
+--     DROP COLUMN IF EXISTS payout_amount,
+--     DROP COLUMN IF EXISTS expires_at,
+--     DROP COLUMN IF EXISTS submitted_at,
+--     DROP COLUMN IF EXISTS claim_expires_at,
+--     DROP COLUMN IF EXISTS claimed_at;
+-- COMMIT;
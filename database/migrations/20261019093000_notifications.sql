@@ -0,0 +1,31 @@
+-- 20261019093000_notifications.sql
+-- Up migration
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB DEFAULT '{}'::jsonb,
+  read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Older installs created the table without read_at
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read = false;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_notifications_user_unread;
+--   DROP INDEX IF EXISTS idx_notifications_user_created;
+--   DROP TABLE IF EXISTS notifications;
+-- COMMIT;
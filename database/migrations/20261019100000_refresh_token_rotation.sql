@@ -0,0 +1,50 @@
+-- 20261019100000_refresh_token_rotation.sql
+-- Up migration
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL,
+  jti VARCHAR(64),
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rotation bookkeeping: every refresh token belongs to a family (one login);
+-- a used token is marked rotated and points at its replacement.
+ALTER TABLE auth_tokens
+  ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS jti VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS family_id UUID,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS replaced_by UUID,
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS user_agent TEXT,
+  ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_tokens_token_hash ON auth_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_family ON auth_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_active ON auth_tokens(user_id) WHERE revoked_at IS NULL;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_auth_tokens_user_active;
+--   DROP INDEX IF EXISTS idx_auth_tokens_family;
+--   DROP INDEX IF EXISTS idx_auth_tokens_token_hash;
+--   ALTER TABLE auth_tokens
+--     DROP COLUMN IF EXISTS ip_address,
+--     DROP COLUMN IF EXISTS user_agent,
+--     DROP COLUMN IF EXISTS revoked_reason,
+--     DROP COLUMN IF EXISTS revoked_at,
+--     DROP COLUMN IF EXISTS replaced_by,
+--     DROP COLUMN IF EXISTS rotated_at,
+--     DROP COLUMN IF EXISTS last_used_at;
+-- COMMIT;
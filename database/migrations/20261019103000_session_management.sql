@@ -0,0 +1,17 @@
+-- 20261019103000_session_management.sql
+-- Up migration
+
+BEGIN;
+
+-- Human-readable location captured when the session's tokens are issued
+ALTER TABLE auth_tokens ADD COLUMN IF NOT EXISTS location VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_family ON auth_tokens(user_id, family_id);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_auth_tokens_user_family;
+--   ALTER TABLE auth_tokens DROP COLUMN IF EXISTS location;
+-- COMMIT;
@@ -0,0 +1,49 @@
+-- 20261019110000_two_factor_auth.sql
+-- Up migration
+
+BEGIN;
+
+-- TOTP secrets are stored AES-GCM encrypted (see src/backend/utils/totp.js)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+  ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT,
+  ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS two_factor_last_counter BIGINT;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_hash
+  ON two_factor_recovery_codes(user_id, code_hash);
+
+-- Admin-configurable: roles that must enroll before using privileged operations
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+  role VARCHAR(20) PRIMARY KEY,
+  required BOOLEAN NOT NULL DEFAULT false,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO two_factor_policies (role, required)
+VALUES ('admin', false), ('moderator', false)
+ON CONFLICT (role) DO NOTHING;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP TABLE IF EXISTS two_factor_policies;
+--   DROP TABLE IF EXISTS two_factor_recovery_codes;
+--   ALTER TABLE users
+--     DROP COLUMN IF EXISTS two_factor_last_counter,
+--     DROP COLUMN IF EXISTS two_factor_enabled_at,
+--     DROP COLUMN IF EXISTS two_factor_pending_secret,
+--     DROP COLUMN IF EXISTS two_factor_secret,
+--     DROP COLUMN IF EXISTS two_factor_enabled;
+-- COMMIT;
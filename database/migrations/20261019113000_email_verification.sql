@@ -0,0 +1,22 @@
+-- 20261019113000_email_verification.sql
+-- Up migration
+
+BEGIN;
+
+-- users.is_verified now means "email address confirmed"
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Pending email change; the nonce ties the emailed confirmation link to the latest request
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_nonce VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_requested_at TIMESTAMP;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   ALTER TABLE users DROP COLUMN IF EXISTS email_change_requested_at;
+--   ALTER TABLE users DROP COLUMN IF EXISTS email_change_nonce;
+--   ALTER TABLE users DROP COLUMN IF EXISTS pending_email;
+--   ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+-- COMMIT;
@@ -0,0 +1,26 @@
+-- 20261019120000_wallet_sign_in.sql
+-- Up migration
+
+BEGIN;
+
+-- Wallet-only accounts (Sign-In with Ethereum) have no email or password yet
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Set once the user has proven ownership by signing a SIWE message.
+-- Addresses saved before this (typed in at registration) stay unverified and cannot sign in.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS wallet_verified_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_wallet
+  ON users (LOWER(wallet_address))
+  WHERE wallet_verified_at IS NOT NULL;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_users_verified_wallet;
+--   ALTER TABLE users DROP COLUMN IF EXISTS wallet_verified_at;
+--   ALTER TABLE users ALTER COLUMN password_hash SET NOT NULL;
+--   ALTER TABLE users ALTER COLUMN email SET NOT NULL;
+-- COMMIT;
@@ -0,0 +1,38 @@
+-- 20261019123000_api_keys.sql
+-- Up migration
+
+BEGIN;
+
+-- Researcher API keys. Only a SHA-256 hash of the key is stored; the prefix is kept for display.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  daily_quota INTEGER NOT NULL DEFAULT 1000,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_key_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+
+-- One row per key per day; the counter doubles as the daily quota check
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (api_key_id, usage_date)
+);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP TABLE IF EXISTS api_key_usage;
+--   DROP TABLE IF EXISTS api_keys;
+-- COMMIT;
@@ -0,0 +1,56 @@
+-- 20261019133000_content_reports.sql
+-- Up migration
+
+BEGIN;
+
+-- User reports against fact-checks, reviews, appeals and profiles
+CREATE TABLE IF NOT EXISTS content_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content_type VARCHAR(20) NOT NULL
+    CHECK (content_type IN ('fact_check', 'review', 'appeal', 'user')),
+  content_id UUID NOT NULL,
+  reason VARCHAR(30) NOT NULL,
+  details TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'escalated', 'dismissed', 'actioned')),
+  resolution_action VARCHAR(20),
+  resolution_notes TEXT,
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (reporter_id, content_type, content_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_reports_queue ON content_reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_content_reports_content ON content_reports(content_type, content_id);
+
+-- Hidden content stays in place but drops out of public listings.
+-- hidden_reason is 'auto_reported' (report threshold) or 'moderator'.
+ALTER TABLE fact_checks ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE fact_checks ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20);
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20);
+-- Appeals live in an optional table, so it may not exist yet
+ALTER TABLE IF EXISTS fact_check_appeals ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE IF EXISTS fact_check_appeals ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS moderation_warning_count INTEGER NOT NULL DEFAULT 0;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   ALTER TABLE users DROP COLUMN IF EXISTS moderation_warning_count;
+--   ALTER TABLE users DROP COLUMN IF EXISTS hidden_reason;
+--   ALTER TABLE users DROP COLUMN IF EXISTS hidden_at;
+--   ALTER TABLE IF EXISTS fact_check_appeals DROP COLUMN IF EXISTS hidden_reason;
+--   ALTER TABLE IF EXISTS fact_check_appeals DROP COLUMN IF EXISTS hidden_at;
+--   ALTER TABLE reviews DROP COLUMN IF EXISTS hidden_reason;
+--   ALTER TABLE reviews DROP COLUMN IF EXISTS hidden_at;
+--   ALTER TABLE fact_checks DROP COLUMN IF EXISTS hidden_reason;
+--   ALTER TABLE fact_checks DROP COLUMN IF EXISTS hidden_at;
+--   DROP TABLE IF EXISTS content_reports;
+-- COMMIT;
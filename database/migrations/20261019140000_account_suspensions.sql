@@ -0,0 +1,31 @@
+-- 20261019140000_account_suspensions.sql
+-- Up migration
+
+BEGIN;
+
+-- Moderation status. Suspensions carry an end time and lift automatically; bans do not expire.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS account_status VARCHAR(20) NOT NULL DEFAULT 'active';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_account_status_check;
+ALTER TABLE users ADD CONSTRAINT users_account_status_check
+  CHECK (account_status IN ('active', 'suspended', 'banned'));
+
+CREATE INDEX IF NOT EXISTS idx_users_suspended_until ON users(suspended_until)
+  WHERE account_status = 'suspended';
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_users_suspended_until;
+--   ALTER TABLE users DROP CONSTRAINT IF EXISTS users_account_status_check;
+--   ALTER TABLE users DROP COLUMN IF EXISTS suspended_at;
+--   ALTER TABLE users DROP COLUMN IF EXISTS suspended_by;
+--   ALTER TABLE users DROP COLUMN IF EXISTS suspended_until;
+--   ALTER TABLE users DROP COLUMN IF EXISTS suspension_reason;
+--   ALTER TABLE users DROP COLUMN IF EXISTS account_status;
+-- COMMIT;
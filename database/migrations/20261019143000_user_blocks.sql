@@ -0,0 +1,24 @@
+-- 20261019143000_user_blocks.sql
+-- Up migration
+
+BEGIN;
+
+-- One row per (blocker, blocked) pair. Blocking hides the blocked user's reviews from the
+-- blocker, stops their appeals on the blocker's fact-checks and mutes their notifications.
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_user_blocks_blocked;
+--   DROP TABLE IF EXISTS user_blocks;
+-- COMMIT;
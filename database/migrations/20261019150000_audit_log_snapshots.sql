@@ -0,0 +1,29 @@
+-- 20261019150000_audit_log_snapshots.sql
+-- Up migration
+
+BEGIN;
+
+-- Audit trail for privileged actions: what was acted on, and the row before and after
+ALTER TABLE activity_log ADD COLUMN IF NOT EXISTS target_type VARCHAR(50);
+ALTER TABLE activity_log ADD COLUMN IF NOT EXISTS target_id TEXT;
+ALTER TABLE activity_log ADD COLUMN IF NOT EXISTS before_state JSONB;
+ALTER TABLE activity_log ADD COLUMN IF NOT EXISTS after_state JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_created ON activity_log(created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_activity_log_action ON activity_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_target ON activity_log(target_type, target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_activity_log_user ON activity_log(user_id, created_at DESC);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_activity_log_user;
+--   DROP INDEX IF EXISTS idx_activity_log_target;
+--   DROP INDEX IF EXISTS idx_activity_log_action;
+--   DROP INDEX IF EXISTS idx_activity_log_created;
+--   ALTER TABLE activity_log DROP COLUMN IF EXISTS after_state;
+--   ALTER TABLE activity_log DROP COLUMN IF EXISTS before_state;
+--   ALTER TABLE activity_log DROP COLUMN IF EXISTS target_id;
+--   ALTER TABLE activity_log DROP COLUMN IF EXISTS target_type;
+-- COMMIT;
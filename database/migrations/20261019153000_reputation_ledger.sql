@@ -0,0 +1,96 @@
+-- 20261019153000_reputation_ledger.sql
+-- Up migration
+
+BEGIN;
+
+-- Points awarded per event. Edited by admins; changes apply to future entries only.
+CREATE TABLE IF NOT EXISTS reputation_rules (
+  event VARCHAR(50) PRIMARY KEY,
+  delta INTEGER NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO reputation_rules (event, delta, description) VALUES
+  ('fact_check_submitted', 10, 'Submitted a fact-check'),
+  ('fact_check_verified', 50, 'A moderator verified your fact-check'),
+  ('appeal_approved', 25, 'Your appeal was approved'),
+  ('upvote_received', 1, 'Your fact-check received an upvote'),
+  ('downvote_received', -1, 'Your fact-check received a downvote'),
+  ('report_upheld', 5, 'A moderator acted on your report')
+ON CONFLICT (event) DO NOTHING;
+
+-- Append-only: users.truth_score is the running sum of a user's entries.
+-- Corrections are new entries, never edits.
+CREATE TABLE IF NOT EXISTS reputation_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  delta INTEGER NOT NULL,
+  reason VARCHAR(50) NOT NULL,
+  source_type VARCHAR(50),
+  source_id TEXT,
+  justification TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reputation_ledger_user ON reputation_ledger(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reputation_ledger_source ON reputation_ledger(source_type, source_id);
+
+-- Entries can't be edited or deleted. The only exceptions are the foreign-key actions:
+-- deleting a user removes their entries, and deleting an admin clears created_by.
+CREATE OR REPLACE FUNCTION reputation_ledger_immutable() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+    RETURN OLD;
+  END IF;
+  IF TG_OP = 'UPDATE' AND NEW.created_by IS NULL
+     AND (NEW.id, NEW.user_id, NEW.delta, NEW.reason, NEW.source_type, NEW.source_id, NEW.justification, NEW.created_at)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.user_id, OLD.delta, OLD.reason, OLD.source_type, OLD.source_id, OLD.justification, OLD.created_at) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'reputation_ledger entries are immutable; record a correcting entry instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_reputation_ledger_immutable ON reputation_ledger;
+CREATE TRIGGER trg_reputation_ledger_immutable
+  BEFORE UPDATE OR DELETE ON reputation_ledger
+  FOR EACH ROW EXECUTE FUNCTION reputation_ledger_immutable();
+
+-- Scores earned before the ledger existed become an opening balance
+INSERT INTO reputation_ledger (user_id, delta, reason, created_at)
+SELECT u.id, u.truth_score, 'opening_balance', CURRENT_TIMESTAMP
+FROM users u
+WHERE u.truth_score <> 0
+  AND NOT EXISTS (SELECT 1 FROM reputation_ledger l WHERE l.user_id = u.id);
+
+-- New accounts start at the column default; record it so the ledger sum matches
+CREATE OR REPLACE FUNCTION reputation_opening_balance() RETURNS trigger AS $$
+BEGIN
+  IF NEW.truth_score <> 0 THEN
+    INSERT INTO reputation_ledger (user_id, delta, reason) VALUES (NEW.id, NEW.truth_score, 'opening_balance');
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_users_reputation_opening_balance ON users;
+CREATE TRIGGER trg_users_reputation_opening_balance
+  AFTER INSERT ON users
+  FOR EACH ROW EXECUTE FUNCTION reputation_opening_balance();
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP TRIGGER IF EXISTS trg_users_reputation_opening_balance ON users;
+--   DROP FUNCTION IF EXISTS reputation_opening_balance();
+--   DROP TRIGGER IF EXISTS trg_reputation_ledger_immutable ON reputation_ledger;
+--   DROP FUNCTION IF EXISTS reputation_ledger_immutable();
+--   DROP TABLE IF EXISTS reputation_ledger;
+--   DROP TABLE IF EXISTS reputation_rules;
+-- COMMIT;
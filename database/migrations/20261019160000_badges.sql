@@ -0,0 +1,23 @@
+-- 20261019160000_badges.sql
+-- Up migration
+
+BEGIN;
+
+-- Badges earned by users. The catalogue and its criteria live in src/backend/utils/badges.js;
+-- a background job re-evaluates them, so each (user, badge) pair is awarded once.
+CREATE TABLE IF NOT EXISTS user_badges (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  badge_key VARCHAR(50) NOT NULL,
+  awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, badge_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_badges_badge ON user_badges(badge_key, awarded_at DESC);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_user_badges_badge;
+--   DROP TABLE IF EXISTS user_badges;
+-- COMMIT;
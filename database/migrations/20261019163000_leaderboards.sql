@@ -0,0 +1,32 @@
+-- 20261019163000_leaderboards.sql
+-- Up migration
+
+BEGIN;
+
+-- Reputation earned per user, window and category, refreshed by a background job.
+-- Ranks are assigned when read so privacy and moderation changes apply immediately.
+-- category = '' is the overall board.
+CREATE TABLE IF NOT EXISTS leaderboard_entries (
+  time_window VARCHAR(20) NOT NULL,
+  category VARCHAR(100) NOT NULL DEFAULT '',
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  score INTEGER NOT NULL DEFAULT 0,
+  previous_score INTEGER NOT NULL DEFAULT 0,
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (time_window, category, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_score
+  ON leaderboard_entries(time_window, category, score DESC);
+
+-- Windowed boards filter the ledger by date
+CREATE INDEX IF NOT EXISTS idx_reputation_ledger_created ON reputation_ledger(created_at);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_reputation_ledger_created;
+--   DROP INDEX IF EXISTS idx_leaderboard_entries_score;
+--   DROP TABLE IF EXISTS leaderboard_entries;
+-- COMMIT;
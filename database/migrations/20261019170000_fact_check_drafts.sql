@@ -0,0 +1,65 @@
+-- 20261019170000_fact_check_drafts.sql
+-- Up migration
+
+BEGIN;
+
+-- Work-in-progress fact-checks that several authors edit before submitting for review.
+-- version counts saves; section_versions records the version that last changed each section,
+-- so co-authors editing different sections never conflict.
+CREATE TABLE IF NOT EXISTS fact_check_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  claim TEXT,
+  verdict VARCHAR(50),
+  confidence_score NUMERIC(4, 3),
+  sources JSONB,
+  explanation TEXT,
+  category VARCHAR(100),
+  image_url TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+  version INTEGER NOT NULL DEFAULT 1,
+  section_versions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  fact_check_id UUID REFERENCES fact_checks(id) ON DELETE SET NULL,
+  submitted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fact_check_drafts_owner ON fact_check_drafts(owner_id, updated_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fact_check_drafts_fact_check ON fact_check_drafts(fact_check_id)
+  WHERE fact_check_id IS NOT NULL;
+
+-- Everyone who may edit a draft, the owner included
+CREATE TABLE IF NOT EXISTS fact_check_draft_authors (
+  draft_id UUID NOT NULL REFERENCES fact_check_drafts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'coauthor' CHECK (role IN ('owner', 'coauthor')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (draft_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fact_check_draft_authors_user ON fact_check_draft_authors(user_id);
+
+-- One row per saved section: the new content and a diff against what it replaced
+CREATE TABLE IF NOT EXISTS fact_check_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  draft_id UUID NOT NULL REFERENCES fact_check_drafts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  section VARCHAR(20) NOT NULL,
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  content JSONB NOT NULL,
+  diff JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fact_check_revisions_draft ON fact_check_revisions(draft_id, version DESC);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP TABLE IF EXISTS fact_check_revisions;
+--   DROP TABLE IF EXISTS fact_check_draft_authors;
+--   DROP TABLE IF EXISTS fact_check_drafts;
+-- COMMIT;
@@ -0,0 +1,41 @@
+-- 20261019173000_verdict_history.sql
+-- Up migration
+
+BEGIN;
+
+-- Every verdict or confidence change on a fact-check. The automated re-checker already
+-- wrote here; appeals and admin edits now do too, with who made the change and why.
+CREATE TABLE IF NOT EXISTS fact_check_updates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  fact_check_id UUID NOT NULL REFERENCES fact_checks(id) ON DELETE CASCADE,
+  old_verdict VARCHAR(50),
+  new_verdict VARCHAR(50),
+  old_confidence NUMERIC(4, 3),
+  new_confidence NUMERIC(4, 3),
+  reason VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- actor_type 'automated' covers rows written before this migration (all came from the re-checker)
+ALTER TABLE fact_check_updates ADD COLUMN IF NOT EXISTS actor_type VARCHAR(20) NOT NULL DEFAULT 'automated';
+ALTER TABLE fact_check_updates ADD COLUMN IF NOT EXISTS changed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE fact_check_updates ADD COLUMN IF NOT EXISTS appeal_id UUID;
+ALTER TABLE fact_check_updates ADD COLUMN IF NOT EXISTS note TEXT;
+
+ALTER TABLE fact_check_updates DROP CONSTRAINT IF EXISTS fact_check_updates_actor_type_check;
+ALTER TABLE fact_check_updates ADD CONSTRAINT fact_check_updates_actor_type_check
+  CHECK (actor_type IN ('user', 'automated'));
+
+CREATE INDEX IF NOT EXISTS idx_fact_check_updates_fact_check ON fact_check_updates(fact_check_id, created_at);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_fact_check_updates_fact_check;
+--   ALTER TABLE fact_check_updates DROP CONSTRAINT IF EXISTS fact_check_updates_actor_type_check;
+--   ALTER TABLE fact_check_updates DROP COLUMN IF EXISTS note;
+--   ALTER TABLE fact_check_updates DROP COLUMN IF EXISTS appeal_id;
+--   ALTER TABLE fact_check_updates DROP COLUMN IF EXISTS changed_by;
+--   ALTER TABLE fact_check_updates DROP COLUMN IF EXISTS actor_type;
+-- COMMIT;
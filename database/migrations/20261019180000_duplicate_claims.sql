@@ -0,0 +1,35 @@
+-- 20261019180000_duplicate_claims.sql
+-- Up migration
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- normalized_claim: lower-cased, punctuation-free English text of the claim, used to spot
+-- near-duplicates (non-English claims are translated when submitted).
+-- merged_into: set when a moderator folds this fact-check into another one; the source is
+-- also hidden with hidden_reason = 'merged'.
+ALTER TABLE fact_checks ADD COLUMN IF NOT EXISTS normalized_claim TEXT;
+ALTER TABLE fact_checks ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES fact_checks(id) ON DELETE SET NULL;
+ALTER TABLE fact_checks ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+
+-- Existing claims are normalized in place (without translation)
+UPDATE fact_checks
+SET normalized_claim = btrim(regexp_replace(lower(claim), '[^[:alnum:]]+', ' ', 'g'))
+WHERE normalized_claim IS NULL AND claim IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_fact_checks_normalized_claim_trgm
+  ON fact_checks USING GIN (normalized_claim gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_fact_checks_merged_into ON fact_checks(merged_into)
+  WHERE merged_into IS NOT NULL;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_fact_checks_merged_into;
+--   DROP INDEX IF EXISTS idx_fact_checks_normalized_claim_trgm;
+--   ALTER TABLE fact_checks DROP COLUMN IF EXISTS merged_at;
+--   ALTER TABLE fact_checks DROP COLUMN IF EXISTS merged_into;
+--   ALTER TABLE fact_checks DROP COLUMN IF EXISTS normalized_claim;
+-- COMMIT;
@@ -0,0 +1,52 @@
+-- 20261019183000_claim_trends.sql
+-- Up migration
+
+BEGIN;
+
+-- Fact-check searches, kept only as trend signals: no user id or IP is stored and rows are pruned
+-- once they fall out of the longest baseline period.
+-- searcher_hash: keyed hash of the user id or client IP, so repeat searches count once.
+CREATE TABLE IF NOT EXISTS search_queries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  normalized_text TEXT NOT NULL,
+  searcher_hash VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_queries_created ON search_queries(created_at);
+CREATE INDEX IF NOT EXISTS idx_search_queries_searcher ON search_queries(searcher_hash, created_at)
+  WHERE searcher_hash IS NOT NULL;
+
+-- Clusters of related claims, bounties and searches whose volume in a window is well above
+-- their baseline. Rewritten by the trend-detection job; alerted_at is set once moderators
+-- have been told about a cluster.
+CREATE TABLE IF NOT EXISTS claim_trends (
+  time_window VARCHAR(10) NOT NULL CHECK (time_window IN ('HOUR', 'DAY', 'WEEK')),
+  cluster_key TEXT NOT NULL,
+  label TEXT NOT NULL,
+  keywords JSONB NOT NULL DEFAULT '[]',
+  volume INTEGER NOT NULL DEFAULT 0,
+  baseline_volume NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  acceleration NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  fact_check_count INTEGER NOT NULL DEFAULT 0,
+  bounty_count INTEGER NOT NULL DEFAULT 0,
+  search_count INTEGER NOT NULL DEFAULT 0,
+  fact_check_ids JSONB NOT NULL DEFAULT '[]',
+  first_seen_at TIMESTAMP,
+  computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  alerted_at TIMESTAMP,
+  PRIMARY KEY (time_window, cluster_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_trends_window_acceleration ON claim_trends(time_window, acceleration DESC);
+CREATE INDEX IF NOT EXISTS idx_bounties_created ON bounties(created_at);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_bounties_created;
+--   DROP INDEX IF EXISTS idx_search_queries_searcher;
+--   DROP TABLE IF EXISTS claim_trends;
+--   DROP TABLE IF EXISTS search_queries;
+-- COMMIT;
@@ -0,0 +1,76 @@
+-- 20261019190000_expert_network.sql
+-- Up migration
+
+BEGIN;
+
+-- Requests for expert status in a fact-check category. credentials is a short summary shown to
+-- admins; evidence (links to licences, publications, staff pages) is only visible to the
+-- applicant and admins.
+CREATE TABLE IF NOT EXISTS expert_applications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(50) NOT NULL,
+  credentials TEXT NOT NULL,
+  evidence JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  review_note TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expert_applications_pending
+  ON expert_applications(user_id, category) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_expert_applications_status ON expert_applications(status, created_at);
+
+-- Granted expert credentials. Categories are stored lower-case and matched against
+-- lower(fact_checks.category). last_routed_at rotates new claims across a category's experts.
+CREATE TABLE IF NOT EXISTS expert_credentials (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(50) NOT NULL,
+  application_id UUID REFERENCES expert_applications(id) ON DELETE SET NULL,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  last_routed_at TIMESTAMP,
+  PRIMARY KEY (user_id, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expert_credentials_category
+  ON expert_credentials(category, last_routed_at) WHERE revoked_at IS NULL;
+
+-- Vote weight applied when the vote was cast, and the weighted total per fact-check.
+-- Existing votes keep weight 1.
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS weight NUMERIC(6, 2) NOT NULL DEFAULT 1;
+ALTER TABLE fact_checks ADD COLUMN IF NOT EXISTS weighted_score NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+UPDATE fact_checks SET weighted_score = COALESCE(upvotes, 0) - COALESCE(downvotes, 0)
+WHERE weighted_score = 0;
+
+-- Community input on an open appeal; the moderator reviewing the appeal sees the weighted tally.
+-- appeal_id has no foreign key because fact_check_appeals predates migrations in some deployments.
+CREATE TABLE IF NOT EXISTS appeal_reviews (
+  appeal_id UUID NOT NULL,
+  reviewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  supports BOOLEAN NOT NULL,
+  proposed_verdict VARCHAR(50),
+  note TEXT,
+  weight NUMERIC(6, 2) NOT NULL DEFAULT 1,
+  expert BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (appeal_id, reviewer_id)
+);
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP TABLE IF EXISTS appeal_reviews;
+--   ALTER TABLE fact_checks DROP COLUMN IF EXISTS weighted_score;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS weight;
+--   DROP TABLE IF EXISTS expert_credentials;
+--   DROP TABLE IF EXISTS expert_applications;
+-- COMMIT;
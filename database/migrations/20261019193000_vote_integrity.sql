@@ -0,0 +1,49 @@
+-- 20261019193000_vote_integrity.sql
+-- Up migration
+
+BEGIN;
+
+-- status: counted (default), quarantined by the coordinated-voting detector, or approved /
+-- rejected by a moderator. Only counted and approved votes contribute to weighted_score;
+-- upvotes/downvotes stay raw counts.
+-- ip_hash / user_agent_hash: HMAC-SHA-256 of the voter's request fingerprint, compared for equality only.
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'counted';
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS ip_hash VARCHAR(64);
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS user_agent_hash VARCHAR(64);
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS quarantine_reason VARCHAR(50);
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS quarantined_at TIMESTAMP;
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+-- Existing votes have no cast time; backfill it from their last change instead of the migration
+-- time, so the detectors don't see every historical vote as cast at once. Votes without
+-- updated_at stay NULL and are ignored by the detectors.
+ALTER TABLE fact_check_votes ADD COLUMN IF NOT EXISTS created_at TIMESTAMP;
+UPDATE fact_check_votes SET created_at = updated_at WHERE created_at IS NULL;
+ALTER TABLE fact_check_votes ALTER COLUMN created_at SET DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE fact_check_votes DROP CONSTRAINT IF EXISTS fact_check_votes_status_check;
+ALTER TABLE fact_check_votes ADD CONSTRAINT fact_check_votes_status_check
+  CHECK (status IN ('counted', 'quarantined', 'approved', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_fact_check_votes_created ON fact_check_votes(created_at);
+CREATE INDEX IF NOT EXISTS idx_fact_check_votes_user ON fact_check_votes(user_id);
+CREATE INDEX IF NOT EXISTS idx_fact_check_votes_quarantined ON fact_check_votes(quarantined_at)
+  WHERE status = 'quarantined';
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DROP INDEX IF EXISTS idx_fact_check_votes_quarantined;
+--   DROP INDEX IF EXISTS idx_fact_check_votes_user;
+--   DROP INDEX IF EXISTS idx_fact_check_votes_created;
+--   ALTER TABLE fact_check_votes DROP CONSTRAINT IF EXISTS fact_check_votes_status_check;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS reviewed_at;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS reviewed_by;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS quarantined_at;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS quarantine_reason;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS user_agent_hash;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS ip_hash;
+--   ALTER TABLE fact_check_votes DROP COLUMN IF EXISTS status;
+-- COMMIT;
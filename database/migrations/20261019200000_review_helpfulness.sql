@@ -0,0 +1,30 @@
+-- 20261019200000_review_helpfulness.sql
+-- Up migration
+
+BEGIN;
+
+-- One helpful/unhelpful vote per user per review
+CREATE TABLE IF NOT EXISTS review_helpful_votes (
+  review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  helpful BOOLEAN NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (review_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_helpful_votes_user ON review_helpful_votes(user_id);
+
+-- Denormalized tallies kept in step with review_helpful_votes by markReviewHelpful
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS helpful_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS unhelpful_count INTEGER NOT NULL DEFAULT 0;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   -- helpful_count was already declared on Review before this migration, so it stays
+--   ALTER TABLE reviews DROP COLUMN IF EXISTS unhelpful_count;
+--   DROP INDEX IF EXISTS idx_review_helpful_votes_user;
+--   DROP TABLE IF EXISTS review_helpful_votes;
+-- COMMIT;
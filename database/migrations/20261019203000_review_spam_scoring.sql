@@ -0,0 +1,28 @@
+-- 20261019203000_review_spam_scoring.sql
+-- Up migration
+
+BEGIN;
+
+-- Spam score (0-1) and the signals behind it, set on every submitted or edited review.
+-- Suspicious reviews are hidden with hidden_reason 'spam_filter' until a moderator decides.
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS spam_score NUMERIC(4, 3);
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS spam_signals JSONB NOT NULL DEFAULT '[]';
+
+-- Rating-burst lookups and the per-app filtered count
+CREATE INDEX IF NOT EXISTS idx_reviews_app_created ON reviews(app_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_hidden ON reviews(app_id) WHERE hidden_at IS NOT NULL;
+
+-- Reports filed by the spam filter have no reporter
+ALTER TABLE content_reports ALTER COLUMN reporter_id DROP NOT NULL;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   DELETE FROM content_reports WHERE reporter_id IS NULL;
+--   ALTER TABLE content_reports ALTER COLUMN reporter_id SET NOT NULL;
+--   DROP INDEX IF EXISTS idx_reviews_hidden;
+--   DROP INDEX IF EXISTS idx_reviews_app_created;
+--   ALTER TABLE reviews DROP COLUMN IF EXISTS spam_signals;
+--   ALTER TABLE reviews DROP COLUMN IF EXISTS spam_score;
+-- COMMIT;
@@ -0,0 +1,49 @@
+-- 20261019210000_reputation_vote_credit.sql
+-- Up migration
+
+BEGIN;
+
+-- Voter behind a vote reputation entry (upvote_received, vote_changed, ...), so a changed or
+-- rejected vote reverses exactly what that voter earned the author (not today's rule)
+ALTER TABLE reputation_ledger ADD COLUMN IF NOT EXISTS voter_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_reputation_ledger_vote ON reputation_ledger(source_id, voter_id)
+  WHERE voter_id IS NOT NULL;
+
+-- Same rules as before, with voter_id covered by the immutability check
+CREATE OR REPLACE FUNCTION reputation_ledger_immutable() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+    RETURN OLD;
+  END IF;
+  IF TG_OP = 'UPDATE' AND NEW.created_by IS NULL
+     AND (NEW.id, NEW.user_id, NEW.delta, NEW.reason, NEW.source_type, NEW.source_id, NEW.justification, NEW.created_at, NEW.voter_id)
+         IS NOT DISTINCT FROM
+         (OLD.id, OLD.user_id, OLD.delta, OLD.reason, OLD.source_type, OLD.source_id, OLD.justification, OLD.created_at, OLD.voter_id) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'reputation_ledger entries are immutable; record a correcting entry instead';
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
+
+-- Down migration (rollback)
+-- BEGIN;
+--   CREATE OR REPLACE FUNCTION reputation_ledger_immutable() RETURNS trigger AS $$
+--   BEGIN
+--     IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+--       RETURN OLD;
+--     END IF;
+--     IF TG_OP = 'UPDATE' AND NEW.created_by IS NULL
+--        AND (NEW.id, NEW.user_id, NEW.delta, NEW.reason, NEW.source_type, NEW.source_id, NEW.justification, NEW.created_at)
+--            IS NOT DISTINCT FROM
+--            (OLD.id, OLD.user_id, OLD.delta, OLD.reason, OLD.source_type, OLD.source_id, OLD.justification, OLD.created_at) THEN
+--       RETURN NEW;
+--     END IF;
+--     RAISE EXCEPTION 'reputation_ledger entries are immutable; record a correcting entry instead';
+--   END;
+--   $$ LANGUAGE plpgsql;
+--   DROP INDEX IF EXISTS idx_reputation_ledger_vote;
+--   ALTER TABLE reputation_ledger DROP COLUMN IF EXISTS voter_id;
+-- COMMIT;
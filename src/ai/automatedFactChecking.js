@@ -3,6 +3,9 @@
 
 const cron = require('node-cron');
 const { getSecret } = require('../config/secrets');
+const { notify } = require('../backend/utils/notifications');
+const { emitWebhookEvent, serializeFactCheck } = require('../backend/utils/webhooks');
+const { VERDICT_CHANGE_REASONS, recordVerdictChange } = require('../backend/utils/verdictHistory');
 
 /**
  * Automated fact-checking service
@@ -143,7 +146,7 @@ class AutomatedFactChecker {
       console.log(`⚠️  Verdict changed: ${oldVerdict} (${oldConfidence}) → ${newResult.verdict} (${newResult.confidence})`);
       
       // Update database
-      await this.pool.query(
+      const updated = await this.pool.query(
         `UPDATE fact_checks
          SET verdict = $1,
              confidence_score = $2,
@@ -152,7 +155,8 @@ class AutomatedFactChecker {
              last_verified_at = CURRENT_TIMESTAMP,
              automated_update_count = COALESCE(automated_update_count, 0) + 1,
              updated_at = CURRENT_TIMESTAMP
-         WHERE id = $5`,
+         WHERE id = $5
+         RETURNING *`,
         [
           newResult.verdict,
           newResult.confidence,
@@ -162,12 +166,24 @@ class AutomatedFactChecker {
         ]
       );
 
-      // Create update history record
-      await this.pool.query(
-        `INSERT INTO fact_check_updates (fact_check_id, old_verdict, new_verdict, old_confidence, new_confidence, reason, created_at)
-         VALUES ($1, $2, $3, $4, $5, 'automated_reverification', CURRENT_TIMESTAMP)`,
-        [id, oldVerdict, newResult.verdict, oldConfidence, newResult.confidence]
-      );
+      // Create update history record (no actor: made by the re-verification job)
+      await recordVerdictChange(this.pool, {
+        factCheckId: id,
+        oldVerdict,
+        newVerdict: newResult.verdict,
+        oldConfidence,
+        newConfidence: newResult.confidence,
+        reason: VERDICT_CHANGE_REASONS.AUTOMATED_REVERIFICATION
+      });
+
+      // Confidence-only changes stay internal; partners are told when the verdict itself moves
+      if (oldVerdict !== newResult.verdict && updated.rows[0]) {
+        await emitWebhookEvent(this.pool, 'factcheck.verdict_changed', {
+          factCheck: serializeFactCheck(updated.rows[0]),
+          previousVerdict: oldVerdict,
+          reason: VERDICT_CHANGE_REASONS.AUTOMATED_REVERIFICATION
+        });
+      }
     } else {
       // Just update last_verified_at
       await this.pool.query(
@@ -232,7 +248,7 @@ class AutomatedFactChecker {
         type: 'fact_check_updated',
         title: 'Fact-Check Updated',
         message: `A fact-check you interacted with has been updated: "${claimRecord.claim.substring(0, 50)}..."`,
-        metadata: {
+        data: {
           fact_check_id: claimRecord.id,
           old_verdict: updateResult.oldVerdict,
           new_verdict: updateResult.newVerdict,
@@ -241,17 +257,7 @@ class AutomatedFactChecker {
       };
 
       for (const user of usersToNotify.rows) {
-        await this.pool.query(
-          `INSERT INTO notifications (user_id, type, title, message, metadata, created_at)
-           VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)`,
-          [
-            user.user_id,
-            notificationData.type,
-            notificationData.title,
-            notificationData.message,
-            JSON.stringify(notificationData.metadata)
-          ]
-        );
+        await notify(this.pool, user.user_id, notificationData.type, notificationData);
       }
 
       console.log(`📧 Notified ${usersToNotify.rows.length} users about verdict change`);
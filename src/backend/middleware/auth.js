@@ -1,12 +1,54 @@
 // src/backend/middleware/auth.js
 // Complete authentication middleware with JWT and OAuth2
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { GraphQLError } = require('graphql');
-const { requireSecret, getSecret } = require('../../config/secrets');
+const { requireSecret, getSecret, getNumber } = require('../../config/secrets');
+const cacheManager = require('../utils/cacheManager');
+const { resolveApiKey } = require('../utils/apiKeys');
+const {
+  getAccountRestriction,
+  describeRestriction,
+  assertAccountActive
+} = require('../utils/accountStatus');
 
 const JWT_SECRET = requireSecret('JWT_SECRET');
-const REFRESH_TOKEN_SECRET = getSecret('REFRESH_TOKEN_SECRET', JWT_SECRET);
+// Refresh tokens get their own key so one can never pass jwt.verify as an access token
+const REFRESH_TOKEN_SECRET = getSecret('REFRESH_TOKEN_SECRET', `${JWT_SECRET}:refresh-token`);
+const ACCESS_TOKEN_TTL = getSecret('ACCESS_TOKEN_TTL', '15m');
+const REFRESH_TOKEN_TTL_DAYS = getNumber('REFRESH_TOKEN_TTL_DAYS', 30);
+const ACCESS_TOKEN_TTL_SECONDS = ttlToSeconds(ACCESS_TOKEN_TTL);
+// Revocation markers outlive every token the session could still present
+const REVOKED_SESSION_TTL_SECONDS = Math.max(ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_DAYS * 86400);
+
+/**
+ * Convert a jsonwebtoken-style TTL ('15m', '2h', '7d', or seconds) to seconds
+ * Falls back to the refresh token lifetime so revocations never lapse early.
+ */
+function ttlToSeconds(ttl) {
+  const units = { s: 1, m: 60, h: 3600, d: 86400 };
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(ttl).trim());
+  if (!match) {
+    return REFRESH_TOKEN_TTL_DAYS * units.d;
+  }
+  return parseInt(match[1], 10) * units[match[2] || 's'];
+}
+
+/**
+ * Verify an access token. Refresh, 2FA challenge and other purpose-bound tokens
+ * carry a `type` claim and are rejected even when signed with the access key.
+ * @param {string} token - Raw JWT
+ * @returns {object} Decoded payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError}
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.type) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return decoded;
+}
 
 /**
  * Middleware to verify JWT token from request headers
@@ -18,6 +60,28 @@ async function authenticateToken(req, res, next) {
     // Format: "Bearer <token>"
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1];
+    const apiKey = req.headers['x-api-key'];
+
+    // Researcher API keys: kept on req.apiKey (not req.user) so only resolvers that
+    // opt in to a scope treat the request as authenticated
+    if (!token && apiKey) {
+      req.user = null;
+      req.apiKey = await resolveApiKey(req.app?.locals?.pool, apiKey);
+      if (!req.apiKey) {
+        return res.status(401).json({
+          error: 'Invalid or expired API key',
+          code: 'INVALID_API_KEY'
+        });
+      }
+
+      // Keys of suspended or banned accounts stop working until access is restored
+      const keyOwnerRestriction = await getAccountRestriction(req.app?.locals?.pool, req.apiKey.userId);
+      if (keyOwnerRestriction) {
+        const { message, code } = describeRestriction(keyOwnerRestriction);
+        return res.status(403).json({ error: message, code });
+      }
+      return next();
+    }
 
     if (!token) {
       req.user = null; // No token = not authenticated
@@ -25,11 +89,11 @@ async function authenticateToken(req, res, next) {
     }
 
     // Verify token signature and expiration
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     
-    // Check if token is in blacklist (for logout functionality)
+    // Check if token is in blacklist (for logout functionality) or its session was revoked
     const blacklisted = await checkTokenBlacklist(decoded.jti);
-    if (blacklisted) {
+    if (blacklisted || await isSessionRevoked(decoded.sid, req.app?.locals?.pool)) {
       req.user = null;
       return next();
     }
@@ -38,9 +102,14 @@ async function authenticateToken(req, res, next) {
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
-      role: decoded.role
+      role: decoded.role,
+      sessionId: decoded.sid || null
     };
 
+    // Suspended/banned accounts keep anonymous read access; requireAuth (REST and
+    // GraphQL) rejects them with ACCOUNT_SUSPENDED / ACCOUNT_BANNED
+    req.accountRestriction = await getAccountRestriction(req.app?.locals?.pool, decoded.userId);
+
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -63,6 +132,40 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Authenticate a GraphQL WebSocket connection from its connection params
+ * Accepts { authToken: '<token>' } or { Authorization: 'Bearer <token>' }
+ * @param {object} connectionParams - Params sent with connection_init
+ * @param {object} pool - Database connection pool, used to check session revocation
+ * @returns {Promise<object|null>} User info, or null when missing/invalid
+ */
+async function authenticateConnectionParams(connectionParams = {}, pool = null) {
+  const rawToken = connectionParams?.authToken
+    || connectionParams?.Authorization
+    || connectionParams?.authorization;
+
+  if (!rawToken || typeof rawToken !== 'string') {
+    return null;
+  }
+
+  try {
+    const decoded = verifyAccessToken(rawToken.replace(/^Bearer\s+/i, ''));
+
+    const blacklisted = await checkTokenBlacklist(decoded.jti);
+    if (blacklisted || await isSessionRevoked(decoded.sid, pool)) {
+      return null;
+    }
+
+    return {
+      userId: decoded.userId,
+      email: decoded.email,
+      role: decoded.role
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Middleware to require authentication
  * Use this for protected routes
@@ -74,6 +177,10 @@ function requireAuth(req, res, next) {
       code: 'UNAUTHENTICATED'
     });
   }
+  if (req.accountRestriction) {
+    const { message, code } = describeRestriction(req.accountRestriction);
+    return res.status(403).json({ error: message, code });
+  }
   next();
 }
 
@@ -90,6 +197,11 @@ function requireRole(...roles) {
       });
     }
 
+    if (req.accountRestriction) {
+      const { message, code } = describeRestriction(req.accountRestriction);
+      return res.status(403).json({ error: message, code });
+    }
+
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({ 
         error: 'Insufficient permissions',
@@ -103,15 +215,16 @@ function requireRole(...roles) {
 
 /**
  * Generate JWT access token
- * @param {object} payload - User data to encode
- * @param {string} expiresIn - Token expiration (default: 7d)
+ * @param {object} payload - User data to encode (sessionId ties it to a refresh token family)
+ * @param {string} expiresIn - Token expiration (default: ACCESS_TOKEN_TTL, 15m)
  */
-function generateAccessToken(payload, expiresIn = '7d') {
+function generateAccessToken(payload, expiresIn = ACCESS_TOKEN_TTL) {
   return jwt.sign(
     {
       userId: payload.userId,
       email: payload.email,
       role: payload.role || 'user',
+      sid: payload.sessionId,
       jti: generateJTI() // Unique token ID for blacklisting
     },
     JWT_SECRET,
@@ -125,29 +238,128 @@ function generateAccessToken(payload, expiresIn = '7d') {
 
 /**
  * Generate refresh token (longer lived)
- * @param {object} payload - User data to encode
+ * @param {object} payload - User data to encode (sessionId is the token family)
  */
 function generateRefreshToken(payload) {
   return jwt.sign(
     {
       userId: payload.userId,
       type: 'refresh',
+      sid: payload.sessionId,
       jti: generateJTI()
     },
     REFRESH_TOKEN_SECRET,
     { 
-      expiresIn: '30d',
+      expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
       issuer: 'appwhistler'
     }
   );
 }
 
 /**
- * Verify refresh token and issue new access token
+ * Hash a refresh token for storage (raw tokens are never persisted)
+ * @param {string} token
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue an access/refresh token pair and store the refresh token hash.
+ * A new login starts a new family; rotation keeps the family of the token it replaces.
+ * Throws ACCOUNT_SUSPENDED / ACCOUNT_BANNED for restricted accounts.
+ * @param {object} pool - Database connection pool
+ * @param {object} user - User row (id, email, role)
+ * @param {object} options - { familyId, userAgent, ipAddress, location }
+ * @returns {Promise<object>} { token, refreshToken, tokenId, familyId }
+ */
+async function issueTokens(pool, user, { familyId = null, userAgent = null, ipAddress = null, location = null } = {}) {
+  // Every sign-in path (password, 2FA, wallet, refresh) ends here
+  await assertAccountActive(pool, user.id);
+
+  const sessionId = familyId || crypto.randomUUID();
+  const refreshToken = generateRefreshToken({ userId: user.id, sessionId });
+  const { jti, exp } = jwt.decode(refreshToken);
+
+  const result = await pool.query(
+    `INSERT INTO auth_tokens (user_id, token_hash, jti, family_id, expires_at, user_agent, ip_address, location)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [user.id, hashRefreshToken(refreshToken), jti, sessionId, new Date(exp * 1000), userAgent, ipAddress, location]
+  );
+
+  const token = generateAccessToken({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sessionId
+  });
+
+  return { token, refreshToken, tokenId: result.rows[0].id, familyId: sessionId };
+}
+
+/**
+ * Revoke every refresh token in a family (logout, session revocation, or reuse
+ * of a rotated token). Access tokens already issued for the session are
+ * rejected from now on as well.
+ * @param {object} pool - Database connection pool
+ * @param {string} familyId - Token family (session) ID
+ * @param {string} reason - Stored in revoked_reason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeTokenFamily(pool, familyId, reason) {
+  const result = await pool.query(
+    `UPDATE auth_tokens
+     SET revoked_at = CURRENT_TIMESTAMP,
+         revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId, reason]
+  );
+
+  await cacheManager.set(`revoked-session:${familyId}`, true, REVOKED_SESSION_TTL_SECONDS);
+  return result.rowCount;
+}
+
+/**
+ * Check whether an access token's session has been revoked.
+ * The cache is only a fast path: on a miss the auth_tokens family is checked,
+ * so revocations survive cache eviction and restarts without Redis.
+ * @param {string} sessionId - `sid` claim of the access token
+ * @param {object} pool - Database connection pool (optional)
+ */
+async function isSessionRevoked(sessionId, pool = null) {
+  if (!sessionId) {
+    return false;
+  }
+  if (await cacheManager.get(`revoked-session:${sessionId}`)) {
+    return true;
+  }
+  if (!pool) {
+    return false;
+  }
+
+  const result = await pool.query(
+    'SELECT 1 FROM auth_tokens WHERE family_id = $1 AND revoked_at IS NOT NULL LIMIT 1',
+    [sessionId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await cacheManager.set(`revoked-session:${sessionId}`, true, REVOKED_SESSION_TTL_SECONDS);
+  return true;
+}
+
+/**
+ * Verify refresh token, rotate it and issue a new token pair.
+ * Presenting a token that was already rotated or revoked is treated as theft:
+ * the whole family is revoked and the caller must sign in again.
  * @param {string} refreshToken - The refresh token
  * @param {object} pool - Database connection pool
+ * @param {object} meta - { userAgent, ipAddress, location } of the caller
+ * @returns {Promise<object>} { accessToken, refreshToken, user }
  */
-async function refreshAccessToken(refreshToken, pool) {
+async function refreshAccessToken(refreshToken, pool, meta = {}) {
   try {
     // Verify refresh token
     const decoded = jwt.verify(
@@ -159,36 +371,75 @@ async function refreshAccessToken(refreshToken, pool) {
       throw new Error('Invalid token type');
     }
 
-    // Check if token is blacklisted
-    const blacklisted = await checkTokenBlacklist(decoded.jti);
-    if (blacklisted) {
-      throw new Error('Token has been revoked');
+    const stored = await pool.query(
+      'SELECT * FROM auth_tokens WHERE token_hash = $1',
+      [hashRefreshToken(refreshToken)]
+    );
+
+    if (stored.rows.length === 0) {
+      throw new Error('Unknown refresh token');
+    }
+
+    const record = stored.rows[0];
+
+    if (record.rotated_at || record.revoked_at) {
+      await revokeTokenFamily(pool, record.family_id, 'reuse_detected');
+      console.warn(`🚨 Refresh token reuse detected for user ${record.user_id}, family ${record.family_id} revoked`);
+      throw new GraphQLError('Refresh token has already been used. Please sign in again.', {
+        extensions: { code: 'UNAUTHENTICATED' }
+      });
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const claimed = await pool.query(
+      `UPDATE auth_tokens
+       SET rotated_at = CURRENT_TIMESTAMP,
+           last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND rotated_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [record.id]
+    );
+
+    if (claimed.rows.length === 0) {
+      await revokeTokenFamily(pool, record.family_id, 'reuse_detected');
+      throw new GraphQLError('Refresh token has already been used. Please sign in again.', {
+        extensions: { code: 'UNAUTHENTICATED' }
+      });
     }
 
     // Get user from database
     const result = await pool.query(
-      'SELECT id, email, role FROM users WHERE id = $1',
-      [decoded.userId]
+      'SELECT * FROM users WHERE id = $1',
+      [record.user_id]
     );
 
     if (result.rows.length === 0) {
       throw new Error('User not found');
     }
 
-    const user = result.rows[0];
+    const { password_hash, ...user } = result.rows[0];
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken({
-      userId: user.id,
-      email: user.email,
-      role: user.role
+    const issued = await issueTokens(pool, user, {
+      familyId: record.family_id,
+      userAgent: meta.userAgent || record.user_agent,
+      ipAddress: meta.ipAddress || record.ip_address,
+      location: meta.location || record.location
     });
 
+    await pool.query(
+      'UPDATE auth_tokens SET replaced_by = $1 WHERE id = $2',
+      [issued.tokenId, record.id]
+    );
+
     return {
-      accessToken: newAccessToken,
+      accessToken: issued.token,
+      refreshToken: issued.refreshToken,
       user
     };
   } catch (error) {
+    if (error instanceof GraphQLError) {
+      throw error;
+    }
     throw new GraphQLError('Invalid or expired refresh token', {
       extensions: { code: 'UNAUTHENTICATED' }
     });
@@ -199,33 +450,30 @@ async function refreshAccessToken(refreshToken, pool) {
  * Generate unique JWT ID for token tracking
  */
 function generateJTI() {
-  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  return crypto.randomUUID();
 }
 
 /**
  * Check if token is blacklisted (for logout)
- * In production, use Redis for fast lookups
+ * Backed by the cache manager: Redis when configured, in-memory otherwise
  */
 async function checkTokenBlacklist(jti) {
-  // Simple in-memory implementation (use Redis in production)
-  if (!global.tokenBlacklist) {
-    global.tokenBlacklist = new Set();
+  if (!jti) {
+    return false;
   }
-  return global.tokenBlacklist.has(jti);
+  return Boolean(await cacheManager.get(`blacklist:${jti}`));
 }
 
 /**
  * Blacklist a token (logout functionality)
  * @param {string} jti - Token ID to blacklist
+ * @param {number} ttlSeconds - Remaining token lifetime; the entry expires with the token
  */
-async function blacklistToken(jti) {
-  if (!global.tokenBlacklist) {
-    global.tokenBlacklist = new Set();
+async function blacklistToken(jti, ttlSeconds = 7 * 24 * 60 * 60) {
+  if (!jti) {
+    return;
   }
-  global.tokenBlacklist.add(jti);
-  
-  // In production, store in Redis with TTL matching token expiration
-  // await redisClient.setex(`blacklist:${jti}`, 604800, '1'); // 7 days
+  await cacheManager.set(`blacklist:${jti}`, true, Math.max(Math.ceil(ttlSeconds), 1));
 }
 
 /**
@@ -291,41 +539,43 @@ const OAuth2 = {
 
 /**
  * Multi-Factor Authentication (MFA) helpers
+ * Thin wrappers over the RFC 6238 implementation in utils/totp
  */
 const MFA = {
   /**
    * Generate TOTP secret for 2FA
    */
   generateSecret(userEmail) {
-    const speakeasy = require('speakeasy'); // npm install speakeasy
-    const secret = speakeasy.generateSecret({
-      name: `AppWhistler (${userEmail})`,
-      length: 32
-    });
-    return secret;
+    const totp = require('../utils/totp');
+    const base32 = totp.generateSecret();
+    return {
+      base32,
+      otpauth_url: totp.buildOtpAuthUri(base32, userEmail)
+    };
   },
 
   /**
    * Verify TOTP token
    */
   verifyToken(secret, token) {
-    const speakeasy = require('speakeasy');
-    return speakeasy.totp.verify({
-      secret: secret,
-      encoding: 'base32',
-      token: token,
-      window: 2 // Allow 2 time steps before/after
-    });
+    const totp = require('../utils/totp');
+    return totp.verifyCode(secret, token, { window: 1 }) !== null;
   }
 };
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
+  authenticateConnectionParams,
   requireAuth,
   requireRole,
   generateAccessToken,
   generateRefreshToken,
+  issueTokens,
   refreshAccessToken,
+  revokeTokenFamily,
+  isSessionRevoked,
+  checkTokenBlacklist,
   blacklistToken,
   OAuth2,
   MFA
@@ -3,6 +3,7 @@
 
 const rateLimit = require('express-rate-limit');
 const { getNumber, getArray } = require('../../config/secrets');
+const { recordApiKeyUsage } = require('../utils/apiKeys');
 
 const windowMinutes = getNumber('RATE_LIMIT_WINDOW', 15);
 const windowMs = windowMinutes * 60 * 1000;
@@ -10,10 +11,15 @@ const windowMs = windowMinutes * 60 * 1000;
 const anonymousLimit = getNumber('RATE_LIMIT_ANONYMOUS_MAX_REQUESTS', getNumber('RATE_LIMIT_MAX_REQUESTS', 100));
 const authenticatedLimit = getNumber('RATE_LIMIT_AUTHENTICATED_MAX_REQUESTS', 400);
 const adminLimit = getNumber('RATE_LIMIT_ADMIN_MAX_REQUESTS', 1000);
+const apiKeyLimit = getNumber('RATE_LIMIT_API_KEY_MAX_REQUESTS', 300);
 
 const whitelist = new Set(getArray('RATE_LIMIT_WHITELIST', ',', []));
 
 function resolveLimit(req) {
+  if (req.apiKey) {
+    return apiKeyLimit;
+  }
+
   if (req.user?.role === 'admin') {
     return adminLimit;
   }
@@ -40,13 +46,16 @@ function isWhitelisted(req) {
   return false;
 }
 
-const perUserRateLimiter = rateLimit({
+const windowRateLimiter = rateLimit({
   windowMs,
   standardHeaders: true,
   legacyHeaders: false,
   message: 'Too many requests, please try again later.',
   skip: (req) => isWhitelisted(req),
   keyGenerator: (req) => {
+    if (req.apiKey) {
+      return `apikey:${req.apiKey.id}`;
+    }
     if (req.user?.userId) {
       return `user:${req.user.userId}`;
     }
@@ -65,6 +74,35 @@ const perUserRateLimiter = rateLimit({
   }
 });
 
+/**
+ * Per-window limits for everyone, plus the daily quota for API-key requests
+ */
+async function perUserRateLimiter(req, res, next) {
+  if (!req.apiKey) {
+    return windowRateLimiter(req, res, next);
+  }
+
+  try {
+    const usage = await recordApiKeyUsage(req.app.locals.pool, req.apiKey);
+    res.setHeader('X-API-Quota-Limit', req.apiKey.dailyQuota);
+    res.setHeader('X-API-Quota-Remaining', usage.remaining);
+
+    if (usage.exceeded) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: 'QUOTA_EXCEEDED',
+          message: `Daily quota of ${req.apiKey.dailyQuota} requests exceeded for this API key.`
+        }
+      });
+    }
+  } catch (error) {
+    console.error('API key usage tracking failed:', error.message);
+  }
+
+  return windowRateLimiter(req, res, next);
+}
+
 module.exports = {
   perUserRateLimiter,
   resolveLimit
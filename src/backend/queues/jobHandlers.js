@@ -3,6 +3,13 @@
 
 const { sendWelcomeEmail, sendPasswordResetEmail } = require('../utils/email');
 const blockchain = require('../../blockchain/blockchain');
+const { expireStaleBounties } = require('../utils/bounties');
+const { deliverWebhook, retryDueDeliveries } = require('../utils/webhooks');
+const { liftExpiredSuspensions } = require('../utils/accountStatus');
+const { evaluateBadges } = require('../utils/badges');
+const { refreshLeaderboards } = require('../utils/leaderboards');
+const { detectTrends } = require('../utils/trends');
+const { detectCoordinatedVoting } = require('../utils/voteIntegrity');
 
 /**
  * Handler for email jobs
@@ -109,8 +116,90 @@ async function handleFactCheckJob(jobData) {
   }
 }
 
+/**
+ * Create handler for periodic maintenance jobs (needs the database pool)
+ * @param {Pool} pool - PostgreSQL pool
+ */
+function createMaintenanceJobHandler(pool) {
+  return async function handleMaintenanceJob(jobData) {
+    const { type } = jobData;
+
+    try {
+      switch (type) {
+        case 'expire-bounties': {
+          const result = await expireStaleBounties(pool);
+          return { success: true, type, ...result };
+        }
+
+        case 'lift-suspensions': {
+          const result = await liftExpiredSuspensions(pool);
+          return { success: true, type, ...result };
+        }
+
+        case 'evaluate-badges': {
+          const result = await evaluateBadges(pool);
+          return { success: true, type, ...result };
+        }
+
+        case 'refresh-leaderboards': {
+          const result = await refreshLeaderboards(pool);
+          return { success: true, type, ...result };
+        }
+
+        case 'detect-trends': {
+          const result = await detectTrends(pool);
+          return { success: true, type, ...result };
+        }
+
+        case 'detect-vote-fraud': {
+          const result = await detectCoordinatedVoting(pool);
+          return { success: true, type, ...result };
+        }
+
+        default:
+          throw new Error(`Unknown maintenance job type: ${type}`);
+      }
+    } catch (error) {
+      console.error(`❌ Maintenance job failed: ${type}`, error.message);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Create handler for outbound webhook deliveries (needs the database pool)
+ * @param {Pool} pool - PostgreSQL pool
+ */
+function createWebhookJobHandler(pool) {
+  return async function handleWebhookJob(jobData) {
+    const { type } = jobData;
+
+    try {
+      switch (type) {
+        case 'deliver': {
+          const delivery = await deliverWebhook(pool, jobData.deliveryId);
+          return { success: true, type, status: delivery ? delivery.status : 'skipped' };
+        }
+
+        case 'retry-due': {
+          const result = await retryDueDeliveries(pool);
+          return { success: true, type, ...result };
+        }
+
+        default:
+          throw new Error(`Unknown webhook job type: ${type}`);
+      }
+    } catch (error) {
+      console.error(`❌ Webhook job failed: ${type}`, error.message);
+      throw error;
+    }
+  };
+}
+
 module.exports = {
   handleEmailJob,
   handleBlockchainJob,
-  handleFactCheckJob
+  handleFactCheckJob,
+  createMaintenanceJobHandler,
+  createWebhookJobHandler
 };
@@ -42,12 +42,11 @@ class JobManager {
         this.queue = 'memory';
       });
 
-      // Initialize job queues
-      this.queue = {
-        email: new Queue('email-jobs', { connection: this.redisClient }),
-        blockchain: new Queue('blockchain-jobs', { connection: this.redisClient }),
-        factCheck: new Queue('fact-check-jobs', { connection: this.redisClient })
-      };
+      // Initialize job queues, keyed by the names workers register under
+      this.queue = {};
+      for (const name of ['email-jobs', 'blockchain-jobs', 'fact-check-jobs', 'maintenance-jobs', 'webhook-jobs']) {
+        this.queue[name] = new Queue(name, { connection: this.redisClient });
+      }
 
       this.redisEnabled = true;
     } catch (error) {
@@ -119,6 +118,7 @@ class JobManager {
       }
 
       const job = await this.queue[queueName].add(
+        jobData.type || queueName,
         jobData,
         {
           ...options,
@@ -0,0 +1,53 @@
+// src/backend/queues/scheduler.js
+// Interval-based scheduler that enqueues recurring maintenance jobs through the job manager
+
+const jobManager = require('./jobManager');
+
+class Scheduler {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  /**
+   * Submit a job to a queue on a fixed interval
+   * @param {string} name - Unique schedule name
+   * @param {number} intervalMs - Interval between runs
+   * @param {string} queueName - Queue to submit to
+   * @param {object} jobData - Job payload
+   */
+  every(name, intervalMs, queueName, jobData) {
+    if (this.timers.has(name)) {
+      console.warn(`⚠️  Schedule already registered: ${name}`);
+      return;
+    }
+
+    const timer = setInterval(() => {
+      jobManager.submitJob(queueName, jobData).catch((error) => {
+        console.error(`❌ Scheduled job failed: ${name}`, error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for maintenance work
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    this.timers.set(name, timer);
+    console.log(`🗓️  Scheduled job registered: ${name} (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Cancel every registered schedule
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+// Singleton instance
+const scheduler = new Scheduler();
+
+module.exports = scheduler;
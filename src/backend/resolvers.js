@@ -3,8 +3,8 @@
 
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const { GraphQLError } = require('graphql');
+const { withFilter } = require('graphql-subscriptions');
 const {
   validateEmail, validatePassword, validateUsername, validateRating,
   validateTextLength, validateVerdict, validateConfidenceScore, validateUrl,
@@ -15,39 +15,183 @@ const {
 } = require('./utils/errorHandler');
 const {
   sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
   sendWelcomeEmail,
-  sendAccountLockoutEmail
+  sendAccountLockoutEmail,
+  sendAccountSuspensionEmail
 } = require('./utils/email');
 const {
   sanitizePlainText,
   sanitizeRichText,
   sanitizeJson
 } = require('./utils/sanitizer');
-const { requireSecret, getNumber } = require('../config/secrets');
+const { getNumber } = require('../config/secrets');
 const cacheManager = require('./utils/cacheManager');
+const {
+  assertTransition,
+  getClaimExpiry,
+  isClaimExpired,
+  isBountyExpired,
+  emitBountyEvent,
+  recordBountyTransition
+} = require('./utils/bounties');
+const { pubsub, publish, TOPICS } = require('./utils/pubsub');
+const { notify, countUnread } = require('./utils/notifications');
+const {
+  issueTokens,
+  refreshAccessToken,
+  revokeTokenFamily,
+  blacklistToken,
+  verifyAccessToken
+} = require('./middleware/auth');
+const { describeLocation, listSessions } = require('./utils/sessions');
+const {
+  generateSecret: generateTotpSecret,
+  buildOtpAuthUri,
+  verifyCode: verifyTotpCode,
+  encryptSecret,
+  decryptSecret
+} = require('./utils/totp');
+const {
+  TWO_FACTOR_ROLES,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  claimChallengeAttempt,
+  consumeLoginChallenge,
+  verifyTotpForUser,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  isTwoFactorRequiredForRole
+} = require('./utils/twoFactor');
+const {
+  PURPOSES: EMAIL_TOKEN_PURPOSES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  EMAIL_CHANGE_TTL_HOURS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  createEmailToken,
+  verifyEmailToken,
+  assertEmailVerified
+} = require('./utils/emailVerification');
+const { createNonce: createSiweNonce, verifySiweMessage } = require('./utils/siwe');
+const {
+  API_KEY_SCOPES,
+  API_KEY_DAILY_QUOTA,
+  API_KEY_MAX_ACTIVE,
+  generateApiKey,
+  forgetApiKey
+} = require('./utils/apiKeys');
+const {
+  WEBHOOK_EVENTS,
+  TEST_EVENT: WEBHOOK_TEST_EVENT,
+  WEBHOOK_MAX_ENDPOINTS,
+  generateWebhookSecret,
+  encryptWebhookSecret,
+  validateWebhookUrl,
+  queueDelivery,
+  emitWebhookEvent,
+  deliverWebhook,
+  serializeFactCheck
+} = require('./utils/webhooks');
+const {
+  REPORT_CONTENT_TYPES,
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+  REPORT_STATUSES,
+  HIDDEN_REASONS,
+  findReportedContent,
+  hideContent,
+  restoreAutoHiddenContent,
+  applyAutoHide,
+  canViewHidden
+} = require('./utils/moderation');
+const {
+  accountRestrictionError,
+  forgetAccountStatus
+} = require('./utils/accountStatus');
+const { recordAudit, fetchAuditPage } = require('./utils/auditLog');
+const {
+  REPUTATION_EVENTS,
+  MANUAL_ADJUSTMENT,
+  MAX_MANUAL_ADJUSTMENT,
+  forgetReputationRules,
+  recordReputation,
+  awardReputation,
+  awardVoteReputation
+} = require('./utils/reputation');
+const { getContributorLevel, evaluateBadges, getUserBadges } = require('./utils/badges');
+const {
+  LEADERBOARD_WINDOWS,
+  encodeRankCursor,
+  decodeRankCursor,
+  fetchLeaderboardPage
+} = require('./utils/leaderboards');
+const {
+  MAX_BLOCKED_USERS,
+  getBlockedUserIds,
+  assertNotBlockedBy
+} = require('./utils/blocks');
+const {
+  MAX_DRAFT_COAUTHORS,
+  DRAFT_SECTIONS,
+  sectionContent,
+  recordRevision,
+  getDraftRole
+} = require('./utils/factCheckDrafts');
+const { VERDICT_CHANGE_REASONS, recordVerdictChange, getVerdictHistory } = require('./utils/verdictHistory');
+const { toMatchingText, findSimilarClaims } = require('./utils/claimSimilarity');
+const { TREND_WINDOWS, recordSearchQuery, getTrendingClaims } = require('./utils/trends');
+const {
+  normalizeExpertCategory,
+  expertWeight,
+  getExpertCategories,
+  isExpertIn,
+  routeToExperts,
+  getExpertConsensus,
+  getAppealReviewTally
+} = require('./utils/experts');
+const {
+  COUNTED_VOTE_STATUSES,
+  fingerprintHash,
+  loadVoterProfile,
+  computeVoteWeight
+} = require('./utils/voteIntegrity');
+const { REVIEW_SORTS, reviewHelpfulness, loadRankedReviews } = require('./utils/reviewRanking');
+const { screenReview } = require('./utils/reviewSpam');
 
-const JWT_SECRET = requireSecret('JWT_SECRET');
 const PASSWORD_RESET_TOKEN_TTL_MIN = getNumber('PASSWORD_RESET_TOKEN_TTL_MIN', 30);
 const MAX_FAILED_ATTEMPTS = getNumber('LOGIN_MAX_FAILED_ATTEMPTS', 5);
 const LOCKOUT_MINUTES = getNumber('LOGIN_LOCKOUT_MINUTES', 15);
+const MAX_SUSPENSION_DAYS = getNumber('MAX_SUSPENSION_DAYS', 365);
+const USER_ROLES = ['user', 'moderator', 'admin'];
 
-// Helper: Generate JWT token
-function generateToken(userId, expiresIn = '7d') {
+// Helper: Issue an access/refresh token pair for a new session
+async function issueSessionTokens(context, user) {
   try {
-    return jwt.sign(
-      { userId },
-      JWT_SECRET,
-      { expiresIn }
-    );
+    return await issueTokens(context.pool, user, getClientMeta(context));
   } catch (error) {
+    if (error instanceof GraphQLError) {
+      throw error; // e.g. ACCOUNT_SUSPENDED
+    }
+    console.error('Failed to issue tokens:', error.message);
     throw createGraphQLError('Failed to generate token', 'INTERNAL_SERVER_ERROR');
   }
 }
 
+// Helper: Request metadata stored with each session
+function getClientMeta(context) {
+  return {
+    userAgent: context.req?.headers?.['user-agent'] || null,
+    ipAddress: context.req?.ip || null,
+    location: describeLocation(context.req)
+  };
+}
+
 // Helper: Verify JWT token
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return verifyAccessToken(token);
   } catch (error) {
     throw createGraphQLError('Invalid or expired token', 'INVALID_TOKEN');
   }
@@ -74,13 +218,76 @@ function getField(parent, snakeKey, transform = value => value) {
   return null;
 }
 
+// Helper: Record a failed credential check and lock the account after too many
+async function recordFailedLogin(context, user) {
+  const failedAttempts = (user.failed_login_attempts || 0) + 1;
+  let lockoutUntil = null;
+  let attemptsToPersist = failedAttempts;
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    lockoutUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    attemptsToPersist = 0;
+  }
+
+  await context.pool.query(
+    `UPDATE users
+     SET failed_login_attempts = $1,
+         last_failed_login = CURRENT_TIMESTAMP,
+         lockout_until = $2
+     WHERE id = $3`,
+    [attemptsToPersist, lockoutUntil, user.id]
+  );
+
+  if (lockoutUntil) {
+    // Send lockout notification email asynchronously
+    sendAccountLockoutEmail(
+      user.email,
+      user.username,
+      LOCKOUT_MINUTES,
+      lockoutUntil.toLocaleString()
+    ).catch(err => {
+      console.error('Failed to send lockout email:', err.message);
+    });
+  }
+
+  return lockoutUntil;
+}
+
+// Helper: Reject API-key requests whose key lacks the scope (no-op for other requests)
+function requireApiKeyScope(context, scope) {
+  const apiKey = context.req?.apiKey;
+  if (apiKey && !apiKey.scopes.includes(scope)) {
+    throw createGraphQLError(`API key is missing the ${scope} scope`, 'FORBIDDEN');
+  }
+}
+
 // Helper: Require authentication
-function requireAuth(context) {
+// API keys only count as authenticated where the resolver names the scope that allows it
+function requireAuth(context, { apiKeyScope } = {}) {
   const token = context.req.headers.authorization?.replace('Bearer ', '');
+  if (!token && context.req.apiKey) {
+    if (!apiKeyScope) {
+      throw createGraphQLError('This operation is not available to API keys', 'FORBIDDEN');
+    }
+    requireApiKeyScope(context, apiKeyScope);
+    return { userId: context.req.apiKey.userId, role: context.req.apiKey.role, apiKeyId: context.req.apiKey.id };
+  }
+
   if (!token) {
     throw createGraphQLError('Authentication required', 'UNAUTHENTICATED');
   }
-  return verifyToken(token);
+  const decoded = verifyToken(token);
+
+  // authenticateToken clears req.user when the token has been revoked (logout)
+  if (context.req.user === null) {
+    throw createGraphQLError('Token has been revoked', 'UNAUTHENTICATED');
+  }
+
+  // authenticateToken attaches the suspension/ban of the token's account, if any
+  if (context.req.accountRestriction) {
+    throw accountRestrictionError(context.req.accountRestriction);
+  }
+
+  return decoded;
 }
 
 // Helper: Require specific role (admin or moderator)
@@ -88,7 +295,7 @@ async function requireRole(context, allowedRoles = ['admin', 'moderator']) {
   const { userId } = requireAuth(context);
 
   const result = await context.pool.query(
-    'SELECT role FROM users WHERE id = $1',
+    'SELECT role, two_factor_enabled FROM users WHERE id = $1',
     [userId]
   );
 
@@ -105,10 +312,269 @@ async function requireRole(context, allowedRoles = ['admin', 'moderator']) {
     );
   }
 
+  // Admin-configured policy: privileged roles may be required to enroll in 2FA
+  if (!result.rows[0].two_factor_enabled && await isTwoFactorRequiredForRole(context.pool, userRole)) {
+    throw createGraphQLError(
+      `Two-factor authentication is required for the ${userRole} role. Enable it in account settings.`,
+      'TWO_FACTOR_REQUIRED'
+    );
+  }
+
   console.log(`✅ Role check passed: User ${userId} has role ${userRole}`);
   return { userId, role: userRole };
 }
 
+// Helper: Award any badges a user just earned without holding up the response
+// (the maintenance job catches anything missed here)
+function checkBadgesInBackground(pool, userId) {
+  if (!userId) return;
+  evaluateBadges(pool, { userId })
+    .catch(error => console.error(`Badge evaluation failed for ${userId}:`, error.message));
+}
+
+// Helper: Ids the signed-in viewer has blocked, loaded once per request
+function getViewerBlockedIds(context) {
+  const viewerId = context.user?.userId;
+  if (!viewerId) {
+    return Promise.resolve(new Set());
+  }
+  if (!context.viewerBlockedIds) {
+    context.viewerBlockedIds = getBlockedUserIds(context.pool, viewerId);
+  }
+  return context.viewerBlockedIds;
+}
+
+// Helper: Load the target of a suspension/ban; staff accounts can only be actioned by admins
+async function loadModerationTarget(context, actor, targetId) {
+  if (String(targetId) === String(actor.userId)) {
+    throw createGraphQLError('You cannot moderate your own account', 'BAD_USER_INPUT');
+  }
+
+  const result = await context.pool.query(
+    `SELECT id, email, username, role, account_status, suspension_reason, suspended_until, suspended_by, suspended_at
+     FROM users WHERE id = $1`,
+    [targetId]
+  );
+
+  if (result.rows.length === 0) {
+    throw createGraphQLError('User not found', 'NOT_FOUND');
+  }
+
+  const target = result.rows[0];
+  if (target.role !== 'user' && actor.role !== 'admin') {
+    throw createGraphQLError('Only admins can suspend or ban moderators and admins', 'FORBIDDEN');
+  }
+
+  return target;
+}
+
+// Helper: Validate a moderator-supplied reason
+function sanitizeModerationReason(reason) {
+  const sanitized = sanitizePlainText(reason || '');
+  const validation = validateTextLength(sanitized, 3, 500, 'Reason');
+  if (!validation.valid) {
+    throw createGraphQLError(validation.message, 'BAD_USER_INPUT');
+  }
+  return sanitized;
+}
+
+// Verdicts moderators can set when reviewing appeals or editing a fact-check
+const REVIEW_VERDICTS = ['TRUE', 'FALSE', 'MISLEADING', 'PARTIALLY_TRUE', 'UNDETERMINED', 'NO_CONSENSUS'];
+
+// Helper: Sanitize user-supplied fact-check fields (absent fields stay absent)
+function sanitizeFactCheckInput(input) {
+  return {
+    claim: sanitizePlainText(input.claim),
+    verdict: input.verdict,
+    confidenceScore: input.confidenceScore,
+    sources: input.sources ? sanitizeJson(input.sources) : null,
+    explanation: input.explanation ? sanitizeRichText(input.explanation) : null,
+    category: sanitizePlainText(input.category),
+    imageUrl: input.imageUrl ? sanitizePlainText(input.imageUrl) : null
+  };
+}
+
+// Helper: Validate sanitized fact-check fields. Drafts may leave fields empty;
+// everything is checked in full when the fact-check is submitted.
+function validateFactCheckFields(fields, { draft = false } = {}) {
+  const { claim, verdict, confidenceScore, explanation, category, imageUrl } = fields;
+
+  if (!draft || claim) {
+    const claimValidation = validateTextLength(claim, draft ? 1 : 10, 5000, 'Claim');
+    if (!claimValidation.valid) {
+      throw createGraphQLError(claimValidation.message, 'BAD_USER_INPUT');
+    }
+  }
+
+  if (!draft || verdict) {
+    const verdictValidation = validateVerdict(verdict);
+    if (!verdictValidation.valid) {
+      throw createGraphQLError(verdictValidation.message, 'BAD_USER_INPUT');
+    }
+  }
+
+  if (confidenceScore !== null && confidenceScore !== undefined) {
+    const scoreValidation = validateConfidenceScore(confidenceScore);
+    if (!scoreValidation.valid) {
+      throw createGraphQLError(scoreValidation.message, 'BAD_USER_INPUT');
+    }
+  }
+
+  if (explanation) {
+    const explValidation = validateTextLength(explanation, draft ? 1 : 5, 2000, 'Explanation');
+    if (!explValidation.valid) {
+      throw createGraphQLError(explValidation.message, 'BAD_USER_INPUT');
+    }
+  }
+
+  if (!draft && !category) {
+    throw createGraphQLError('Category is required', 'BAD_USER_INPUT');
+  }
+  if (category) {
+    const categoryValidation = validateTextLength(category, 1, 100, 'Category');
+    if (!categoryValidation.valid) {
+      throw createGraphQLError(categoryValidation.message, 'BAD_USER_INPUT');
+    }
+  }
+
+  if (imageUrl) {
+    const urlValidation = validateUrl(imageUrl);
+    if (!urlValidation.valid) {
+      throw createGraphQLError(urlValidation.message, 'BAD_USER_INPUT');
+    }
+  }
+}
+
+// Helper: Reject a claim that has already been checked, listing the matches so the
+// client can point the user at them (they may resubmit with allowDuplicate)
+async function assertNotDuplicateClaim(pool, matchingText) {
+  const matches = await findSimilarClaims(pool, matchingText, { limit: 3 });
+  const duplicates = matches.filter(match => match.isDuplicate);
+
+  if (duplicates.length > 0) {
+    throw createGraphQLError('This claim has already been checked', 'CONFLICT', {
+      duplicates: duplicates.map(({ factCheck, similarity }) => ({
+        id: factCheck.id,
+        claim: factCheck.claim,
+        verdict: factCheck.verdict,
+        similarity
+      }))
+    });
+  }
+}
+
+// Helper: Store a validated fact-check and announce it (subscribers, webhooks, reputation)
+async function publishFactCheck(context, userId, fields) {
+  const { claim, verdict, confidenceScore, sources, explanation, category, imageUrl, normalizedClaim } = fields;
+
+  const result = await context.pool.query(
+    `INSERT INTO fact_checks 
+     (claim, verdict, confidence_score, sources, explanation, category, image_url, submitted_by, normalized_claim)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      claim,
+      verdict,
+      confidenceScore || 0,
+      sources ? JSON.stringify(sources) : null,
+      explanation,
+      category,
+      imageUrl,
+      userId,
+      normalizedClaim || null
+    ]
+  );
+
+  const factCheck = result.rows[0];
+
+  // Broadcast to WebSocket subscribers
+  if (global.broadcastFactCheck) {
+    global.broadcastFactCheck(category, factCheck);
+  }
+  await publish(TOPICS.FACT_CHECK_ADDED, { factCheckAdded: factCheck });
+  await emitWebhookEvent(context.pool, 'factcheck.published', { factCheck: serializeFactCheck(factCheck) });
+
+  // Award truth score
+  await awardReputation(context.pool, userId, REPUTATION_EVENTS.FACT_CHECK_SUBMITTED, {
+    sourceType: 'fact_check',
+    sourceId: factCheck.id
+  });
+  checkBadgesInBackground(context.pool, userId);
+
+  // Experts in the category see new claims first
+  await routeToExperts(context.pool, { category, factCheckId: factCheck.id, claim, excludeUserIds: [userId] });
+
+  return factCheck;
+}
+
+// Helper: Validate an expert application's category, credentials summary and evidence list
+function sanitizeExpertApplication({ category, credentials, evidence }) {
+  const normalizedCategory = normalizeExpertCategory(sanitizePlainText(category || ''));
+  const categoryValidation = validateTextLength(normalizedCategory, 2, 50, 'Category');
+  if (!categoryValidation.valid) {
+    throw createGraphQLError(categoryValidation.message, 'BAD_USER_INPUT');
+  }
+
+  const summary = sanitizePlainText(credentials || '');
+  const summaryValidation = validateTextLength(summary, 20, 2000, 'Credentials');
+  if (!summaryValidation.valid) {
+    throw createGraphQLError(summaryValidation.message, 'BAD_USER_INPUT');
+  }
+
+  if (!Array.isArray(evidence) || evidence.length === 0 || evidence.length > 10) {
+    throw createGraphQLError('Provide between 1 and 10 pieces of evidence', 'BAD_USER_INPUT');
+  }
+  const items = evidence.map(item => sanitizePlainText(item || ''));
+  items.forEach(item => {
+    const validation = validateTextLength(item, 3, 500, 'Evidence');
+    if (!validation.valid) {
+      throw createGraphQLError(validation.message, 'BAD_USER_INPUT');
+    }
+  });
+
+  return { category: normalizedCategory, credentials: summary, evidence: items };
+}
+
+// Helper: Load a draft the signed-in user is an author of (anyone else gets NOT_FOUND)
+async function loadDraftForAuthor(context, draftId) {
+  const { userId } = requireAuth(context);
+
+  const result = await context.pool.query(
+    `SELECT d.*, a.role AS viewer_role
+     FROM fact_check_drafts d
+     JOIN fact_check_draft_authors a ON a.draft_id = d.id AND a.user_id = $2
+     WHERE d.id = $1`,
+    [draftId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw createGraphQLError('Draft not found', 'NOT_FOUND');
+  }
+
+  const { viewer_role: role, ...draft } = result.rows[0];
+  return { draft, userId, role };
+}
+
+// Helper: Draft section argument (enum value) → key of DRAFT_SECTIONS
+function toDraftSection(section) {
+  const key = String(section || '').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(DRAFT_SECTIONS, key)) {
+    throw createGraphQLError(`section must be one of: ${Object.keys(DRAFT_SECTIONS).join(', ')}`, 'BAD_USER_INPUT');
+  }
+  return key;
+}
+
+// Helper: Column values for a draft section, in the order its update statement expects
+function draftSectionValues(section, fields) {
+  return DRAFT_SECTIONS[section].columns.map(column => {
+    const key = column.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    const value = fields[key];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    return column === 'sources' ? JSON.stringify(value) : value;
+  });
+}
+
 const resolvers = {
   Query: {
     // Get current user
@@ -123,6 +589,7 @@ const resolvers = {
 
     // Get all apps with filters (cached for non-search queries)
     apps: async (_, { category, platform, search, minTruthRating, limit = 20, offset = 0 }, context) => {
+      requireApiKeyScope(context, 'read:apps');
       // Don't cache search queries (they're typically user-initiated)
       // Only cache filtered/sorted queries
       if (!search && offset === 0) {
@@ -196,6 +663,7 @@ const resolvers = {
 
     // Get single app by ID
     app: async (_, { id }, context) => {
+      requireApiKeyScope(context, 'read:apps');
       const result = await context.pool.query(
         'SELECT * FROM apps WHERE id = $1',
         [id]
@@ -205,6 +673,7 @@ const resolvers = {
 
     // Get trending apps (cached)
     trendingApps: async (_, { limit = 10 }, context) => {
+      requireApiKeyScope(context, 'read:apps');
       const cacheKey = cacheManager.constructor.generateKey('trending:apps', { limit });
       
       return cacheManager.getOrSet(cacheKey, async () => {
@@ -235,7 +704,8 @@ const resolvers = {
 
     // Get fact checks with filters
     factChecks: async (_, { category, verdict, search, limit = 20, offset = 0 }, context) => {
-      let query = 'SELECT * FROM fact_checks WHERE 1=1';
+      requireApiKeyScope(context, 'read:factchecks');
+      let query = 'SELECT * FROM fact_checks WHERE hidden_at IS NULL';
       const params = [];
       let paramCount = 1;
 
@@ -250,6 +720,11 @@ const resolvers = {
       }
 
       if (search) {
+        // Searches feed trend detection (see utils/trends); later pages are the same search
+        if (offset === 0) {
+          await recordSearchQuery(context.pool, search, context.user?.userId || context.req?.ip);
+        }
+
         // Use full-text search with tsvector
         const tsQuery = search.trim().split(/\s+/).join(' & ');
         query += ` AND search_vector @@ to_tsquery('english', $${paramCount})`;
@@ -285,11 +760,17 @@ const resolvers = {
 
     // Get single fact check
     factCheck: async (_, { id }, context) => {
+      requireApiKeyScope(context, 'read:factchecks');
       const result = await context.pool.query(
         'SELECT * FROM fact_checks WHERE id = $1',
         [id]
       );
-      return result.rows[0];
+      const factCheck = result.rows[0];
+      // Hidden (reported/moderated) fact-checks are only visible to moderators and the submitter
+      if (factCheck?.hidden_at && !canViewHidden(context, factCheck.submitted_by)) {
+        return null;
+      }
+      return factCheck;
     },
 
     // Get user by ID
@@ -298,128 +779,575 @@ const resolvers = {
         'SELECT * FROM users WHERE id = $1',
         [id]
       );
-      return result.rows[0];
+      const user = result.rows[0];
+      if (user?.hidden_at && !canViewHidden(context, user.id)) {
+        return null;
+      }
+      return user;
+    },
+
+    // Top contributors by reputation earned in a window, overall or for one category
+    leaderboard: async (_, { window = 'WEEK', category, first = 25, after }, context) => {
+      if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, window)) {
+        throw createGraphQLError(`window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}`, 'BAD_USER_INPUT');
+      }
+
+      const afterRank = after ? decodeRankCursor(after) : 0;
+      if (afterRank === null) {
+        throw createGraphQLError('Invalid cursor', 'BAD_USER_INPUT');
+      }
+
+      const cleanCategory = category ? sanitizePlainText(category).trim() : '';
+      if (cleanCategory) {
+        const categoryValidation = validateTextLength(cleanCategory, 1, 100, 'Category');
+        if (!categoryValidation.valid) {
+          throw createGraphQLError(categoryValidation.message, 'BAD_USER_INPUT');
+        }
+      }
+
+      const limit = Math.min(Math.max(first || 25, 1), 100);
+      const page = await fetchLeaderboardPage(context.pool, {
+        window,
+        category: cleanCategory,
+        afterRank,
+        first: limit
+      });
+
+      return {
+        edges: page.entries.map(entry => ({
+          node: entry,
+          cursor: encodeRankCursor(entry.rank)
+        })),
+        pageInfo: {
+          hasNextPage: page.hasNextPage,
+          hasPreviousPage: afterRank > 0,
+          startCursor: page.entries.length > 0 ? encodeRankCursor(page.entries[0].rank) : null,
+          endCursor: page.entries.length > 0 ? encodeRankCursor(page.entries[page.entries.length - 1].rank) : null
+        },
+        totalCount: page.totalCount,
+        window,
+        category: cleanCategory || null,
+        computedAt: page.computedAt
+      };
     },
 
-    // Get leaderboard (top truth scores)
-    leaderboard: async (_, { limit = 100 }, context) => {
+    // Ledger entries behind a user's truth score, newest first with the running balance
+    reputationHistory: async (_, { userId, limit = 50, offset = 0 }, context) => {
+      const { userId: viewerId } = requireAuth(context);
+      const targetId = userId || viewerId;
+
+      if (String(targetId) !== String(viewerId)) {
+        await requireRole(context, ['admin', 'moderator']);
+      }
+
+      const safeLimit = Math.min(Math.max(limit || 50, 1), 200);
       const result = await context.pool.query(
-        `SELECT * FROM users 
-         ORDER BY truth_score DESC 
-         LIMIT $1`,
-        [limit]
+        `SELECT * FROM (
+           SELECT l.*, SUM(l.delta) OVER (ORDER BY l.created_at, l.id) AS balance
+           FROM reputation_ledger l
+           WHERE l.user_id = $1
+         ) history
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2 OFFSET $3`,
+        [targetId, safeLimit, Math.max(offset || 0, 0)]
       );
+
       return result.rows;
     },
 
-    // Get bounties
-    bounties: async (_, { status }, context) => {
-      let query = 'SELECT * FROM bounties';
-      const params = [];
-      
-      if (status) {
-        query += ' WHERE status = $1';
-        params.push(status);
+    // Claim clusters whose volume is accelerating, refreshed by the trend-detection job
+    trendingClaims: async (_, { window = 'DAY', limit = 10 }, context) => {
+      requireAuth(context, { apiKeyScope: 'read:factchecks' });
+
+      if (!TREND_WINDOWS[window]) {
+        throw createGraphQLError('Unknown trend window', 'BAD_USER_INPUT');
       }
-      
-      query += ' ORDER BY created_at DESC';
 
-      const result = await context.pool.query(query, params);
-      return result.rows;
+      return getTrendingClaims(context.pool, window, Math.min(Math.max(limit || 10, 1), 50));
     },
 
-    // Admin: Get pending apps (unverified)
-    pendingApps: async (_, { limit = 20, offset = 0 }, context) => {
+    // Published fact-checks that look like the same claim (translated to English first).
+    // Signed-in only: every new wording can cost a paid translation.
+    similarClaims: async (_, { text, limit = 5 }, context) => {
+      requireAuth(context, { apiKeyScope: 'read:factchecks' });
+
+      const claim = sanitizePlainText(text || '');
+      const validation = validateTextLength(claim, 10, 5000, 'Claim');
+      if (!validation.valid) {
+        throw createGraphQLError(validation.message, 'BAD_USER_INPUT');
+      }
+
+      const matchingText = await toMatchingText(claim);
+      return findSimilarClaims(context.pool, matchingText, { limit: Math.min(Math.max(limit || 5, 1), 20) });
+    },
+
+    // Moderator: votes quarantined by the coordinated-voting detector, oldest first
+    quarantinedVotes: async (_, { factCheckId, limit = 50, offset = 0 }, context) => {
       await requireRole(context, ['admin', 'moderator']);
 
       const result = await context.pool.query(
-        `SELECT * FROM apps
-         WHERE is_verified = false
-         ORDER BY created_at ASC
-         LIMIT $1 OFFSET $2`,
-        [limit, offset]
+        `SELECT * FROM fact_check_votes
+         WHERE status = 'quarantined' AND ($1::uuid IS NULL OR fact_check_id = $1)
+         ORDER BY quarantined_at ASC
+         LIMIT $2 OFFSET $3`,
+        [factCheckId || null, Math.min(Math.max(limit, 1), 200), Math.max(offset, 0)]
       );
+      return result.rows;
+    },
 
-      return {
-        edges: result.rows,
-        pageInfo: {
-          hasNextPage: result.rows.length === limit,
-          hasPreviousPage: offset > 0,
-          startCursor: offset.toString(),
-          endCursor: (offset + result.rows.length).toString()
-        }
-      };
+    // Own expert applications, newest first (includes the private evidence)
+    myExpertApplications: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+      const result = await context.pool.query(
+        'SELECT * FROM expert_applications WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
+      );
+      return result.rows;
     },
 
-    // Admin: Get pending fact-checks (unverified)
-    pendingFactChecks: async (_, { limit = 20, offset = 0 }, context) => {
-      await requireRole(context, ['admin', 'moderator']);
+    // Admin: expert applications to review, oldest first
+    expertApplications: async (_, { status = 'pending', limit = 20, offset = 0 }, context) => {
+      await requireRole(context, ['admin']);
+
+      if (!['pending', 'approved', 'rejected'].includes(status)) {
+        throw createGraphQLError('Invalid application status', 'BAD_USER_INPUT');
+      }
 
       const result = await context.pool.query(
-        `SELECT * FROM fact_checks
-         WHERE verified_by IS NULL
+        `SELECT * FROM expert_applications
+         WHERE status = $1
          ORDER BY created_at ASC
-         LIMIT $1 OFFSET $2`,
-        [limit, offset]
+         LIMIT $2 OFFSET $3`,
+        [status, Math.min(Math.max(limit, 1), 100), Math.max(offset, 0)]
       );
+      return result.rows;
+    },
 
-      return {
-        edges: result.rows,
-        pageInfo: {
-          hasNextPage: result.rows.length === limit,
-          hasPreviousPage: offset > 0,
-          startCursor: offset.toString(),
-          endCursor: (offset + result.rows.length).toString()
-        }
-      };
+    // Claims no moderator has verified yet in the categories the current user is an expert in,
+    // oldest first. Matches what routeToExperts sends them, whatever verdict was submitted.
+    expertReviewQueue: async (_, { limit = 20, offset = 0 }, context) => {
+      const { userId } = requireAuth(context);
+      const categories = await getExpertCategories(context.pool, userId);
+      if (categories.length === 0) {
+        throw createGraphQLError('Expert credentials required', 'FORBIDDEN');
+      }
+
+      const result = await context.pool.query(
+        `SELECT * FROM fact_checks
+         WHERE lower(category) = ANY($1::text[])
+           AND verified_by IS NULL
+           AND hidden_at IS NULL
+           AND submitted_by IS DISTINCT FROM $2
+         ORDER BY created_at ASC
+         LIMIT $3 OFFSET $4`,
+        [categories, userId, Math.min(Math.max(limit, 1), 100), Math.max(offset, 0)]
+      );
+      return result.rows;
     },
 
-    // Admin: Get dashboard statistics
-    adminStats: async (_, __, context) => {
-      await requireRole(context, ['admin', 'moderator']);
+    // Drafts the current user owns or co-authors, most recently edited first
+    myDrafts: async (_, { status, limit = 20, offset = 0 }, context) => {
+      const { userId } = requireAuth(context);
 
-      const stats = await context.pool.query(`
-        SELECT
-          (SELECT COUNT(*) FROM apps WHERE is_verified = false) as pending_apps_count,
-          (SELECT COUNT(*) FROM fact_checks WHERE verified_by IS NULL) as pending_fact_checks_count,
-          (SELECT COUNT(*) FROM users) as total_users,
-          (SELECT COUNT(*) FROM apps WHERE is_verified = true) as total_verified_apps,
-          (SELECT COUNT(*) FROM fact_checks WHERE verified_by IS NOT NULL) as total_verified_fact_checks
-      `);
+      if (status && !['draft', 'submitted'].includes(status)) {
+        throw createGraphQLError('status must be one of: draft, submitted', 'BAD_USER_INPUT');
+      }
 
-      const activity = await context.pool.query(
-        `SELECT action, metadata, created_at, user_id
-         FROM activity_log
-         ORDER BY created_at DESC
-         LIMIT 20`
+      const result = await context.pool.query(
+        `SELECT d.* FROM fact_check_drafts d
+         JOIN fact_check_draft_authors a ON a.draft_id = d.id
+         WHERE a.user_id = $1 AND ($2::text IS NULL OR d.status = $2)
+         ORDER BY d.updated_at DESC
+         LIMIT $3 OFFSET $4`,
+        [userId, status || null, Math.min(Math.max(limit || 20, 1), 100), Math.max(offset || 0, 0)]
       );
 
-      return {
-        pendingAppsCount: parseInt(stats.rows[0].pending_apps_count),
-        pendingFactChecksCount: parseInt(stats.rows[0].pending_fact_checks_count),
-        totalUsers: parseInt(stats.rows[0].total_users),
-        totalVerifiedApps: parseInt(stats.rows[0].total_verified_apps),
-        totalVerifiedFactChecks: parseInt(stats.rows[0].total_verified_fact_checks),
-        recentActivity: activity.rows.map(row => ({
-          action: row.action,
-          timestamp: row.created_at,
-          metadata: row.metadata
-        }))
-      };
+      return result.rows;
     },
 
-    // Cursor-based pagination queries (recommended for performance)
-    appsCursor: async (_, { after, before, first, last, category, platform, search, minTruthRating }, context) => {
-      const { encodeCursor } = require('./utils/cursor');
+    factCheckDraft: async (_, { id }, context) => {
+      const { draft } = await loadDraftForAuthor(context, id);
+      return draft;
+    },
 
-      // Build base query with filters
-      let query = 'SELECT * FROM apps WHERE 1=1';
-      const params = [];
-      let paramCount = 1;
+    // Revisions of a draft, newest first. Accepts a draft id or the id of the fact-check it became.
+    // Visible to the draft's authors and moderators.
+    factCheckRevisions: async (_, { id, limit = 50, offset = 0 }, context) => {
+      const { userId } = requireAuth(context);
 
-      if (category) {
-        query += ` AND category = $${paramCount++}`;
-        params.push(category);
+      const draftResult = await context.pool.query(
+        'SELECT id FROM fact_check_drafts WHERE id = $1 OR fact_check_id = $1',
+        [id]
+      );
+      if (draftResult.rows.length === 0) {
+        throw createGraphQLError('No revisions found for this fact-check', 'NOT_FOUND');
+      }
+
+      const draftId = draftResult.rows[0].id;
+      if (!(await getDraftRole(context.pool, draftId, userId))) {
+        await requireRole(context, ['admin', 'moderator']);
+      }
+
+      const result = await context.pool.query(
+        `SELECT * FROM fact_check_revisions
+         WHERE draft_id = $1
+         ORDER BY version DESC, created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [draftId, Math.min(Math.max(limit || 50, 1), 200), Math.max(offset || 0, 0)]
+      );
+
+      return result.rows;
+    },
+
+    // Users the current user has blocked, most recent first
+    blockedUsers: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        `SELECT u.* FROM user_blocks b
+         JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = $1
+         ORDER BY b.created_at DESC`,
+        [userId]
+      );
+
+      return result.rows.map(({ password_hash, ...user }) => user);
+    },
+
+    // Get bounties
+    bounties: async (_, { status }, context) => {
+      let query = 'SELECT * FROM bounties';
+      const params = [];
+      
+      if (status) {
+        query += ' WHERE status = $1';
+        params.push(status);
+      }
+      
+      query += ' ORDER BY created_at DESC';
+
+      const result = await context.pool.query(query, params);
+      return result.rows;
+    },
+
+    // Get single bounty
+    bounty: async (_, { id }, context) => {
+      const result = await context.pool.query(
+        'SELECT * FROM bounties WHERE id = $1',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Current user's notifications, newest first
+    notifications: async (_, { unreadOnly = false, after, first = 20 }, context) => {
+      const { userId } = requireAuth(context);
+      const { executePaginationQuery } = require('./utils/pagination');
+      const { encodeCursor, isValidCursor } = require('./utils/cursor');
+
+      if (after && !isValidCursor(after)) {
+        throw createGraphQLError('Invalid cursor', 'BAD_USER_INPUT');
+      }
+
+      const limit = Math.min(Math.max(first || 20, 1), 100);
+      const query = unreadOnly
+        ? 'SELECT * FROM notifications WHERE user_id = $1 AND read = false'
+        : 'SELECT * FROM notifications WHERE user_id = $1';
+
+      const { rows, hasNextPage, hasPreviousPage, startCursor, endCursor } =
+        await executePaginationQuery({
+          pool: context.pool,
+          baseQuery: query,
+          baseParams: [userId],
+          afterCursor: after,
+          first: limit,
+          orderField: 'created_at',
+          orderDirection: 'DESC',
+          idField: 'id'
+        });
+
+      return {
+        edges: rows.map(row => ({
+          node: row,
+          cursor: encodeCursor(row)
+        })),
+        pageInfo: {
+          hasNextPage,
+          hasPreviousPage,
+          startCursor: startCursor ? encodeCursor(startCursor) : null,
+          endCursor: endCursor ? encodeCursor(endCursor) : null
+        },
+        totalCount: null
+      };
+    },
+
+    // Admin: 2FA requirement per role
+    twoFactorPolicies: async (_, __, context) => {
+      await requireRole(context, ['admin']);
+      const result = await context.pool.query(
+        'SELECT * FROM two_factor_policies ORDER BY role'
+      );
+      return result.rows;
+    },
+
+    // Current user's API keys (never includes the secret)
+    apiKeys: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+      const result = await context.pool.query(
+        'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
+      );
+      return result.rows;
+    },
+
+    // Requests per day for one of the caller's keys, with today's remaining quota
+    apiKeyUsage: async (_, { id, days = 30 }, context) => {
+      const { userId } = requireAuth(context);
+
+      const dayWindow = Math.min(Math.max(parseInt(days, 10) || 30, 1), 90);
+      const keyResult = await context.pool.query(
+        'SELECT * FROM api_keys WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
+
+      if (keyResult.rows.length === 0) {
+        throw createGraphQLError('API key not found', 'NOT_FOUND');
+      }
+
+      // Dates are formatted in SQL so "today" follows the database clock, like the quota counter
+      const usage = await context.pool.query(
+        `SELECT TO_CHAR(usage_date, 'YYYY-MM-DD') AS date,
+                request_count,
+                usage_date = CURRENT_DATE AS is_today
+         FROM api_key_usage
+         WHERE api_key_id = $1 AND usage_date > CURRENT_DATE - $2::int
+         ORDER BY usage_date DESC`,
+        [id, dayWindow]
+      );
+
+      const apiKey = keyResult.rows[0];
+      const usedToday = usage.rows.find(row => row.is_today)?.request_count || 0;
+
+      return {
+        apiKey,
+        days: usage.rows.map(row => ({ date: row.date, requests: row.request_count })),
+        dailyQuota: apiKey.daily_quota,
+        usedToday,
+        remainingToday: Math.max(apiKey.daily_quota - usedToday, 0)
+      };
+    },
+
+    // Current user's webhook endpoints (never includes the signing secret)
+    webhookEndpoints: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+      const result = await context.pool.query(
+        `SELECT id, user_id, url, description, events, active, created_at, updated_at
+         FROM webhook_endpoints
+         WHERE user_id = $1
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    // Delivery log for one of the caller's endpoints, newest first
+    webhookDeliveries: async (_, { endpointId, status, limit = 50 }, context) => {
+      const { userId } = requireAuth(context);
+      const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+      const result = await context.pool.query(
+        `SELECT d.*
+         FROM webhook_deliveries d
+         JOIN webhook_endpoints e ON e.id = d.endpoint_id
+         WHERE d.endpoint_id = $1 AND e.user_id = $2
+           AND ($3::text IS NULL OR d.status = $3)
+         ORDER BY d.created_at DESC
+         LIMIT $4`,
+        [endpointId, userId, status || null, safeLimit]
+      );
+      return result.rows;
+    },
+
+    // Current user's signed-in devices
+    mySessions: async (_, __, context) => {
+      const { userId, sid } = requireAuth(context);
+      return listSessions(context.pool, userId, sid);
+    },
+
+    unreadNotificationCount: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+      return countUnread(context.pool, userId);
+    },
+
+    // Admin: Get pending apps (unverified)
+    pendingApps: async (_, { limit = 20, offset = 0 }, context) => {
+      await requireRole(context, ['admin', 'moderator']);
+
+      const result = await context.pool.query(
+        `SELECT * FROM apps
+         WHERE is_verified = false
+         ORDER BY created_at ASC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+
+      return {
+        edges: result.rows,
+        pageInfo: {
+          hasNextPage: result.rows.length === limit,
+          hasPreviousPage: offset > 0,
+          startCursor: offset.toString(),
+          endCursor: (offset + result.rows.length).toString()
+        }
+      };
+    },
+
+    // Admin: Get pending fact-checks (unverified)
+    pendingFactChecks: async (_, { limit = 20, offset = 0 }, context) => {
+      await requireRole(context, ['admin', 'moderator']);
+
+      const result = await context.pool.query(
+        `SELECT * FROM fact_checks
+         WHERE verified_by IS NULL
+         ORDER BY created_at ASC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+
+      return {
+        edges: result.rows,
+        pageInfo: {
+          hasNextPage: result.rows.length === limit,
+          hasPreviousPage: offset > 0,
+          startCursor: offset.toString(),
+          endCursor: (offset + result.rows.length).toString()
+        }
+      };
+    },
+
+    // Moderator: report queue, oldest first, filterable by content type, reason and age
+    moderationQueue: async (_, { contentType, reason, status = 'open', olderThanHours, newerThanHours, limit = 50, offset = 0 }, context) => {
+      await requireRole(context, ['admin', 'moderator']);
+
+      if (contentType && !REPORT_CONTENT_TYPES.includes(contentType)) {
+        throw createGraphQLError(`contentType must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, 'BAD_USER_INPUT');
+      }
+      if (reason && !REPORT_REASONS.includes(reason)) {
+        throw createGraphQLError(`reason must be one of: ${REPORT_REASONS.join(', ')}`, 'BAD_USER_INPUT');
+      }
+      if (!REPORT_STATUSES.includes(status)) {
+        throw createGraphQLError(`status must be one of: ${REPORT_STATUSES.join(', ')}`, 'BAD_USER_INPUT');
+      }
+
+      const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+      const result = await context.pool.query(
+        `SELECT r.*,
+                (SELECT COUNT(*) FROM content_reports o
+                 WHERE o.content_type = r.content_type AND o.content_id = r.content_id
+                   AND o.status IN ('open', 'escalated')) AS report_count
+         FROM content_reports r
+         WHERE r.status = $1
+           AND ($2::text IS NULL OR r.content_type = $2)
+           AND ($3::text IS NULL OR r.reason = $3)
+           AND ($4::int IS NULL OR r.created_at <= CURRENT_TIMESTAMP - make_interval(hours => $4))
+           AND ($5::int IS NULL OR r.created_at >= CURRENT_TIMESTAMP - make_interval(hours => $5))
+         ORDER BY r.created_at ASC
+         LIMIT $6 OFFSET $7`,
+        [status, contentType || null, reason || null, olderThanHours ?? null, newerThanHours ?? null, safeLimit, Math.max(offset, 0)]
+      );
+
+      return result.rows;
+    },
+
+    // Admin: Get dashboard statistics
+    adminStats: async (_, __, context) => {
+      await requireRole(context, ['admin', 'moderator']);
+
+      const stats = await context.pool.query(`
+        SELECT
+          (SELECT COUNT(*) FROM apps WHERE is_verified = false) as pending_apps_count,
+          (SELECT COUNT(*) FROM fact_checks WHERE verified_by IS NULL) as pending_fact_checks_count,
+          (SELECT COUNT(*) FROM users) as total_users,
+          (SELECT COUNT(*) FROM apps WHERE is_verified = true) as total_verified_apps,
+          (SELECT COUNT(*) FROM fact_checks WHERE verified_by IS NOT NULL) as total_verified_fact_checks
+      `);
+
+      const activity = await context.pool.query(
+        `SELECT action, metadata, created_at, user_id
+         FROM activity_log
+         ORDER BY created_at DESC
+         LIMIT 20`
+      );
+
+      return {
+        pendingAppsCount: parseInt(stats.rows[0].pending_apps_count),
+        pendingFactChecksCount: parseInt(stats.rows[0].pending_fact_checks_count),
+        totalUsers: parseInt(stats.rows[0].total_users),
+        totalVerifiedApps: parseInt(stats.rows[0].total_verified_apps),
+        totalVerifiedFactChecks: parseInt(stats.rows[0].total_verified_fact_checks),
+        recentActivity: activity.rows.map(row => ({
+          action: row.action,
+          timestamp: row.created_at,
+          metadata: row.metadata
+        }))
+      };
+    },
+
+    // Admin: points awarded per reputation event
+    reputationRules: async (_, __, context) => {
+      await requireRole(context, ['admin']);
+      const result = await context.pool.query('SELECT * FROM reputation_rules ORDER BY event');
+      return result.rows;
+    },
+
+    // Admin: search the audit trail of privileged actions, newest first
+    auditLog: async (_, { actorId, action, targetType, targetId, from, to, after, first = 50 }, context) => {
+      await requireRole(context, ['admin']);
+      const { encodeCursor, isValidCursor } = require('./utils/cursor');
+
+      if (after && !isValidCursor(after)) {
+        throw createGraphQLError('Invalid cursor', 'BAD_USER_INPUT');
+      }
+
+      const limit = Math.min(Math.max(first || 50, 1), 200);
+      let page;
+      try {
+        page = await fetchAuditPage(context.pool, { actorId, action, targetType, targetId, from, to }, { after, first: limit });
+      } catch (error) {
+        if (error.code === '22P02') {
+          throw createGraphQLError('actorId must be a valid user id', 'BAD_USER_INPUT');
+        }
+        throw error;
+      }
+
+      return {
+        edges: page.rows.map(row => ({
+          node: row,
+          cursor: encodeCursor(row)
+        })),
+        pageInfo: {
+          hasNextPage: page.hasNextPage,
+          hasPreviousPage: page.hasPreviousPage,
+          startCursor: page.startCursor ? encodeCursor(page.startCursor) : null,
+          endCursor: page.endCursor ? encodeCursor(page.endCursor) : null
+        },
+        totalCount: null
+      };
+    },
+
+    // Cursor-based pagination queries (recommended for performance)
+    appsCursor: async (_, { after, before, first, last, category, platform, search, minTruthRating }, context) => {
+      requireApiKeyScope(context, 'read:apps');
+      const { encodeCursor } = require('./utils/cursor');
+
+      // Build base query with filters
+      let query = 'SELECT * FROM apps WHERE 1=1';
+      const params = [];
+      let paramCount = 1;
+
+      if (category) {
+        query += ` AND category = $${paramCount++}`;
+        params.push(category);
       }
 
       if (platform) {
@@ -481,10 +1409,11 @@ const resolvers = {
     },
 
     factChecksCursor: async (_, { after, before, first, last, category, verdict, search }, context) => {
+      requireApiKeyScope(context, 'read:factchecks');
       const { encodeCursor } = require('./utils/cursor');
 
       // Build base query with filters
-      let query = 'SELECT * FROM fact_checks WHERE 1=1';
+      let query = 'SELECT * FROM fact_checks WHERE hidden_at IS NULL';
       const params = [];
       let paramCount = 1;
 
@@ -499,6 +1428,10 @@ const resolvers = {
       }
 
       if (search) {
+        if (!after && !before) {
+          await recordSearchQuery(context.pool, search, context.user?.userId || context.req?.ip);
+        }
+
         // Use full-text search with tsvector
         const tsQuery = search.trim().split(/\s+/).join(' & ');
         query += ` AND search_vector @@ to_tsquery('english', $${paramCount})`;
@@ -666,7 +1599,9 @@ const resolvers = {
     // AI: Get fact-check appeals
     factCheckAppeals: async (_, { factCheckId, status }, context) => {
       try {
-        let query = 'SELECT * FROM fact_check_appeals WHERE 1=1';
+        let query = canViewHidden(context)
+          ? 'SELECT * FROM fact_check_appeals WHERE 1=1'
+          : 'SELECT * FROM fact_check_appeals WHERE hidden_at IS NULL';
         const params = [];
         let paramCount = 1;
 
@@ -699,7 +1634,11 @@ const resolvers = {
           'SELECT * FROM fact_check_appeals WHERE id = $1',
           [id]
         );
-        return result.rows[0] || null;
+        const appeal = result.rows[0];
+        if (appeal?.hidden_at && !canViewHidden(context, appeal.user_id)) {
+          return null;
+        }
+        return appeal || null;
       } catch (error) {
         if (error.code === '42P01') {
           console.warn('⚠️ fact_check_appeals table not found');
@@ -714,12 +1653,15 @@ const resolvers = {
     register: async (_, { input }, context) => {
       const rawUsername = sanitizePlainText(input.username);
       const rawEmail = sanitizePlainText(input.email);
-      const rawWalletAddress = input.walletAddress ? sanitizePlainText(input.walletAddress) : null;
       const { password } = input;
 
       const username = rawUsername;
       const email = rawEmail;
-      const walletAddress = rawWalletAddress;
+
+      // Ownership has to be proven by signature, so addresses are never taken on trust here
+      if (input.walletAddress) {
+        throw createGraphQLError('Link your wallet with linkWallet after registering', 'BAD_USER_INPUT');
+      }
 
       // Validate inputs
       const emailValidation = validateEmail(email);
@@ -737,13 +1679,6 @@ const resolvers = {
         throw createGraphQLError(passwordValidation.message, 'INVALID_PASSWORD');
       }
 
-      if (walletAddress) {
-        const addressValidation = require('./utils/validation').validateEthAddress(walletAddress);
-        if (!addressValidation.valid) {
-          throw createGraphQLError(addressValidation.message, 'BAD_USER_INPUT');
-        }
-      }
-
       // Check if user exists
       const existing = await context.pool.query(
         'SELECT id FROM users WHERE email = $1 OR username = $2',
@@ -759,21 +1694,29 @@ const resolvers = {
 
       // Create user
       const result = await context.pool.query(
-        `INSERT INTO users (username, email, password_hash, wallet_address)
-         VALUES ($1, $2, $3, $4)
+        `INSERT INTO users (username, email, password_hash)
+         VALUES ($1, $2, $3)
          RETURNING id, username, email, wallet_address, truth_score, is_verified, role, created_at`,
-        [username, email.toLowerCase(), passwordHash, walletAddress]
+        [username, email.toLowerCase(), passwordHash]
       );
 
       const user = result.rows[0];
-      const token = generateToken(user.id);
-      const refreshToken = generateToken(user.id, '30d');
+      const { token, refreshToken } = await issueSessionTokens(context, user);
 
       // Send welcome email asynchronously (don't block registration)
       sendWelcomeEmail(user.email, user.username, user.truth_score).catch(err => {
         console.error('Failed to send welcome email:', err.message);
       });
 
+      sendEmailVerificationEmail(
+        user.email,
+        createEmailToken(user.id, user.email),
+        user.username,
+        EMAIL_VERIFICATION_TTL_HOURS
+      ).catch(err => {
+        console.error('Failed to send verification email:', err.message);
+      });
+
       return { token, refreshToken, user };
     },
 
@@ -812,43 +1755,29 @@ const resolvers = {
         );
       }
 
-      // Verify password
-      const valid = await bcrypt.compare(password, user.password_hash);
+      // Verify password (wallet-only accounts have none)
+      const valid = user.password_hash ? await bcrypt.compare(password, user.password_hash) : false;
       if (!valid) {
-        const failedAttempts = (user.failed_login_attempts || 0) + 1;
-        let lockoutUntil = null;
-        let attemptsToPersist = failedAttempts;
-        if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
-          lockoutUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
-          attemptsToPersist = 0;
-        }
-
-        await context.pool.query(
-          `UPDATE users
-           SET failed_login_attempts = $1,
-               last_failed_login = CURRENT_TIMESTAMP,
-               lockout_until = $2
-           WHERE id = $3`,
-          [attemptsToPersist, lockoutUntil, user.id]
-        );
-
+        const lockoutUntil = await recordFailedLogin(context, user);
         if (lockoutUntil) {
-          // Send lockout notification email asynchronously
-          sendAccountLockoutEmail(
-            user.email,
-            user.username,
-            LOCKOUT_MINUTES,
-            lockoutUntil.toLocaleString()
-          ).catch(err => {
-            console.error('Failed to send lockout email:', err.message);
-          });
-
           throw createGraphQLError('Account locked after too many attempts. Please try again later.', 'ACCOUNT_LOCKED');
         }
 
         throw createGraphQLError('Invalid email or password', 'UNAUTHENTICATED');
       }
 
+      // Second step required: failed attempts are only cleared once the code is verified
+      if (user.two_factor_enabled) {
+        const { password_hash, ...userSafe } = user;
+        return {
+          token: null,
+          refreshToken: null,
+          user: userSafe,
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user.id)
+        };
+      }
+
       // Update last login
       await context.pool.query(
         `UPDATE users
@@ -860,463 +1789,2961 @@ const resolvers = {
         [user.id]
       );
 
-      const token = generateToken(user.id);
-      const refreshToken = generateToken(user.id, '30d');
+      const { token, refreshToken } = await issueSessionTokens(context, user);
 
       // Return user without password hash
       const { password_hash, ...userSafe } = user;
       return { token, refreshToken, user: userSafe };
     },
 
-    requestPasswordReset: async (_, { email }, context) => {
-      const normalizedEmail = sanitizePlainText(email).toLowerCase();
-      if (!normalizedEmail) {
-        return true; // avoid enumeration
+    // Create a researcher API key; the plain key is returned once and only its hash is stored
+    createApiKey: async (_, { name, scopes, expiresInDays }, context) => {
+      const { userId } = requireAuth(context);
+
+      const sanitizedName = sanitizePlainText(name);
+      const nameValidation = validateTextLength(sanitizedName, 1, 100, 'Key name');
+      if (!nameValidation.valid) {
+        throw createGraphQLError(nameValidation.message, 'BAD_USER_INPUT');
       }
 
-      const result = await context.pool.query(
-        'SELECT id, email, username FROM users WHERE email = $1',
-        [normalizedEmail]
-      );
+      const uniqueScopes = [...new Set(scopes || [])];
+      if (uniqueScopes.length === 0 || uniqueScopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw createGraphQLError(`Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`, 'BAD_USER_INPUT');
+      }
 
-      if (result.rows.length === 0) {
-        return true;
+      let expiresAt = null;
+      if (expiresInDays !== undefined && expiresInDays !== null) {
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+          throw createGraphQLError('expiresInDays must be between 1 and 365', 'BAD_USER_INPUT');
+        }
+        expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
       }
 
-      const user = result.rows[0];
-      const token = crypto.randomBytes(48).toString('hex');
-      const tokenHash = hashToken(token);
-      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL_MIN * 60 * 1000);
+      const active = await context.pool.query(
+        `SELECT COUNT(*) AS count FROM api_keys
+         WHERE user_id = $1 AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > NOW())`,
+        [userId]
+      );
+      if (parseInt(active.rows[0].count, 10) >= API_KEY_MAX_ACTIVE) {
+        throw createGraphQLError(`You can have at most ${API_KEY_MAX_ACTIVE} active API keys`, 'BAD_USER_INPUT');
+      }
 
-      await context.pool.query(
-        `UPDATE password_reset_requests
-         SET consumed_at = NOW()
-         WHERE user_id = $1 AND consumed_at IS NULL`,
-        [user.id]
+      const { key, prefix, keyHash } = generateApiKey();
+      const result = await context.pool.query(
+        `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, daily_quota, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [userId, sanitizedName, prefix, keyHash, uniqueScopes, API_KEY_DAILY_QUOTA, expiresAt]
       );
 
       await context.pool.query(
-        `INSERT INTO password_reset_requests (user_id, token_hash, expires_at, requested_ip, user_agent)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [
-          user.id,
-          tokenHash,
-          expiresAt,
-          context.req.ip || null,
-          context.req.headers['user-agent'] || null
-        ]
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'api_key_created', JSON.stringify({ apiKeyId: result.rows[0].id, scopes: uniqueScopes })]
       );
 
-      await sendPasswordResetEmail(user.email, token, user.username);
+      console.log(`🔑 API key ${prefix}… created for user ${userId}`);
+      return { apiKey: result.rows[0], key };
+    },
+
+    revokeApiKey: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        `UPDATE api_keys
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+         RETURNING key_hash`,
+        [id, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('API key not found', 'NOT_FOUND');
+      }
+
+      await forgetApiKey(result.rows[0].key_hash);
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'api_key_revoked', JSON.stringify({ apiKeyId: id })]
+      );
 
       return true;
     },
 
-    resetPassword: async (_, { token, newPassword }, context) => {
-      if (!token || typeof token !== 'string') {
-        throw createGraphQLError('Reset token is required', 'BAD_USER_INPUT');
-      }
+    // Register a webhook endpoint; the signing secret is returned once and stored encrypted
+    createWebhookEndpoint: async (_, { url, events, description }, context) => {
+      const { userId } = requireAuth(context);
 
-      const passwordValidation = validatePassword(newPassword);
-      if (!passwordValidation.valid) {
-        throw createGraphQLError(passwordValidation.message, 'INVALID_PASSWORD');
+      const urlValidation = validateWebhookUrl(url);
+      if (!urlValidation.valid) {
+        throw createGraphQLError(urlValidation.message, 'BAD_USER_INPUT');
       }
 
-      const tokenHash = hashToken(token);
-      const resetResult = await context.pool.query(
-        `SELECT * FROM password_reset_requests
-         WHERE token_hash = $1
-           AND consumed_at IS NULL
-           AND expires_at > NOW()
-         ORDER BY created_at DESC
-         LIMIT 1`,
-        [tokenHash]
-      );
+      const uniqueEvents = [...new Set(events || [])];
+      if (uniqueEvents.length === 0 || uniqueEvents.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        throw createGraphQLError(`Events must be one or more of: ${WEBHOOK_EVENTS.join(', ')}`, 'BAD_USER_INPUT');
+      }
 
-      if (resetResult.rows.length === 0) {
-        throw createGraphQLError('Invalid or expired reset token', 'INVALID_TOKEN');
+      const sanitizedDescription = description ? sanitizePlainText(description) : null;
+      if (sanitizedDescription) {
+        const descriptionValidation = validateTextLength(sanitizedDescription, 1, 200, 'Description');
+        if (!descriptionValidation.valid) {
+          throw createGraphQLError(descriptionValidation.message, 'BAD_USER_INPUT');
+        }
       }
 
-      const resetRequest = resetResult.rows[0];
-      const passwordHash = await bcrypt.hash(newPassword, 10);
+      const existing = await context.pool.query(
+        'SELECT COUNT(*) AS count FROM webhook_endpoints WHERE user_id = $1',
+        [userId]
+      );
+      if (parseInt(existing.rows[0].count, 10) >= WEBHOOK_MAX_ENDPOINTS) {
+        throw createGraphQLError(`You can register at most ${WEBHOOK_MAX_ENDPOINTS} webhook endpoints`, 'BAD_USER_INPUT');
+      }
 
-      await context.pool.query(
-        `UPDATE users
-         SET password_hash = $1,
-             failed_login_attempts = 0,
-             lockout_until = NULL,
-             last_failed_login = NULL
-         WHERE id = $2`,
-        [passwordHash, resetRequest.user_id]
+      const secret = generateWebhookSecret();
+      const result = await context.pool.query(
+        `INSERT INTO webhook_endpoints (user_id, url, description, secret, events)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, user_id, url, description, events, active, created_at, updated_at`,
+        [userId, url, sanitizedDescription, encryptWebhookSecret(secret), uniqueEvents]
       );
 
       await context.pool.query(
-        'UPDATE password_reset_requests SET consumed_at = NOW() WHERE id = $1',
-        [resetRequest.id]
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'webhook_endpoint_created', JSON.stringify({ endpointId: result.rows[0].id, events: uniqueEvents })]
       );
 
-      return true;
+      console.log(`🪝 Webhook endpoint ${result.rows[0].id} registered for user ${userId}`);
+      return { endpoint: result.rows[0], secret };
     },
 
-    // Submit fact check
-    submitFactCheck: async (_, { input }, context) => {
+    updateWebhookEndpoint: async (_, { id, input }, context) => {
       const { userId } = requireAuth(context);
-      const claim = sanitizePlainText(input.claim);
-      const verdict = input.verdict;
-      const confidenceScore = input.confidenceScore;
-      const sources = input.sources ? sanitizeJson(input.sources) : null;
-      const explanation = input.explanation ? sanitizeRichText(input.explanation) : null;
-      const category = sanitizePlainText(input.category);
-      const imageUrl = input.imageUrl ? sanitizePlainText(input.imageUrl) : null;
-
-      // Validate inputs
-      const claimValidation = validateTextLength(claim, 10, 5000, 'Claim');
-      if (!claimValidation.valid) {
-        throw createGraphQLError(claimValidation.message, 'BAD_USER_INPUT');
-      }
 
-      const verdictValidation = validateVerdict(verdict);
-      if (!verdictValidation.valid) {
-        throw createGraphQLError(verdictValidation.message, 'BAD_USER_INPUT');
+      const endpointResult = await context.pool.query(
+        'SELECT id FROM webhook_endpoints WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
+      if (endpointResult.rows.length === 0) {
+        throw createGraphQLError('Webhook endpoint not found', 'NOT_FOUND');
       }
 
-      if (confidenceScore !== null && confidenceScore !== undefined) {
-        const scoreValidation = validateConfidenceScore(confidenceScore);
-        if (!scoreValidation.valid) {
-          throw createGraphQLError(scoreValidation.message, 'BAD_USER_INPUT');
+      if (input.url !== undefined && input.url !== null) {
+        const urlValidation = validateWebhookUrl(input.url);
+        if (!urlValidation.valid) {
+          throw createGraphQLError(urlValidation.message, 'BAD_USER_INPUT');
         }
       }
 
-      if (explanation) {
-        const explValidation = validateTextLength(explanation, 5, 2000, 'Explanation');
-        if (!explValidation.valid) {
-          throw createGraphQLError(explValidation.message, 'BAD_USER_INPUT');
+      let events = null;
+      if (input.events !== undefined && input.events !== null) {
+        events = [...new Set(input.events)];
+        if (events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+          throw createGraphQLError(`Events must be one or more of: ${WEBHOOK_EVENTS.join(', ')}`, 'BAD_USER_INPUT');
         }
       }
 
-      if (imageUrl) {
-        const urlValidation = validateUrl(imageUrl);
-        if (!urlValidation.valid) {
-          throw createGraphQLError(urlValidation.message, 'BAD_USER_INPUT');
+      const description = input.description !== undefined && input.description !== null
+        ? sanitizePlainText(input.description)
+        : null;
+      if (description) {
+        const descriptionValidation = validateTextLength(description, 1, 200, 'Description');
+        if (!descriptionValidation.valid) {
+          throw createGraphQLError(descriptionValidation.message, 'BAD_USER_INPUT');
         }
       }
 
       const result = await context.pool.query(
-        `INSERT INTO fact_checks 
-         (claim, verdict, confidence_score, sources, explanation, category, image_url, submitted_by)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         RETURNING *`,
-        [
-          claim,
-          verdict,
-          confidenceScore || 0,
-          sources ? JSON.stringify(sources) : null,
-          explanation,
-          category,
-          imageUrl,
-          userId
-        ]
+        `UPDATE webhook_endpoints
+         SET url = COALESCE($1, url),
+             description = COALESCE($2, description),
+             events = COALESCE($3, events),
+             active = COALESCE($4, active),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5 AND user_id = $6
+         RETURNING id, user_id, url, description, events, active, created_at, updated_at`,
+        [input.url || null, description, events, typeof input.active === 'boolean' ? input.active : null, id, userId]
       );
 
-      const factCheck = result.rows[0];
+      return result.rows[0];
+    },
 
-      // Broadcast to WebSocket subscribers
-      if (global.broadcastFactCheck) {
-        global.broadcastFactCheck(category, factCheck);
+    deleteWebhookEndpoint: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'DELETE FROM webhook_endpoints WHERE id = $1 AND user_id = $2 RETURNING id',
+        [id, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Webhook endpoint not found', 'NOT_FOUND');
       }
 
-      // Award truth score
       await context.pool.query(
-        'UPDATE users SET truth_score = truth_score + 10 WHERE id = $1',
-        [userId]
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'webhook_endpoint_deleted', JSON.stringify({ endpointId: id })]
       );
 
-      return factCheck;
+      return true;
     },
 
-    // Vote on fact-check (upvote/downvote with spam prevention)
-    voteFactCheck: async (_, { id, vote }, context) => {
+    // Send a sample event right away so partners can check their signature verification
+    sendTestWebhook: async (_, { id }, context) => {
       const { userId } = requireAuth(context);
 
-      // Validate vote value (+1 or -1)
-      const voteValidation = validateVote(vote);
-      if (!voteValidation.valid) {
-        throw createGraphQLError(voteValidation.message, 'BAD_USER_INPUT');
+      const endpointResult = await context.pool.query(
+        'SELECT id, active FROM webhook_endpoints WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
+      if (endpointResult.rows.length === 0) {
+        throw createGraphQLError('Webhook endpoint not found', 'NOT_FOUND');
       }
-
-      // Validate fact-check ID
-      if (!id || typeof id !== 'string') {
-        throw createGraphQLError('Fact-check ID is required', 'BAD_USER_INPUT');
+      if (!endpointResult.rows[0].active) {
+        throw createGraphQLError('Webhook endpoint is disabled', 'BAD_USER_INPUT');
       }
 
-      // Use transaction for atomicity (prevents race conditions)
-      await context.pool.query('BEGIN');
+      const payload = {
+        event: WEBHOOK_TEST_EVENT,
+        createdAt: new Date().toISOString(),
+        data: { message: 'This is a test event from AppWhistler.' }
+      };
+      const delivery = await context.pool.query(
+        `INSERT INTO webhook_deliveries (endpoint_id, event, payload)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [id, WEBHOOK_TEST_EVENT, JSON.stringify(payload)]
+      );
 
-      try {
-        // 1. Check if fact-check exists
-        const factCheckResult = await context.pool.query(
-          'SELECT id, upvotes, downvotes FROM fact_checks WHERE id = $1',
-          [id]
-        );
+      return (await deliverWebhook(context.pool, delivery.rows[0].id)) || delivery.rows[0];
+    },
 
-        if (factCheckResult.rows.length === 0) {
-          await context.pool.query('ROLLBACK');
-          throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
-        }
+    // Requeue a dead-lettered delivery with a fresh set of attempts
+    retryWebhookDelivery: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
 
-        // 2. Check if user has already voted
-        const existingVoteResult = await context.pool.query(
-          'SELECT vote_value FROM fact_check_votes WHERE fact_check_id = $1 AND user_id = $2',
-          [id, userId]
-        );
+      const result = await context.pool.query(
+        `UPDATE webhook_deliveries d
+         SET status = 'pending', attempts = 0, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+         FROM webhook_endpoints e
+         WHERE d.id = $1 AND e.id = d.endpoint_id AND e.user_id = $2
+           AND d.status = 'dead'
+         RETURNING d.*`,
+        [id, userId]
+      );
 
-        const existingVote = existingVoteResult.rows[0];
-        const previousVoteValue = existingVote ? existingVote.vote_value : 0;
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Dead-lettered delivery not found', 'NOT_FOUND');
+      }
 
-        // 3. If user is changing vote or voting for first time
-        if (previousVoteValue !== vote) {
-          // Upsert vote (INSERT or UPDATE if exists)
-          await context.pool.query(
-            `INSERT INTO fact_check_votes (fact_check_id, user_id, vote_value)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (fact_check_id, user_id)
-             DO UPDATE SET vote_value = $3, updated_at = CURRENT_TIMESTAMP`,
-            [id, userId, vote]
-          );
+      queueDelivery(id);
+      return result.rows[0];
+    },
 
-          // 4. Recalculate vote counters
-          // Remove previous vote impact and add new vote
-          let upvoteDelta = 0;
-          let downvoteDelta = 0;
+    // Sign-In with Ethereum: nonce for the EIP-4361 message the wallet will sign
+    siweNonce: async () => createSiweNonce(),
 
-          if (previousVoteValue === 1) {
-            upvoteDelta -= 1; // Remove previous upvote
-          } else if (previousVoteValue === -1) {
-            downvoteDelta -= 1; // Remove previous downvote
-          }
+    // Sign in (or sign up) with a signed EIP-4361 message
+    siweLogin: async (_, { message, signature }, context) => {
+      let address;
+      try {
+        ({ address } = await verifySiweMessage(message, signature));
+      } catch (error) {
+        throw createGraphQLError(error.message, 'UNAUTHENTICATED');
+      }
 
-          if (vote === 1) {
-            upvoteDelta += 1; // Add new upvote
-          } else if (vote === -1) {
-            downvoteDelta += 1; // Add new downvote
-          }
+      const existing = await context.pool.query(
+        `SELECT * FROM users
+         WHERE LOWER(wallet_address) = $1 AND wallet_verified_at IS NOT NULL`,
+        [address.toLowerCase()]
+      );
 
-          // Update fact_check counters
-          await context.pool.query(
-            `UPDATE fact_checks
-             SET upvotes = GREATEST(0, upvotes + $1),
-                 downvotes = GREATEST(0, downvotes + $2),
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = $3`,
-            [upvoteDelta, downvoteDelta, id]
-          );
+      let user = existing.rows[0];
 
-          console.log(`✅ Vote recorded: User ${userId} voted ${vote > 0 ? 'upvote' : 'downvote'} on fact-check ${id}`);
-        } else {
-          console.log(`ℹ️ No change: User ${userId} already voted ${vote > 0 ? 'upvote' : 'downvote'} on fact-check ${id}`);
+      if (!user) {
+        // First sign-in from this wallet creates a wallet-only account
+        let username = `wallet_${address.slice(2, 10).toLowerCase()}`;
+        const taken = await context.pool.query(
+          'SELECT id FROM users WHERE username = $1',
+          [username]
+        );
+        if (taken.rows.length > 0) {
+          username = `${username}_${crypto.randomBytes(2).toString('hex')}`;
         }
 
-        // Commit transaction
-        await context.pool.query('COMMIT');
-
-        // 5. Return updated fact-check
-        const updatedFactCheck = await context.pool.query(
-          'SELECT * FROM fact_checks WHERE id = $1',
-          [id]
+        const created = await context.pool.query(
+          `INSERT INTO users (username, wallet_address, wallet_verified_at)
+           VALUES ($1, $2, CURRENT_TIMESTAMP)
+           RETURNING *`,
+          [username, address]
         );
+        user = created.rows[0];
+        console.log(`🦊 Created wallet account ${user.id} for ${address}`);
+      }
 
-        return updatedFactCheck.rows[0];
-      } catch (error) {
-        // Rollback on any error
-        await context.pool.query('ROLLBACK');
-        console.error('Vote fact-check error:', error);
-        throw error;
+      if (user.lockout_until && new Date(user.lockout_until) > new Date()) {
+        throw createGraphQLError('Account locked due to repeated failures. Please try again later.', 'ACCOUNT_LOCKED');
       }
-    },
 
-    // Submit review
-    submitReview: async (_, { input }, context) => {
-      const { userId } = requireAuth(context);
-      const { appId, rating } = input;
-      const reviewText = input.reviewText ? sanitizeRichText(input.reviewText) : null;
+      const { password_hash, ...userSafe } = user;
 
-      // Validate inputs
-      const ratingValidation = validateRating(rating, 0, 5);
-      if (!ratingValidation.valid) {
-        throw createGraphQLError(ratingValidation.message, 'BAD_USER_INPUT');
+      if (user.two_factor_enabled) {
+        return {
+          token: null,
+          refreshToken: null,
+          user: userSafe,
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user.id)
+        };
       }
 
-      if (reviewText) {
-        const textValidation = validateTextLength(reviewText, 10, 3000, 'Review text');
-        if (!textValidation.valid) {
+      await context.pool.query(
+        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+        [user.id]
+      );
+
+      const { token, refreshToken } = await issueSessionTokens(context, user);
+      return { token, refreshToken, user: userSafe };
+    },
+
+    // Prove ownership of a wallet and attach it to the signed-in account
+    linkWallet: async (_, { message, signature }, context) => {
+      const { userId } = requireAuth(context);
+
+      let address;
+      try {
+        ({ address } = await verifySiweMessage(message, signature));
+      } catch (error) {
+        throw createGraphQLError(error.message, 'BAD_USER_INPUT');
+      }
+
+      const owner = await context.pool.query(
+        `SELECT id FROM users
+         WHERE LOWER(wallet_address) = $1 AND wallet_verified_at IS NOT NULL AND id <> $2`,
+        [address.toLowerCase(), userId]
+      );
+      if (owner.rows.length > 0) {
+        throw createGraphQLError('This wallet is already linked to another account', 'ALREADY_EXISTS');
+      }
+
+      // Unproven copies of the address (typed in before signatures were required) give way
+      await context.pool.query(
+        `UPDATE users SET wallet_address = NULL
+         WHERE LOWER(wallet_address) = $1 AND wallet_verified_at IS NULL AND id <> $2`,
+        [address.toLowerCase(), userId]
+      );
+
+      const result = await context.pool.query(
+        `UPDATE users
+         SET wallet_address = $1,
+             wallet_verified_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [address, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'wallet_linked', JSON.stringify({ address })]
+      );
+
+      const { password_hash, ...userSafe } = result.rows[0];
+      return userSafe;
+    },
+
+    // Second login step: exchange the challenge token plus a TOTP or recovery code for tokens
+    verifyTwoFactorLogin: async (_, { challengeToken, code }, context) => {
+      const challenge = verifyLoginChallenge(challengeToken);
+      if (!challenge || !(await claimChallengeAttempt(challenge.jti))) {
+        throw createGraphQLError('Two-factor challenge is invalid or has expired. Please sign in again.', 'UNAUTHENTICATED');
+      }
+
+      const result = await context.pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [challenge.userId]
+      );
+
+      if (result.rows.length === 0 || !result.rows[0].two_factor_enabled) {
+        throw createGraphQLError('Two-factor challenge is invalid or has expired. Please sign in again.', 'UNAUTHENTICATED');
+      }
+
+      const user = result.rows[0];
+
+      if (user.lockout_until && new Date(user.lockout_until) > new Date()) {
+        throw createGraphQLError('Account locked due to repeated failures. Please try again later.', 'ACCOUNT_LOCKED');
+      }
+
+      const method = await verifySecondFactor(context.pool, user, code);
+      if (!method) {
+        const lockoutUntil = await recordFailedLogin(context, user);
+        if (lockoutUntil) {
+          throw createGraphQLError('Account locked after too many attempts. Please try again later.', 'ACCOUNT_LOCKED');
+        }
+        throw createGraphQLError('Invalid two-factor code', 'UNAUTHENTICATED');
+      }
+
+      await consumeLoginChallenge(challenge.jti);
+
+      await context.pool.query(
+        `UPDATE users
+         SET last_login = CURRENT_TIMESTAMP,
+             failed_login_attempts = 0,
+             lockout_until = NULL,
+             last_failed_login = NULL
+         WHERE id = $1`,
+        [user.id]
+      );
+
+      if (method === 'recovery') {
+        await context.pool.query(
+          `INSERT INTO activity_log (user_id, action, metadata)
+           VALUES ($1, $2, $3)`,
+          [user.id, 'two_factor_recovery_code_used', JSON.stringify({})]
+        );
+      }
+
+      const { token, refreshToken } = await issueSessionTokens(context, user);
+      const { password_hash, ...userSafe } = user;
+      return { token, refreshToken, user: userSafe };
+    },
+
+    // Start 2FA enrollment: returns a secret and otpauth:// URI for the QR code
+    setupTwoFactor: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'SELECT email, two_factor_enabled FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      if (result.rows[0].two_factor_enabled) {
+        throw createGraphQLError('Two-factor authentication is already enabled', 'CONFLICT');
+      }
+
+      const secret = generateTotpSecret();
+      await context.pool.query(
+        'UPDATE users SET two_factor_pending_secret = $1 WHERE id = $2',
+        [encryptSecret(secret), userId]
+      );
+
+      return {
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, result.rows[0].email)
+      };
+    },
+
+    // Finish enrollment with a code from the authenticator app; returns recovery codes once
+    confirmTwoFactor: async (_, { code }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'SELECT two_factor_enabled, two_factor_pending_secret FROM users WHERE id = $1',
+        [userId]
+      );
+
+      const user = result.rows[0];
+      if (!user?.two_factor_pending_secret) {
+        throw createGraphQLError('Start two-factor setup first', 'BAD_USER_INPUT');
+      }
+
+      if (user.two_factor_enabled) {
+        throw createGraphQLError('Two-factor authentication is already enabled', 'CONFLICT');
+      }
+
+      const counter = verifyTotpCode(decryptSecret(user.two_factor_pending_secret), code);
+      if (counter === null) {
+        throw createGraphQLError('Invalid two-factor code', 'BAD_USER_INPUT');
+      }
+
+      await context.pool.query(
+        `UPDATE users
+         SET two_factor_enabled = true,
+             two_factor_secret = two_factor_pending_secret,
+             two_factor_pending_secret = NULL,
+             two_factor_enabled_at = CURRENT_TIMESTAMP,
+             two_factor_last_counter = $1
+         WHERE id = $2`,
+        [counter, userId]
+      );
+
+      const recoveryCodes = await replaceRecoveryCodes(context.pool, userId);
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'two_factor_enabled', JSON.stringify({})]
+      );
+
+      console.log(`🔐 Two-factor authentication enabled for user ${userId}`);
+      return recoveryCodes;
+    },
+
+    // Turn 2FA off (needs the password and a current code or recovery code)
+    disableTwoFactor: async (_, { password, code }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [userId]
+      );
+
+      const user = result.rows[0];
+      if (!user?.two_factor_enabled) {
+        throw createGraphQLError('Two-factor authentication is not enabled', 'BAD_USER_INPUT');
+      }
+
+      if (await isTwoFactorRequiredForRole(context.pool, user.role)) {
+        throw createGraphQLError(`Two-factor authentication is required for the ${user.role} role`, 'FORBIDDEN');
+      }
+
+      const validPassword = !!user.password_hash && await bcrypt.compare(password || '', user.password_hash);
+      if (!validPassword || !(await verifySecondFactor(context.pool, user, code))) {
+        throw createGraphQLError('Invalid password or two-factor code', 'UNAUTHENTICATED');
+      }
+
+      await context.pool.query(
+        `UPDATE users
+         SET two_factor_enabled = false,
+             two_factor_secret = NULL,
+             two_factor_pending_secret = NULL,
+             two_factor_enabled_at = NULL,
+             two_factor_last_counter = NULL
+         WHERE id = $1`,
+        [userId]
+      );
+      await context.pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'two_factor_disabled', JSON.stringify({})]
+      );
+
+      console.log(`🔓 Two-factor authentication disabled for user ${userId}`);
+      return true;
+    },
+
+    // Invalidate all recovery codes and issue a new set (needs a current TOTP code)
+    regenerateRecoveryCodes: async (_, { code }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [userId]
+      );
+
+      const user = result.rows[0];
+      if (!user?.two_factor_enabled) {
+        throw createGraphQLError('Two-factor authentication is not enabled', 'BAD_USER_INPUT');
+      }
+
+      if (!(await verifyTotpForUser(context.pool, user, code))) {
+        throw createGraphQLError('Invalid two-factor code', 'UNAUTHENTICATED');
+      }
+
+      return replaceRecoveryCodes(context.pool, userId);
+    },
+
+    // Admin: require (or stop requiring) 2FA for a role
+    setTwoFactorPolicy: async (_, { role, required }, context) => {
+      const { userId } = await requireRole(context, ['admin']);
+
+      if (!TWO_FACTOR_ROLES.includes(role)) {
+        throw createGraphQLError(`Role must be one of: ${TWO_FACTOR_ROLES.join(', ')}`, 'BAD_USER_INPUT');
+      }
+
+      if (typeof required !== 'boolean') {
+        throw createGraphQLError('Required flag must be a boolean', 'BAD_USER_INPUT');
+      }
+
+      const previous = await context.pool.query(
+        'SELECT * FROM two_factor_policies WHERE role = $1',
+        [role]
+      );
+
+      const result = await context.pool.query(
+        `INSERT INTO two_factor_policies (role, required, updated_by, updated_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+         ON CONFLICT (role) DO UPDATE
+         SET required = EXCLUDED.required,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = EXCLUDED.updated_at
+         RETURNING *`,
+        [role, required, userId]
+      );
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'set_two_factor_policy',
+        targetType: 'two_factor_policy',
+        targetId: role,
+        before: previous.rows[0],
+        after: result.rows[0],
+        metadata: { role, required }
+      });
+
+      console.log(`✅ 2FA policy for ${role} set to ${required ? 'required' : 'optional'} by ${userId}`);
+      return result.rows[0];
+    },
+
+    // Exchange a refresh token for a new pair (the old refresh token is rotated out)
+    refreshToken: async (_, { token }, context) => {
+      if (!token || typeof token !== 'string') {
+        throw createGraphQLError('Refresh token is required', 'BAD_USER_INPUT');
+      }
+
+      const { accessToken, refreshToken, user } = await refreshAccessToken(
+        token,
+        context.pool,
+        getClientMeta(context)
+      );
+
+      return { token: accessToken, refreshToken, user };
+    },
+
+    // Revoke the current access token and every refresh token from the same login
+    logout: async (_, __, context) => {
+      const { userId, jti, sid, exp } = requireAuth(context);
+
+      await blacklistToken(jti, exp ? exp - Math.floor(Date.now() / 1000) : undefined);
+
+      if (sid) {
+        await revokeTokenFamily(context.pool, sid, 'logout');
+      }
+
+      console.log(`👋 User ${userId} logged out`);
+      return true;
+    },
+
+    // Sign out one of the current user's sessions (refresh family + its access tokens)
+    revokeSession: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      const owned = await context.pool.query(
+        `SELECT 1 FROM auth_tokens
+         WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL
+         LIMIT 1`,
+        [id, userId]
+      );
+
+      if (owned.rows.length === 0) {
+        throw createGraphQLError('Session not found', 'NOT_FOUND');
+      }
+
+      await revokeTokenFamily(context.pool, id, 'user_revoked');
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'session_revoked', JSON.stringify({ session_id: id })]
+      );
+
+      return true;
+    },
+
+    // Sign out every session except the one making this request; returns the count
+    revokeAllOtherSessions: async (_, __, context) => {
+      const { userId, sid } = requireAuth(context);
+
+      const sessions = await context.pool.query(
+        `SELECT DISTINCT family_id FROM auth_tokens
+         WHERE user_id = $1
+           AND revoked_at IS NULL
+           AND family_id IS NOT NULL
+           AND ($2::uuid IS NULL OR family_id <> $2::uuid)`,
+        [userId, sid || null]
+      );
+
+      for (const { family_id: familyId } of sessions.rows) {
+        await revokeTokenFamily(context.pool, familyId, 'user_revoked_others');
+      }
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'sessions_revoked', JSON.stringify({ kept_session_id: sid || null, count: sessions.rows.length })]
+      );
+
+      console.log(`🔒 User ${userId} revoked ${sessions.rows.length} other session(s)`);
+      return sessions.rows.length;
+    },
+
+    // Confirm the address from the link sent at registration
+    verifyEmail: async (_, { token }, context) => {
+      const decoded = verifyEmailToken(token, EMAIL_TOKEN_PURPOSES.VERIFY);
+      if (!decoded) {
+        throw createGraphQLError('Invalid or expired verification link', 'INVALID_TOKEN');
+      }
+
+      // Links for an address the account no longer uses are dead
+      const result = await context.pool.query(
+        `UPDATE users
+         SET is_verified = true,
+             email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+         WHERE id = $1 AND email = $2
+         RETURNING id`,
+        [decoded.userId, decoded.email]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Invalid or expired verification link', 'INVALID_TOKEN');
+      }
+
+      console.log(`✅ Email verified for user ${decoded.userId}`);
+      return true;
+    },
+
+    resendVerificationEmail: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'SELECT id, email, username, is_verified FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      const user = result.rows[0];
+      if (user.is_verified) {
+        throw createGraphQLError('Email address is already verified', 'BAD_USER_INPUT');
+      }
+
+      const cooldownKey = `email-verification-sent:${userId}`;
+      if (await cacheManager.get(cooldownKey)) {
+        throw createGraphQLError('A verification email was sent recently. Please wait before requesting another.', 'RATE_LIMITED');
+      }
+      await cacheManager.set(cooldownKey, true, EMAIL_VERIFICATION_RESEND_SECONDS);
+
+      await sendEmailVerificationEmail(
+        user.email,
+        createEmailToken(user.id, user.email),
+        user.username,
+        EMAIL_VERIFICATION_TTL_HOURS
+      );
+
+      return true;
+    },
+
+    // Step 1 of an email change: re-enter the password, then confirm from the new address
+    changeEmail: async (_, { newEmail, password }, context) => {
+      const { userId } = requireAuth(context);
+
+      const email = sanitizePlainText(newEmail || '').toLowerCase();
+      const emailValidation = validateEmail(email);
+      if (!emailValidation.valid) {
+        throw createGraphQLError(emailValidation.message, 'INVALID_EMAIL');
+      }
+
+      const result = await context.pool.query(
+        'SELECT id, email, username, password_hash FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      // Wallet-only accounts have no password to re-enter; they add their first address here
+      const user = result.rows[0];
+      if (user.password_hash && !(await bcrypt.compare(password || '', user.password_hash))) {
+        throw createGraphQLError('Incorrect password', 'UNAUTHENTICATED');
+      }
+
+      if (email === user.email) {
+        throw createGraphQLError('That is already your email address', 'BAD_USER_INPUT');
+      }
+
+      const taken = await context.pool.query(
+        'SELECT id FROM users WHERE email = $1',
+        [email]
+      );
+      if (taken.rows.length > 0) {
+        throw createGraphQLError('Email address is already in use', 'ALREADY_EXISTS');
+      }
+
+      // A new request supersedes any earlier link
+      const nonce = crypto.randomBytes(16).toString('hex');
+      await context.pool.query(
+        `UPDATE users
+         SET pending_email = $1,
+             email_change_nonce = $2,
+             email_change_requested_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [email, nonce, userId]
+      );
+
+      await sendEmailChangeConfirmation(
+        email,
+        createEmailToken(userId, email, { purpose: EMAIL_TOKEN_PURPOSES.CHANGE, nonce }),
+        user.username,
+        EMAIL_CHANGE_TTL_HOURS
+      );
+
+      sendEmailChangeNotice(user.email, user.username, email).catch(err => {
+        console.error('Failed to send email change notice:', err.message);
+      });
+
+      return true;
+    },
+
+    // Step 2 of an email change: the link from the new address swaps it in
+    confirmEmailChange: async (_, { token }, context) => {
+      const decoded = verifyEmailToken(token, EMAIL_TOKEN_PURPOSES.CHANGE);
+      if (!decoded) {
+        throw createGraphQLError('Invalid or expired confirmation link', 'INVALID_TOKEN');
+      }
+
+      const result = await context.pool.query(
+        'SELECT id, email, username, pending_email, email_change_nonce FROM users WHERE id = $1',
+        [decoded.userId]
+      );
+
+      const user = result.rows[0];
+      if (!user || user.pending_email !== decoded.email || user.email_change_nonce !== decoded.nonce) {
+        throw createGraphQLError('Invalid or expired confirmation link', 'INVALID_TOKEN');
+      }
+
+      const taken = await context.pool.query(
+        'SELECT id FROM users WHERE email = $1 AND id <> $2',
+        [decoded.email, user.id]
+      );
+      if (taken.rows.length > 0) {
+        throw createGraphQLError('Email address is already in use', 'ALREADY_EXISTS');
+      }
+
+      const updated = await context.pool.query(
+        `UPDATE users
+         SET email = pending_email,
+             pending_email = NULL,
+             email_change_nonce = NULL,
+             email_change_requested_at = NULL,
+             is_verified = true,
+             email_verified_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND email_change_nonce = $2
+         RETURNING *`,
+        [user.id, decoded.nonce]
+      );
+
+      if (updated.rows.length === 0) {
+        throw createGraphQLError('Invalid or expired confirmation link', 'INVALID_TOKEN');
+      }
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [user.id, 'email_changed', JSON.stringify({ previousEmail: user.email })]
+      );
+
+      sendEmailChangeNotice(user.email, user.username, decoded.email, true).catch(err => {
+        console.error('Failed to send email change notice:', err.message);
+      });
+
+      console.log(`📧 Email changed for user ${user.id}`);
+      const { password_hash, ...userSafe } = updated.rows[0];
+      return userSafe;
+    },
+
+    requestPasswordReset: async (_, { email }, context) => {
+      const normalizedEmail = sanitizePlainText(email).toLowerCase();
+      if (!normalizedEmail) {
+        return true; // avoid enumeration
+      }
+
+      const result = await context.pool.query(
+        'SELECT id, email, username FROM users WHERE email = $1',
+        [normalizedEmail]
+      );
+
+      if (result.rows.length === 0) {
+        return true;
+      }
+
+      const user = result.rows[0];
+      const token = crypto.randomBytes(48).toString('hex');
+      const tokenHash = hashToken(token);
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL_MIN * 60 * 1000);
+
+      await context.pool.query(
+        `UPDATE password_reset_requests
+         SET consumed_at = NOW()
+         WHERE user_id = $1 AND consumed_at IS NULL`,
+        [user.id]
+      );
+
+      await context.pool.query(
+        `INSERT INTO password_reset_requests (user_id, token_hash, expires_at, requested_ip, user_agent)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          user.id,
+          tokenHash,
+          expiresAt,
+          context.req.ip || null,
+          context.req.headers['user-agent'] || null
+        ]
+      );
+
+      await sendPasswordResetEmail(user.email, token, user.username);
+
+      return true;
+    },
+
+    resetPassword: async (_, { token, newPassword }, context) => {
+      if (!token || typeof token !== 'string') {
+        throw createGraphQLError('Reset token is required', 'BAD_USER_INPUT');
+      }
+
+      const passwordValidation = validatePassword(newPassword);
+      if (!passwordValidation.valid) {
+        throw createGraphQLError(passwordValidation.message, 'INVALID_PASSWORD');
+      }
+
+      const tokenHash = hashToken(token);
+      const resetResult = await context.pool.query(
+        `SELECT * FROM password_reset_requests
+         WHERE token_hash = $1
+           AND consumed_at IS NULL
+           AND expires_at > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [tokenHash]
+      );
+
+      if (resetResult.rows.length === 0) {
+        throw createGraphQLError('Invalid or expired reset token', 'INVALID_TOKEN');
+      }
+
+      const resetRequest = resetResult.rows[0];
+      const passwordHash = await bcrypt.hash(newPassword, 10);
+
+      await context.pool.query(
+        `UPDATE users
+         SET password_hash = $1,
+             failed_login_attempts = 0,
+             lockout_until = NULL,
+             last_failed_login = NULL
+         WHERE id = $2`,
+        [passwordHash, resetRequest.user_id]
+      );
+
+      await context.pool.query(
+        'UPDATE password_reset_requests SET consumed_at = NOW() WHERE id = $1',
+        [resetRequest.id]
+      );
+
+      return true;
+    },
+
+    // Submit fact check
+    submitFactCheck: async (_, { input }, context) => {
+      const { userId } = requireAuth(context, { apiKeyScope: 'write:factchecks' });
+      const fields = sanitizeFactCheckInput(input);
+
+      validateFactCheckFields(fields);
+
+      const normalizedClaim = await toMatchingText(fields.claim);
+      if (!input.allowDuplicate) {
+        await assertNotDuplicateClaim(context.pool, normalizedClaim);
+      }
+
+      return publishFactCheck(context, userId, { ...fields, normalizedClaim });
+    },
+
+    // Start a draft; any sections supplied become its first revisions
+    createFactCheckDraft: async (_, { input = {} }, context) => {
+      const { userId } = requireAuth(context, { apiKeyScope: 'write:factchecks' });
+      const fields = sanitizeFactCheckInput(input || {});
+      validateFactCheckFields(fields, { draft: true });
+
+      const sections = Object.keys(DRAFT_SECTIONS)
+        .filter(section => draftSectionValues(section, fields).some(value => value !== null));
+      const sectionVersions = Object.fromEntries(sections.map(section => [section, 1]));
+
+      const result = await context.pool.query(
+        `INSERT INTO fact_check_drafts
+         (owner_id, claim, verdict, confidence_score, sources, explanation, category, image_url, section_versions)
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          userId,
+          fields.claim || null,
+          fields.verdict || null,
+          fields.confidenceScore ?? null,
+          fields.sources ? JSON.stringify(fields.sources) : null,
+          fields.explanation || null,
+          fields.category || null,
+          fields.imageUrl || null,
+          JSON.stringify(sectionVersions)
+        ]
+      );
+      const draft = result.rows[0];
+
+      await context.pool.query(
+        `INSERT INTO fact_check_draft_authors (draft_id, user_id, role, invited_by)
+         VALUES ($1, $2, 'owner', $2)`,
+        [draft.id, userId]
+      );
+
+      for (const section of sections) {
+        await recordRevision(context.pool, { draft, previous: null, section, authorId: userId });
+      }
+
+      return draft;
+    },
+
+    // Save one section of a draft. baseVersion is the draft version the editor started from;
+    // if a co-author saved the same section since then the save is rejected with CONFLICT.
+    updateFactCheckDraft: async (_, { id, section, baseVersion, input }, context) => {
+      const { draft, userId } = await loadDraftForAuthor(context, id);
+      const sectionKey = toDraftSection(section);
+
+      if (draft.status !== 'draft') {
+        throw createGraphQLError('This draft has already been submitted for review', 'BAD_USER_INPUT');
+      }
+      if (!Number.isInteger(baseVersion) || baseVersion < 1) {
+        throw createGraphQLError('baseVersion must be a positive integer', 'BAD_USER_INPUT');
+      }
+
+      const fields = sanitizeFactCheckInput(input || {});
+      validateFactCheckFields(fields, { draft: true });
+      const values = draftSectionValues(sectionKey, fields);
+
+      const result = await context.pool.query(DRAFT_SECTIONS[sectionKey].update, [id, baseVersion, ...values]);
+
+      if (result.rows.length === 0) {
+        const current = await context.pool.query('SELECT * FROM fact_check_drafts WHERE id = $1', [id]);
+        const latest = current.rows[0];
+        if (!latest || latest.status !== 'draft') {
+          throw createGraphQLError('This draft has already been submitted for review', 'BAD_USER_INPUT');
+        }
+        throw createGraphQLError(
+          `The ${sectionKey} section was changed by a co-author since version ${baseVersion}`,
+          'CONFLICT',
+          {
+            section: sectionKey,
+            currentVersion: latest.version,
+            sectionVersion: Number(latest.section_versions?.[sectionKey]) || null,
+            current: sectionContent(sectionKey, latest)
+          }
+        );
+      }
+
+      const updated = result.rows[0];
+      await recordRevision(context.pool, { draft: updated, previous: draft, section: sectionKey, authorId: userId });
+
+      return updated;
+    },
+
+    // Owner: give another user edit access to a draft
+    inviteDraftCoAuthor: async (_, { draftId, userId: inviteeId }, context) => {
+      const { draft, userId, role } = await loadDraftForAuthor(context, draftId);
+
+      if (role !== 'owner') {
+        throw createGraphQLError('Only the draft owner can invite co-authors', 'FORBIDDEN');
+      }
+      if (draft.status !== 'draft') {
+        throw createGraphQLError('This draft has already been submitted for review', 'BAD_USER_INPUT');
+      }
+      if (String(inviteeId) === String(userId)) {
+        throw createGraphQLError('You are already an author of this draft', 'BAD_USER_INPUT');
+      }
+
+      const invitee = await context.pool.query(
+        'SELECT id, username FROM users WHERE id = $1 AND hidden_at IS NULL',
+        [inviteeId]
+      );
+      if (invitee.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+      await assertNotBlockedBy(context.pool, inviteeId, userId, 'invite');
+
+      const count = await context.pool.query(
+        "SELECT COUNT(*) AS count FROM fact_check_draft_authors WHERE draft_id = $1 AND role = 'coauthor'",
+        [draftId]
+      );
+      if (parseInt(count.rows[0].count, 10) >= MAX_DRAFT_COAUTHORS) {
+        throw createGraphQLError(`A draft can have at most ${MAX_DRAFT_COAUTHORS} co-authors`, 'BAD_USER_INPUT');
+      }
+
+      const inserted = await context.pool.query(
+        `INSERT INTO fact_check_draft_authors (draft_id, user_id, role, invited_by)
+         VALUES ($1, $2, 'coauthor', $3)
+         ON CONFLICT (draft_id, user_id) DO NOTHING
+         RETURNING user_id`,
+        [draftId, inviteeId, userId]
+      );
+
+      if (inserted.rows.length > 0) {
+        await notify(context.pool, inviteeId, 'draft_invitation', {
+          title: 'You were invited to co-author a fact-check',
+          message: draft.claim ? `Draft: "${draft.claim.slice(0, 100)}"` : 'Open your drafts to start editing.',
+          data: { draftId },
+          actorId: userId
+        });
+      }
+
+      return draft;
+    },
+
+    // Owner removes a co-author, or a co-author leaves
+    removeDraftCoAuthor: async (_, { draftId, userId: authorId }, context) => {
+      const { userId, role } = await loadDraftForAuthor(context, draftId);
+
+      if (role !== 'owner' && String(authorId) !== String(userId)) {
+        throw createGraphQLError('Only the draft owner can remove other co-authors', 'FORBIDDEN');
+      }
+
+      const result = await context.pool.query(
+        `DELETE FROM fact_check_draft_authors
+         WHERE draft_id = $1 AND user_id = $2 AND role = 'coauthor'
+         RETURNING user_id`,
+        [draftId, authorId]
+      );
+
+      return result.rows.length > 0;
+    },
+
+    // Owner: publish the draft into the moderators' pendingFactChecks queue
+    submitDraftForReview: async (_, { id, allowDuplicate = false }, context) => {
+      const { draft, userId, role } = await loadDraftForAuthor(context, id);
+
+      if (role !== 'owner') {
+        throw createGraphQLError('Only the draft owner can submit it for review', 'FORBIDDEN');
+      }
+
+      const fields = {
+        claim: draft.claim,
+        verdict: draft.verdict,
+        confidenceScore: draft.confidence_score === null ? null : Number(draft.confidence_score),
+        sources: draft.sources,
+        explanation: draft.explanation,
+        category: draft.category,
+        imageUrl: draft.image_url
+      };
+      validateFactCheckFields(fields);
+
+      fields.normalizedClaim = await toMatchingText(fields.claim);
+      if (!allowDuplicate) {
+        await assertNotDuplicateClaim(context.pool, fields.normalizedClaim);
+      }
+
+      // Claim the draft first so a double submit cannot publish twice
+      const claimed = await context.pool.query(
+        `UPDATE fact_check_drafts
+         SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'draft'
+         RETURNING *`,
+        [id]
+      );
+      if (claimed.rows.length === 0) {
+        throw createGraphQLError('This draft has already been submitted for review', 'CONFLICT');
+      }
+
+      let factCheck;
+      try {
+        factCheck = await publishFactCheck(context, userId, fields);
+      } catch (error) {
+        await context.pool.query(
+          "UPDATE fact_check_drafts SET status = 'draft', submitted_at = NULL WHERE id = $1",
+          [id]
+        );
+        throw error;
+      }
+
+      const result = await context.pool.query(
+        'UPDATE fact_check_drafts SET fact_check_id = $2 WHERE id = $1 RETURNING *',
+        [id, factCheck.id]
+      );
+
+      const coAuthors = await context.pool.query(
+        "SELECT user_id FROM fact_check_draft_authors WHERE draft_id = $1 AND role = 'coauthor'",
+        [id]
+      );
+      for (const { user_id: coAuthorId } of coAuthors.rows) {
+        await notify(context.pool, coAuthorId, 'draft_submitted', {
+          title: 'A draft you co-authored was submitted',
+          message: `"${String(draft.claim).slice(0, 100)}" is now awaiting review.`,
+          data: { draftId: id, factCheckId: factCheck.id },
+          actorId: userId
+        });
+      }
+
+      return result.rows[0] || claimed.rows[0];
+    },
+
+    // Vote on fact-check (upvote/downvote with spam prevention)
+    voteFactCheck: async (_, { id, vote }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'vote');
+
+      // Validate vote value (+1 or -1)
+      const voteValidation = validateVote(vote);
+      if (!voteValidation.valid) {
+        throw createGraphQLError(voteValidation.message, 'BAD_USER_INPUT');
+      }
+
+      // Validate fact-check ID
+      if (!id || typeof id !== 'string') {
+        throw createGraphQLError('Fact-check ID is required', 'BAD_USER_INPUT');
+      }
+
+      // Use transaction for atomicity (prevents race conditions)
+      await context.pool.query('BEGIN');
+
+      try {
+        // 1. Check if fact-check exists
+        const factCheckResult = await context.pool.query(
+          'SELECT id, upvotes, downvotes, submitted_by, category FROM fact_checks WHERE id = $1',
+          [id]
+        );
+
+        if (factCheckResult.rows.length === 0) {
+          await context.pool.query('ROLLBACK');
+          throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
+        }
+
+        // 2. Check if user has already voted
+        const existingVoteResult = await context.pool.query(
+          'SELECT vote_value, weight, status FROM fact_check_votes WHERE fact_check_id = $1 AND user_id = $2',
+          [id, userId]
+        );
+
+        const existingVote = existingVoteResult.rows[0];
+        const previousVoteValue = existingVote ? existingVote.vote_value : 0;
+        const previousWeight = existingVote ? Number(existingVote.weight ?? 1) : 0;
+        // Quarantined or rejected votes stay that way when changed, and never count
+        const counts = !existingVote || COUNTED_VOTE_STATUSES.includes(existingVote.status || 'counted');
+
+        // Weighted by account standing; experts in the fact-check's category count extra
+        const expert = await isExpertIn(context.pool, userId, factCheckResult.rows[0].category);
+        const weight = computeVoteWeight(await loadVoterProfile(context.pool, userId), {
+          expertMultiplier: expert ? expertWeight('vote') : 1
+        });
+
+        // 3. If user is changing vote or voting for first time
+        if (previousVoteValue !== vote) {
+          // Upsert vote (INSERT or UPDATE if exists)
+          await context.pool.query(
+            `INSERT INTO fact_check_votes (fact_check_id, user_id, vote_value, weight, ip_hash, user_agent_hash)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (fact_check_id, user_id)
+             DO UPDATE SET vote_value = $3, weight = $4, ip_hash = $5, user_agent_hash = $6,
+                           updated_at = CURRENT_TIMESTAMP`,
+            [id, userId, vote, weight, fingerprintHash(context.req.ip), fingerprintHash(context.req.headers['user-agent'])]
+          );
+
+          // 4. Recalculate vote counters
+          // Remove previous vote impact and add new vote
+          let upvoteDelta = 0;
+          let downvoteDelta = 0;
+
+          if (previousVoteValue === 1) {
+            upvoteDelta -= 1; // Remove previous upvote
+          } else if (previousVoteValue === -1) {
+            downvoteDelta -= 1; // Remove previous downvote
+          }
+
+          if (vote === 1) {
+            upvoteDelta += 1; // Add new upvote
+          } else if (vote === -1) {
+            downvoteDelta += 1; // Add new downvote
+          }
+
+          // Update fact_check counters (raw counts, plus the weighted score)
+          await context.pool.query(
+            `UPDATE fact_checks
+             SET upvotes = GREATEST(0, upvotes + $1),
+                 downvotes = GREATEST(0, downvotes + $2),
+                 weighted_score = weighted_score + $4,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [upvoteDelta, downvoteDelta, id, counts ? vote * weight - previousVoteValue * previousWeight : 0]
+          );
+
+          // Credit the author (a changed vote reverses the earlier one). Quarantined votes
+          // are settled when a moderator reviews them; rejected ones never earn anything.
+          if (counts) {
+            await awardVoteReputation(context.pool, {
+              authorId: factCheckResult.rows[0].submitted_by,
+              voterId: userId,
+              factCheckId: id,
+              vote,
+              previousVote: previousVoteValue
+            });
+          }
+
+          console.log(`✅ Vote recorded: User ${userId} voted ${vote > 0 ? 'upvote' : 'downvote'} on fact-check ${id}`);
+        } else {
+          console.log(`ℹ️ No change: User ${userId} already voted ${vote > 0 ? 'upvote' : 'downvote'} on fact-check ${id}`);
+        }
+
+        // Commit transaction
+        await context.pool.query('COMMIT');
+
+        // 5. Return updated fact-check
+        const updatedFactCheck = await context.pool.query(
+          'SELECT * FROM fact_checks WHERE id = $1',
+          [id]
+        );
+
+        return updatedFactCheck.rows[0];
+      } catch (error) {
+        // Rollback on any error
+        await context.pool.query('ROLLBACK');
+        console.error('Vote fact-check error:', error);
+        throw error;
+      }
+    },
+
+    // Submit review
+    submitReview: async (_, { input }, context) => {
+      const { userId } = requireAuth(context);
+      const { appId, rating } = input;
+      const reviewText = input.reviewText ? sanitizeRichText(input.reviewText) : null;
+
+      // Validate inputs
+      const ratingValidation = validateRating(rating, 0, 5);
+      if (!ratingValidation.valid) {
+        throw createGraphQLError(ratingValidation.message, 'BAD_USER_INPUT');
+      }
+
+      if (reviewText) {
+        const textValidation = validateTextLength(reviewText, 10, 3000, 'Review text');
+        if (!textValidation.valid) {
           throw createGraphQLError(textValidation.message, 'BAD_USER_INPUT');
         }
       }
 
-      // Verify app exists
-      const appExists = await context.pool.query(
-        'SELECT id FROM apps WHERE id = $1',
-        [appId]
+      // Verify app exists
+      const appExists = await context.pool.query(
+        'SELECT id FROM apps WHERE id = $1',
+        [appId]
+      );
+
+      if (appExists.rows.length === 0) {
+        throw createGraphQLError('App not found', 'NOT_FOUND');
+      }
+
+      const result = await context.pool.query(
+        `INSERT INTO reviews (app_id, user_id, rating, review_text)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (app_id, user_id) 
+         DO UPDATE SET rating = $3, review_text = $4
+         RETURNING *`,
+        [appId, userId, rating, reviewText]
+      );
+
+      // Suspicious reviews are held out of listings and averageRating for moderators
+      const review = result.rows[0];
+      const screening = await screenReview(context.pool, review);
+      if (screening?.suspicious && !review.hidden_at) {
+        await context.pool.query(
+          `INSERT INTO activity_log (user_id, action, metadata)
+           VALUES ($1, $2, $3)`,
+          [userId, 'review_held_for_moderation', JSON.stringify({ review_id: review.id, app_id: appId, spam_score: screening.score })]
+        );
+        return { ...review, hidden_at: new Date().toISOString(), hidden_reason: 'spam_filter' };
+      }
+
+      return review;
+    },
+
+    // Mark a review helpful (or unhelpful); one vote per user, changing it moves the tally
+    markReviewHelpful: async (_, { id, helpful = true }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'vote');
+
+      if (!id || typeof id !== 'string') {
+        throw createGraphQLError('Review ID is required', 'BAD_USER_INPUT');
+      }
+
+      // One client for the whole transaction, so the row lock on the review serializes
+      // concurrent votes until COMMIT
+      const client = await context.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const reviewResult = await client.query(
+          'SELECT id, user_id FROM reviews WHERE id = $1 AND hidden_at IS NULL FOR UPDATE',
+          [id]
+        );
+
+        if (reviewResult.rows.length === 0) {
+          throw createGraphQLError('Review not found', 'NOT_FOUND');
+        }
+
+        if (String(reviewResult.rows[0].user_id) === String(userId)) {
+          throw createGraphQLError('You cannot rate your own review', 'FORBIDDEN');
+        }
+
+        const existingVoteResult = await client.query(
+          'SELECT helpful FROM review_helpful_votes WHERE review_id = $1 AND user_id = $2',
+          [id, userId]
+        );
+        const previous = existingVoteResult.rows[0] ? existingVoteResult.rows[0].helpful : null;
+
+        if (previous !== helpful) {
+          await client.query(
+            `INSERT INTO review_helpful_votes (review_id, user_id, helpful)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (review_id, user_id)
+             DO UPDATE SET helpful = $3, updated_at = CURRENT_TIMESTAMP`,
+            [id, userId, helpful]
+          );
+
+          const helpfulDelta = (helpful ? 1 : 0) - (previous === true ? 1 : 0);
+          const unhelpfulDelta = (helpful ? 0 : 1) - (previous === false ? 1 : 0);
+
+          await client.query(
+            `UPDATE reviews
+             SET helpful_count = GREATEST(0, helpful_count + $1),
+                 unhelpful_count = GREATEST(0, unhelpful_count + $2)
+             WHERE id = $3`,
+            [helpfulDelta, unhelpfulDelta, id]
+          );
+        }
+
+        const updatedReview = await client.query(
+          'SELECT * FROM reviews WHERE id = $1',
+          [id]
+        );
+
+        await client.query('COMMIT');
+        return updatedReview.rows[0];
+      } catch (error) {
+        await client.query('ROLLBACK');
+        if (!error.extensions) {
+          console.error('Mark review helpful error:', error);
+        }
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Create bounty (starts in the open state)
+    createBounty: async (_, { claim, rewardAmount, expiresInDays }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'create bounties');
+
+      const sanitizedClaim = sanitizePlainText(claim);
+
+      const claimValidation = validateTextLength(sanitizedClaim, 10, 5000, 'Claim');
+      if (!claimValidation.valid) {
+        throw createGraphQLError(claimValidation.message, 'BAD_USER_INPUT');
+      }
+
+      if (typeof rewardAmount !== 'number' || !Number.isFinite(rewardAmount) || rewardAmount <= 0) {
+        throw createGraphQLError('Reward amount must be a positive number', 'BAD_USER_INPUT');
+      }
+
+      let expiresAt = null;
+      if (expiresInDays !== null && expiresInDays !== undefined) {
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+          throw createGraphQLError('Bounty expiry must be between 1 and 365 days', 'BAD_USER_INPUT');
+        }
+        expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+      }
+
+      const result = await context.pool.query(
+        `INSERT INTO bounties (claim, reward_amount, creator_id, status, expires_at)
+         VALUES ($1, $2, $3, 'open', $4)
+         RETURNING *`,
+        [sanitizedClaim, rewardAmount, userId, expiresAt]
+      );
+
+      const bounty = result.rows[0];
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'create_bounty', JSON.stringify({ bounty_id: bounty.id, reward_amount: rewardAmount })]
+      );
+
+      emitBountyEvent('bountyCreated', bounty);
+
+      return bounty;
+    },
+
+    // Claim an open bounty (one active claimer at a time; lapsed claims can be taken over)
+    claimBounty: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'claim bounties');
+
+      const existing = await context.pool.query(
+        'SELECT * FROM bounties WHERE id = $1',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('Bounty not found', 'NOT_FOUND');
+      }
+
+      const bounty = existing.rows[0];
+
+      if (bounty.creator_id === userId) {
+        throw createGraphQLError('You cannot claim your own bounty', 'FORBIDDEN');
+      }
+
+      if (isBountyExpired(bounty)) {
+        throw createGraphQLError('Bounty has expired', 'CONFLICT');
+      }
+
+      if (bounty.status === 'claimed' && !isClaimExpired(bounty)) {
+        throw createGraphQLError('Bounty is already claimed', 'CONFLICT');
+      }
+
+      if (bounty.status !== 'claimed') {
+        assertTransition(bounty, 'claimed');
+      }
+
+      // Conditional update keeps the claim atomic if two users race for it
+      const result = await context.pool.query(
+        `UPDATE bounties
+         SET status = 'claimed',
+             claimer_id = $1,
+             claimed_at = CURRENT_TIMESTAMP,
+             claim_expires_at = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+           AND (status = 'open' OR (status = 'claimed' AND claim_expires_at <= NOW()))
+           AND (expires_at IS NULL OR expires_at > NOW())
+         RETURNING *`,
+        [userId, getClaimExpiry(), id]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Bounty is no longer available', 'CONFLICT');
+      }
+
+      const claimed = result.rows[0];
+      await recordBountyTransition(context.pool, {
+        bounty: claimed,
+        previousStatus: bounty.status,
+        previous: bounty,
+        actorId: userId,
+        metadata: bounty.claimer_id ? { previous_claimer_id: bounty.claimer_id } : {}
+      });
+
+      console.log(`✅ Bounty ${id} claimed by user ${userId}`);
+      return claimed;
+    },
+
+    // Claimer submits the fact-check that answers the bounty
+    submitBountyWork: async (_, { id, factCheckId }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'submit bounty work');
+
+      const existing = await context.pool.query(
+        'SELECT * FROM bounties WHERE id = $1',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('Bounty not found', 'NOT_FOUND');
+      }
+
+      const bounty = existing.rows[0];
+
+      if (bounty.claimer_id !== userId) {
+        throw createGraphQLError('Only the active claimer can submit work for this bounty', 'FORBIDDEN');
+      }
+
+      assertTransition(bounty, 'submitted');
+
+      if (isClaimExpired(bounty)) {
+        throw createGraphQLError('Your claim on this bounty has expired', 'CONFLICT');
+      }
+
+      const factCheck = await context.pool.query(
+        'SELECT id, submitted_by FROM fact_checks WHERE id = $1',
+        [factCheckId]
+      );
+
+      if (factCheck.rows.length === 0) {
+        throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
+      }
+
+      if (factCheck.rows[0].submitted_by !== userId) {
+        throw createGraphQLError('You can only submit your own fact-check', 'FORBIDDEN');
+      }
+
+      const result = await context.pool.query(
+        `UPDATE bounties
+         SET status = 'submitted',
+             fact_check_id = $1,
+             submitted_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'claimed' AND claimer_id = $3
+         RETURNING *`,
+        [factCheckId, id, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Bounty state changed, please retry', 'CONFLICT');
+      }
+
+      await recordBountyTransition(context.pool, {
+        bounty: result.rows[0],
+        previousStatus: bounty.status,
+        previous: bounty,
+        actorId: userId,
+        metadata: { fact_check_id: factCheckId }
+      });
+
+      await notify(context.pool, bounty.creator_id, 'bounty_submitted', {
+        title: 'Bounty work submitted',
+        message: `Work was submitted for your bounty "${bounty.claim}". Review it to release the reward.`,
+        data: { bountyId: id, factCheckId },
+        actorId: userId
+      });
+
+      return result.rows[0];
+    },
+
+    // Creator approves the submitted work, linking the fact-check and recording the payout
+    completeBounty: async (_, { id, factCheckId }, context) => {
+      const { userId } = requireAuth(context);
+
+      const existing = await context.pool.query(
+        'SELECT * FROM bounties WHERE id = $1',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('Bounty not found', 'NOT_FOUND');
+      }
+
+      const bounty = existing.rows[0];
+
+      if (bounty.creator_id !== userId) {
+        throw createGraphQLError('Only the bounty creator can approve the submission', 'FORBIDDEN');
+      }
+
+      if (bounty.status !== 'submitted') {
+        throw createGraphQLError(`Bounty cannot be completed while ${bounty.status}`, 'CONFLICT');
+      }
+
+      if (bounty.fact_check_id !== factCheckId) {
+        throw createGraphQLError('Fact-check does not match the submitted work', 'BAD_USER_INPUT');
+      }
+
+      const result = await context.pool.query(
+        `UPDATE bounties
+         SET status = 'completed',
+             payout_amount = reward_amount,
+             closed_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'submitted'
+         RETURNING *`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Bounty state changed, please retry', 'CONFLICT');
+      }
+
+      const completed = result.rows[0];
+      await recordBountyTransition(context.pool, {
+        bounty: completed,
+        previousStatus: bounty.status,
+        previous: bounty,
+        actorId: userId,
+        metadata: { fact_check_id: factCheckId, payout_amount: Number(completed.payout_amount) }
+      });
+
+      await notify(context.pool, completed.claimer_id, 'bounty_completed', {
+        title: 'Bounty approved',
+        message: `Your work on "${completed.claim}" was approved. Reward: ${completed.payout_amount}.`,
+        data: { bountyId: id, factCheckId },
+        actorId: userId
+      });
+
+      console.log(`✅ Bounty ${id} completed, payout ${completed.payout_amount} to user ${completed.claimer_id}`);
+      return completed;
+    },
+
+    // Creator rejects the submitted work; a moderator settles the dispute
+    disputeBounty: async (_, { id, reason }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'dispute bounties');
+
+      const sanitizedReason = sanitizePlainText(reason);
+      const reasonValidation = validateTextLength(sanitizedReason, 10, 2000, 'Dispute reason');
+      if (!reasonValidation.valid) {
+        throw createGraphQLError(reasonValidation.message, 'BAD_USER_INPUT');
+      }
+
+      const existing = await context.pool.query(
+        'SELECT * FROM bounties WHERE id = $1',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('Bounty not found', 'NOT_FOUND');
+      }
+
+      const bounty = existing.rows[0];
+
+      if (bounty.creator_id !== userId) {
+        throw createGraphQLError('Only the bounty creator can dispute a submission', 'FORBIDDEN');
+      }
+
+      assertTransition(bounty, 'disputed');
+
+      const result = await context.pool.query(
+        `UPDATE bounties
+         SET status = 'disputed',
+             dispute_reason = $1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'submitted'
+         RETURNING *`,
+        [sanitizedReason, id]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Bounty state changed, please retry', 'CONFLICT');
+      }
+
+      await recordBountyTransition(context.pool, {
+        bounty: result.rows[0],
+        previousStatus: bounty.status,
+        previous: bounty,
+        actorId: userId,
+        metadata: { reason: sanitizedReason }
+      });
+
+      await notify(context.pool, bounty.claimer_id, 'bounty_disputed', {
+        title: 'Bounty submission disputed',
+        message: `The creator of "${bounty.claim}" disputed your submission. A moderator will review it.`,
+        data: { bountyId: id, reason: sanitizedReason },
+        actorId: userId
+      });
+
+      return result.rows[0];
+    },
+
+    // Moderator: settle a disputed bounty (pay out, or reopen it for new claimers)
+    resolveBountyDispute: async (_, { id, approved }, context) => {
+      const { userId } = await requireRole(context, ['admin', 'moderator']);
+
+      const existing = await context.pool.query(
+        'SELECT * FROM bounties WHERE id = $1',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('Bounty not found', 'NOT_FOUND');
+      }
+
+      const bounty = existing.rows[0];
+      const nextStatus = approved ? 'completed' : 'open';
+      assertTransition(bounty, nextStatus);
+
+      const result = approved
+        ? await context.pool.query(
+          `UPDATE bounties
+           SET status = 'completed',
+               payout_amount = reward_amount,
+               closed_at = CURRENT_TIMESTAMP,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'disputed'
+           RETURNING *`,
+          [id]
+        )
+        : await context.pool.query(
+          `UPDATE bounties
+           SET status = 'open',
+               claimer_id = NULL,
+               claimed_at = NULL,
+               claim_expires_at = NULL,
+               submitted_at = NULL,
+               fact_check_id = NULL,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'disputed'
+           RETURNING *`,
+          [id]
+        );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Bounty state changed, please retry', 'CONFLICT');
+      }
+
+      await recordBountyTransition(context.pool, {
+        bounty: result.rows[0],
+        previousStatus: bounty.status,
+        previous: bounty,
+        actorId: userId,
+        metadata: { approved, claimer_id: bounty.claimer_id, fact_check_id: bounty.fact_check_id }
+      });
+
+      const outcome = approved ? 'approved and the reward released' : 'rejected and the bounty reopened';
+      for (const recipientId of [bounty.creator_id, bounty.claimer_id]) {
+        await notify(context.pool, recipientId, 'bounty_dispute_resolved', {
+          title: 'Bounty dispute resolved',
+          message: `The dispute on "${bounty.claim}" was ${outcome}.`,
+          data: { bountyId: id, approved }
+        });
+      }
+
+      return result.rows[0];
+    },
+
+    markNotificationRead: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        `UPDATE notifications
+         SET read = true,
+             read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [id, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Notification not found', 'NOT_FOUND');
+      }
+
+      return result.rows[0];
+    },
+
+    // Returns the number of notifications that were marked read
+    markAllNotificationsRead: async (_, __, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        `UPDATE notifications
+         SET read = true,
+             read_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND read = false`,
+        [userId]
+      );
+
+      return result.rowCount;
+    },
+
+    deleteNotification: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'DELETE FROM notifications WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
+
+      if (result.rowCount === 0) {
+        throw createGraphQLError('Notification not found', 'NOT_FOUND');
+      }
+
+      return true;
+    },
+
+    // Update user avatar (called after uploading to IPFS)
+    updateAvatar: async (_, { avatarUrl, thumbnailUrl, ipfsHash }, context) => {
+      const { userId } = requireAuth(context);
+
+      // Validate URLs
+      if (!avatarUrl || typeof avatarUrl !== 'string') {
+        throw createGraphQLError('Avatar URL is required', 'BAD_USER_INPUT');
+      }
+
+      if (!ipfsHash || typeof ipfsHash !== 'string') {
+        throw createGraphQLError('IPFS hash is required', 'BAD_USER_INPUT');
+      }
+
+      // Update user avatar in database
+      const result = await context.pool.query(
+        `UPDATE users
+         SET avatar_url = $1,
+             avatar_thumbnail_url = $2,
+             avatar_ipfs_hash = $3,
+             avatar_uploaded_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [avatarUrl, thumbnailUrl || null, ipfsHash, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      const user = result.rows[0];
+      console.log(`✅ Avatar updated for user ${userId}`);
+
+      return user;
+    },
+
+    // Update user profile (existing mutation - implementation added)
+    updateProfile: async (_, { username, walletAddress }, context) => {
+      const { userId } = requireAuth(context);
+
+      // Build dynamic update query
+      const updates = [];
+      const params = [];
+      let paramCount = 1;
+
+      if (username) {
+        const usernameValidation = validateUsername(username);
+        if (!usernameValidation.valid) {
+          throw createGraphQLError(usernameValidation.message, 'BAD_USER_INPUT');
+        }
+        updates.push(`username = $${paramCount}`);
+        params.push(sanitizePlainText(username));
+        paramCount++;
+      }
+
+      if (walletAddress) {
+        const addressValidation = require('./utils/validation').validateEthAddress(walletAddress);
+        if (!addressValidation.valid) {
+          throw createGraphQLError(addressValidation.message, 'BAD_USER_INPUT');
+        }
+        updates.push(`wallet_address = $${paramCount}`);
+        params.push(sanitizePlainText(walletAddress));
+        paramCount++;
+      }
+
+      if (updates.length === 0) {
+        throw createGraphQLError('No updates provided', 'BAD_USER_INPUT');
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      params.push(userId);
+
+      const query = `
+        UPDATE users
+        SET ${updates.join(', ')}
+        WHERE id = $${paramCount}
+        RETURNING *
+      `;
+
+      const result = await context.pool.query(query, params);
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      return result.rows[0];
+    },
+
+    // Block a user: hides their reviews, stops their appeals on your fact-checks and mutes their notifications
+    blockUser: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      if (String(id) === String(userId)) {
+        throw createGraphQLError('You cannot block yourself', 'BAD_USER_INPUT');
+      }
+
+      const target = await context.pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [id]
+      );
+      if (target.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      const count = await context.pool.query(
+        'SELECT COUNT(*) AS count FROM user_blocks WHERE blocker_id = $1',
+        [userId]
+      );
+      if (parseInt(count.rows[0].count, 10) >= MAX_BLOCKED_USERS) {
+        throw createGraphQLError(`You can block at most ${MAX_BLOCKED_USERS} users`, 'BAD_USER_INPUT');
+      }
+
+      const inserted = await context.pool.query(
+        `INSERT INTO user_blocks (blocker_id, blocked_id)
+         VALUES ($1, $2)
+         ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+         RETURNING blocked_id`,
+        [userId, id]
+      );
+
+      if (inserted.rows.length > 0) {
+        await context.pool.query(
+          `INSERT INTO activity_log (user_id, action, metadata)
+           VALUES ($1, $2, $3)`,
+          [userId, 'block_user', JSON.stringify({ blocked_user_id: id })]
+        );
+      }
+
+      const { password_hash, ...userSafe } = target.rows[0];
+      return userSafe;
+    },
+
+    unblockUser: async (_, { id }, context) => {
+      const { userId } = requireAuth(context);
+
+      const result = await context.pool.query(
+        'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING blocked_id',
+        [userId, id]
+      );
+
+      if (result.rows.length > 0) {
+        await context.pool.query(
+          `INSERT INTO activity_log (user_id, action, metadata)
+           VALUES ($1, $2, $3)`,
+          [userId, 'unblock_user', JSON.stringify({ blocked_user_id: id })]
+        );
+      }
+
+      return result.rows.length > 0;
+    },
+
+    // Report a fact-check, review, appeal or profile; enough reports hide it pending review
+    reportContent: async (_, { contentType, contentId, reason, details }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'report content');
+
+      if (!REPORT_CONTENT_TYPES.includes(contentType)) {
+        throw createGraphQLError(`contentType must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, 'BAD_USER_INPUT');
+      }
+      if (!REPORT_REASONS.includes(reason)) {
+        throw createGraphQLError(`reason must be one of: ${REPORT_REASONS.join(', ')}`, 'BAD_USER_INPUT');
+      }
+
+      const sanitizedDetails = details ? sanitizePlainText(details) : null;
+      if (sanitizedDetails) {
+        const detailsValidation = validateTextLength(sanitizedDetails, 1, 1000, 'Details');
+        if (!detailsValidation.valid) {
+          throw createGraphQLError(detailsValidation.message, 'BAD_USER_INPUT');
+        }
+      } else if (reason === 'other') {
+        throw createGraphQLError('Please describe the problem when the reason is "other"', 'BAD_USER_INPUT');
+      }
+
+      const content = await findReportedContent(context.pool, contentType, contentId);
+      if (!content) {
+        throw createGraphQLError('Reported content not found', 'NOT_FOUND');
+      }
+      if (content.owner_id && String(content.owner_id) === String(userId)) {
+        throw createGraphQLError('You cannot report your own content', 'BAD_USER_INPUT');
+      }
+
+      const result = await context.pool.query(
+        `INSERT INTO content_reports (reporter_id, content_type, content_id, reason, details)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (reporter_id, content_type, content_id) DO NOTHING
+         RETURNING *`,
+        [userId, contentType, contentId, reason, sanitizedDetails]
+      );
+
+      if (result.rows.length === 0) {
+        throw createGraphQLError('You have already reported this content', 'ALREADY_EXISTS');
+      }
+
+      const report = result.rows[0];
+      const { reportCount, hidden } = await applyAutoHide(context.pool, contentType, contentId);
+
+      await context.pool.query(
+        `INSERT INTO activity_log (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [userId, 'report_content', JSON.stringify({ report_id: report.id, content_type: contentType, content_id: contentId, reason })]
+      );
+
+      if (hidden) {
+        await context.pool.query(
+          `INSERT INTO activity_log (user_id, action, metadata)
+           VALUES ($1, $2, $3)`,
+          [userId, 'content_auto_hidden', JSON.stringify({ report_id: report.id, content_type: contentType, content_id: contentId, report_count: reportCount })]
+        );
+      }
+
+      return { ...report, report_count: reportCount };
+    },
+
+    // Moderator: act on a report. The decision covers every outstanding report on the same content.
+    resolveReport: async (_, { id, action, notes }, context) => {
+      const { userId, role } = await requireRole(context, ['admin', 'moderator']);
+
+      if (!REPORT_ACTIONS.includes(action)) {
+        throw createGraphQLError(`action must be one of: ${REPORT_ACTIONS.join(', ')}`, 'BAD_USER_INPUT');
+      }
+
+      const sanitizedNotes = notes ? sanitizePlainText(notes) : null;
+      if (sanitizedNotes) {
+        const notesValidation = validateTextLength(sanitizedNotes, 1, 2000, 'Notes');
+        if (!notesValidation.valid) {
+          throw createGraphQLError(notesValidation.message, 'BAD_USER_INPUT');
+        }
+      }
+
+      const reportResult = await context.pool.query(
+        'SELECT * FROM content_reports WHERE id = $1',
+        [id]
+      );
+      if (reportResult.rows.length === 0) {
+        throw createGraphQLError('Report not found', 'NOT_FOUND');
+      }
+
+      const report = reportResult.rows[0];
+      if (report.status !== 'open' && report.status !== 'escalated') {
+        throw createGraphQLError('Report has already been resolved', 'BAD_USER_INPUT');
+      }
+      if (report.status === 'escalated' && role !== 'admin') {
+        throw createGraphQLError('Escalated reports can only be resolved by an admin', 'FORBIDDEN');
+      }
+      if (report.status === 'escalated' && action === 'escalate') {
+        throw createGraphQLError('Report is already escalated', 'BAD_USER_INPUT');
+      }
+
+      const content = await findReportedContent(context.pool, report.content_type, report.content_id);
+      let newStatus = 'actioned';
+      let restored = false;
+
+      switch (action) {
+        case 'dismiss':
+          newStatus = 'dismissed';
+          if (content) {
+            // Reports from the spam filter have no reporter; dismissing someone else's report
+            // must not release a review the filter is holding
+            restored = await restoreAutoHiddenContent(context.pool, report.content_type, report.content_id, {
+              liftSpamHold: report.reporter_id === null
+            });
+          }
+          break;
+
+        case 'hide_content':
+          if (content) {
+            await hideContent(context.pool, report.content_type, report.content_id, HIDDEN_REASONS.MODERATOR);
+          }
+          break;
+
+        case 'warn_user':
+          if (content?.owner_id) {
+            await context.pool.query(
+              'UPDATE users SET moderation_warning_count = moderation_warning_count + 1 WHERE id = $1',
+              [content.owner_id]
+            );
+            await notify(context.pool, content.owner_id, 'moderation_warning', {
+              title: 'Community guidelines warning',
+              message: `A moderator reviewed a report (${report.reason.replace(/_/g, ' ')}) about your content and issued a warning.`,
+              data: { reportId: id, contentType: report.content_type, contentId: report.content_id, reason: report.reason }
+            });
+          }
+          break;
+
+        case 'escalate':
+          newStatus = 'escalated';
+          break;
+      }
+
+      const closed = await context.pool.query(
+        `UPDATE content_reports
+         SET status = $1,
+             resolution_action = $2,
+             resolution_notes = $3,
+             resolved_by = $4,
+             resolved_at = CASE WHEN $1 = 'escalated' THEN NULL ELSE CURRENT_TIMESTAMP END
+         WHERE content_type = $5 AND content_id = $6 AND status IN ('open', 'escalated')
+           AND (reporter_id IS NOT NULL OR $7)
+         RETURNING id, reporter_id`,
+        [
+          newStatus,
+          action,
+          sanitizedNotes,
+          userId,
+          report.content_type,
+          report.content_id,
+          // Dismissing a user's report leaves the spam filter's report open
+          action !== 'dismiss' || report.reporter_id === null
+        ]
+      );
+
+      // Reporters whose reports led to action earn reputation
+      if (newStatus === 'actioned') {
+        for (const closedReport of closed.rows) {
+          await awardReputation(context.pool, closedReport.reporter_id, REPUTATION_EVENTS.REPORT_UPHELD, {
+            sourceType: 'content_report',
+            sourceId: closedReport.id
+          });
+        }
+      }
+
+      const updated = await context.pool.query(
+        `SELECT r.*,
+                (SELECT COUNT(*) FROM content_reports o
+                 WHERE o.content_type = r.content_type AND o.content_id = r.content_id
+                   AND o.status IN ('open', 'escalated')) AS report_count
+         FROM content_reports r
+         WHERE r.id = $1`,
+        [id]
       );
 
-      if (appExists.rows.length === 0) {
-        throw createGraphQLError('App not found', 'NOT_FOUND');
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'resolve_report',
+        targetType: 'content_report',
+        targetId: id,
+        before: report,
+        after: updated.rows[0],
+        metadata: {
+          report_id: id,
+          action,
+          content_type: report.content_type,
+          content_id: report.content_id,
+          reports_affected: closed.rows.length,
+          content_restored: restored,
+          notes: sanitizedNotes
+        }
+      });
+
+      console.log(`🛡️  Report ${id} resolved with ${action} by user ${userId}`);
+      return updated.rows[0];
+    },
+
+    // Moderator: temporarily block an account; it lifts automatically at `until`
+    suspendUser: async (_, { id, reason, until }, context) => {
+      const actor = await requireRole(context, ['admin', 'moderator']);
+      const sanitizedReason = sanitizeModerationReason(reason);
+
+      const untilDate = new Date(until);
+      if (Number.isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+        throw createGraphQLError('Suspension end must be a date in the future', 'BAD_USER_INPUT');
+      }
+      if (untilDate > new Date(Date.now() + MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000)) {
+        throw createGraphQLError(`Suspensions can last at most ${MAX_SUSPENSION_DAYS} days; use banUser instead`, 'BAD_USER_INPUT');
+      }
+
+      const target = await loadModerationTarget(context, actor, id);
+      if (target.account_status === 'banned') {
+        throw createGraphQLError('User is banned; reinstate them before changing the suspension', 'BAD_USER_INPUT');
       }
 
       const result = await context.pool.query(
-        `INSERT INTO reviews (app_id, user_id, rating, review_text)
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (app_id, user_id) 
-         DO UPDATE SET rating = $3, review_text = $4
+        `UPDATE users
+         SET account_status = 'suspended',
+             suspension_reason = $1,
+             suspended_until = $2,
+             suspended_by = $3,
+             suspended_at = CURRENT_TIMESTAMP
+         WHERE id = $4
          RETURNING *`,
-        [appId, userId, rating, reviewText]
+        [sanitizedReason, untilDate, actor.userId, id]
       );
+      await forgetAccountStatus(id);
+
+      await recordAudit(context.pool, {
+        actorId: actor.userId,
+        action: 'suspend_user',
+        targetType: 'user',
+        targetId: id,
+        before: target,
+        after: result.rows[0],
+        metadata: { target_user_id: id, reason: sanitizedReason, until: untilDate.toISOString() }
+      });
 
-      return result.rows[0];
+      if (target.email) {
+        sendAccountSuspensionEmail(target.email, target.username, { reason: sanitizedReason, until: untilDate.toUTCString() })
+          .catch(err => console.error('Failed to send suspension email:', err.message));
+      }
+
+      console.log(`⛔ User ${id} suspended until ${untilDate.toISOString()} by ${actor.userId}`);
+      const { password_hash, ...userSafe } = result.rows[0];
+      return userSafe;
     },
 
-    // Create bounty
-    createBounty: async (_, { claim, rewardAmount }, context) => {
-      const { userId } = requireAuth(context);
+    // Moderator: permanently block an account
+    banUser: async (_, { id, reason }, context) => {
+      const actor = await requireRole(context, ['admin', 'moderator']);
+      const sanitizedReason = sanitizeModerationReason(reason);
+      const target = await loadModerationTarget(context, actor, id);
 
-      const sanitizedClaim = sanitizePlainText(claim);
+      if (target.account_status === 'banned') {
+        throw createGraphQLError('User is already banned', 'BAD_USER_INPUT');
+      }
 
       const result = await context.pool.query(
-        `INSERT INTO bounties (claim, reward_amount, creator_id)
-         VALUES ($1, $2, $3)
+        `UPDATE users
+         SET account_status = 'banned',
+             suspension_reason = $1,
+             suspended_until = NULL,
+             suspended_by = $2,
+             suspended_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [sanitizedReason, actor.userId, id]
+      );
+      await forgetAccountStatus(id);
+
+      await recordAudit(context.pool, {
+        actorId: actor.userId,
+        action: 'ban_user',
+        targetType: 'user',
+        targetId: id,
+        before: target,
+        after: result.rows[0],
+        metadata: { target_user_id: id, reason: sanitizedReason }
+      });
+
+      if (target.email) {
+        sendAccountSuspensionEmail(target.email, target.username, { banned: true, reason: sanitizedReason })
+          .catch(err => console.error('Failed to send ban email:', err.message));
+      }
+
+      console.log(`🚫 User ${id} banned by ${actor.userId}`);
+      const { password_hash, ...userSafe } = result.rows[0];
+      return userSafe;
+    },
+
+    // Moderator: lift a suspension or ban early
+    reinstateUser: async (_, { id }, context) => {
+      const actor = await requireRole(context, ['admin', 'moderator']);
+      const target = await loadModerationTarget(context, actor, id);
+
+      if (target.account_status === 'active') {
+        throw createGraphQLError('User is not suspended or banned', 'BAD_USER_INPUT');
+      }
+
+      const result = await context.pool.query(
+        `UPDATE users
+         SET account_status = 'active',
+             suspension_reason = NULL,
+             suspended_until = NULL
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+      await forgetAccountStatus(id);
+
+      await recordAudit(context.pool, {
+        actorId: actor.userId,
+        action: 'reinstate_user',
+        targetType: 'user',
+        targetId: id,
+        before: target,
+        after: result.rows[0],
+        metadata: { target_user_id: id, previous_status: target.account_status }
+      });
+
+      const { password_hash, ...userSafe } = result.rows[0];
+      return userSafe;
+    },
+
+    // Moderator: correct a user's reputation; the justification is stored on the ledger entry
+    adjustReputation: async (_, { userId: targetId, delta, justification }, context) => {
+      const { userId } = await requireRole(context, ['admin', 'moderator']);
+
+      if (!Number.isInteger(delta) || delta === 0 || Math.abs(delta) > MAX_MANUAL_ADJUSTMENT) {
+        throw createGraphQLError(`Delta must be a non-zero whole number between -${MAX_MANUAL_ADJUSTMENT} and ${MAX_MANUAL_ADJUSTMENT}`, 'BAD_USER_INPUT');
+      }
+
+      const sanitizedJustification = sanitizePlainText(justification || '');
+      const validation = validateTextLength(sanitizedJustification, 10, 1000, 'Justification');
+      if (!validation.valid) {
+        throw createGraphQLError(validation.message, 'BAD_USER_INPUT');
+      }
+
+      if (String(targetId) === String(userId)) {
+        throw createGraphQLError('You cannot adjust your own reputation', 'BAD_USER_INPUT');
+      }
+
+      const existing = await context.pool.query(
+        'SELECT id, username, truth_score FROM users WHERE id = $1',
+        [targetId]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      const entry = await recordReputation(context.pool, {
+        userId: targetId,
+        delta,
+        reason: MANUAL_ADJUSTMENT,
+        justification: sanitizedJustification,
+        createdBy: userId
+      });
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'adjust_reputation',
+        targetType: 'user',
+        targetId,
+        before: existing.rows[0],
+        after: { ...existing.rows[0], truth_score: entry.truth_score },
+        metadata: { ledger_entry_id: entry.id, delta, justification: sanitizedJustification }
+      });
+
+      await notify(context.pool, targetId, 'reputation_adjusted', {
+        title: 'Your reputation was adjusted',
+        message: `A moderator ${delta > 0 ? 'added' : 'removed'} ${Math.abs(delta)} points: ${sanitizedJustification}`,
+        data: { ledgerEntryId: entry.id, delta }
+      });
+
+      console.log(`⚖️  Reputation of ${targetId} adjusted by ${delta} (${userId})`);
+      return entry;
+    },
+
+    // Admin: change the points for a reputation event (applies to future entries only)
+    setReputationRule: async (_, { event, delta, active = true }, context) => {
+      const { userId } = await requireRole(context, ['admin']);
+
+      if (!Object.values(REPUTATION_EVENTS).includes(event)) {
+        throw createGraphQLError(`Event must be one of: ${Object.values(REPUTATION_EVENTS).join(', ')}`, 'BAD_USER_INPUT');
+      }
+
+      if (!Number.isInteger(delta) || Math.abs(delta) > MAX_MANUAL_ADJUSTMENT) {
+        throw createGraphQLError(`Delta must be a whole number between -${MAX_MANUAL_ADJUSTMENT} and ${MAX_MANUAL_ADJUSTMENT}`, 'BAD_USER_INPUT');
+      }
+
+      const previous = await context.pool.query(
+        'SELECT * FROM reputation_rules WHERE event = $1',
+        [event]
+      );
+
+      const result = await context.pool.query(
+        `INSERT INTO reputation_rules (event, delta, active, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (event) DO UPDATE
+         SET delta = EXCLUDED.delta,
+             active = EXCLUDED.active,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = EXCLUDED.updated_at
          RETURNING *`,
-        [sanitizedClaim, rewardAmount, userId]
+        [event, delta, active, userId]
       );
+      await forgetReputationRules();
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'set_reputation_rule',
+        targetType: 'reputation_rule',
+        targetId: event,
+        before: previous.rows[0],
+        after: result.rows[0],
+        metadata: { event, delta, active }
+      });
 
       return result.rows[0];
     },
 
-    // Update user avatar (called after uploading to IPFS)
-    updateAvatar: async (_, { avatarUrl, thumbnailUrl, ipfsHash }, context) => {
-      const { userId } = requireAuth(context);
+    // Admin: promote or demote a user
+    setUserRole: async (_, { id, role }, context) => {
+      const { userId } = await requireRole(context, ['admin']);
 
-      // Validate URLs
-      if (!avatarUrl || typeof avatarUrl !== 'string') {
-        throw createGraphQLError('Avatar URL is required', 'BAD_USER_INPUT');
+      if (!USER_ROLES.includes(role)) {
+        throw createGraphQLError(`Role must be one of: ${USER_ROLES.join(', ')}`, 'BAD_USER_INPUT');
       }
 
-      if (!ipfsHash || typeof ipfsHash !== 'string') {
-        throw createGraphQLError('IPFS hash is required', 'BAD_USER_INPUT');
+      if (String(id) === String(userId)) {
+        throw createGraphQLError('You cannot change your own role', 'BAD_USER_INPUT');
+      }
+
+      const existing = await context.pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [id]
+      );
+
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('User not found', 'NOT_FOUND');
+      }
+
+      if (existing.rows[0].role === role) {
+        throw createGraphQLError(`User is already ${role === 'admin' ? 'an' : 'a'} ${role}`, 'BAD_USER_INPUT');
       }
 
-      // Update user avatar in database
       const result = await context.pool.query(
-        `UPDATE users
-         SET avatar_url = $1,
-             avatar_thumbnail_url = $2,
-             avatar_ipfs_hash = $3,
-             avatar_uploaded_at = CURRENT_TIMESTAMP,
+        'UPDATE users SET role = $1 WHERE id = $2 RETURNING *',
+        [role, id]
+      );
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'change_user_role',
+        targetType: 'user',
+        targetId: id,
+        before: existing.rows[0],
+        after: result.rows[0],
+        metadata: { target_user_id: id, from: existing.rows[0].role, to: role }
+      });
+
+      console.log(`👤 User ${id} role changed from ${existing.rows[0].role} to ${role} by ${userId}`);
+      const { password_hash, ...userSafe } = result.rows[0];
+      return userSafe;
+    },
+
+    // Admin: Verify an app
+    verifyApp: async (_, { id }, context) => {
+      const { userId } = await requireRole(context, ['admin', 'moderator']);
+
+      const appCheck = await context.pool.query(
+        'SELECT * FROM apps WHERE id = $1',
+        [id]
+      );
+
+      if (appCheck.rows.length === 0) {
+        throw createGraphQLError('App not found', 'NOT_FOUND');
+      }
+
+      if (appCheck.rows[0].is_verified) {
+        throw createGraphQLError('App is already verified', 'BAD_USER_INPUT');
+      }
+
+      const result = await context.pool.query(
+        `UPDATE apps
+         SET is_verified = true,
+             verified_by = $1,
              updated_at = CURRENT_TIMESTAMP
-         WHERE id = $4
+         WHERE id = $2
          RETURNING *`,
-        [avatarUrl, thumbnailUrl || null, ipfsHash, userId]
+        [userId, id]
       );
 
-      if (result.rows.length === 0) {
-        throw createGraphQLError('User not found', 'NOT_FOUND');
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'verify_app',
+        targetType: 'app',
+        targetId: id,
+        before: appCheck.rows[0],
+        after: result.rows[0],
+        metadata: { app_id: id }
+      });
+
+      // Invalidate cache since trending apps may have changed
+      await cacheManager.delete(cacheManager.constructor.generateKey('trending:apps', { limit: 10 }));
+
+      await publish(TOPICS.APP_VERIFIED, { appVerified: result.rows[0] });
+      await emitWebhookEvent(context.pool, 'app.verified', {
+        app: {
+          id: result.rows[0].id,
+          name: result.rows[0].name,
+          packageId: result.rows[0].package_id,
+          platform: result.rows[0].platform,
+          verifiedAt: new Date(result.rows[0].updated_at).toISOString()
+        }
+      });
+
+      console.log(`✅ App ${id} verified by user ${userId}`);
+      return result.rows[0];
+    },
+
+    // Moderator: count quarantined votes after all (approve) or discard them for good (reject).
+    // Approved votes earn the author the reputation of their current value; rejected votes
+    // withdraw what they earned and lower the voter's future vote weight.
+    reviewQuarantinedVotes: async (_, { factCheckId, userIds, approve }, context) => {
+      const { userId } = await requireRole(context, ['admin', 'moderator']);
+
+      if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > 200) {
+        throw createGraphQLError('Select between 1 and 200 votes', 'BAD_USER_INPUT');
       }
 
-      const user = result.rows[0];
-      console.log(`✅ Avatar updated for user ${userId}`);
+      const result = await context.pool.query(
+        `WITH reviewed AS (
+           UPDATE fact_check_votes
+           SET status = $3, reviewed_by = $4, reviewed_at = CURRENT_TIMESTAMP
+           WHERE fact_check_id = $1 AND user_id = ANY($2::uuid[]) AND status = 'quarantined'
+           RETURNING user_id, vote_value, weight
+         ), restored AS (
+           UPDATE fact_checks
+           SET weighted_score = weighted_score + (SELECT COALESCE(SUM(vote_value * weight), 0) FROM reviewed)
+           WHERE id = $1 AND $3 = 'approved'
+           RETURNING submitted_by
+         )
+         SELECT r.user_id, r.vote_value, f.submitted_by
+         FROM reviewed r
+         CROSS JOIN (SELECT submitted_by FROM fact_checks WHERE id = $1) f`,
+        [factCheckId, userIds, approve ? 'approved' : 'rejected', userId]
+      );
 
-      return user;
+      for (const row of result.rows) {
+        await awardVoteReputation(context.pool, {
+          authorId: row.submitted_by,
+          voterId: row.user_id,
+          factCheckId,
+          vote: approve ? row.vote_value : 0,
+          previousVote: row.vote_value,
+          reason: approve ? null : 'vote_rejected'
+        });
+      }
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: approve ? 'approve_quarantined_votes' : 'reject_quarantined_votes',
+        targetType: 'fact_check',
+        targetId: factCheckId,
+        metadata: { voter_ids: result.rows.map(row => row.user_id), count: result.rows.length }
+      });
+
+      return result.rows.length;
     },
 
-    // Update user profile (existing mutation - implementation added)
-    updateProfile: async (_, { username, walletAddress }, context) => {
+    // Apply for expert status in a category; admins review the evidence
+    applyForExpert: async (_, { input }, context) => {
       const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'apply for expert status');
+      const application = sanitizeExpertApplication(input || {});
 
-      // Build dynamic update query
-      const updates = [];
-      const params = [];
-      let paramCount = 1;
+      if (await isExpertIn(context.pool, userId, application.category)) {
+        throw createGraphQLError('You are already an expert in this category', 'CONFLICT');
+      }
 
-      if (username) {
-        const usernameValidation = validateUsername(username);
-        if (!usernameValidation.valid) {
-          throw createGraphQLError(usernameValidation.message, 'BAD_USER_INPUT');
+      try {
+        const result = await context.pool.query(
+          `INSERT INTO expert_applications (user_id, category, credentials, evidence)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [userId, application.category, application.credentials, JSON.stringify(application.evidence)]
+        );
+        return result.rows[0];
+      } catch (error) {
+        if (error.code === '23505') {
+          throw createGraphQLError('You already have a pending application for this category', 'CONFLICT');
         }
-        updates.push(`username = $${paramCount}`);
-        params.push(sanitizePlainText(username));
-        paramCount++;
+        throw error;
       }
+    },
 
-      if (walletAddress) {
-        const addressValidation = require('./utils/validation').validateEthAddress(walletAddress);
-        if (!addressValidation.valid) {
-          throw createGraphQLError(addressValidation.message, 'BAD_USER_INPUT');
+    // Admin: approve (granting the credential) or reject an expert application
+    reviewExpertApplication: async (_, { id, approved, note }, context) => {
+      const { userId } = await requireRole(context, ['admin']);
+      const reviewNote = note ? sanitizeModerationReason(note) : null;
+      if (!approved && !reviewNote) {
+        throw createGraphQLError('A note is required when rejecting an application', 'BAD_USER_INPUT');
+      }
+
+      const result = await context.pool.query(
+        `UPDATE expert_applications
+         SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id, approved ? 'approved' : 'rejected', userId, reviewNote]
+      );
+      const application = result.rows[0];
+      if (!application) {
+        throw createGraphQLError('Pending application not found', 'NOT_FOUND');
+      }
+
+      if (approved) {
+        await context.pool.query(
+          `INSERT INTO expert_credentials (user_id, category, application_id, granted_by)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, category) DO UPDATE
+             SET application_id = EXCLUDED.application_id,
+                 granted_by = EXCLUDED.granted_by,
+                 granted_at = CURRENT_TIMESTAMP,
+                 revoked_at = NULL,
+                 revoked_by = NULL,
+                 revoke_reason = NULL`,
+          [application.user_id, application.category, application.id, userId]
+        );
+      }
+
+      // Evidence stays out of the audit trail; the application id points back to it
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: approved ? 'grant_expert' : 'reject_expert_application',
+        targetType: 'user',
+        targetId: application.user_id,
+        metadata: { application_id: application.id, category: application.category, note: reviewNote }
+      });
+
+      await notify(context.pool, application.user_id, 'expert_application_reviewed', {
+        title: approved ? `You are now a ${application.category} expert` : 'Expert application not approved',
+        message: approved
+          ? `Your votes and appeal reviews in ${application.category} now carry extra weight.`
+          : `Your ${application.category} expert application was not approved: ${reviewNote}`,
+        data: { applicationId: application.id, category: application.category, approved }
+      });
+
+      return application;
+    },
+
+    // Admin: withdraw an expert credential
+    revokeExpertCredential: async (_, { userId: expertId, category, reason }, context) => {
+      const { userId } = await requireRole(context, ['admin']);
+      const revokeReason = sanitizeModerationReason(reason);
+      const normalized = normalizeExpertCategory(category);
+
+      const result = await context.pool.query(
+        `UPDATE expert_credentials
+         SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $3, revoke_reason = $4
+         WHERE user_id = $1 AND category = $2 AND revoked_at IS NULL
+         RETURNING user_id`,
+        [expertId, normalized, userId, revokeReason]
+      );
+      if (result.rows.length === 0) {
+        throw createGraphQLError('Active expert credential not found', 'NOT_FOUND');
+      }
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'revoke_expert',
+        targetType: 'user',
+        targetId: expertId,
+        metadata: { category: normalized, reason: revokeReason }
+      });
+
+      await notify(context.pool, expertId, 'expert_revoked', {
+        title: `${normalized} expert status removed`,
+        message: revokeReason,
+        data: { category: normalized }
+      });
+
+      return true;
+    },
+
+    // Weigh in on an open appeal; experts in the fact-check's category count extra.
+    // The moderator deciding the appeal sees the weighted tally.
+    submitAppealReview: async (_, { appealId, supports, proposedVerdict, note }, context) => {
+      const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'review appeals');
+
+      if (proposedVerdict && !REVIEW_VERDICTS.includes(proposedVerdict)) {
+        throw createGraphQLError('Invalid verdict value', 'BAD_USER_INPUT');
+      }
+      const reviewNote = note ? sanitizePlainText(note) : null;
+      if (reviewNote) {
+        const validation = validateTextLength(reviewNote, 3, 2000, 'Note');
+        if (!validation.valid) {
+          throw createGraphQLError(validation.message, 'BAD_USER_INPUT');
         }
-        updates.push(`wallet_address = $${paramCount}`);
-        params.push(sanitizePlainText(walletAddress));
-        paramCount++;
       }
 
-      if (updates.length === 0) {
-        throw createGraphQLError('No updates provided', 'BAD_USER_INPUT');
+      const appealResult = await context.pool.query(
+        `SELECT a.*, f.category, f.submitted_by AS fact_check_author
+         FROM fact_check_appeals a
+         JOIN fact_checks f ON f.id = a.fact_check_id
+         WHERE a.id = $1 AND a.hidden_at IS NULL`,
+        [appealId]
+      );
+      const appeal = appealResult.rows[0];
+      if (!appeal) {
+        throw createGraphQLError('Appeal not found', 'NOT_FOUND');
+      }
+      if (appeal.status !== 'pending') {
+        throw createGraphQLError('This appeal has already been decided', 'BAD_USER_INPUT');
+      }
+      if ([appeal.user_id, appeal.fact_check_author].some(id => String(id) === String(userId))) {
+        throw createGraphQLError('You cannot review an appeal on your own fact-check or your own appeal', 'FORBIDDEN');
+      }
+
+      const expert = await isExpertIn(context.pool, userId, appeal.category);
+      await context.pool.query(
+        `INSERT INTO appeal_reviews (appeal_id, reviewer_id, supports, proposed_verdict, note, weight, expert)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (appeal_id, reviewer_id) DO UPDATE
+           SET supports = EXCLUDED.supports,
+               proposed_verdict = EXCLUDED.proposed_verdict,
+               note = EXCLUDED.note,
+               weight = EXCLUDED.weight,
+               expert = EXCLUDED.expert,
+               updated_at = CURRENT_TIMESTAMP`,
+        [appealId, userId, supports, proposedVerdict || null, reviewNote, expert ? expertWeight('appeal_review') : 1, expert]
+      );
+
+      const { category, fact_check_author, ...appealRow } = appeal;
+      return appealRow;
+    },
+
+    // Moderator: fold a duplicate fact-check into another. Votes, appeals and bounties move to
+    // the target; the source is hidden and points at the target through merged_into.
+    mergeFactChecks: async (_, { sourceId, targetId }, context) => {
+      const { userId } = await requireRole(context, ['admin', 'moderator']);
+
+      if (String(sourceId) === String(targetId)) {
+        throw createGraphQLError('A fact-check cannot be merged into itself', 'BAD_USER_INPUT');
+      }
+
+      const existing = await context.pool.query(
+        'SELECT * FROM fact_checks WHERE id = ANY($1::uuid[])',
+        [[sourceId, targetId]]
+      );
+      const source = existing.rows.find(row => String(row.id) === String(sourceId));
+      const target = existing.rows.find(row => String(row.id) === String(targetId));
+
+      if (!source || !target) {
+        throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
+      }
+      if (source.merged_into) {
+        throw createGraphQLError('The source fact-check has already been merged', 'CONFLICT');
+      }
+      if (target.merged_into) {
+        throw createGraphQLError('The target fact-check has itself been merged; merge into its replacement instead', 'BAD_USER_INPUT');
+      }
+
+      // One statement so the move is all-or-nothing. A voter who voted on both keeps their
+      // target vote; their source vote is dropped.
+      const moved = await context.pool.query(
+        `WITH src AS (
+           UPDATE fact_checks
+           SET merged_into = $2,
+               merged_at = CURRENT_TIMESTAMP,
+               hidden_at = COALESCE(hidden_at, CURRENT_TIMESTAMP),
+               hidden_reason = 'merged',
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND merged_into IS NULL
+           RETURNING id
+         ), moved_votes AS (
+           UPDATE fact_check_votes v
+           SET fact_check_id = $2
+           WHERE v.fact_check_id = $1 AND EXISTS (SELECT 1 FROM src)
+             AND NOT EXISTS (
+               SELECT 1 FROM fact_check_votes t WHERE t.fact_check_id = $2 AND t.user_id = v.user_id
+             )
+           RETURNING v.vote_value, v.weight, v.status
+         ), dropped_votes AS (
+           DELETE FROM fact_check_votes v
+           WHERE v.fact_check_id = $1 AND EXISTS (SELECT 1 FROM src)
+             AND EXISTS (
+               SELECT 1 FROM fact_check_votes t WHERE t.fact_check_id = $2 AND t.user_id = v.user_id
+             )
+           RETURNING v.vote_value
+         ), moved_appeals AS (
+           UPDATE fact_check_appeals
+           SET fact_check_id = $2
+           WHERE fact_check_id = $1 AND EXISTS (SELECT 1 FROM src)
+           RETURNING id
+         ), moved_bounties AS (
+           UPDATE bounties
+           SET fact_check_id = $2
+           WHERE fact_check_id = $1 AND EXISTS (SELECT 1 FROM src)
+           RETURNING id
+         ), target_counts AS (
+           UPDATE fact_checks
+           SET upvotes = upvotes + (SELECT COUNT(*) FROM moved_votes WHERE vote_value > 0),
+               downvotes = downvotes + (SELECT COUNT(*) FROM moved_votes WHERE vote_value < 0),
+               weighted_score = weighted_score + (
+                 SELECT COALESCE(SUM(vote_value * weight), 0) FROM moved_votes WHERE status IN ('counted', 'approved')
+               ),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 AND EXISTS (SELECT 1 FROM src)
+           RETURNING *
+         )
+         SELECT (SELECT COUNT(*) FROM src)::int AS merged,
+                (SELECT COUNT(*) FROM moved_votes)::int AS votes_moved,
+                (SELECT COUNT(*) FROM dropped_votes)::int AS votes_dropped,
+                (SELECT COUNT(*) FROM moved_appeals)::int AS appeals_moved,
+                (SELECT COUNT(*) FROM moved_bounties)::int AS bounties_moved,
+                (SELECT row_to_json(target_counts) FROM target_counts) AS target`,
+        [sourceId, targetId]
+      );
+
+      const summary = moved.rows[0];
+      if (!summary || !summary.merged) {
+        throw createGraphQLError('The source fact-check has already been merged', 'CONFLICT');
       }
 
-      updates.push(`updated_at = CURRENT_TIMESTAMP`);
-      params.push(userId);
-
-      const query = `
-        UPDATE users
-        SET ${updates.join(', ')}
-        WHERE id = $${paramCount}
-        RETURNING *
-      `;
+      const counts = {
+        votes_moved: summary.votes_moved,
+        votes_dropped: summary.votes_dropped,
+        appeals_moved: summary.appeals_moved,
+        bounties_moved: summary.bounties_moved
+      };
 
-      const result = await context.pool.query(query, params);
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'merge_fact_checks',
+        targetType: 'fact_check',
+        targetId: sourceId,
+        before: source,
+        after: { ...source, merged_into: targetId, hidden_reason: 'merged' },
+        metadata: { source_id: sourceId, target_id: targetId, ...counts }
+      });
 
-      if (result.rows.length === 0) {
-        throw createGraphQLError('User not found', 'NOT_FOUND');
+      if (source.submitted_by && String(source.submitted_by) !== String(userId)) {
+        await notify(context.pool, source.submitted_by, 'fact_check_merged', {
+          title: 'Your fact-check was merged',
+          message: 'A moderator merged your fact-check into an existing check of the same claim.',
+          data: { factCheckId: sourceId, mergedInto: targetId }
+        });
       }
 
-      return result.rows[0];
+      console.log(`🔀 Fact-check ${sourceId} merged into ${targetId} by ${userId}`, counts);
+      return summary.target || target;
     },
 
-    // Admin: Verify an app
-    verifyApp: async (_, { id }, context) => {
-      const { userId } = await requireRole(context, ['admin', 'moderator']);
+    // Admin: correct a published verdict; the reason is shown in the fact-check's history
+    editFactCheckVerdict: async (_, { id, verdict, confidenceScore, reason }, context) => {
+      const { userId } = await requireRole(context, ['admin']);
 
-      const appCheck = await context.pool.query(
-        'SELECT id, is_verified FROM apps WHERE id = $1',
-        [id]
-      );
+      if (!REVIEW_VERDICTS.includes(verdict)) {
+        throw createGraphQLError(`verdict must be one of: ${REVIEW_VERDICTS.join(', ')}`, 'BAD_USER_INPUT');
+      }
+      if (confidenceScore !== null && confidenceScore !== undefined) {
+        const scoreValidation = validateConfidenceScore(confidenceScore);
+        if (!scoreValidation.valid) {
+          throw createGraphQLError(scoreValidation.message, 'BAD_USER_INPUT');
+        }
+      }
+      const note = sanitizeModerationReason(reason);
 
-      if (appCheck.rows.length === 0) {
-        throw createGraphQLError('App not found', 'NOT_FOUND');
+      const existing = await context.pool.query('SELECT * FROM fact_checks WHERE id = $1', [id]);
+      if (existing.rows.length === 0) {
+        throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
       }
+      const before = existing.rows[0];
+      const newConfidence = confidenceScore ?? before.confidence_score;
 
-      if (appCheck.rows[0].is_verified) {
-        throw createGraphQLError('App is already verified', 'BAD_USER_INPUT');
+      if (before.verdict === verdict && Number(before.confidence_score) === Number(newConfidence)) {
+        throw createGraphQLError('The fact-check already has this verdict and confidence', 'BAD_USER_INPUT');
       }
 
       const result = await context.pool.query(
-        `UPDATE apps
-         SET is_verified = true,
-             verified_by = $1,
+        `UPDATE fact_checks
+         SET verdict = $1,
+             confidence_score = $2,
              updated_at = CURRENT_TIMESTAMP
-         WHERE id = $2
+         WHERE id = $3
          RETURNING *`,
-        [userId, id]
+        [verdict, newConfidence, id]
       );
+      const factCheck = result.rows[0];
 
-      await context.pool.query(
-        `INSERT INTO activity_log (user_id, action, metadata)
-         VALUES ($1, $2, $3)`,
-        [userId, 'verify_app', JSON.stringify({ app_id: id })]
-      );
+      await recordVerdictChange(context.pool, {
+        factCheckId: id,
+        oldVerdict: before.verdict,
+        newVerdict: verdict,
+        oldConfidence: before.confidence_score,
+        newConfidence: factCheck.confidence_score,
+        reason: VERDICT_CHANGE_REASONS.ADMIN_EDIT,
+        actorId: userId,
+        note
+      });
 
-      // Invalidate cache since trending apps may have changed
-      await cacheManager.delete(cacheManager.constructor.generateKey('trending:apps', { limit: 10 }));
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'edit_fact_check_verdict',
+        targetType: 'fact_check',
+        targetId: id,
+        before,
+        after: factCheck,
+        metadata: { reason: note }
+      });
 
-      console.log(`✅ App ${id} verified by user ${userId}`);
-      return result.rows[0];
+      if (before.verdict !== verdict) {
+        await emitWebhookEvent(context.pool, 'factcheck.verdict_changed', {
+          factCheck: serializeFactCheck(factCheck),
+          previousVerdict: before.verdict,
+          reason: VERDICT_CHANGE_REASONS.ADMIN_EDIT
+        });
+
+        if (before.submitted_by) {
+          await notify(context.pool, before.submitted_by, 'verdict_changed', {
+            title: 'Verdict updated',
+            message: `An admin changed the verdict on your fact-check from ${before.verdict} to ${verdict}.`,
+            data: { factCheckId: id, previousVerdict: before.verdict, newVerdict: verdict }
+          });
+        }
+      }
+
+      return factCheck;
     },
 
     // Admin: Verify a fact-check
@@ -1324,7 +4751,7 @@ const resolvers = {
       const { userId } = await requireRole(context, ['admin', 'moderator']);
 
       const fcCheck = await context.pool.query(
-        'SELECT id, verified_by, submitted_by FROM fact_checks WHERE id = $1',
+        'SELECT * FROM fact_checks WHERE id = $1',
         [id]
       );
 
@@ -1345,19 +4772,22 @@ const resolvers = {
         [userId, id]
       );
 
-      // Award +50 truth score bonus to submitter
-      if (result.rows[0].submitted_by) {
-        await context.pool.query(
-          'UPDATE users SET truth_score = truth_score + 50 WHERE id = $1',
-          [result.rows[0].submitted_by]
-        );
-      }
-
-      await context.pool.query(
-        `INSERT INTO activity_log (user_id, action, metadata)
-         VALUES ($1, $2, $3)`,
-        [userId, 'verify_fact_check', JSON.stringify({ fact_check_id: id })]
-      );
+      // Award the verification bonus to the submitter
+      await awardReputation(context.pool, result.rows[0].submitted_by, REPUTATION_EVENTS.FACT_CHECK_VERIFIED, {
+        sourceType: 'fact_check',
+        sourceId: id
+      });
+      checkBadgesInBackground(context.pool, result.rows[0].submitted_by);
+
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'verify_fact_check',
+        targetType: 'fact_check',
+        targetId: id,
+        before: fcCheck.rows[0],
+        after: result.rows[0],
+        metadata: { fact_check_id: id }
+      });
 
       console.log(`✅ Fact-check ${id} verified by user ${userId}`);
       return result.rows[0];
@@ -1376,11 +4806,15 @@ const resolvers = {
         throw createGraphQLError('App not found', 'NOT_FOUND');
       }
 
-      await context.pool.query(
-        `INSERT INTO activity_log (user_id, action, metadata)
-         VALUES ($1, $2, $3)`,
-        [userId, 'reject_app', JSON.stringify({ app_id: id, reason: reason || 'No reason provided' })]
-      );
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'reject_app',
+        targetType: 'app',
+        targetId: id,
+        before: result.rows[0],
+        after: null,
+        metadata: { app_id: id, reason: reason || 'No reason provided' }
+      });
 
       console.log(`❌ App ${id} rejected by user ${userId}: ${reason || 'No reason provided'}`);
       return true;
@@ -1399,11 +4833,15 @@ const resolvers = {
         throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
       }
 
-      await context.pool.query(
-        `INSERT INTO activity_log (user_id, action, metadata)
-         VALUES ($1, $2, $3)`,
-        [userId, 'reject_fact_check', JSON.stringify({ fact_check_id: id, reason: reason || 'No reason provided' })]
-      );
+      await recordAudit(context.pool, {
+        actorId: userId,
+        action: 'reject_fact_check',
+        targetType: 'fact_check',
+        targetId: id,
+        before: result.rows[0],
+        after: null,
+        metadata: { fact_check_id: id, reason: reason || 'No reason provided' }
+      });
 
       console.log(`❌ Fact-check ${id} rejected by user ${userId}: ${reason || 'No reason provided'}`);
       return true;
@@ -1526,6 +4964,7 @@ const resolvers = {
     // AI: Submit a fact-check appeal (user challenges verdict)
     submitFactCheckAppeal: async (_, { factCheckId, proposedVerdict, reasoning, evidence, supportingLinks }, context) => {
       const { userId } = requireAuth(context);
+      await assertEmailVerified(context.pool, userId, 'file appeals');
 
       // Validate inputs
       if (!factCheckId || typeof factCheckId !== 'string') {
@@ -1547,7 +4986,7 @@ const resolvers = {
 
       // Verify fact-check exists
       const fcCheck = await context.pool.query(
-        'SELECT id FROM fact_checks WHERE id = $1',
+        'SELECT id, submitted_by, category, claim FROM fact_checks WHERE id = $1',
         [factCheckId]
       );
 
@@ -1555,6 +4994,8 @@ const resolvers = {
         throw createGraphQLError('Fact-check not found', 'NOT_FOUND');
       }
 
+      await assertNotBlockedBy(context.pool, fcCheck.rows[0].submitted_by, userId, 'appeal');
+
       try {
         const result = await context.pool.query(
           `INSERT INTO fact_check_appeals 
@@ -1578,6 +5019,15 @@ const resolvers = {
           global.broadcastAppeal(factCheckId, result.rows[0]);
         }
 
+        // Experts in the fact-check's category are asked to weigh in first
+        await routeToExperts(context.pool, {
+          category: fcCheck.rows[0].category,
+          factCheckId,
+          appealId: result.rows[0].id,
+          claim: fcCheck.rows[0].claim || '',
+          excludeUserIds: [userId, fcCheck.rows[0].submitted_by]
+        });
+
         return result.rows[0];
       } catch (error) {
         // If table doesn't exist, return mock object for now
@@ -1640,19 +5090,44 @@ const resolvers = {
 
         // If approved and newVerdict provided, update the fact-check verdict
         if (approved && newVerdict) {
-          const validVerdicts = ['TRUE', 'FALSE', 'MISLEADING', 'PARTIALLY_TRUE', 'UNDETERMINED', 'NO_CONSENSUS'];
-          if (!validVerdicts.includes(newVerdict)) {
+          if (!REVIEW_VERDICTS.includes(newVerdict)) {
             throw createGraphQLError('Invalid verdict value', 'BAD_USER_INPUT');
           }
 
-          await context.pool.query(
+          const previous = await context.pool.query(
+            'SELECT verdict, confidence_score FROM fact_checks WHERE id = $1',
+            [appeal.fact_check_id]
+          );
+
+          const updatedFactCheck = await context.pool.query(
             `UPDATE fact_checks
              SET verdict = $1,
                  updated_at = CURRENT_TIMESTAMP
-             WHERE id = $2`,
+             WHERE id = $2
+             RETURNING *`,
             [newVerdict, appeal.fact_check_id]
           );
 
+          const previousVerdict = previous.rows[0]?.verdict;
+          if (updatedFactCheck.rows[0] && previousVerdict !== newVerdict) {
+            await recordVerdictChange(context.pool, {
+              factCheckId: appeal.fact_check_id,
+              oldVerdict: previousVerdict,
+              newVerdict,
+              oldConfidence: previous.rows[0]?.confidence_score ?? null,
+              newConfidence: updatedFactCheck.rows[0].confidence_score ?? null,
+              reason: VERDICT_CHANGE_REASONS.APPEAL,
+              actorId: userId,
+              appealId
+            });
+            await emitWebhookEvent(context.pool, 'factcheck.verdict_changed', {
+              factCheck: serializeFactCheck(updatedFactCheck.rows[0]),
+              previousVerdict,
+              reason: 'appeal',
+              appealId
+            });
+          }
+
           console.log(`✅ Appeal approved and fact-check verdict updated to: ${newVerdict}`);
         } else {
           console.log(`✅ Appeal ${status}: ${appealId}`);
@@ -1660,18 +5135,40 @@ const resolvers = {
 
         // Award reputation bonus to appellant if approved
         if (approved) {
-          await context.pool.query(
-            'UPDATE users SET truth_score = truth_score + 25 WHERE id = $1',
-            [appeal.user_id]
-          );
+          await awardReputation(context.pool, appeal.user_id, REPUTATION_EVENTS.APPEAL_APPROVED, {
+            sourceType: 'appeal',
+            sourceId: appealId
+          });
+          checkBadgesInBackground(context.pool, appeal.user_id);
         }
 
         // Log action
-        await context.pool.query(
-          `INSERT INTO activity_log (user_id, action, metadata)
-           VALUES ($1, $2, $3)`,
-          [userId, 'review_appeal', JSON.stringify({ appeal_id: appealId, approved, new_verdict: newVerdict })]
-        );
+        await recordAudit(context.pool, {
+          actorId: userId,
+          action: 'review_appeal',
+          targetType: 'appeal',
+          targetId: appealId,
+          before: appeal,
+          after: result.rows[0],
+          metadata: { appeal_id: appealId, fact_check_id: appeal.fact_check_id, approved, new_verdict: newVerdict }
+        });
+
+        await notify(context.pool, appeal.user_id, 'appeal_reviewed', {
+          title: approved ? 'Appeal approved' : 'Appeal rejected',
+          message: approved && newVerdict
+            ? `Your appeal was approved and the verdict changed to ${newVerdict}.`
+            : `Your appeal was ${status}.`,
+          data: { appealId, factCheckId: appeal.fact_check_id, approved, newVerdict: newVerdict || null }
+        });
+
+        await emitWebhookEvent(context.pool, 'appeal.resolved', {
+          appeal: {
+            id: appealId,
+            factCheckId: appeal.fact_check_id,
+            status,
+            newVerdict: approved && newVerdict ? newVerdict : null
+          }
+        });
 
         return result.rows[0];
       } catch (error) {
@@ -1690,21 +5187,67 @@ const resolvers = {
     },
   },
 
+  // Real-time subscriptions (graphql-ws). Connection auth happens in server.js;
+  // context.user is the authenticated subscriber.
+  Subscription: {
+    factCheckAdded: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(TOPICS.FACT_CHECK_ADDED),
+        (payload, { category }) => !category || payload.factCheckAdded.category === category
+      ),
+    },
+    bountyCreated: {
+      subscribe: () => pubsub.asyncIterator(TOPICS.BOUNTY_CREATED),
+    },
+    bountyUpdated: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(TOPICS.BOUNTY_UPDATED),
+        (payload, { id }) => !id || String(payload.bountyUpdated.id) === String(id)
+      ),
+    },
+    appVerified: {
+      subscribe: withFilter(
+        () => pubsub.asyncIterator(TOPICS.APP_VERIFIED),
+        (payload, { id }) => String(payload.appVerified.id) === String(id)
+      ),
+    },
+    notificationAdded: {
+      subscribe: withFilter(
+        (_, { userId }, context) => {
+          if (!context.user?.userId) {
+            throw createGraphQLError('Authentication required', 'UNAUTHENTICATED');
+          }
+          if (String(context.user.userId) !== String(userId)) {
+            throw createGraphQLError('You can only subscribe to your own notifications', 'FORBIDDEN');
+          }
+          return pubsub.asyncIterator(TOPICS.NOTIFICATION_ADDED);
+        },
+        // Deliver only to the owner, regardless of the requested userId
+        (payload, _, context) => String(getField(payload.notificationAdded, 'user_id')) === String(context.user.userId)
+      ),
+    },
+  },
+
   // Nested resolvers (for related data)
   // Uses batch loaders from context to prevent N+1 queries
   App: {
     downloadCount: parent => getField(parent, 'download_count', Number),
     truthRating: parent => getField(parent, 'truth_rating', Number),
-    reviews: async (parent, _, context) => {
-      if (context.loaders) {
-        return context.loaders.reviewsByAppId.load(parent.id);
+    reviews: async (parent, { sort = 'RELEVANT' }, context) => {
+      if (!REVIEW_SORTS.includes(sort)) {
+        throw createGraphQLError(`Sort must be one of ${REVIEW_SORTS.join(', ')}`, 'BAD_USER_INPUT');
       }
-      // Fallback if loaders not initialized
-      const result = await context.pool.query(
-        'SELECT * FROM reviews WHERE app_id = $1 ORDER BY created_at DESC LIMIT 100',
-        [parent.id]
-      );
-      return result.rows;
+
+      // Ranked and capped in SQL either way, so both paths list the same reviews
+      const reviews = context.loaders
+        ? await context.loaders.reviewsByAppId[sort].load(parent.id)
+        : (await loadRankedReviews(context.pool, [parent.id], sort)).get(parent.id);
+
+      // Reviews by users the viewer blocked are left out
+      const blockedIds = await getViewerBlockedIds(context);
+      return blockedIds.size > 0
+        ? reviews.filter(review => !blockedIds.has(String(review.user_id)))
+        : reviews;
     },
     averageRating: async (parent, _, context) => {
       const cached = getField(parent, 'average_rating', Number);
@@ -1715,13 +5258,23 @@ const resolvers = {
       if (context.loaders) {
         return context.loaders.averageRatingByAppId.load(parent.id);
       }
-      // Fallback
+      // Fallback (hidden and spam-held reviews don't count)
       const result = await context.pool.query(
-        'SELECT AVG(rating) as avg FROM reviews WHERE app_id = $1',
+        'SELECT AVG(rating) as avg FROM reviews WHERE app_id = $1 AND hidden_at IS NULL',
         [parent.id]
       );
       return parseFloat(result.rows[0]?.avg) || 0;
     },
+    filteredReviewCount: async (parent, _, context) => {
+      if (context.loaders) {
+        return context.loaders.filteredReviewCountByAppId.load(parent.id);
+      }
+      const result = await context.pool.query(
+        'SELECT COUNT(*) AS count FROM reviews WHERE app_id = $1 AND hidden_at IS NOT NULL',
+        [parent.id]
+      );
+      return parseInt(result.rows[0]?.count || 0, 10);
+    },
     verifiedBy: async (parent, _, context) => {
       const verifierId = getField(parent, 'verified_by');
       if (!verifierId) return null;
@@ -1773,9 +5326,188 @@ const resolvers = {
       );
       return result.rows[0];
     },
+    mergedInto: async (parent, _, context) => {
+      if (!parent.merged_into) return null;
+      const result = await context.pool.query('SELECT * FROM fact_checks WHERE id = $1', [parent.merged_into]);
+      return result.rows[0] || null;
+    },
+    // How the verdict evolved, oldest change first
+    history: (parent, _, context) => getVerdictHistory(context.pool, parent.id),
+    weightedScore: parent => getField(parent, 'weighted_score', Number) ?? 0,
+    expertConsensus: (parent, _, context) => getExpertConsensus(context.pool, parent),
+    // Co-authors credited when the fact-check came from a collaborative draft
+    coAuthors: async (parent, _, context) => {
+      try {
+        const result = await context.pool.query(
+          `SELECT u.* FROM fact_check_drafts d
+           JOIN fact_check_draft_authors a ON a.draft_id = d.id AND a.role = 'coauthor'
+           JOIN users u ON u.id = a.user_id
+           WHERE d.fact_check_id = $1
+           ORDER BY a.created_at ASC`,
+          [parent.id]
+        );
+        return result.rows.map(({ password_hash, ...user }) => user);
+      } catch (error) {
+        if (error.code === '42P01') {
+          return [];
+        }
+        throw error;
+      }
+    },
+  },
+
+  Review: {
+    app: async (parent, _, context) => {
+      const appId = getField(parent, 'app_id');
+      if (context.loaders) {
+        return context.loaders.appById.load(appId);
+      }
+      const result = await context.pool.query('SELECT * FROM apps WHERE id = $1', [appId]);
+      return result.rows[0];
+    },
+    user: async (parent, _, context) => {
+      const userId = getField(parent, 'user_id');
+      if (context.loaders) {
+        return context.loaders.userById.load(userId);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+      return result.rows[0];
+    },
+    rating: parent => getField(parent, 'rating', Number),
+    reviewText: parent => getField(parent, 'review_text', String),
+    isVerifiedPurchase: parent => Boolean(getField(parent, 'is_verified_purchase')),
+    helpfulCount: parent => getField(parent, 'helpful_count', Number) || 0,
+    unhelpfulCount: parent => getField(parent, 'unhelpful_count', Number) || 0,
+    helpfulness: parent => reviewHelpfulness(parent),
+    createdAt: parent => getField(parent, 'created_at', String)
+  },
+
+  QuarantinedVote: {
+    factCheck: async (parent, _, context) => {
+      const result = await context.pool.query('SELECT * FROM fact_checks WHERE id = $1', [parent.fact_check_id]);
+      return result.rows[0];
+    },
+    voter: async (parent, _, context) => {
+      if (context.loaders) {
+        return context.loaders.userById.load(parent.user_id);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.user_id]);
+      return result.rows[0];
+    },
+    vote: parent => getField(parent, 'vote_value', Number),
+    weight: parent => getField(parent, 'weight', Number),
+    reason: parent => getField(parent, 'quarantine_reason', String),
+    quarantinedAt: parent => getField(parent, 'quarantined_at', String)
+  },
+
+  FactCheckAppeal: {
+    reviewTally: (parent, _, context) => getAppealReviewTally(context.pool, parent.id)
+  },
+
+  ExpertApplication: {
+    user: async (parent, _, context) => {
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.user_id]);
+      return result.rows[0];
+    },
+    reviewedBy: async (parent, _, context) => {
+      if (!parent.reviewed_by) return null;
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.reviewed_by]);
+      return result.rows[0];
+    },
+    // Evidence of credentials is private to the applicant and admins
+    evidence: (parent, _, context) => {
+      const viewer = context.user;
+      const allowed = viewer && (viewer.role === 'admin' || String(viewer.userId) === String(parent.user_id));
+      return allowed ? parent.evidence || [] : null;
+    },
+    reviewNote: parent => getField(parent, 'review_note', String),
+    reviewedAt: parent => getField(parent, 'reviewed_at', String),
+    createdAt: parent => getField(parent, 'created_at', String)
+  },
+
+  FactCheckDraft: {
+    confidenceScore: parent => getField(parent, 'confidence_score', Number),
+    imageUrl: parent => getField(parent, 'image_url', String),
+    sectionVersions: parent => parent.section_versions || {},
+    submittedAt: parent => getField(parent, 'submitted_at', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+    updatedAt: parent => getField(parent, 'updated_at', String),
+    owner: async (parent, _, context) => {
+      if (context.loaders) {
+        return context.loaders.userById.load(parent.owner_id);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.owner_id]);
+      return result.rows[0];
+    },
+    coAuthors: async (parent, _, context) => {
+      const result = await context.pool.query(
+        `SELECT u.* FROM fact_check_draft_authors a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.draft_id = $1 AND a.role = 'coauthor'
+         ORDER BY a.created_at ASC`,
+        [parent.id]
+      );
+      return result.rows.map(({ password_hash, ...user }) => user);
+    },
+    factCheck: async (parent, _, context) => {
+      if (!parent.fact_check_id) return null;
+      const result = await context.pool.query('SELECT * FROM fact_checks WHERE id = $1', [parent.fact_check_id]);
+      return result.rows[0] || null;
+    }
+  },
+
+  VerdictChange: {
+    factCheckId: parent => getField(parent, 'fact_check_id', String),
+    oldVerdict: parent => getField(parent, 'old_verdict', String),
+    newVerdict: parent => getField(parent, 'new_verdict', String),
+    oldConfidence: parent => getField(parent, 'old_confidence', Number),
+    newConfidence: parent => getField(parent, 'new_confidence', Number),
+    actorType: parent => getField(parent, 'actor_type', String) || 'automated',
+    appealId: parent => getField(parent, 'appeal_id', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+    changedBy: async (parent, _, context) => {
+      if (!parent.changed_by) return null;
+      if (context.loaders) {
+        return context.loaders.userById.load(parent.changed_by);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.changed_by]);
+      return result.rows[0];
+    }
+  },
+
+  FactCheckRevision: {
+    draftId: parent => getField(parent, 'draft_id', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+    author: async (parent, _, context) => {
+      if (!parent.author_id) return null;
+      if (context.loaders) {
+        return context.loaders.userById.load(parent.author_id);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.author_id]);
+      return result.rows[0];
+    }
   },
 
   User: {
+    badges: (parent, _, context) => getUserBadges(context.pool, parent.id),
+    expertCategories: (parent, _, context) => getExpertCategories(context.pool, parent.id),
+    level: parent => getContributorLevel(getField(parent, 'truth_score', Number)),
+    // Moderation status: visible to the account owner and moderators
+    accountStatus: (parent, _, context) => (
+      canViewHidden(context, parent.id) ? getField(parent, 'account_status', String) || 'active' : null
+    ),
+    suspensionReason: (parent, _, context) => (
+      canViewHidden(context, parent.id) ? getField(parent, 'suspension_reason', String) : null
+    ),
+    suspendedUntil: (parent, _, context) => (
+      canViewHidden(context, parent.id) ? getField(parent, 'suspended_until', String) : null
+    ),
+    // Only visible to the account owner
+    twoFactorEnabled: (parent, _, context) => {
+      const viewerId = context.user?.userId;
+      if (!viewerId || String(viewerId) !== String(parent.id)) return null;
+      return !!parent.two_factor_enabled;
+    },
     avatar: parent => getField(parent, 'avatar', String),
     avatarUrl: parent => getField(parent, 'avatar_url', String),
     avatarThumbnailUrl: parent => getField(parent, 'avatar_thumbnail_url', String),
@@ -1802,8 +5534,176 @@ const resolvers = {
     bio: parent => getField(parent, 'bio', String),
   },
 
+  ClaimTrend: {
+    id: parent => `${parent.time_window}:${parent.cluster_key}`,
+    window: parent => parent.time_window,
+    baselineVolume: parent => getField(parent, 'baseline_volume', Number),
+    acceleration: parent => getField(parent, 'acceleration', Number),
+    factCheckCount: parent => getField(parent, 'fact_check_count', Number),
+    bountyCount: parent => getField(parent, 'bounty_count', Number),
+    searchCount: parent => getField(parent, 'search_count', Number),
+    firstSeenAt: parent => getField(parent, 'first_seen_at', String),
+    computedAt: parent => getField(parent, 'computed_at', String),
+    alertedAt: parent => getField(parent, 'alerted_at', String),
+    factChecks: async (parent, _, context) => {
+      const ids = parent.fact_check_ids || [];
+      if (ids.length === 0) return [];
+      const result = await context.pool.query(
+        'SELECT * FROM fact_checks WHERE id = ANY($1::uuid[]) AND hidden_at IS NULL ORDER BY created_at DESC',
+        [ids]
+      );
+      return result.rows;
+    }
+  },
+
+  LeaderboardEntry: {
+    previousRank: parent => getField(parent, 'previous_rank', Number),
+    rankChange: parent => getField(parent, 'rank_change', Number),
+    user: async (parent, _, context) => {
+      if (context.loaders) {
+        return context.loaders.userById.load(parent.user_id);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.user_id]);
+      return result.rows[0];
+    }
+  },
+
+  Bounty: {
+    rewardAmount: parent => getField(parent, 'reward_amount', Number),
+    payoutAmount: parent => getField(parent, 'payout_amount', Number),
+    blockchainTx: parent => getField(parent, 'blockchain_tx', String),
+    disputeReason: parent => getField(parent, 'dispute_reason', String),
+    claimedAt: parent => getField(parent, 'claimed_at', String),
+    claimExpiresAt: parent => getField(parent, 'claim_expires_at', String),
+    submittedAt: parent => getField(parent, 'submitted_at', String),
+    expiresAt: parent => getField(parent, 'expires_at', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+    closedAt: parent => getField(parent, 'closed_at', String),
+    creator: async (parent, _, context) => {
+      const creatorId = getField(parent, 'creator_id');
+      if (!creatorId) return null;
+      if (context.loaders) {
+        return context.loaders.userById.load(creatorId);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [creatorId]);
+      return result.rows[0] || null;
+    },
+    claimer: async (parent, _, context) => {
+      const claimerId = getField(parent, 'claimer_id');
+      if (!claimerId) return null;
+      if (context.loaders) {
+        return context.loaders.userById.load(claimerId);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [claimerId]);
+      return result.rows[0] || null;
+    },
+    factCheck: async (parent, _, context) => {
+      const factCheckId = getField(parent, 'fact_check_id');
+      if (!factCheckId) return null;
+      const result = await context.pool.query('SELECT * FROM fact_checks WHERE id = $1', [factCheckId]);
+      return result.rows[0] || null;
+    },
+  },
+
+  AuthPayload: {
+    twoFactorRequired: parent => !!parent.twoFactorRequired,
+  },
+
+  TwoFactorPolicy: {
+    updatedAt: parent => getField(parent, 'updated_at', String),
+  },
+
+  ApiKey: {
+    dailyQuota: parent => getField(parent, 'daily_quota', Number),
+    expiresAt: parent => getField(parent, 'expires_at', String),
+    lastUsedAt: parent => getField(parent, 'last_used_at', String),
+    revokedAt: parent => getField(parent, 'revoked_at', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+    active: parent => !parent.revoked_at && (!parent.expires_at || new Date(parent.expires_at) > new Date()),
+  },
+
+  WebhookEndpoint: {
+    createdAt: parent => getField(parent, 'created_at', String),
+    updatedAt: parent => getField(parent, 'updated_at', String),
+  },
+
+  WebhookDelivery: {
+    endpointId: parent => getField(parent, 'endpoint_id', String),
+    nextAttemptAt: parent => getField(parent, 'next_attempt_at', String),
+    lastStatusCode: parent => getField(parent, 'last_status_code', Number),
+    lastError: parent => getField(parent, 'last_error'),
+    deliveredAt: parent => getField(parent, 'delivered_at', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+  },
+
+  ContentReport: {
+    contentType: parent => getField(parent, 'content_type', String),
+    contentId: parent => getField(parent, 'content_id', String),
+    resolutionAction: parent => getField(parent, 'resolution_action', String),
+    resolutionNotes: parent => getField(parent, 'resolution_notes', String),
+    resolvedAt: parent => getField(parent, 'resolved_at', String),
+    createdAt: parent => getField(parent, 'created_at', String),
+    reportCount: parent => getField(parent, 'report_count', Number) || 0,
+    reporter: async (parent, _, context) => {
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.reporter_id]);
+      return result.rows[0] || null;
+    },
+    resolvedBy: async (parent, _, context) => {
+      if (!parent.resolved_by) return null;
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.resolved_by]);
+      return result.rows[0] || null;
+    },
+    contentHidden: async (parent, _, context) => {
+      const content = await findReportedContent(context.pool, parent.content_type, parent.content_id);
+      return Boolean(content?.hidden_at);
+    },
+  },
+
+  ReputationEntry: {
+    userId: parent => getField(parent, 'user_id', String),
+    sourceType: parent => getField(parent, 'source_type', String),
+    sourceId: parent => getField(parent, 'source_id', String),
+    balance: parent => getField(parent, 'balance', Number),
+    truthScore: parent => getField(parent, 'truth_score', Number),
+    createdBy: async (parent, _, context) => {
+      if (!parent.created_by) return null;
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.created_by]);
+      return result.rows[0] || null;
+    },
+    createdAt: parent => getField(parent, 'created_at', String),
+  },
+
+  ReputationRule: {
+    updatedAt: parent => getField(parent, 'updated_at', String),
+  },
+
+  AuditLogEntry: {
+    actorId: parent => getField(parent, 'user_id', String),
+    actor: async (parent, _, context) => {
+      if (!parent.user_id) return null;
+      if (context.loaders) {
+        return context.loaders.userById.load(parent.user_id);
+      }
+      const result = await context.pool.query('SELECT * FROM users WHERE id = $1', [parent.user_id]);
+      return result.rows[0] || null;
+    },
+    targetType: parent => getField(parent, 'target_type', String),
+    targetId: parent => getField(parent, 'target_id', String),
+    before: parent => getField(parent, 'before_state'),
+    after: parent => getField(parent, 'after_state'),
+    createdAt: parent => getField(parent, 'created_at', String),
+  },
+
+  Session: {
+    userAgent: parent => getField(parent, 'user_agent'),
+    ipAddress: parent => getField(parent, 'ip_address'),
+    createdAt: parent => getField(parent, 'created_at', String),
+    lastSeenAt: parent => getField(parent, 'last_seen_at', String),
+  },
+
   Notification: {
     userId: parent => getField(parent, 'user_id', String),
+    readAt: parent => getField(parent, 'read_at', String),
     createdAt: parent => getField(parent, 'created_at', String),
   },
 };
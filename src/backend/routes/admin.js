@@ -0,0 +1,84 @@
+// src/backend/routes/admin.js
+// REST endpoints for admins that don't fit GraphQL (streamed file downloads)
+
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { formatErrorResponse } = require('../utils/errorHandler');
+const {
+  AUDIT_EXPORT_FORMATS,
+  buildAuditFilterParams,
+  streamAuditLog,
+  recordAudit
+} = require('../utils/auditLog');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+module.exports = function createAdminRouter(pool) {
+  const router = express.Router();
+
+  /**
+   * GET /api/v1/admin/audit-log/export?format=csv|jsonl
+   * Same filters as the auditLog query: actorId, action, targetType, targetId, from, to
+   */
+  router.get('/audit-log/export', requireRole('admin'), async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`,
+        code: 'BAD_USER_INPUT'
+      });
+    }
+
+    const filters = {
+      actorId: req.query.actorId,
+      action: req.query.action,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId,
+      from: req.query.from,
+      to: req.query.to
+    };
+
+    try {
+      buildAuditFilterParams(filters);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'BAD_USER_INPUT' });
+    }
+
+    try {
+      // The export itself is audited before any rows leave the server
+      await recordAudit(pool, {
+        actorId: req.user.userId,
+        action: 'export_audit_log',
+        metadata: { format, filters }
+      });
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.${format}"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      const rows = await streamAuditLog(pool, filters, format, chunk => new Promise(resolve => {
+        if (res.write(chunk)) {
+          resolve();
+        } else {
+          res.once('drain', resolve);
+        }
+      }));
+
+      console.log(`📤 Audit log export (${format}, ${rows} rows) by user ${req.user.userId}`);
+      return res.end();
+    } catch (error) {
+      console.error('Audit log export failed:', error);
+      if (res.headersSent) {
+        // Cut the download short rather than hand over a silently truncated file
+        return res.destroy(error);
+      }
+      return res.status(500).json(formatErrorResponse(error, 'INTERNAL_SERVER_ERROR'));
+    }
+  });
+
+  return router;
+};
@@ -9,6 +9,7 @@ const { requireAuth } = require('../middleware/auth');
 const { formatErrorResponse } = require('../utils/errorHandler');
 const { buildUserDataExport, logPrivacyRequest } = require('../utils/privacy');
 const { sanitizePlainText } = require('../utils/sanitizer');
+const { clearReputation } = require('../utils/reputation');
 
 module.exports = function createPrivacyRouter(pool) {
   const router = express.Router();
@@ -66,7 +67,6 @@ module.exports = function createPrivacyRouter(pool) {
              email = $3,
              wallet_address = NULL,
              password_hash = $4,
-             truth_score = 0,
              is_verified = FALSE,
              role = 'user',
              deleted_at = CURRENT_TIMESTAMP
@@ -79,6 +79,9 @@ module.exports = function createPrivacyRouter(pool) {
         return res.status(404).json({ success: false, error: { message: 'User not found.' } });
       }
 
+      // truth_score is the ledger's running sum, so it is zeroed by a correcting entry
+      await clearReputation(pool, userId);
+
       const payload = { reason: reason || null };
       await logPrivacyRequest(pool, {
         userId,
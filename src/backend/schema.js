@@ -12,12 +12,21 @@ const typeDefs = gql`
   type User {
     id: ID!
     username: String!
-    email: String!
+    email: String
     walletAddress: String
     truthScore: Int!
     reputation: Int
+    level: ContributorLevel!
+    badges: [UserBadge!]!
+    # Categories the user holds expert credentials in
+    expertCategories: [String!]!
     isVerified: Boolean!
     role: String!
+    twoFactorEnabled: Boolean
+    # active, suspended or banned; only visible to the user and moderators
+    accountStatus: String
+    suspensionReason: String
+    suspendedUntil: DateTime
     avatarUrl: String
     avatar: String
     avatarThumbnailUrl: String
@@ -93,8 +102,13 @@ const typeDefs = gql`
     verifiedBy: User
     createdAt: DateTime!
     updatedAt: DateTime!
-    reviews: [Review!]
+    # Ranked by helpfulness with newer reviews favoured unless another sort is asked for;
+    # at most the top 100 for the sort
+    reviews(sort: ReviewSort = RELEVANT): [Review!]
+    # Hidden and spam-held reviews are left out
     averageRating: Float
+    # Reviews held by the spam filter or hidden by moderators
+    filteredReviewCount: Int!
   }
 
   # Fact check type for NewsTruth vertical
@@ -113,6 +127,17 @@ const typeDefs = gql`
     upvotes: Int!
     downvotes: Int!
     appeals: [FactCheckAppeal!]
+    # Set when the fact-check was written as a collaborative draft
+    coAuthors: [User!]!
+    # Verdict and confidence changes, oldest first
+    history: [VerdictChange!]!
+    # Set when a moderator merged this duplicate into another fact-check
+    mergedInto: FactCheck
+    # Net votes weighted by each voter's account age, verified email, reputation, voting history
+    # and expertise in the category; quarantined votes are left out. upvotes/downvotes stay raw.
+    weightedScore: Float!
+    # How experts in this category voted
+    expertConsensus: ExpertConsensus!
     sourceCredibilityScore: Float
     createdAt: DateTime!
     updatedAt: DateTime!
@@ -131,6 +156,65 @@ const typeDefs = gql`
     reviewedBy: User
     reviewedAt: DateTime
     createdAt: DateTime!
+    # Weighted community reviews (see submitAppealReview)
+    reviewTally: AppealReviewTally!
+  }
+
+  # A vote held back from weightedScore by the coordinated-voting detector
+  type QuarantinedVote {
+    factCheck: FactCheck!
+    voter: User!
+    vote: Int!
+    weight: Float!
+    # new_account_burst, shared_fingerprint or correlated_pair
+    reason: String!
+    quarantinedAt: DateTime!
+  }
+
+  type AppealReviewTally {
+    supportWeight: Float!
+    opposeWeight: Float!
+    reviewCount: Int!
+    expertReviewCount: Int!
+  }
+
+  enum ExpertConsensusStatus {
+    SUPPORTS
+    DISPUTES
+    SPLIT
+    # Fewer than two expert votes
+    INSUFFICIENT
+  }
+
+  type ExpertConsensus {
+    status: ExpertConsensusStatus!
+    expertVotes: Int!
+    agree: Int!
+    disagree: Int!
+    # Share of expert votes agreeing with the verdict
+    agreement: Float
+  }
+
+  type ExpertApplication {
+    id: ID!
+    user: User!
+    category: String!
+    credentials: String!
+    # Only visible to the applicant and admins
+    evidence: [String!]
+    status: String!
+    reviewedBy: User
+    reviewNote: String
+    reviewedAt: DateTime
+    createdAt: DateTime!
+  }
+
+  input ExpertApplicationInput {
+    category: String!
+    # Summary of qualifications (degrees, licences, employer)
+    credentials: String!
+    # Links or references admins can check
+    evidence: [String!]!
   }
 
   # Blockchain transaction record
@@ -157,9 +241,21 @@ const typeDefs = gql`
     reviewText: String
     isVerifiedPurchase: Boolean!
     helpfulCount: Int!
+    unhelpfulCount: Int!
+    # Lower bound of the Wilson score interval for the helpful share (0 with no votes)
+    helpfulness: Float!
     createdAt: DateTime!
   }
 
+  enum ReviewSort {
+    # Helpfulness decayed by age
+    RELEVANT
+    NEWEST
+    MOST_HELPFUL
+    # Lowest ratings first
+    CRITICAL
+  }
+
   # AI recommendation type
   type Recommendation {
     id: ID!
@@ -171,6 +267,7 @@ const typeDefs = gql`
   }
 
   # Bounty type for crowd-sourced fact checking
+  # Lifecycle: open → claimed → submitted → completed | expired | disputed
   type Bounty {
     id: ID!
     claim: String!
@@ -180,15 +277,130 @@ const typeDefs = gql`
     claimer: User
     factCheck: FactCheck
     blockchainTx: String
+    claimedAt: DateTime
+    claimExpiresAt: DateTime
+    submittedAt: DateTime
+    expiresAt: DateTime
+    payoutAmount: Float
+    disputeReason: String
     createdAt: DateTime!
     closedAt: DateTime
   }
 
   # Authentication response
+  # token/refreshToken are null while a two-factor challenge is pending
   type AuthPayload {
-    token: String!
-    refreshToken: String!
+    token: String
+    refreshToken: String
     user: User!
+    twoFactorRequired: Boolean!
+    challengeToken: String
+  }
+
+  # Returned when starting 2FA enrollment (render otpauthUri as a QR code)
+  type TwoFactorSetup {
+    secret: String!
+    otpauthUri: String!
+  }
+
+  # Researcher API key (the secret is only returned by createApiKey)
+  type ApiKey {
+    id: ID!
+    name: String!
+    prefix: String!
+    scopes: [String!]!
+    dailyQuota: Int!
+    expiresAt: DateTime
+    lastUsedAt: DateTime
+    revokedAt: DateTime
+    createdAt: DateTime!
+    active: Boolean!
+  }
+
+  type CreatedApiKey {
+    apiKey: ApiKey!
+    key: String!
+  }
+
+  type ApiKeyUsageDay {
+    date: String!
+    requests: Int!
+  }
+
+  type ApiKeyUsage {
+    apiKey: ApiKey!
+    days: [ApiKeyUsageDay!]!
+    dailyQuota: Int!
+    usedToday: Int!
+    remainingToday: Int!
+  }
+
+  # Partner webhook endpoint (the signing secret is only returned by createWebhookEndpoint)
+  type WebhookEndpoint {
+    id: ID!
+    url: String!
+    description: String
+    events: [String!]!
+    active: Boolean!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type CreatedWebhookEndpoint {
+    endpoint: WebhookEndpoint!
+    secret: String!
+  }
+
+  # One entry in the delivery log; status is pending, retrying, delivered or dead
+  type WebhookDelivery {
+    id: ID!
+    endpointId: ID!
+    event: String!
+    payload: JSON!
+    status: String!
+    attempts: Int!
+    nextAttemptAt: DateTime
+    lastStatusCode: Int
+    lastError: String
+    deliveredAt: DateTime
+    createdAt: DateTime!
+  }
+
+  # A user report against a fact-check, review, appeal or profile.
+  # status is open, escalated, dismissed or actioned.
+  type ContentReport {
+    id: ID!
+    contentType: String!
+    contentId: ID!
+    reason: String!
+    details: String
+    status: String!
+    reporter: User
+    resolutionAction: String
+    resolutionNotes: String
+    resolvedBy: User
+    resolvedAt: DateTime
+    createdAt: DateTime!
+    reportCount: Int!
+    contentHidden: Boolean!
+  }
+
+  type TwoFactorPolicy {
+    role: String!
+    required: Boolean!
+    updatedAt: DateTime
+  }
+
+  # A signed-in device (one refresh token family)
+  type Session {
+    id: ID!
+    device: String!
+    userAgent: String
+    ipAddress: String
+    location: String
+    createdAt: DateTime!
+    lastSeenAt: DateTime
+    current: Boolean!
   }
 
   # Paginated results
@@ -232,6 +444,65 @@ const typeDefs = gql`
     totalCount: Int
   }
 
+  enum TrendWindow {
+    HOUR
+    DAY
+    WEEK
+  }
+
+  # Related claims, bounties and searches arriving faster than usual
+  type ClaimTrend {
+    id: ID!
+    window: TrendWindow!
+    # Most representative claim text
+    label: String!
+    keywords: [String!]!
+    # Signals in the window, and the volume expected from the baseline period
+    volume: Int!
+    baselineVolume: Float!
+    # (volume + 1) / (baselineVolume + 1)
+    acceleration: Float!
+    factCheckCount: Int!
+    bountyCount: Int!
+    searchCount: Int!
+    # Recent fact-checks in the cluster
+    factChecks: [FactCheck!]!
+    firstSeenAt: DateTime
+    computedAt: DateTime!
+    # When moderators were alerted, if the cluster crossed the alert threshold
+    alertedAt: DateTime
+  }
+
+  enum LeaderboardWindow {
+    WEEK
+    MONTH
+    ALL_TIME
+  }
+
+  type LeaderboardEntry {
+    rank: Int!
+    user: User!
+    score: Int!
+    # Rank in the previous period (previous week for ALL_TIME); null if the user was not on the board
+    previousRank: Int
+    # Places gained since the previous period (negative when dropping)
+    rankChange: Int
+  }
+
+  type LeaderboardEdge {
+    node: LeaderboardEntry!
+    cursor: String!
+  }
+
+  type LeaderboardConnection {
+    edges: [LeaderboardEdge!]!
+    pageInfo: PageInfoCursor!
+    totalCount: Int
+    window: LeaderboardWindow!
+    category: String
+    computedAt: DateTime
+  }
+
   type PageInfoCursor {
     hasNextPage: Boolean!
     hasPreviousPage: Boolean!
@@ -253,7 +524,7 @@ const typeDefs = gql`
     username: String!
     email: String!
     password: String!
-    walletAddress: String
+    walletAddress: String @deprecated(reason: "Use linkWallet to prove wallet ownership")
   }
 
   input LoginInput {
@@ -278,6 +549,8 @@ const typeDefs = gql`
     explanation: String
     category: String!
     imageUrl: String
+    # Submit even though a near-identical claim has already been checked
+    allowDuplicate: Boolean
   }
 
   input ReviewInput {
@@ -286,10 +559,23 @@ const typeDefs = gql`
     reviewText: String
   }
 
+  input WebhookEndpointInput {
+    url: String
+    description: String
+    events: [String!]
+    active: Boolean
+  }
+
   # Queries (read operations)
   type Query {
     # Authentication
     me: User
+    mySessions: [Session!]!
+    twoFactorPolicies: [TwoFactorPolicy!]!
+    apiKeys: [ApiKey!]!
+    apiKeyUsage(id: ID!, days: Int): ApiKeyUsage!
+    webhookEndpoints: [WebhookEndpoint!]!
+    webhookDeliveries(endpointId: ID!, status: String, limit: Int): [WebhookDelivery!]!
 
     # Apps
     apps(
@@ -319,12 +605,40 @@ const typeDefs = gql`
 
     # Users
     user(id: ID!): User
-    leaderboard(limit: Int): [User!]!
+    # Ranked by reputation earned in the window; refreshed every few minutes
+    leaderboard(window: LeaderboardWindow, category: String, first: Int, after: String): LeaderboardConnection!
+    # Defaults to the current user; other users' history is moderator only
+    reputationHistory(userId: ID, limit: Int, offset: Int): [ReputationEntry!]!
+    blockedUsers: [User!]!
+
+    # Moderator: votes awaiting review, optionally for one fact-check
+    quarantinedVotes(factCheckId: ID, limit: Int, offset: Int): [QuarantinedVote!]!
+
+    # Expert network
+    myExpertApplications: [ExpertApplication!]!
+    expertApplications(status: String, limit: Int, offset: Int): [ExpertApplication!]!
+    expertReviewQueue(limit: Int, offset: Int): [FactCheck!]!
+
+    # Emerging narratives, fastest-accelerating first
+    trendingClaims(window: TrendWindow, limit: Int): [ClaimTrend!]!
+
+    # Already-checked claims resembling the text (any language), best match first
+    similarClaims(text: String!, limit: Int): [SimilarClaim!]!
+
+    # Collaborative drafts (authors only)
+    myDrafts(status: String, limit: Int, offset: Int): [FactCheckDraft!]!
+    factCheckDraft(id: ID!): FactCheckDraft
+    # id may be a draft id or the id of the fact-check it was submitted as; authors and moderators
+    factCheckRevisions(id: ID!, limit: Int, offset: Int): [FactCheckRevision!]!
 
     # Bounties
     bounties(status: String): [Bounty!]!
     bounty(id: ID!): Bounty
 
+    # Notifications (current user)
+    notifications(unreadOnly: Boolean, after: String, first: Int): NotificationConnection!
+    unreadNotificationCount: Int!
+
     # Blockchain & Transactions
     userTransactions(walletAddress: String, userId: ID): [BlockchainTransaction!]!
     transaction(hash: String!): BlockchainTransaction
@@ -336,7 +650,28 @@ const typeDefs = gql`
     # Admin queries (require admin/moderator role)
     pendingApps(limit: Int, offset: Int): AppConnection!
     pendingFactChecks(limit: Int, offset: Int): FactCheckConnection!
+    moderationQueue(
+      contentType: String
+      reason: String
+      status: String
+      olderThanHours: Int
+      newerThanHours: Int
+      limit: Int
+      offset: Int
+    ): [ContentReport!]!
     adminStats: AdminStats!
+    reputationRules: [ReputationRule!]!
+    # Admin only; CSV/JSONL export at GET /api/v1/admin/audit-log/export with the same filters
+    auditLog(
+      actorId: ID
+      action: String
+      targetType: String
+      targetId: ID
+      from: DateTime
+      to: DateTime
+      after: String
+      first: Int
+    ): AuditLogConnection!
 
     # Cursor-based pagination queries (recommended for better performance)
     appsCursor(
@@ -382,6 +717,28 @@ const typeDefs = gql`
     login(input: LoginInput!): AuthPayload!
     refreshToken(token: String!): AuthPayload!
     logout: Boolean!
+    revokeSession(id: ID!): Boolean!
+    revokeAllOtherSessions: Int!
+    createApiKey(name: String!, scopes: [String!]!, expiresInDays: Int): CreatedApiKey!
+    revokeApiKey(id: ID!): Boolean!
+    createWebhookEndpoint(url: String!, events: [String!]!, description: String): CreatedWebhookEndpoint!
+    updateWebhookEndpoint(id: ID!, input: WebhookEndpointInput!): WebhookEndpoint!
+    deleteWebhookEndpoint(id: ID!): Boolean!
+    sendTestWebhook(id: ID!): WebhookDelivery!
+    retryWebhookDelivery(id: ID!): WebhookDelivery!
+    siweNonce: String!
+    siweLogin(message: String!, signature: String!): AuthPayload!
+    linkWallet(message: String!, signature: String!): User!
+    verifyTwoFactorLogin(challengeToken: String!, code: String!): AuthPayload!
+    setupTwoFactor: TwoFactorSetup!
+    confirmTwoFactor(code: String!): [String!]!
+    disableTwoFactor(password: String!, code: String!): Boolean!
+    regenerateRecoveryCodes(code: String!): [String!]!
+    setTwoFactorPolicy(role: String!, required: Boolean!): TwoFactorPolicy!
+    verifyEmail(token: String!): Boolean!
+    resendVerificationEmail: Boolean!
+    changeEmail(newEmail: String!, password: String): Boolean!
+    confirmEmailChange(token: String!): User!
     requestPasswordReset(email: String!): Boolean!
     resetPassword(token: String!, newPassword: String!): Boolean!
 
@@ -392,16 +749,32 @@ const typeDefs = gql`
 
     # Fact Checks
     submitFactCheck(input: FactCheckInput!): FactCheck!
+    createFactCheckDraft(input: FactCheckDraftInput): FactCheckDraft!
+    # Saves one section; fails with CONFLICT if a co-author changed it after baseVersion
+    updateFactCheckDraft(id: ID!, section: DraftSection!, baseVersion: Int!, input: FactCheckDraftInput!): FactCheckDraft!
+    inviteDraftCoAuthor(draftId: ID!, userId: ID!): FactCheckDraft!
+    removeDraftCoAuthor(draftId: ID!, userId: ID!): Boolean!
+    # Publishes the draft into the pendingFactChecks review queue
+    submitDraftForReview(id: ID!, allowDuplicate: Boolean): FactCheckDraft!
     voteFactCheck(id: ID!, vote: Int!): FactCheck!
 
     # Reviews
     submitReview(input: ReviewInput!): Review!
-    markReviewHelpful(id: ID!): Review!
+    # One vote per user; pass helpful: false to mark a review unhelpful
+    markReviewHelpful(id: ID!, helpful: Boolean = true): Review!
 
     # Bounties
-    createBounty(claim: String!, rewardAmount: Float!): Bounty!
+    createBounty(claim: String!, rewardAmount: Float!, expiresInDays: Int): Bounty!
     claimBounty(id: ID!): Bounty!
+    submitBountyWork(id: ID!, factCheckId: ID!): Bounty!
     completeBounty(id: ID!, factCheckId: ID!): Bounty!
+    disputeBounty(id: ID!, reason: String!): Bounty!
+    resolveBountyDispute(id: ID!, approved: Boolean!): Bounty!
+
+    # Notifications
+    markNotificationRead(id: ID!): Notification!
+    markAllNotificationsRead: Int!
+    deleteNotification(id: ID!): Boolean!
 
     # User profile and preferences
     updateProfile(userId: ID!, bio: String, avatar: String, socialLinks: [SocialLinkInput!]): User!
@@ -433,9 +806,36 @@ const typeDefs = gql`
       newVerdict: String
     ): FactCheckAppeal!
 
+    # Blocking (hides the user's reviews, stops their appeals and mutes their notifications)
+    blockUser(id: ID!): User!
+    unblockUser(id: ID!): Boolean!
+
+    # Content reports (reasons: spam, harassment, hate_speech, misinformation, off_topic, impersonation, other)
+    reportContent(contentType: String!, contentId: ID!, reason: String!, details: String): ContentReport!
+
     # Admin mutations (require admin/moderator role)
+    resolveReport(id: ID!, action: String!, notes: String): ContentReport!
+    suspendUser(id: ID!, reason: String!, until: DateTime!): User!
+    banUser(id: ID!, reason: String!): User!
+    reinstateUser(id: ID!): User!
+    setUserRole(id: ID!, role: String!): User!
+    adjustReputation(userId: ID!, delta: Int!, justification: String!): ReputationEntry!
+    setReputationRule(event: String!, delta: Int!, active: Boolean): ReputationRule!
     verifyApp(id: ID!): App!
     verifyFactCheck(id: ID!): FactCheck!
+    # Moderator: approve or reject quarantined votes; returns how many were reviewed
+    reviewQuarantinedVotes(factCheckId: ID!, userIds: [ID!]!, approve: Boolean!): Int!
+
+    # Expert network (reviews and revocation are admin only)
+    applyForExpert(input: ExpertApplicationInput!): ExpertApplication!
+    reviewExpertApplication(id: ID!, approved: Boolean!, note: String): ExpertApplication!
+    revokeExpertCredential(userId: ID!, category: String!, reason: String!): Boolean!
+    submitAppealReview(appealId: ID!, supports: Boolean!, proposedVerdict: String, note: String): FactCheckAppeal!
+
+    # Moves votes, appeals and bounties from source to target and hides the source
+    mergeFactChecks(sourceId: ID!, targetId: ID!): FactCheck!
+    # Admin only; reason is shown in FactCheck.history
+    editFactCheckVerdict(id: ID!, verdict: String!, confidenceScore: Float, reason: String!): FactCheck!
     rejectApp(id: ID!, reason: String): Boolean!
     rejectFactCheck(id: ID!, reason: String): Boolean!
   }
@@ -456,10 +856,159 @@ const typeDefs = gql`
     metadata: JSON
   }
 
-  # Subscriptions (real-time updates via WebSocket)
+  # Level derived from truth score
+  type ContributorLevel {
+    level: Int!
+    name: String!
+    minScore: Int!
+    # Truth score needed for the next level (null at the top level)
+    nextLevelScore: Int
+  }
+
+  type UserBadge {
+    key: String!
+    name: String!
+    description: String!
+    awardedAt: DateTime!
+  }
+
+  # One immutable change to a user's truth score
+  type ReputationEntry {
+    id: ID!
+    userId: ID!
+    delta: Int!
+    reason: String!
+    sourceType: String
+    sourceId: ID
+    justification: String
+    createdBy: User
+    # Running total after this entry (reputationHistory only)
+    balance: Int
+    # The user's score right after the entry was recorded (adjustReputation only)
+    truthScore: Int
+    createdAt: DateTime!
+  }
+
+  type SimilarClaim {
+    factCheck: FactCheck!
+    # 0-1, combined trigram and word-shingle overlap of the normalized English text
+    similarity: Float!
+    # Similar enough that submitFactCheck rejects it without allowDuplicate
+    isDuplicate: Boolean!
+  }
+
+  # One verdict/confidence change on a fact-check
+  type VerdictChange {
+    id: ID!
+    factCheckId: ID!
+    oldVerdict: String
+    newVerdict: String
+    oldConfidence: Float
+    newConfidence: Float
+    # automated_reverification, appeal or admin_edit
+    reason: String!
+    # Admin's explanation for an admin_edit
+    note: String
+    # user or automated
+    actorType: String!
+    changedBy: User
+    appealId: ID
+    createdAt: DateTime!
+  }
+
+  # Independently editable parts of a draft (DETAILS = category and image)
+  enum DraftSection {
+    CLAIM
+    VERDICT
+    EXPLANATION
+    SOURCES
+    DETAILS
+  }
+
+  input FactCheckDraftInput {
+    claim: String
+    verdict: String
+    confidenceScore: Float
+    sources: JSON
+    explanation: String
+    category: String
+    imageUrl: String
+  }
+
+  type FactCheckDraft {
+    id: ID!
+    owner: User!
+    coAuthors: [User!]!
+    claim: String
+    verdict: String
+    confidenceScore: Float
+    sources: JSON
+    explanation: String
+    category: String
+    imageUrl: String
+    # draft or submitted
+    status: String!
+    version: Int!
+    # Version at which each section last changed, e.g. { "claim": 3 }
+    sectionVersions: JSON!
+    factCheck: FactCheck
+    submittedAt: DateTime
+    createdAt: DateTime!
+    updatedAt: DateTime!
+  }
+
+  type FactCheckRevision {
+    id: ID!
+    draftId: ID!
+    version: Int!
+    section: String!
+    author: User
+    # The section's fields after this save
+    content: JSON!
+    # Per field: word-level ops for text, { from, to } for values, { added, removed } for sources
+    diff: JSON!
+    createdAt: DateTime!
+  }
+
+  type ReputationRule {
+    event: String!
+    delta: Int!
+    description: String
+    active: Boolean!
+    updatedAt: DateTime
+  }
+
+  # Privileged action with the target row before and after (credentials redacted)
+  type AuditLogEntry {
+    id: ID!
+    actorId: ID
+    actor: User
+    action: String!
+    targetType: String
+    targetId: ID
+    metadata: JSON
+    before: JSON
+    after: JSON
+    createdAt: DateTime!
+  }
+
+  type AuditLogEdge {
+    node: AuditLogEntry!
+    cursor: String!
+  }
+
+  type AuditLogConnection {
+    edges: [AuditLogEdge!]!
+    pageInfo: PageInfoCursor!
+    totalCount: Int
+  }
+
+  # Subscriptions (real-time updates via graphql-ws on /graphql)
+  # Connections must send { authToken } in connection params
   type Subscription {
     factCheckAdded(category: String): FactCheck!
     bountyCreated: Bounty!
+    bountyUpdated(id: ID): Bounty!
     appVerified(id: ID!): App!
     notificationAdded(userId: ID!): Notification!
   }
@@ -472,8 +1021,20 @@ const typeDefs = gql`
     message: String!
     data: JSON
     read: Boolean!
+    readAt: DateTime
     createdAt: DateTime!
   }
+
+  type NotificationEdge {
+    node: Notification!
+    cursor: String!
+  }
+
+  type NotificationConnection {
+    edges: [NotificationEdge!]!
+    pageInfo: PageInfoCursor!
+    totalCount: Int
+  }
 `;
 
 module.exports = typeDefs;
\ No newline at end of file
@@ -4,8 +4,11 @@
 // Import required packages
 const express = require('express');
 const { ApolloServer } = require('apollo-server-express');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const cors = require('cors');
 const helmet = require('helmet');
 const { Pool } = require('pg');
@@ -17,6 +20,7 @@ const {
   getSecret,
   getNumber,
   getArray,
+  getTrustProxy,
   getDatabaseConfig
 } = require('../config/secrets');
 
@@ -25,13 +29,22 @@ loadSecrets();
 // Import utilities
 const { validateEnvironment, printValidationResults, getFeatureFlags } = require('./utils/envValidator');
 const { createBatchLoaders } = require('./utils/dataLoader');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authenticateConnectionParams } = require('./middleware/auth');
+const { pubsub } = require('./utils/pubsub');
 const { perUserRateLimiter } = require('./middleware/rateLimiter');
 const PoolMonitor = require('./utils/poolMonitor');
 const { createComplexityPlugin } = require('./middleware/graphqlComplexity');
 const jobManager = require('./queues/jobManager');
-const { handleEmailJob, handleBlockchainJob, handleFactCheckJob } = require('./queues/jobHandlers');
+const scheduler = require('./queues/scheduler');
+const {
+  handleEmailJob,
+  handleBlockchainJob,
+  handleFactCheckJob,
+  createMaintenanceJobHandler,
+  createWebhookJobHandler
+} = require('./queues/jobHandlers');
 const createPrivacyRouter = require('./routes/privacy');
+const createAdminRouter = require('./routes/admin');
 
 // Validate environment before starting
 const validation = validateEnvironment();
@@ -42,15 +55,23 @@ if (!printValidationResults(validation)) {
 // Import GraphQL schema and resolvers
 const typeDefs = require('./schema');
 const resolvers = require('./resolvers');
+const schema = makeExecutableSchema({ typeDefs, resolvers });
 
 // Initialize Express app
 const app = express();
 const httpServer = createServer(app);
 
+// Behind a load balancer req.ip would otherwise be the proxy's address for every client
+// (rate limits, session locations and vote fingerprints all key on it)
+app.set('trust proxy', getTrustProxy());
+
 // PostgreSQL connection pool (reuses connections for performance)
 const pool = new Pool(getDatabaseConfig());
 const poolMonitor = new PoolMonitor(pool);
 
+// Shared with middleware that needs the database (API key lookup and quotas)
+app.locals.pool = pool;
+
 const NODE_ENV = getSecret('NODE_ENV', 'development');
 const SENTRY_DSN = getSecret('SENTRY_DSN');
 const SENTRY_TRACES_SAMPLE_RATE = parseFloat(getSecret('SENTRY_TRACES_SAMPLE_RATE', '0.1'));
@@ -79,6 +100,64 @@ pool.query('SELECT NOW()', (err, res) => {
 jobManager.registerWorker('email-jobs', handleEmailJob);
 jobManager.registerWorker('blockchain-jobs', handleBlockchainJob);
 jobManager.registerWorker('fact-check-jobs', handleFactCheckJob);
+jobManager.registerWorker('maintenance-jobs', createMaintenanceJobHandler(pool));
+jobManager.registerWorker('webhook-jobs', createWebhookJobHandler(pool));
+
+// Recurring maintenance (claim expiry, bounty deadlines, suspension expiry, badges, leaderboards)
+scheduler.every(
+  'expire-bounties',
+  getNumber('BOUNTY_SWEEP_INTERVAL_MS', 5 * 60 * 1000),
+  'maintenance-jobs',
+  { type: 'expire-bounties' }
+);
+
+// Lift suspensions whose end time has passed
+scheduler.every(
+  'lift-suspensions',
+  getNumber('SUSPENSION_SWEEP_INTERVAL_MS', 5 * 60 * 1000),
+  'maintenance-jobs',
+  { type: 'lift-suspensions' }
+);
+
+// Award badges for all users (also backfills badges earned before they existed)
+scheduler.every(
+  'evaluate-badges',
+  getNumber('BADGE_SWEEP_INTERVAL_MS', 15 * 60 * 1000),
+  'maintenance-jobs',
+  { type: 'evaluate-badges' }
+);
+
+// Recompute weekly, monthly and all-time leaderboards from the reputation ledger
+scheduler.every(
+  'refresh-leaderboards',
+  getNumber('LEADERBOARD_REFRESH_INTERVAL_MS', 10 * 60 * 1000),
+  'maintenance-jobs',
+  { type: 'refresh-leaderboards' }
+);
+
+// Cluster new claims, bounties and searches and flag accelerating narratives to moderators
+scheduler.every(
+  'detect-trends',
+  getNumber('TREND_DETECTION_INTERVAL_MS', 5 * 60 * 1000),
+  'maintenance-jobs',
+  { type: 'detect-trends' }
+);
+
+// Quarantine coordinated fact-check votes (new-account bursts, shared fingerprints, voter rings)
+scheduler.every(
+  'detect-vote-fraud',
+  getNumber('VOTE_FRAUD_SWEEP_INTERVAL_MS', 10 * 60 * 1000),
+  'maintenance-jobs',
+  { type: 'detect-vote-fraud' }
+);
+
+// Outbound webhook retries whose backoff has elapsed
+scheduler.every(
+  'webhook-retries',
+  getNumber('WEBHOOK_RETRY_SWEEP_INTERVAL_MS', 30 * 1000),
+  'webhook-jobs',
+  { type: 'retry-due' }
+);
 
 console.log('✅ Background job queues initialized');
 
@@ -132,6 +211,9 @@ app.use('/graphql', perUserRateLimiter);
 // GDPR/CCPA compliance endpoints
 app.use('/api/v1/privacy', createPrivacyRouter(pool));
 
+// Admin exports (audit log)
+app.use('/api/v1/admin', createAdminRouter(pool));
+
 // File upload endpoints
 const uploadRouter = require('./routes/upload');
 app.use('/api/v1/upload', uploadRouter);
@@ -183,10 +265,42 @@ app.get('/api/v1/apps/trending', async (req, res) => {
   }
 });
 
+// GraphQL subscriptions over WebSocket (graphql-ws protocol on /graphql).
+// noServer mode so Socket.io keeps handling its own upgrade requests.
+const wsServer = new WebSocketServer({ noServer: true });
+
+httpServer.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname !== '/graphql') {
+    return; // Socket.io handles /socket.io upgrades
+  }
+
+  wsServer.handleUpgrade(req, socket, head, (ws) => {
+    wsServer.emit('connection', ws, req);
+  });
+});
+
+const subscriptionServer = useServer({
+  schema,
+  // Reject the connection unless connection_init carries a valid token
+  onConnect: async (ctx) => {
+    const user = await authenticateConnectionParams(ctx.connectionParams, pool);
+    if (!user) {
+      return false;
+    }
+    ctx.extra.user = user;
+    return true;
+  },
+  context: (ctx) => ({
+    pool,
+    loaders: createBatchLoaders(pool),
+    user: ctx.extra.user
+  })
+}, wsServer);
+
 // Apollo GraphQL Server setup
 const apolloServer = new ApolloServer({
-  typeDefs,
-  resolvers,
+  schema,
   plugins: [createComplexityPlugin()],
   context: ({ req }) => {
     // Initialize batch loaders for this request to prevent N+1 queries
@@ -239,6 +353,11 @@ io.on('connection', (socket) => {
     socket.join(`factchecks:${category}`);
     console.log(`User subscribed to fact-checks: ${category}`);
   });
+
+  // Bounty lifecycle updates (created, claimed, submitted, completed, ...)
+  socket.on('subscribe:bounties', () => {
+    socket.join('bounties');
+  });
   
   socket.on('disconnect', () => {
     console.log(`🔌 WebSocket disconnected: ${socket.id}`);
@@ -250,8 +369,13 @@ function broadcastFactCheck(category, data) {
   io.to(`factchecks:${category}`).emit('new-factcheck', data);
 }
 
+function broadcastBounty(event, payload) {
+  io.to('bounties').emit(event, payload);
+}
+
 // Make broadcast available globally
 global.broadcastFactCheck = broadcastFactCheck;
+global.broadcastBounty = broadcastBounty;
 
 if (SENTRY_DSN) {
   app.use(Sentry.Handlers.errorHandler());
@@ -277,6 +401,11 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  scheduler.stop();
+  await subscriptionServer.dispose();
+  if (typeof pubsub.close === 'function') {
+    await pubsub.close();
+  }
   await jobManager.close(); // Close job queues first
   await pool.end();
   httpServer.close(() => {
@@ -296,6 +425,7 @@ startApolloServer().then(() => {
 📍 REST API:    http://localhost:${PORT}/api/v1
 📍 GraphQL:     http://localhost:${PORT}/graphql
 📍 WebSockets:  ws://localhost:${PORT}
+📍 Subscriptions: ws://localhost:${PORT}/graphql
 📍 Health:      http://localhost:${PORT}/health
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 Environment: ${NODE_ENV}
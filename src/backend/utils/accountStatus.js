@@ -0,0 +1,150 @@
+// src/backend/utils/accountStatus.js
+// Account suspensions and bans: cached status lookups, automatic expiry and errors
+
+const cacheManager = require('./cacheManager');
+const { createGraphQLError } = require('./errorHandler');
+
+const ACCOUNT_STATUS_CACHE_TTL_SECONDS = 60;
+
+/**
+ * Look up whether an account is currently suspended or banned.
+ * Expired suspensions are lifted on read, so access returns as soon as the end time passes.
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<object|null>} { status, reason, until } or null for active accounts
+ */
+async function getAccountRestriction(pool, userId) {
+  if (!pool || !userId) {
+    return null;
+  }
+
+  const cacheKey = `account-status:${userId}`;
+  let record = await cacheManager.get(cacheKey);
+
+  if (!record) {
+    let row;
+    try {
+      const result = await pool.query(
+        'SELECT account_status, suspension_reason, suspended_until FROM users WHERE id = $1',
+        [userId]
+      );
+      row = result.rows[0];
+    } catch (error) {
+      if (error.code === '42703') {
+        return null; // Suspension columns not migrated yet
+      }
+      throw error;
+    }
+
+    record = {
+      status: row?.account_status || 'active',
+      reason: row?.suspension_reason || null,
+      until: row?.suspended_until ? new Date(row.suspended_until).toISOString() : null
+    };
+    await cacheManager.set(cacheKey, record, ACCOUNT_STATUS_CACHE_TTL_SECONDS);
+  }
+
+  if (record.status === 'suspended' && record.until && new Date(record.until) <= new Date()) {
+    await liftSuspension(pool, userId);
+    return null;
+  }
+
+  return record.status === 'active' ? null : record;
+}
+
+/**
+ * Clear an expired suspension for one user
+ * @param {Pool} pool
+ * @param {string} userId
+ */
+async function liftSuspension(pool, userId) {
+  await pool.query(
+    `UPDATE users
+     SET account_status = 'active', suspension_reason = NULL, suspended_until = NULL
+     WHERE id = $1 AND account_status = 'suspended' AND suspended_until <= CURRENT_TIMESTAMP`,
+    [userId]
+  );
+  await forgetAccountStatus(userId);
+}
+
+/**
+ * Lift every suspension whose end time has passed (periodic maintenance)
+ * @param {Pool} pool
+ * @returns {Promise<{lifted: number}>}
+ */
+async function liftExpiredSuspensions(pool) {
+  const result = await pool.query(
+    `UPDATE users
+     SET account_status = 'active', suspension_reason = NULL, suspended_until = NULL
+     WHERE account_status = 'suspended' AND suspended_until <= CURRENT_TIMESTAMP
+     RETURNING id`
+  );
+
+  for (const row of result.rows) {
+    await forgetAccountStatus(row.id);
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`🔓 Lifted ${result.rows.length} expired suspension(s)`);
+  }
+  return { lifted: result.rows.length };
+}
+
+/**
+ * Drop the cached status so a new suspension or reinstatement applies immediately
+ * @param {string} userId
+ */
+async function forgetAccountStatus(userId) {
+  await cacheManager.delete(`account-status:${userId}`);
+}
+
+/**
+ * Describe a restriction for error messages
+ * @param {object} restriction - From getAccountRestriction
+ * @returns {{message: string, code: string}}
+ */
+function describeRestriction(restriction) {
+  const reason = restriction.reason ? ` Reason: ${restriction.reason}` : '';
+
+  if (restriction.status === 'banned') {
+    return { message: `This account has been banned.${reason}`, code: 'ACCOUNT_BANNED' };
+  }
+
+  return {
+    message: `This account is suspended until ${restriction.until}.${reason}`,
+    code: 'ACCOUNT_SUSPENDED'
+  };
+}
+
+/**
+ * Build the GraphQL error for a restricted account
+ * @param {object} restriction - From getAccountRestriction
+ * @returns {GraphQLError}
+ */
+function accountRestrictionError(restriction) {
+  const { message, code } = describeRestriction(restriction);
+  return createGraphQLError(message, code, { suspendedUntil: restriction.until });
+}
+
+/**
+ * Throw when the account may not sign in or act
+ * @param {Pool} pool
+ * @param {string} userId
+ * @throws {GraphQLError} ACCOUNT_SUSPENDED or ACCOUNT_BANNED
+ */
+async function assertAccountActive(pool, userId) {
+  const restriction = await getAccountRestriction(pool, userId);
+  if (restriction) {
+    throw accountRestrictionError(restriction);
+  }
+}
+
+module.exports = {
+  getAccountRestriction,
+  liftSuspension,
+  liftExpiredSuspensions,
+  forgetAccountStatus,
+  describeRestriction,
+  accountRestrictionError,
+  assertAccountActive
+};
@@ -0,0 +1,130 @@
+// src/backend/utils/apiKeys.js
+// Researcher API keys: generation, hashed lookup, scopes and daily quotas
+
+const crypto = require('crypto');
+const { getNumber } = require('../../config/secrets');
+const cacheManager = require('./cacheManager');
+
+const API_KEY_SCOPES = ['read:apps', 'read:factchecks', 'write:factchecks'];
+const API_KEY_PREFIX = 'aw_';
+const API_KEY_DAILY_QUOTA = getNumber('API_KEY_DAILY_QUOTA', 1000);
+const API_KEY_MAX_ACTIVE = getNumber('API_KEY_MAX_ACTIVE', 10);
+const API_KEY_CACHE_TTL_SECONDS = 60;
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, prefix: string, keyHash: string}} The plain key is only ever shown once
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.slice(0, 10),
+    keyHash: hashApiKey(key)
+  };
+}
+
+/**
+ * Hash an API key for storage/lookup (keys are random, so a fast hash is enough)
+ * @param {string} key
+ * @returns {string}
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Resolve an X-API-Key header to its key record.
+ * Lookups are cached briefly; revokeApiKey clears the entry.
+ * @param {Pool} pool
+ * @param {string} key - Plain key from the request
+ * @returns {Promise<object|null>} { id, userId, role, scopes, dailyQuota } or null when invalid
+ */
+async function resolveApiKey(pool, key) {
+  if (!key || typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const keyHash = hashApiKey(key);
+  const cacheKey = `api-key:${keyHash}`;
+  let record = await cacheManager.get(cacheKey);
+
+  if (!record) {
+    const result = await pool.query(
+      `SELECT k.id, k.user_id, k.scopes, k.daily_quota, k.expires_at, u.role
+       FROM api_keys k
+       JOIN users u ON u.id = k.user_id
+       WHERE k.key_hash = $1 AND k.revoked_at IS NULL`,
+      [keyHash]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    record = {
+      id: row.id,
+      userId: row.user_id,
+      role: row.role,
+      scopes: row.scopes || [],
+      dailyQuota: row.daily_quota,
+      expiresAt: row.expires_at
+    };
+    await cacheManager.set(cacheKey, record, API_KEY_CACHE_TTL_SECONDS);
+  }
+
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Count a request against the key's daily quota
+ * @param {Pool} pool
+ * @param {object} apiKey - Record from resolveApiKey
+ * @returns {Promise<{used: number, remaining: number, exceeded: boolean}>}
+ */
+async function recordApiKeyUsage(pool, apiKey) {
+  const result = await pool.query(
+    `INSERT INTO api_key_usage (api_key_id, usage_date, request_count)
+     VALUES ($1, CURRENT_DATE, 1)
+     ON CONFLICT (api_key_id, usage_date)
+     DO UPDATE SET request_count = api_key_usage.request_count + 1
+     RETURNING request_count`,
+    [apiKey.id]
+  );
+
+  await pool.query(
+    'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [apiKey.id]
+  );
+
+  const used = result.rows[0].request_count;
+  return {
+    used,
+    remaining: Math.max(apiKey.dailyQuota - used, 0),
+    exceeded: used > apiKey.dailyQuota
+  };
+}
+
+/**
+ * Drop a key from the lookup cache so revocation applies immediately
+ * @param {string} keyHash
+ */
+async function forgetApiKey(keyHash) {
+  await cacheManager.delete(`api-key:${keyHash}`);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_DAILY_QUOTA,
+  API_KEY_MAX_ACTIVE,
+  generateApiKey,
+  hashApiKey,
+  resolveApiKey,
+  recordApiKeyUsage,
+  forgetApiKey
+};
@@ -0,0 +1,220 @@
+// src/backend/utils/auditLog.js
+// Audit trail for privileged actions: recording with snapshots, filtering and export
+
+const { getNumber } = require('../../config/secrets');
+const { createGraphQLError } = require('./errorHandler');
+const { executePaginationQuery } = require('./pagination');
+const { encodeCursor } = require('./cursor');
+
+const AUDIT_EXPORT_FORMATS = ['csv', 'jsonl'];
+const AUDIT_EXPORT_BATCH_SIZE = 500;
+const AUDIT_EXPORT_MAX_ROWS = getNumber('AUDIT_EXPORT_MAX_ROWS', 100000);
+
+// Credentials never belong in the audit trail, even hashed
+const REDACTED_FIELDS = [
+  'password_hash',
+  'two_factor_secret',
+  'two_factor_pending_secret',
+  'email_change_nonce',
+  'secret',
+  'key_hash',
+  'token_hash',
+  'code_hash'
+];
+
+// Filters map to $1..$6; a NULL parameter disables that filter
+const AUDIT_LOG_QUERY = `SELECT * FROM activity_log
+  WHERE ($1::uuid IS NULL OR user_id = $1)
+    AND ($2::text IS NULL OR action = $2)
+    AND ($3::text IS NULL OR target_type = $3)
+    AND ($4::text IS NULL OR target_id = $4)
+    AND ($5::timestamp IS NULL OR created_at >= $5)
+    AND ($6::timestamp IS NULL OR created_at < $6)`;
+
+const AUDIT_CSV_COLUMNS = ['id', 'createdAt', 'actorId', 'action', 'targetType', 'targetId', 'metadata', 'before', 'after'];
+
+/**
+ * Copy a row for the audit trail with credential columns removed
+ * @param {object|null} row
+ * @returns {object|null}
+ */
+function toAuditSnapshot(row) {
+  if (!row) {
+    return null;
+  }
+
+  const snapshot = { ...row };
+  REDACTED_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+}
+
+/**
+ * Write an audit entry for a privileged action
+ * @param {Pool} pool
+ * @param {object} entry - { actorId, action, targetType, targetId, before, after, metadata }
+ */
+async function recordAudit(pool, { actorId, action, targetType = null, targetId = null, before = null, after = null, metadata = {} }) {
+  await pool.query(
+    `INSERT INTO activity_log (user_id, action, metadata, target_type, target_id, before_state, after_state)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      actorId,
+      action,
+      JSON.stringify(metadata || {}),
+      targetType,
+      targetId === null || targetId === undefined ? null : String(targetId),
+      before ? JSON.stringify(toAuditSnapshot(before)) : null,
+      after ? JSON.stringify(toAuditSnapshot(after)) : null
+    ]
+  );
+}
+
+function parseFilterDate(value, label) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createGraphQLError(`${label} must be a valid date`, 'BAD_USER_INPUT');
+  }
+  return date;
+}
+
+/**
+ * Turn audit log filters into parameters for AUDIT_LOG_QUERY
+ * @param {object} filters - { actorId, action, targetType, targetId, from, to }
+ * @returns {Array}
+ * @throws {GraphQLError} BAD_USER_INPUT for unparseable dates or an empty range
+ */
+function buildAuditFilterParams({ actorId, action, targetType, targetId, from, to } = {}) {
+  const fromDate = parseFilterDate(from, 'from');
+  const toDate = parseFilterDate(to, 'to');
+
+  if (fromDate && toDate && fromDate >= toDate) {
+    throw createGraphQLError('from must be earlier than to', 'BAD_USER_INPUT');
+  }
+
+  return [
+    actorId || null,
+    action || null,
+    targetType || null,
+    targetId === null || targetId === undefined || targetId === '' ? null : String(targetId),
+    fromDate,
+    toDate
+  ];
+}
+
+/**
+ * Fetch one page of audit entries, newest first
+ * @param {Pool} pool
+ * @param {object} filters - See buildAuditFilterParams
+ * @param {object} page - { after, first }
+ * @returns {Promise<object>} executePaginationQuery result
+ */
+async function fetchAuditPage(pool, filters, { after = null, first = 50 } = {}) {
+  return executePaginationQuery({
+    pool,
+    baseQuery: AUDIT_LOG_QUERY,
+    baseParams: buildAuditFilterParams(filters),
+    afterCursor: after,
+    first,
+    orderField: 'created_at',
+    orderDirection: 'DESC',
+    idField: 'id'
+  });
+}
+
+/**
+ * Shape an activity_log row for export
+ * @param {object} row
+ * @returns {object}
+ */
+function serializeAuditEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+    actorId: row.user_id || null,
+    action: row.action,
+    targetType: row.target_type || null,
+    targetId: row.target_id || null,
+    metadata: row.metadata || null,
+    before: row.before_state || null,
+    after: row.after_state || null
+  };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an entry as one line of the chosen export format
+ * @param {object} entry - From serializeAuditEntry
+ * @param {string} format - One of AUDIT_EXPORT_FORMATS
+ * @returns {string} Line including the trailing newline
+ */
+function formatAuditLine(entry, format) {
+  if (format === 'jsonl') {
+    return `${JSON.stringify(entry)}\n`;
+  }
+  return `${AUDIT_CSV_COLUMNS.map(column => escapeCsvValue(entry[column])).join(',')}\n`;
+}
+
+/**
+ * Stream every matching entry in batches, so large exports never sit in memory
+ * @param {Pool} pool
+ * @param {object} filters - See buildAuditFilterParams
+ * @param {string} format - One of AUDIT_EXPORT_FORMATS
+ * @param {function} write - Receives each chunk; may return a promise to apply backpressure
+ * @returns {Promise<number>} Rows written (capped at AUDIT_EXPORT_MAX_ROWS)
+ */
+async function streamAuditLog(pool, filters, format, write) {
+  if (format === 'csv') {
+    await write(`${AUDIT_CSV_COLUMNS.join(',')}\n`);
+  }
+
+  let after = null;
+  let written = 0;
+
+  while (written < AUDIT_EXPORT_MAX_ROWS) {
+    const page = await fetchAuditPage(pool, filters, {
+      after,
+      first: Math.min(AUDIT_EXPORT_BATCH_SIZE, AUDIT_EXPORT_MAX_ROWS - written)
+    });
+
+    for (const row of page.rows) {
+      await write(formatAuditLine(serializeAuditEntry(row), format));
+    }
+    written += page.rows.length;
+
+    if (!page.hasNextPage || !page.endCursor) {
+      break;
+    }
+    after = encodeCursor(page.endCursor);
+  }
+
+  return written;
+}
+
+module.exports = {
+  AUDIT_EXPORT_FORMATS,
+  AUDIT_EXPORT_MAX_ROWS,
+  AUDIT_CSV_COLUMNS,
+  toAuditSnapshot,
+  recordAudit,
+  buildAuditFilterParams,
+  fetchAuditPage,
+  serializeAuditEntry,
+  formatAuditLine,
+  streamAuditLog
+};
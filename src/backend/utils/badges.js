@@ -0,0 +1,190 @@
+// src/backend/utils/badges.js
+// Achievement badges (criteria evaluated in SQL) and contributor levels derived from truth score
+
+const { notify } = require('./notifications');
+
+// Each award statement inserts the badge for every qualifying user ($1 = one user id, or NULL for everyone)
+// and returns the users who did not have it yet.
+const BADGES = [
+  {
+    key: 'first_fact_check',
+    name: 'Truth Scout',
+    description: 'Submitted a first fact-check',
+    award: `INSERT INTO user_badges (user_id, badge_key)
+            SELECT DISTINCT submitted_by, 'first_fact_check'
+            FROM fact_checks
+            WHERE submitted_by IS NOT NULL AND ($1::uuid IS NULL OR submitted_by = $1)
+            ON CONFLICT (user_id, badge_key) DO NOTHING
+            RETURNING user_id`
+  },
+  {
+    key: 'first_verified_fact_check',
+    name: 'Verified Voice',
+    description: 'Had a fact-check verified by a moderator',
+    award: `INSERT INTO user_badges (user_id, badge_key)
+            SELECT DISTINCT submitted_by, 'first_verified_fact_check'
+            FROM fact_checks
+            WHERE submitted_by IS NOT NULL AND verified_by IS NOT NULL
+              AND ($1::uuid IS NULL OR submitted_by = $1)
+            ON CONFLICT (user_id, badge_key) DO NOTHING
+            RETURNING user_id`
+  },
+  {
+    key: 'upheld_appeals_10',
+    name: 'Course Corrector',
+    description: 'Had 10 appeals upheld',
+    award: `INSERT INTO user_badges (user_id, badge_key)
+            SELECT user_id, 'upheld_appeals_10'
+            FROM fact_check_appeals
+            WHERE status = 'approved' AND ($1::uuid IS NULL OR user_id = $1)
+            GROUP BY user_id
+            HAVING COUNT(*) >= 10
+            ON CONFLICT (user_id, badge_key) DO NOTHING
+            RETURNING user_id`
+  },
+  {
+    key: 'streak_30',
+    name: 'Thirty-Day Streak',
+    description: 'Contributed a fact-check or review on 30 consecutive days',
+    award: `WITH days AS (
+              SELECT DISTINCT user_id, created_at::date AS day
+              FROM (
+                SELECT submitted_by AS user_id, created_at FROM fact_checks
+                UNION ALL
+                SELECT user_id, created_at FROM reviews
+              ) activity
+              WHERE user_id IS NOT NULL AND ($1::uuid IS NULL OR user_id = $1)
+            ), runs AS (
+              SELECT user_id, day - (ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY day))::int AS run_start
+              FROM days
+            )
+            INSERT INTO user_badges (user_id, badge_key)
+            SELECT DISTINCT user_id, 'streak_30'
+            FROM runs
+            GROUP BY user_id, run_start
+            HAVING COUNT(*) >= 30
+            ON CONFLICT (user_id, badge_key) DO NOTHING
+            RETURNING user_id`
+  },
+  {
+    key: 'weekly_top_10',
+    name: 'Weekly Top 10',
+    description: 'Earned more reputation than all but nine contributors over a week',
+    award: `INSERT INTO user_badges (user_id, badge_key)
+            SELECT user_id, 'weekly_top_10'
+            FROM (
+              SELECT user_id
+              FROM reputation_ledger
+              WHERE created_at >= CURRENT_TIMESTAMP - INTERVAL '7 days'
+                AND reason NOT IN ('opening_balance', 'manual_adjustment')
+              GROUP BY user_id
+              HAVING SUM(delta) > 0
+              ORDER BY SUM(delta) DESC
+              LIMIT 10
+            ) top
+            WHERE $1::uuid IS NULL OR user_id = $1
+            ON CONFLICT (user_id, badge_key) DO NOTHING
+            RETURNING user_id`
+  }
+];
+
+const BADGES_BY_KEY = Object.fromEntries(BADGES.map(badge => [badge.key, badge]));
+
+// Minimum truth score for each level
+const CONTRIBUTOR_LEVELS = [
+  { level: 1, name: 'Newcomer', minScore: 0 },
+  { level: 2, name: 'Contributor', minScore: 100 },
+  { level: 3, name: 'Analyst', minScore: 500 },
+  { level: 4, name: 'Investigator', minScore: 1500 },
+  { level: 5, name: 'Sentinel', minScore: 5000 }
+];
+
+/**
+ * Level for a truth score, with the score needed for the next one
+ * @param {number} truthScore
+ * @returns {object} { level, name, minScore, nextLevelScore }
+ */
+function getContributorLevel(truthScore) {
+  const score = Number(truthScore) || 0;
+  let index = 0;
+  CONTRIBUTOR_LEVELS.forEach((level, i) => {
+    if (score >= level.minScore) index = i;
+  });
+
+  const next = CONTRIBUTOR_LEVELS[index + 1];
+  return { ...CONTRIBUTOR_LEVELS[index], nextLevelScore: next ? next.minScore : null };
+}
+
+/**
+ * Award every badge whose criteria are met and notify the new holders.
+ * Idempotent, so the maintenance job can run it over all users to backfill.
+ * @param {Pool} pool
+ * @param {object} options - { userId } to evaluate one user; omit for everyone
+ * @returns {Promise<{awarded: number}>}
+ */
+async function evaluateBadges(pool, { userId = null } = {}) {
+  let awarded = 0;
+
+  for (const badge of BADGES) {
+    let result;
+    try {
+      result = await pool.query(badge.award, [userId]);
+    } catch (error) {
+      if (error.code === '42P01') {
+        continue; // Source table not migrated yet
+      }
+      throw error;
+    }
+
+    for (const row of result.rows) {
+      awarded += 1;
+      await notify(pool, row.user_id, 'badge_earned', {
+        title: `Badge earned: ${badge.name}`,
+        message: `${badge.description}.`,
+        data: { badge: badge.key }
+      });
+    }
+  }
+
+  if (awarded > 0) {
+    console.log(`🏅 Awarded ${awarded} badge(s)`);
+  }
+  return { awarded };
+}
+
+/**
+ * Badges a user holds, oldest first (retired badges are left out)
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<Array>} [{ key, name, description, awardedAt }]
+ */
+async function getUserBadges(pool, userId) {
+  try {
+    const result = await pool.query(
+      'SELECT badge_key, awarded_at FROM user_badges WHERE user_id = $1 ORDER BY awarded_at ASC',
+      [userId]
+    );
+
+    return result.rows
+      .filter(row => BADGES_BY_KEY[row.badge_key])
+      .map(row => ({
+        key: row.badge_key,
+        name: BADGES_BY_KEY[row.badge_key].name,
+        description: BADGES_BY_KEY[row.badge_key].description,
+        awardedAt: row.awarded_at
+      }));
+  } catch (error) {
+    if (error.code === '42P01') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  BADGES,
+  CONTRIBUTOR_LEVELS,
+  getContributorLevel,
+  evaluateBadges,
+  getUserBadges
+};
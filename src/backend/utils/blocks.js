@@ -0,0 +1,79 @@
+// src/backend/utils/blocks.js
+// User blocking: lookups used to filter content, interactions and notifications
+
+const { getNumber } = require('../../config/secrets');
+const { createGraphQLError } = require('./errorHandler');
+
+const MAX_BLOCKED_USERS = getNumber('MAX_BLOCKED_USERS', 1000);
+
+/**
+ * Whether blockerId has blocked blockedId
+ * @param {Pool} pool
+ * @param {string} blockerId
+ * @param {string} blockedId
+ * @returns {Promise<boolean>} false when the blocks table has not been migrated yet
+ */
+async function isBlocked(pool, blockerId, blockedId) {
+  if (!blockerId || !blockedId || String(blockerId) === String(blockedId)) {
+    return false;
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT 1 FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+      [blockerId, blockedId]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    if (error.code === '42P01') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ids of every user a user has blocked
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+async function getBlockedUserIds(pool, userId) {
+  if (!userId) {
+    return new Set();
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT blocked_id FROM user_blocks WHERE blocker_id = $1',
+      [userId]
+    );
+    return new Set(result.rows.map(row => String(row.blocked_id)));
+  } catch (error) {
+    if (error.code === '42P01') {
+      return new Set();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Throw when the content owner has blocked the acting user
+ * @param {Pool} pool
+ * @param {string} ownerId - Owner of the content being acted on
+ * @param {string} actorId - User attempting the action
+ * @param {string} action - Used in the message, e.g. 'appeal'
+ * @throws {GraphQLError} FORBIDDEN
+ */
+async function assertNotBlockedBy(pool, ownerId, actorId, action) {
+  if (await isBlocked(pool, ownerId, actorId)) {
+    throw createGraphQLError(`You cannot ${action} content from a user who has blocked you`, 'FORBIDDEN');
+  }
+}
+
+module.exports = {
+  MAX_BLOCKED_USERS,
+  isBlocked,
+  getBlockedUserIds,
+  assertNotBlockedBy
+};
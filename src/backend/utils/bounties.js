@@ -0,0 +1,177 @@
+// src/backend/utils/bounties.js
+// Bounty lifecycle state machine: open → claimed → submitted → completed/expired/disputed
+
+const { createGraphQLError } = require('./errorHandler');
+const { getNumber } = require('../../config/secrets');
+const { TOPICS, publish } = require('./pubsub');
+const { recordAudit } = require('./auditLog');
+
+const BOUNTY_CLAIM_TTL_HOURS = getNumber('BOUNTY_CLAIM_TTL_HOURS', 72);
+
+const BOUNTY_STATUSES = ['open', 'claimed', 'submitted', 'completed', 'expired', 'disputed'];
+
+// Allowed status transitions. A claim that lapses (or a dispute that is
+// rejected) sends the bounty back to `open` so someone else can pick it up.
+const BOUNTY_TRANSITIONS = {
+  open: ['claimed', 'expired'],
+  claimed: ['open', 'submitted', 'expired'],
+  submitted: ['completed', 'disputed'],
+  disputed: ['completed', 'open'],
+  completed: [],
+  expired: []
+};
+
+/**
+ * Check whether a bounty may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (BOUNTY_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw a CONFLICT error if the transition is not allowed
+ * @param {object} bounty - Bounty row
+ * @param {string} to - Target status
+ */
+function assertTransition(bounty, to) {
+  if (!canTransition(bounty.status, to)) {
+    throw createGraphQLError(
+      `Bounty cannot move from ${bounty.status} to ${to}`,
+      'CONFLICT'
+    );
+  }
+}
+
+/**
+ * Compute when a claim made now will lapse
+ * @param {Date} now
+ * @returns {Date}
+ */
+function getClaimExpiry(now = new Date()) {
+  return new Date(now.getTime() + BOUNTY_CLAIM_TTL_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether the bounty's claim window has passed
+ * @param {object} bounty - Bounty row
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isClaimExpired(bounty, now = new Date()) {
+  return bounty.status === 'claimed'
+    && !!bounty.claim_expires_at
+    && new Date(bounty.claim_expires_at) <= now;
+}
+
+/**
+ * Check whether the bounty itself has passed its deadline
+ * @param {object} bounty - Bounty row
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isBountyExpired(bounty, now = new Date()) {
+  return !!bounty.expires_at && new Date(bounty.expires_at) <= now;
+}
+
+/**
+ * Emit a bounty lifecycle event to real-time subscribers
+ * (GraphQL subscriptions and the Socket.io `bounties` room)
+ * @param {string} event - 'bountyCreated' or 'bountyStatusChanged'
+ * @param {object} bounty - Bounty row
+ * @param {string|null} previousStatus
+ */
+function emitBountyEvent(event, bounty, previousStatus = null) {
+  if (event === 'bountyCreated') {
+    publish(TOPICS.BOUNTY_CREATED, { bountyCreated: bounty });
+  } else {
+    publish(TOPICS.BOUNTY_UPDATED, { bountyUpdated: bounty });
+  }
+
+  if (global.broadcastBounty) {
+    global.broadcastBounty(event, { bounty, previousStatus });
+  }
+}
+
+/**
+ * Record a status change in the activity log and notify subscribers
+ * @param {Pool} pool
+ * @param {object} options - { bounty, previousStatus, previous, actorId, metadata }; previous is the row before the change
+ */
+async function recordBountyTransition(pool, { bounty, previousStatus, previous = null, actorId, metadata = {} }) {
+  await recordAudit(pool, {
+    actorId,
+    action: 'bounty_status_change',
+    targetType: 'bounty',
+    targetId: bounty.id,
+    before: previous,
+    after: bounty,
+    metadata: {
+      bounty_id: bounty.id,
+      from: previousStatus,
+      to: bounty.status,
+      ...metadata
+    }
+  });
+
+  emitBountyEvent('bountyStatusChanged', bounty, previousStatus);
+}
+
+/**
+ * Release lapsed claims and expire bounties past their deadline.
+ * Run periodically from the maintenance queue.
+ * @param {Pool} pool
+ * @returns {Promise<object>} { released, expired }
+ */
+async function expireStaleBounties(pool) {
+  const expired = await pool.query(
+    `UPDATE bounties
+     SET status = 'expired',
+         claimer_id = NULL,
+         claimed_at = NULL,
+         claim_expires_at = NULL,
+         closed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE status IN ('open', 'claimed')
+       AND expires_at IS NOT NULL
+       AND expires_at <= NOW()
+     RETURNING *`
+  );
+
+  const released = await pool.query(
+    `UPDATE bounties
+     SET status = 'open',
+         claimer_id = NULL,
+         claimed_at = NULL,
+         claim_expires_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'claimed'
+       AND claim_expires_at <= NOW()
+     RETURNING *`
+  );
+
+  expired.rows.forEach(bounty => emitBountyEvent('bountyStatusChanged', bounty, null));
+  released.rows.forEach(bounty => emitBountyEvent('bountyStatusChanged', bounty, 'claimed'));
+
+  if (expired.rowCount || released.rowCount) {
+    console.log(`⏱️  Bounty sweep: ${released.rowCount} claim(s) released, ${expired.rowCount} bounty(ies) expired`);
+  }
+
+  return { released: released.rowCount, expired: expired.rowCount };
+}
+
+module.exports = {
+  BOUNTY_STATUSES,
+  BOUNTY_TRANSITIONS,
+  BOUNTY_CLAIM_TTL_HOURS,
+  canTransition,
+  assertTransition,
+  getClaimExpiry,
+  isClaimExpired,
+  isBountyExpired,
+  emitBountyEvent,
+  recordBountyTransition,
+  expireStaleBounties
+};
@@ -108,19 +108,59 @@ class CacheManager {
   }
 
   /**
-   * Delete cache key
+   * Delete cache key. The removal is atomic, so when several callers delete the same key
+   * only one of them gets true.
    * @param {string} key - Cache key to delete
+   * @returns {Promise<boolean>} Whether a live key was removed
    */
   async delete(key) {
     try {
+      let removed;
       if (this.redisEnabled && this.redis) {
-        await this.redis.del(key);
+        removed = (await this.redis.del(key)) > 0;
       } else {
-        this.inMemoryCache.delete(key);
+        const cached = this.inMemoryCache.get(key);
+        removed = this.inMemoryCache.delete(key) && !(cached.expiresAt && new Date() > cached.expiresAt);
       }
       console.log(`🗑️  Cache DELETED: ${key}`);
+      return removed;
     } catch (error) {
       console.warn(`Cache delete error for ${key}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Atomically increment a counter, starting a new one at 1 with the given TTL.
+   * The TTL is set only when the counter is created, so repeated increments don't extend it.
+   * @param {string} key - Counter key
+   * @param {number} ttlSeconds - Lifetime of a new counter
+   * @returns {Promise<number|null>} Value after the increment, or null on error
+   */
+  async increment(key, ttlSeconds = 3600) {
+    if (!key) return null;
+
+    try {
+      if (this.redisEnabled && this.redis) {
+        const value = await this.redis.incr(key);
+        if (value === 1) {
+          await this.redis.expire(key, ttlSeconds);
+        }
+        return value;
+      }
+
+      // No await between the read and the write, so concurrent callers can't interleave
+      const cached = this.inMemoryCache.get(key);
+      const live = cached && !(cached.expiresAt && new Date() > cached.expiresAt);
+      const value = (live ? Number(cached.value) || 0 : 0) + 1;
+      this.inMemoryCache.set(key, {
+        value,
+        expiresAt: live ? cached.expiresAt : new Date(Date.now() + ttlSeconds * 1000)
+      });
+      return value;
+    } catch (error) {
+      console.warn(`Cache increment error for ${key}:`, error.message);
+      return null;
     }
   }
 
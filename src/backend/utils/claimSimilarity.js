@@ -0,0 +1,178 @@
+// src/backend/utils/claimSimilarity.js
+// Near-duplicate claim detection: normalized English text compared by trigram and word-shingle overlap
+
+const crypto = require('crypto');
+const { translateToEnglish } = require('../../ai/languageDetection');
+const cacheManager = require('./cacheManager');
+
+// Combined score at which a claim is offered as "already checked"
+const SIMILAR_CLAIM_THRESHOLD = 0.45;
+// Combined score at which a new submission is treated as a duplicate
+const DUPLICATE_CLAIM_THRESHOLD = 0.8;
+// Trigram candidates fetched from the database before shingle scoring
+const CANDIDATE_POOL_SIZE = 25;
+
+const SHINGLE_SIZE = 2;
+
+// Translations are cached by normalized wording, so retyping a claim doesn't pay for it again
+const TRANSLATION_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Lower-case, strip punctuation and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeClaimText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Normalized English form of a claim, the text duplicates are matched on.
+ * Falls back to the original wording when translation is unavailable.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function toMatchingText(text) {
+  const normalized = normalizeClaimText(text);
+  const cacheKey = `claim-translation:${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+  const cached = await cacheManager.get(cacheKey);
+  if (cached !== null) {
+    return cached;
+  }
+
+  let english = text;
+  let translated = false;
+  try {
+    const translation = await translateToEnglish(text);
+    if (translation?.translatedText) {
+      english = translation.translatedText;
+      translated = !translation.error;
+    }
+  } catch (error) {
+    console.warn('Claim translation failed, matching on original text:', error.message);
+  }
+
+  const matchingText = normalizeClaimText(english);
+  // Fallbacks are not cached, so the claim is translated once the service is back
+  if (translated) {
+    await cacheManager.set(cacheKey, matchingText, TRANSLATION_CACHE_TTL_SECONDS);
+  }
+  return matchingText;
+}
+
+/**
+ * Jaccard overlap of two sets
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number} 0..1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Character trigrams per word, padded the way pg_trgm does
+ * @param {string} text - Normalized text
+ * @returns {Set<string>}
+ */
+function trigrams(text) {
+  const grams = new Set();
+  text.split(' ').filter(Boolean).forEach(word => {
+    const padded = `  ${word} `;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return grams;
+}
+
+/**
+ * Overlapping word sequences (single words for very short claims)
+ * @param {string} text - Normalized text
+ * @returns {Set<string>}
+ */
+function shingles(text) {
+  const words = text.split(' ').filter(Boolean);
+  if (words.length < SHINGLE_SIZE) {
+    return new Set(words);
+  }
+  const result = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Similarity of two normalized claims. Trigrams tolerate spelling and inflection changes;
+ * shingles reward the same words in the same order.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+function claimSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const score = 0.6 * jaccard(trigrams(a), trigrams(b)) + 0.4 * jaccard(shingles(a), shingles(b));
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Published fact-checks similar to a claim, best match first
+ * @param {Pool} pool
+ * @param {string} matchingText - Output of toMatchingText
+ * @param {object} options - { limit, excludeId }
+ * @returns {Promise<Array>} [{ factCheck, similarity, isDuplicate }]
+ */
+async function findSimilarClaims(pool, matchingText, { limit = 5, excludeId = null } = {}) {
+  if (!matchingText) {
+    return [];
+  }
+
+  let result;
+  try {
+    result = await pool.query(
+      `SELECT *, similarity(normalized_claim, $1) AS trigram_similarity
+       FROM fact_checks
+       WHERE hidden_at IS NULL
+         AND normalized_claim % $1
+         AND ($2::uuid IS NULL OR id <> $2)
+       ORDER BY trigram_similarity DESC
+       LIMIT $3`,
+      [matchingText, excludeId, CANDIDATE_POOL_SIZE]
+    );
+  } catch (error) {
+    // pg_trgm or the normalized_claim column not migrated yet
+    if (error.code === '42883' || error.code === '42703') {
+      return [];
+    }
+    throw error;
+  }
+
+  return result.rows
+    .map(row => {
+      const similarity = claimSimilarity(matchingText, row.normalized_claim);
+      return { factCheck: row, similarity, isDuplicate: similarity >= DUPLICATE_CLAIM_THRESHOLD };
+    })
+    .filter(match => match.similarity >= SIMILAR_CLAIM_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+module.exports = {
+  SIMILAR_CLAIM_THRESHOLD,
+  DUPLICATE_CLAIM_THRESHOLD,
+  normalizeClaimText,
+  toMatchingText,
+  claimSimilarity,
+  findSimilarClaims
+};
@@ -2,6 +2,8 @@
 // Batch loading utility to prevent N+1 query problems in resolvers
 // Uses a simple in-memory batching approach (for production, consider redis-based caching)
 
+const { REVIEW_SORTS, loadRankedReviews } = require('./reviewRanking');
+
 /**
  * Simple batch loader implementation
  * Groups multiple single-item queries into one batch query
@@ -152,26 +154,11 @@ function createBatchLoaders(pool) {
       return usersMap;
     }),
 
-    // Load reviews by app ID
-    reviewsByAppId: new BatchLoader(async (appIds) => {
-      const result = await pool.query(
-        `SELECT * FROM reviews WHERE app_id = ANY($1) ORDER BY created_at DESC`,
-        [appIds]
-      );
-      
-      const reviewsMap = new Map();
-      appIds.forEach(appId => {
-        reviewsMap.set(appId, []);
-      });
-      
-      result.rows.forEach(review => {
-        if (reviewsMap.has(review.app_id)) {
-          reviewsMap.get(review.app_id).push(review);
-        }
-      });
-      
-      return reviewsMap;
-    }),
+    // Load reviews by app ID, ranked in SQL: one loader per sort, at most REVIEWS_PER_APP per app
+    reviewsByAppId: Object.fromEntries(REVIEW_SORTS.map(sort => [
+      sort,
+      new BatchLoader(appIds => loadRankedReviews(pool, appIds, sort))
+    ])),
 
     // Load fact checks by user ID
     factChecksByUserId: new BatchLoader(async (userIds) => {
@@ -198,7 +185,7 @@ function createBatchLoaders(pool) {
     averageRatingByAppId: new BatchLoader(async (appIds) => {
       const result = await pool.query(
         `SELECT app_id, AVG(rating) as avg_rating FROM reviews 
-         WHERE app_id = ANY($1) 
+         WHERE app_id = ANY($1) AND hidden_at IS NULL
          GROUP BY app_id`,
         [appIds]
       );
@@ -215,6 +202,27 @@ function createBatchLoaders(pool) {
       return ratingsMap;
     }),
 
+    // Load the number of hidden (spam-held or moderated) reviews by app ID
+    filteredReviewCountByAppId: new BatchLoader(async (appIds) => {
+      const result = await pool.query(
+        `SELECT app_id, COUNT(*) AS count FROM reviews
+         WHERE app_id = ANY($1) AND hidden_at IS NOT NULL
+         GROUP BY app_id`,
+        [appIds]
+      );
+
+      const countsMap = new Map();
+      appIds.forEach(appId => {
+        countsMap.set(appId, 0);
+      });
+
+      result.rows.forEach(row => {
+        countsMap.set(row.app_id, parseInt(row.count, 10) || 0);
+      });
+
+      return countsMap;
+    }),
+
     // Load app by ID
     appById: new BatchLoader(async (appIds) => {
       const result = await pool.query(
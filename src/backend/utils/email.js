@@ -10,6 +10,8 @@ const FROM_EMAIL = getSecret('FROM_EMAIL', 'noreply@appwhistler.org');
 const FROM_NAME = getSecret('FROM_NAME', 'AppWhistler');
 const PASSWORD_RESET_BASE_URL = getSecret('PASSWORD_RESET_BASE_URL', 'http://localhost:3000/reset-password');
 const APP_URL = getSecret('APP_URL', 'http://localhost:3000');
+const EMAIL_VERIFICATION_BASE_URL = getSecret('EMAIL_VERIFICATION_BASE_URL', `${APP_URL}/verify-email`);
+const EMAIL_CHANGE_BASE_URL = getSecret('EMAIL_CHANGE_BASE_URL', `${APP_URL}/confirm-email-change`);
 
 // Initialize SendGrid
 if (SENDGRID_API_KEY && SENDGRID_API_KEY !== 'your_sendgrid_api_key') {
@@ -242,6 +244,98 @@ function getAccountLockoutTemplate(username, lockoutDurationMinutes, unlockTime)
     </div>
     <p>
       If you didn't attempt to log in, please reset your password immediately to secure your account.
+      You can also review your active sessions in account settings and sign out any device you don't recognize.
+    </p>
+    <div style="text-align: center;">
+      <a href="${PASSWORD_RESET_BASE_URL}" class="button" style="background: #dc3545;">
+        Reset Password Now
+      </a>
+    </div>
+    <div class="divider"></div>
+    <p style="font-size: 13px; color: #666;">
+      For security concerns, contact our support team.
+    </p>
+  `;
+  return getEmailTemplate(content);
+}
+
+/**
+ * Account Suspension / Ban Template
+ */
+function getAccountSuspensionTemplate(username, { banned, reason, until }) {
+  const content = `
+    <h2 style="color: #dc3545; margin-top: 0;">${banned ? 'Your Account Has Been Banned' : 'Your Account Has Been Suspended'}</h2>
+    <p>Hi <strong>${username}</strong>,</p>
+    <p>
+      ${banned
+        ? 'A moderator has permanently banned your AppWhistler account for breaking our community guidelines.'
+        : 'A moderator has temporarily suspended your AppWhistler account for breaking our community guidelines.'}
+    </p>
+    <div class="info-box" style="border-left-color: #dc3545;">
+      <p style="margin: 0;">
+        <strong>Reason:</strong> ${reason}${banned ? '' : `<br>
+        <strong>Suspended until:</strong> ${until}`}
+      </p>
+    </div>
+    <p>
+      ${banned
+        ? 'You will no longer be able to sign in.'
+        : 'You can still browse public content, but you cannot sign in or contribute until the suspension ends. It will lift automatically.'}
+    </p>
+    <div class="divider"></div>
+    <p style="font-size: 13px; color: #666;">
+      If you believe this was a mistake, reply to this email to contact our moderation team.
+    </p>
+  `;
+  return getEmailTemplate(content);
+}
+
+/**
+ * Email Address Verification Template (also used to confirm a new address)
+ */
+function getEmailVerificationTemplate(username, verifyLink, expirationHours, isEmailChange = false) {
+  const content = `
+    <h2 style="color: #333; margin-top: 0;">${isEmailChange ? 'Confirm Your New Email Address' : 'Verify Your Email Address'}</h2>
+    <p>Hi <strong>${username}</strong>,</p>
+    <p>
+      ${isEmailChange
+        ? 'You asked to use this address for your AppWhistler account. Confirm the change by clicking the button below:'
+        : 'Please confirm that this address belongs to you. Voting, appeals and bounties unlock once it is verified:'}
+    </p>
+    <div style="text-align: center;">
+      <a href="${verifyLink}" class="button">${isEmailChange ? 'Confirm New Email' : 'Verify Email'}</a>
+    </div>
+    <p style="font-size: 14px; color: #666;">
+      Or copy and paste this link into your browser:<br>
+      <a href="${verifyLink}" style="color: #667eea; word-break: break-all;">${verifyLink}</a>
+    </p>
+    <div class="info-box">
+      <p style="margin: 0;">
+        <strong>⏱️ This link expires in ${expirationHours} hour${expirationHours === 1 ? '' : 's'}</strong>
+      </p>
+    </div>
+    <div class="divider"></div>
+    <p style="font-size: 13px; color: #666;">
+      If you didn't request this, you can safely ignore this email.
+    </p>
+  `;
+  return getEmailTemplate(content);
+}
+
+/**
+ * Email Change Notice Template (sent to the old address)
+ */
+function getEmailChangeNoticeTemplate(username, newEmail, completed) {
+  const content = `
+    <h2 style="color: #dc3545; margin-top: 0;">${completed ? 'Your Email Address Was Changed' : 'Email Change Requested'}</h2>
+    <p>Hi <strong>${username}</strong>,</p>
+    <p>
+      ${completed
+        ? `The email address on your AppWhistler account has been changed to <strong>${newEmail}</strong>. This address will no longer receive account emails.`
+        : `Someone asked to change the email address on your AppWhistler account to <strong>${newEmail}</strong>. The change only takes effect once it is confirmed from the new address.`}
+    </p>
+    <p>
+      If this wasn't you, reset your password immediately and review your active sessions in account settings.
     </p>
     <div style="text-align: center;">
       <a href="${PASSWORD_RESET_BASE_URL}" class="button" style="background: #dc3545;">
@@ -409,6 +503,8 @@ Duration: ${lockoutDurationMinutes} minutes
 If you didn't attempt to log in, please reset your password immediately:
 ${PASSWORD_RESET_BASE_URL}
 
+You can also review your active sessions in account settings and sign out any device you don't recognize.
+
 - The AppWhistler Team
   `;
 
@@ -422,6 +518,123 @@ ${PASSWORD_RESET_BASE_URL}
   return { success: true };
 }
 
+/**
+ * Send account suspension or ban notice
+ */
+async function sendAccountSuspensionEmail(recipient, username, { banned = false, reason, until = null }) {
+  const htmlContent = getAccountSuspensionTemplate(username, { banned, reason, until });
+  const textContent = `
+Hi ${username},
+
+${banned
+    ? 'A moderator has permanently banned your AppWhistler account for breaking our community guidelines.'
+    : 'A moderator has temporarily suspended your AppWhistler account for breaking our community guidelines.'}
+
+Reason: ${reason}
+${banned ? 'You will no longer be able to sign in.' : `Suspended until: ${until}\nThe suspension will lift automatically.`}
+
+If you believe this was a mistake, reply to this email to contact our moderation team.
+
+- The AppWhistler Team
+  `;
+
+  await sendEmail(
+    recipient,
+    banned ? '🚫 Your AppWhistler Account Has Been Banned' : '⚠️ Your AppWhistler Account Has Been Suspended',
+    htmlContent,
+    textContent
+  );
+
+  return { success: true };
+}
+
+/**
+ * Send email address verification link
+ */
+async function sendEmailVerificationEmail(recipient, token, username = 'User', expirationHours = 24) {
+  const verifyLink = `${EMAIL_VERIFICATION_BASE_URL}?token=${encodeURIComponent(token)}`;
+  const htmlContent = getEmailVerificationTemplate(username, verifyLink, expirationHours);
+  const textContent = `
+Hi ${username},
+
+Please confirm that this address belongs to you by clicking this link:
+${verifyLink}
+
+Voting, appeals and bounties unlock once your email is verified.
+This link expires in ${expirationHours} hours.
+
+If you didn't create an AppWhistler account, you can safely ignore this email.
+
+- The AppWhistler Team
+  `;
+
+  await sendEmail(
+    recipient,
+    'Verify Your AppWhistler Email Address',
+    htmlContent,
+    textContent
+  );
+
+  return { recipient, verifyLink };
+}
+
+/**
+ * Send the confirmation link for an email change to the new address
+ */
+async function sendEmailChangeConfirmation(recipient, token, username = 'User', expirationHours = 1) {
+  const confirmLink = `${EMAIL_CHANGE_BASE_URL}?token=${encodeURIComponent(token)}`;
+  const htmlContent = getEmailVerificationTemplate(username, confirmLink, expirationHours, true);
+  const textContent = `
+Hi ${username},
+
+You asked to use this address for your AppWhistler account. Confirm the change here:
+${confirmLink}
+
+This link expires in ${expirationHours} hour${expirationHours === 1 ? '' : 's'}.
+
+If you didn't request this, you can safely ignore this email.
+
+- The AppWhistler Team
+  `;
+
+  await sendEmail(
+    recipient,
+    'Confirm Your New AppWhistler Email Address',
+    htmlContent,
+    textContent
+  );
+
+  return { recipient, confirmLink };
+}
+
+/**
+ * Tell the old address that an email change was requested or completed
+ */
+async function sendEmailChangeNotice(recipient, username, newEmail, completed = false) {
+  const htmlContent = getEmailChangeNoticeTemplate(username, newEmail, completed);
+  const textContent = `
+Hi ${username},
+
+${completed
+    ? `The email address on your AppWhistler account has been changed to ${newEmail}.`
+    : `Someone asked to change the email address on your AppWhistler account to ${newEmail}. The change only takes effect once it is confirmed from the new address.`}
+
+If this wasn't you, reset your password immediately:
+${PASSWORD_RESET_BASE_URL}
+
+- The AppWhistler Team
+  `;
+
+  await sendEmail(
+    recipient,
+    completed ? '⚠️ Your AppWhistler Email Address Was Changed' : '⚠️ AppWhistler Email Change Requested',
+    htmlContent,
+    textContent
+  );
+
+  return { success: true };
+}
+
 /**
  * Send generic notification email
  */
@@ -456,5 +669,9 @@ module.exports = {
   sendWelcomeEmail,
   sendFactCheckNotification,
   sendAccountLockoutEmail,
+  sendAccountSuspensionEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
   sendNotificationEmail
 };
\ No newline at end of file
@@ -36,7 +36,8 @@ const RECOMMENDED_ENV_VARS = {
   INFURA_PROJECT_ID: 'For blockchain integration (or use ALCHEMY_API_KEY)',
   PORT: 'Server port (defaults to 5000)',
   ALLOWED_ORIGINS: 'CORS origins (comma-separated)',
-  SENTRY_DSN: 'Optional DSN for Sentry error monitoring'
+  SENTRY_DSN: 'Optional DSN for Sentry error monitoring',
+  TRUST_PROXY: 'Proxy hops or subnets to trust for client IPs (needed behind a load balancer)'
 };
 
 /**
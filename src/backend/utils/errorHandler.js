@@ -16,6 +16,8 @@ const ERROR_CODES = {
   INVALID_TOKEN: { statusCode: 401, message: 'Invalid or expired token' },
   TOKEN_EXPIRED: { statusCode: 401, message: 'Token has expired' },
   ACCOUNT_LOCKED: { statusCode: 423, message: 'Account temporarily locked' },
+  ACCOUNT_SUSPENDED: { statusCode: 403, message: 'Account suspended' },
+  ACCOUNT_BANNED: { statusCode: 403, message: 'Account banned' },
   
   // Input/Validation errors (4xx)
   BAD_USER_INPUT: { statusCode: 400, message: 'Invalid input provided' },
@@ -0,0 +1,215 @@
+// src/backend/utils/experts.js
+// Expert network: admin-granted credentials per fact-check category, extra weight for expert
+// votes and appeal reviews, expert consensus and routing of new claims to experts
+
+const { getNumber } = require('../../config/secrets');
+const { notify } = require('./notifications');
+
+// Experts notified per new claim or appeal (rotated so the same few aren't always asked)
+const EXPERT_ROUTING_LIMIT = 5;
+// Expert votes needed before a consensus is reported
+const EXPERT_CONSENSUS_MIN_VOTES = 2;
+// Share of expert votes on one side that counts as agreement
+const EXPERT_CONSENSUS_AGREEMENT = 0.7;
+
+/**
+ * Categories are free text on fact-checks; expert credentials match them case-insensitively
+ * @param {string} category
+ * @returns {string}
+ */
+function normalizeExpertCategory(category) {
+  return String(category || '').trim().toLowerCase();
+}
+
+/**
+ * Weight of an expert's vote or appeal review (configurable; everyone else counts 1)
+ * @param {'vote'|'appeal_review'} kind
+ * @returns {number}
+ */
+function expertWeight(kind) {
+  return kind === 'appeal_review'
+    ? getNumber('EXPERT_APPEAL_REVIEW_WEIGHT', 3)
+    : getNumber('EXPERT_VOTE_WEIGHT', 3);
+}
+
+/**
+ * Categories a user currently holds expert credentials in
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+async function getExpertCategories(pool, userId) {
+  try {
+    const result = await pool.query(
+      `SELECT category FROM expert_credentials
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY category`,
+      [userId]
+    );
+    return result.rows.map(row => row.category);
+  } catch (error) {
+    if (error.code === '42P01') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a user is a current expert in a category
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {string} category
+ * @returns {Promise<boolean>}
+ */
+async function isExpertIn(pool, userId, category) {
+  const normalized = normalizeExpertCategory(category);
+  if (!userId || !normalized) {
+    return false;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT 1 FROM expert_credentials
+       WHERE user_id = $1 AND category = $2 AND revoked_at IS NULL`,
+      [userId, normalized]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    if (error.code === '42P01') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ask a category's experts to look at a new claim or appeal first. Experts who were asked
+ * least recently are picked; a side effect, so failures are logged and never thrown.
+ * @param {Pool} pool
+ * @param {object} item - { category, factCheckId, appealId, claim, excludeUserIds }
+ * @returns {Promise<string[]>} Ids of the experts notified
+ */
+async function routeToExperts(pool, { category, factCheckId, appealId = null, claim = '', excludeUserIds = [] }) {
+  const normalized = normalizeExpertCategory(category);
+  if (!normalized) {
+    return [];
+  }
+
+  try {
+    const picked = await pool.query(
+      `WITH picked AS (
+         SELECT user_id FROM expert_credentials
+         WHERE category = $1 AND revoked_at IS NULL
+           AND NOT (user_id = ANY($2::uuid[]))
+         ORDER BY last_routed_at NULLS FIRST, granted_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE expert_credentials e
+       SET last_routed_at = CURRENT_TIMESTAMP
+       FROM picked
+       WHERE e.user_id = picked.user_id AND e.category = $1
+       RETURNING e.user_id`,
+      [normalized, excludeUserIds.filter(Boolean), EXPERT_ROUTING_LIMIT]
+    );
+
+    const preview = claim.length > 140 ? `${claim.slice(0, 137)}...` : claim;
+    await Promise.all(picked.rows.map(({ user_id: expertId }) => notify(pool, expertId, 'expert_review_request', {
+      title: appealId ? `Appeal to review in ${category}` : `New ${category} claim to review`,
+      message: preview || 'A claim in your area of expertise needs review.',
+      data: { factCheckId, appealId, category: normalized }
+    })));
+
+    return picked.rows.map(row => row.user_id);
+  } catch (error) {
+    if (error.code !== '42P01') {
+      console.error(`Failed to route ${appealId ? 'appeal' : 'claim'} to ${normalized} experts:`, error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * How the fact-check's category experts voted on it
+ * @param {Pool} pool
+ * @param {object} factCheck - fact_checks row
+ * @returns {Promise<object>} { status, expertVotes, agree, disagree, agreement }
+ *   status is SUPPORTS, DISPUTES, SPLIT or INSUFFICIENT
+ */
+async function getExpertConsensus(pool, factCheck) {
+  let agree = 0;
+  let disagree = 0;
+
+  try {
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE v.vote_value > 0) AS agree,
+              COUNT(*) FILTER (WHERE v.vote_value < 0) AS disagree
+       FROM fact_check_votes v
+       JOIN expert_credentials e
+         ON e.user_id = v.user_id AND e.category = $2 AND e.revoked_at IS NULL
+       WHERE v.fact_check_id = $1 AND v.status IN ('counted', 'approved')`,
+      [factCheck.id, normalizeExpertCategory(factCheck.category)]
+    );
+    agree = parseInt(result.rows[0]?.agree || 0, 10);
+    disagree = parseInt(result.rows[0]?.disagree || 0, 10);
+  } catch (error) {
+    if (error.code !== '42P01') {
+      throw error;
+    }
+  }
+
+  const expertVotes = agree + disagree;
+  const agreement = expertVotes > 0 ? Math.round((agree / expertVotes) * 1000) / 1000 : null;
+
+  let status = 'INSUFFICIENT';
+  if (expertVotes >= EXPERT_CONSENSUS_MIN_VOTES) {
+    if (agreement >= EXPERT_CONSENSUS_AGREEMENT) status = 'SUPPORTS';
+    else if (agreement <= 1 - EXPERT_CONSENSUS_AGREEMENT) status = 'DISPUTES';
+    else status = 'SPLIT';
+  }
+
+  return { status, expertVotes, agree, disagree, agreement };
+}
+
+/**
+ * Weighted tally of community reviews on an appeal
+ * @param {Pool} pool
+ * @param {string} appealId
+ * @returns {Promise<object>} { supportWeight, opposeWeight, reviewCount, expertReviewCount }
+ */
+async function getAppealReviewTally(pool, appealId) {
+  try {
+    const result = await pool.query(
+      `SELECT COALESCE(SUM(weight) FILTER (WHERE supports), 0) AS support_weight,
+              COALESCE(SUM(weight) FILTER (WHERE NOT supports), 0) AS oppose_weight,
+              COUNT(*) AS review_count,
+              COUNT(*) FILTER (WHERE expert) AS expert_review_count
+       FROM appeal_reviews
+       WHERE appeal_id = $1`,
+      [appealId]
+    );
+    const row = result.rows[0] || {};
+    return {
+      supportWeight: Number(row.support_weight || 0),
+      opposeWeight: Number(row.oppose_weight || 0),
+      reviewCount: parseInt(row.review_count || 0, 10),
+      expertReviewCount: parseInt(row.expert_review_count || 0, 10)
+    };
+  } catch (error) {
+    if (error.code === '42P01') {
+      return { supportWeight: 0, opposeWeight: 0, reviewCount: 0, expertReviewCount: 0 };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  normalizeExpertCategory,
+  expertWeight,
+  getExpertCategories,
+  isExpertIn,
+  routeToExperts,
+  getExpertConsensus,
+  getAppealReviewTally
+};
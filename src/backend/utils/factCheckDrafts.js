@@ -0,0 +1,252 @@
+// src/backend/utils/factCheckDrafts.js
+// Collaborative fact-check drafts: per-section saves with conflict detection, and revision diffs
+
+const MAX_DRAFT_COAUTHORS = 10;
+
+// Above this many token comparisons a text diff falls back to "replaced everything"
+const MAX_DIFF_CELLS = 250000;
+
+// Editable sections, the columns each one owns, and the save statement for it.
+// $1 draft id, $2 the version the editor started from, then the section's columns in order.
+// The save only applies if nobody changed this section after that version.
+const DRAFT_SECTIONS = {
+  claim: {
+    columns: ['claim'],
+    update: `UPDATE fact_check_drafts
+             SET claim = $3,
+                 version = version + 1,
+                 section_versions = section_versions || jsonb_build_object('claim', version + 1),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+               AND COALESCE((section_versions ->> 'claim')::int, 0) <= $2
+             RETURNING *`
+  },
+  verdict: {
+    columns: ['verdict', 'confidence_score'],
+    update: `UPDATE fact_check_drafts
+             SET verdict = $3,
+                 confidence_score = $4,
+                 version = version + 1,
+                 section_versions = section_versions || jsonb_build_object('verdict', version + 1),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+               AND COALESCE((section_versions ->> 'verdict')::int, 0) <= $2
+             RETURNING *`
+  },
+  explanation: {
+    columns: ['explanation'],
+    update: `UPDATE fact_check_drafts
+             SET explanation = $3,
+                 version = version + 1,
+                 section_versions = section_versions || jsonb_build_object('explanation', version + 1),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+               AND COALESCE((section_versions ->> 'explanation')::int, 0) <= $2
+             RETURNING *`
+  },
+  sources: {
+    columns: ['sources'],
+    update: `UPDATE fact_check_drafts
+             SET sources = $3::jsonb,
+                 version = version + 1,
+                 section_versions = section_versions || jsonb_build_object('sources', version + 1),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+               AND COALESCE((section_versions ->> 'sources')::int, 0) <= $2
+             RETURNING *`
+  },
+  details: {
+    columns: ['category', 'image_url'],
+    update: `UPDATE fact_check_drafts
+             SET category = $3,
+                 image_url = $4,
+                 version = version + 1,
+                 section_versions = section_versions || jsonb_build_object('details', version + 1),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+               AND COALESCE((section_versions ->> 'details')::int, 0) <= $2
+             RETURNING *`
+  }
+};
+
+const TEXT_COLUMNS = ['claim', 'explanation'];
+
+/**
+ * snake_case column → camelCase key used in revision content and diffs
+ * @param {string} column
+ * @returns {string}
+ */
+function contentKey(column) {
+  return column.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * A section's current values, keyed for the API
+ * @param {string} section - Key of DRAFT_SECTIONS
+ * @param {object} row - fact_check_drafts row
+ * @returns {object}
+ */
+function sectionContent(section, row) {
+  return DRAFT_SECTIONS[section].columns.reduce((content, column) => {
+    const value = row ? row[column] : null;
+    content[contentKey(column)] = value === undefined ? null : value;
+    return content;
+  }, {});
+}
+
+/**
+ * Word-level diff of two strings
+ * @param {string|null} before
+ * @param {string|null} after
+ * @returns {Array} [{ op: 'equal'|'insert'|'delete', text }]
+ */
+function diffText(before, after) {
+  const a = String(before || '').match(/\s+|[^\s]+/g) || [];
+  const b = String(after || '').match(/\s+|[^\s]+/g) || [];
+  const ops = [];
+
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      ops.push({ op, text });
+    }
+  };
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    if (a.length) push('delete', a.join(''));
+    if (b.length) push('insert', b.join(''));
+    return ops;
+  }
+
+  // lcs[i][j] = longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('delete', a[i]);
+      i += 1;
+    } else {
+      push('insert', b[j]);
+      j += 1;
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return ops;
+}
+
+/**
+ * Sources added and removed between two lists (non-lists are compared whole)
+ * @param {*} before
+ * @param {*} after
+ * @returns {object}
+ */
+function diffSources(before, after) {
+  if (!Array.isArray(before) && !Array.isArray(after)) {
+    return { from: before ?? null, to: after ?? null };
+  }
+
+  const beforeList = Array.isArray(before) ? before : [];
+  const afterList = Array.isArray(after) ? after : [];
+  const beforeKeys = new Set(beforeList.map(item => JSON.stringify(item)));
+  const afterKeys = new Set(afterList.map(item => JSON.stringify(item)));
+
+  return {
+    added: afterList.filter(item => !beforeKeys.has(JSON.stringify(item))),
+    removed: beforeList.filter(item => !afterKeys.has(JSON.stringify(item)))
+  };
+}
+
+/**
+ * Diff of one section between two versions of a draft; unchanged fields are left out
+ * @param {string} section - Key of DRAFT_SECTIONS
+ * @param {object|null} before - Draft row before the save (null for a new draft)
+ * @param {object} after - Draft row after the save
+ * @returns {object} { [field]: ops | { from, to } | { added, removed } }
+ */
+function diffSection(section, before, after) {
+  const diff = {};
+
+  DRAFT_SECTIONS[section].columns.forEach(column => {
+    const from = before ? before[column] ?? null : null;
+    const to = after[column] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+
+    if (TEXT_COLUMNS.includes(column)) {
+      diff[contentKey(column)] = diffText(from, to);
+    } else if (column === 'sources') {
+      diff[contentKey(column)] = diffSources(from, to);
+    } else {
+      diff[contentKey(column)] = { from, to };
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Store a revision for one saved section
+ * @param {Pool} pool
+ * @param {object} revision - { draft, previous, section, authorId }
+ * @returns {Promise<object>} Revision row
+ */
+async function recordRevision(pool, { draft, previous, section, authorId }) {
+  const result = await pool.query(
+    `INSERT INTO fact_check_revisions (draft_id, version, section, author_id, content, diff)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      draft.id,
+      draft.version,
+      section,
+      authorId,
+      JSON.stringify(sectionContent(section, draft)),
+      JSON.stringify(diffSection(section, previous, draft))
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * The user's role on a draft
+ * @param {Pool} pool
+ * @param {string} draftId
+ * @param {string} userId
+ * @returns {Promise<string|null>} 'owner', 'coauthor' or null
+ */
+async function getDraftRole(pool, draftId, userId) {
+  const result = await pool.query(
+    'SELECT role FROM fact_check_draft_authors WHERE draft_id = $1 AND user_id = $2',
+    [draftId, userId]
+  );
+  return result.rows[0]?.role || null;
+}
+
+module.exports = {
+  MAX_DRAFT_COAUTHORS,
+  DRAFT_SECTIONS,
+  sectionContent,
+  diffText,
+  diffSection,
+  recordRevision,
+  getDraftRole
+};
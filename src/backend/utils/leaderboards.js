@@ -0,0 +1,182 @@
+// src/backend/utils/leaderboards.js
+// Leaderboards built from the reputation ledger: weekly, monthly and all-time, overall and per category
+
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+// Days covered by each window; the previous period (for rank movement) is the same length before it
+const LEADERBOARD_WINDOWS = {
+  WEEK: 7,
+  MONTH: 30,
+  ALL_TIME: null
+};
+
+// All-time movement compares against standings this many days ago
+const ALL_TIME_MOVEMENT_DAYS = 7;
+
+// Per-category boards are only precomputed for this many categories
+const MAX_LEADERBOARD_CATEGORIES = 50;
+
+// Scores each user for one window and category ($1 window, $2 category or '', $3 days or NULL,
+// $4 all-time movement days), then replaces that board's rows in the same statement.
+// Category comes from the fact-check behind an entry (directly or through an appeal).
+// Opening balances predate the ledger, so they only count towards all-time totals.
+const REFRESH_BOARD_SQL = `
+  WITH attributed AS (
+    SELECT l.user_id, l.delta, l.reason, l.created_at, COALESCE(f.category, af.category) AS category
+    FROM reputation_ledger l
+    LEFT JOIN fact_checks f ON l.source_type = 'fact_check' AND f.id::text = l.source_id
+    LEFT JOIN fact_check_appeals a ON l.source_type = 'appeal' AND a.id::text = l.source_id
+    LEFT JOIN fact_checks af ON af.id = a.fact_check_id
+    WHERE $3::int IS NULL
+       OR (l.reason <> 'opening_balance' AND l.created_at >= CURRENT_TIMESTAMP - make_interval(days => 2 * $3::int))
+  ), computed AS (
+    SELECT user_id,
+      COALESCE(SUM(delta) FILTER (
+        WHERE $3::int IS NULL OR created_at >= CURRENT_TIMESTAMP - make_interval(days => $3::int)
+      ), 0) AS score,
+      COALESCE(SUM(delta) FILTER (
+        WHERE CASE
+          WHEN $3::int IS NULL THEN created_at < CURRENT_TIMESTAMP - make_interval(days => $4::int)
+          ELSE created_at < CURRENT_TIMESTAMP - make_interval(days => $3::int)
+        END
+      ), 0) AS previous_score
+    FROM attributed
+    WHERE $2::text = '' OR category = $2::text
+    GROUP BY user_id
+  ), kept AS (
+    SELECT * FROM computed WHERE score > 0 OR previous_score > 0
+  ), upserted AS (
+    INSERT INTO leaderboard_entries (time_window, category, user_id, score, previous_score, computed_at)
+    SELECT $1, $2::text, user_id, score, previous_score, CURRENT_TIMESTAMP FROM kept
+    ON CONFLICT (time_window, category, user_id) DO UPDATE
+      SET score = EXCLUDED.score,
+          previous_score = EXCLUDED.previous_score,
+          computed_at = EXCLUDED.computed_at
+    RETURNING user_id
+  ), removed AS (
+    DELETE FROM leaderboard_entries e
+    WHERE e.time_window = $1 AND e.category = $2::text
+      AND NOT EXISTS (SELECT 1 FROM kept WHERE kept.user_id = e.user_id)
+    RETURNING e.user_id
+  )
+  SELECT (SELECT COUNT(*) FROM upserted)::int AS entries, (SELECT COUNT(*) FROM removed)::int AS removed`;
+
+// Ranks are assigned at read time over visible users only: hidden or banned accounts and
+// users who turned off privacy.showReputation never take a place on the board.
+// $1 window, $2 category or '', $3 rank to start after, $4 page size + 1
+const LEADERBOARD_QUERY = `
+  SELECT * FROM (
+    SELECT e.user_id, e.score, e.previous_score, e.computed_at,
+      ROW_NUMBER() OVER (ORDER BY e.score DESC, e.user_id) AS rank,
+      ROW_NUMBER() OVER (ORDER BY e.previous_score DESC, e.user_id) AS previous_rank,
+      COUNT(*) FILTER (WHERE e.score > 0) OVER () AS total_count
+    FROM leaderboard_entries e
+    JOIN users u ON u.id = e.user_id
+    WHERE e.time_window = $1 AND e.category = $2
+      AND u.hidden_at IS NULL
+      AND u.account_status <> 'banned'
+      AND COALESCE((NULLIF(u.preferences::text, '')::jsonb #>> '{privacy,showReputation}')::boolean, true)
+  ) ranked
+  WHERE score > 0 AND rank > $3
+  ORDER BY rank
+  LIMIT $4`;
+
+/**
+ * Recompute every board. Run on a schedule by the maintenance queue.
+ * @param {Pool} pool
+ * @returns {Promise<{boards: number, entries: number}>}
+ */
+async function refreshLeaderboards(pool) {
+  let boards = 0;
+  let entries = 0;
+
+  try {
+    const categoryResult = await pool.query(
+      `SELECT DISTINCT category FROM fact_checks
+       WHERE category IS NOT NULL AND category <> ''
+       ORDER BY category
+       LIMIT $1`,
+      [MAX_LEADERBOARD_CATEGORIES]
+    );
+    const categories = ['', ...categoryResult.rows.map(row => row.category)];
+
+    for (const [window, days] of Object.entries(LEADERBOARD_WINDOWS)) {
+      for (const category of categories) {
+        const result = await pool.query(REFRESH_BOARD_SQL, [window, category, days, ALL_TIME_MOVEMENT_DAYS]);
+        boards += 1;
+        entries += result.rows[0]?.entries || 0;
+      }
+    }
+  } catch (error) {
+    if (error.code === '42P01') {
+      return { boards, entries }; // Ledger or leaderboard tables not migrated yet
+    }
+    throw error;
+  }
+
+  console.log(`🏆 Refreshed ${boards} leaderboard(s), ${entries} entries`);
+  return { boards, entries };
+}
+
+/**
+ * Cursor for a leaderboard position (ranks are unique within a board)
+ * @param {number} rank
+ * @returns {string}
+ */
+function encodeRankCursor(rank) {
+  return encodeCursor({ id: String(rank) });
+}
+
+/**
+ * Rank a leaderboard cursor points at
+ * @param {string} cursor
+ * @returns {number|null} null if the cursor is not a leaderboard cursor
+ */
+function decodeRankCursor(cursor) {
+  try {
+    const { createdAt, id } = decodeCursor(cursor);
+    const rank = Number(id);
+    return createdAt === null && Number.isInteger(rank) && rank > 0 ? rank : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One page of a board
+ * @param {Pool} pool
+ * @param {object} options - { window, category, afterRank, first }
+ * @returns {Promise<object>} { entries, hasNextPage, totalCount, computedAt }
+ */
+async function fetchLeaderboardPage(pool, { window, category = '', afterRank = 0, first = 25 }) {
+  const result = await pool.query(LEADERBOARD_QUERY, [window, category, afterRank, first + 1]);
+  const rows = result.rows.slice(0, first);
+
+  const entries = rows.map(row => {
+    const rank = Number(row.rank);
+    const previousRank = Number(row.previous_score) > 0 ? Number(row.previous_rank) : null;
+    return {
+      user_id: row.user_id,
+      rank,
+      score: Number(row.score),
+      previous_rank: previousRank,
+      rank_change: previousRank === null ? null : previousRank - rank
+    };
+  });
+
+  return {
+    entries,
+    hasNextPage: result.rows.length > first,
+    totalCount: rows.length > 0 ? Number(rows[0].total_count) : null,
+    computedAt: rows.length > 0 ? rows[0].computed_at : null
+  };
+}
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  ALL_TIME_MOVEMENT_DAYS,
+  refreshLeaderboards,
+  encodeRankCursor,
+  decodeRankCursor,
+  fetchLeaderboardPage
+};
@@ -0,0 +1,153 @@
+// src/backend/utils/moderation.js
+// Content reports: reportable types, reason codes, auto-hide and moderator actions
+
+const { getNumber } = require('../../config/secrets');
+
+const REPORT_CONTENT_TYPES = ['fact_check', 'review', 'appeal', 'user'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'misinformation', 'off_topic', 'impersonation', 'other'];
+const REPORT_ACTIONS = ['dismiss', 'hide_content', 'warn_user', 'escalate'];
+const REPORT_STATUSES = ['open', 'escalated', 'dismissed', 'actioned'];
+const AUTO_HIDE_THRESHOLD = getNumber('MODERATION_AUTO_HIDE_THRESHOLD', 3);
+
+const HIDDEN_REASONS = {
+  AUTO: 'auto_reported',
+  MODERATOR: 'moderator',
+  // Reviews held by the spam filter (see reviewSpam.js)
+  SPAM_FILTER: 'spam_filter'
+};
+
+// One set of statements per content type; table names cannot be query parameters
+const CONTENT_QUERIES = {
+  fact_check: {
+    find: 'SELECT id, submitted_by AS owner_id, hidden_at, hidden_reason FROM fact_checks WHERE id = $1',
+    hide: `UPDATE fact_checks SET hidden_at = COALESCE(hidden_at, CURRENT_TIMESTAMP), hidden_reason = $2
+           WHERE id = $1 RETURNING id`,
+    restore: `UPDATE fact_checks SET hidden_at = NULL, hidden_reason = NULL
+              WHERE id = $1 AND hidden_reason = 'auto_reported' RETURNING id`
+  },
+  review: {
+    find: 'SELECT id, user_id AS owner_id, hidden_at, hidden_reason FROM reviews WHERE id = $1',
+    hide: `UPDATE reviews SET hidden_at = COALESCE(hidden_at, CURRENT_TIMESTAMP), hidden_reason = $2
+           WHERE id = $1 RETURNING id`,
+    restore: `UPDATE reviews SET hidden_at = NULL, hidden_reason = NULL
+              WHERE id = $1 AND hidden_reason = 'auto_reported' RETURNING id`,
+    // Only when the spam filter's own report is dismissed
+    restoreSpamHold: `UPDATE reviews SET hidden_at = NULL, hidden_reason = NULL
+                      WHERE id = $1 AND hidden_reason IN ('auto_reported', 'spam_filter') RETURNING id`
+  },
+  appeal: {
+    find: 'SELECT id, user_id AS owner_id, hidden_at, hidden_reason FROM fact_check_appeals WHERE id = $1',
+    hide: `UPDATE fact_check_appeals SET hidden_at = COALESCE(hidden_at, CURRENT_TIMESTAMP), hidden_reason = $2
+           WHERE id = $1 RETURNING id`,
+    restore: `UPDATE fact_check_appeals SET hidden_at = NULL, hidden_reason = NULL
+              WHERE id = $1 AND hidden_reason = 'auto_reported' RETURNING id`
+  },
+  user: {
+    find: 'SELECT id, id AS owner_id, hidden_at, hidden_reason FROM users WHERE id = $1',
+    hide: `UPDATE users SET hidden_at = COALESCE(hidden_at, CURRENT_TIMESTAMP), hidden_reason = $2
+           WHERE id = $1 RETURNING id`,
+    restore: `UPDATE users SET hidden_at = NULL, hidden_reason = NULL
+              WHERE id = $1 AND hidden_reason = 'auto_reported' RETURNING id`
+  }
+};
+
+/**
+ * Look up reported content and its owner
+ * @param {Pool} pool
+ * @param {string} contentType - One of REPORT_CONTENT_TYPES
+ * @param {string} contentId
+ * @returns {Promise<object|null>} { id, owner_id, hidden_at, hidden_reason } or null when missing
+ */
+async function findReportedContent(pool, contentType, contentId) {
+  try {
+    const result = await pool.query(CONTENT_QUERIES[contentType].find, [contentId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    if (error.code === '42P01' || error.code === '22P02') {
+      return null; // Optional table missing, or the id is not a UUID
+    }
+    throw error;
+  }
+}
+
+/**
+ * Hide content from public listings (idempotent; keeps the first hidden_at)
+ * @param {Pool} pool
+ * @param {string} contentType
+ * @param {string} contentId
+ * @param {string} reason - One of HIDDEN_REASONS
+ */
+async function hideContent(pool, contentType, contentId, reason) {
+  await pool.query(CONTENT_QUERIES[contentType].hide, [contentId, reason]);
+}
+
+/**
+ * Undo an automatic hide; content hidden by a moderator stays hidden. A spam-filter hold is
+ * only lifted with liftSpamHold, i.e. when the filter's own report was dismissed.
+ * @param {Pool} pool
+ * @param {string} contentType
+ * @param {string} contentId
+ * @param {object} options - { liftSpamHold }
+ * @returns {Promise<boolean>} Whether the content was restored
+ */
+async function restoreAutoHiddenContent(pool, contentType, contentId, { liftSpamHold = false } = {}) {
+  const queries = CONTENT_QUERIES[contentType];
+  const result = await pool.query(liftSpamHold && queries.restoreSpamHold ? queries.restoreSpamHold : queries.restore, [contentId]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Hide content once enough distinct users have open reports against it
+ * @param {Pool} pool
+ * @param {string} contentType
+ * @param {string} contentId
+ * @returns {Promise<{reportCount: number, hidden: boolean}>} hidden is true only when this call hid it
+ */
+async function applyAutoHide(pool, contentType, contentId) {
+  const result = await pool.query(
+    `SELECT COUNT(*) AS count FROM content_reports
+     WHERE content_type = $1 AND content_id = $2 AND status IN ('open', 'escalated')`,
+    [contentType, contentId]
+  );
+  const reportCount = parseInt(result.rows[0].count, 10);
+
+  if (reportCount < AUTO_HIDE_THRESHOLD) {
+    return { reportCount, hidden: false };
+  }
+
+  const content = await findReportedContent(pool, contentType, contentId);
+  if (!content || content.hidden_at) {
+    return { reportCount, hidden: false };
+  }
+
+  await hideContent(pool, contentType, contentId, HIDDEN_REASONS.AUTO);
+  console.log(`🙈 ${contentType} ${contentId} auto-hidden after ${reportCount} reports`);
+  return { reportCount, hidden: true };
+}
+
+/**
+ * Whether the caller may see hidden content: moderators, admins and the owner
+ * @param {object} context - GraphQL context
+ * @param {string|null} ownerId
+ * @returns {boolean}
+ */
+function canViewHidden(context, ownerId = null) {
+  const user = context.user;
+  if (!user) return false;
+  if (user.role === 'admin' || user.role === 'moderator') return true;
+  return Boolean(ownerId) && String(user.userId) === String(ownerId);
+}
+
+module.exports = {
+  REPORT_CONTENT_TYPES,
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+  REPORT_STATUSES,
+  AUTO_HIDE_THRESHOLD,
+  HIDDEN_REASONS,
+  findReportedContent,
+  hideContent,
+  restoreAutoHiddenContent,
+  applyAutoHide,
+  canViewHidden
+};
@@ -0,0 +1,63 @@
+// src/backend/utils/notifications.js
+// Persistent in-app notifications: store, then push to live subscribers
+
+const { TOPICS, publish } = require('./pubsub');
+const { isBlocked } = require('./blocks');
+
+const MAX_TITLE_LENGTH = 255;
+
+/**
+ * Store a notification for a user and deliver it to their open subscriptions.
+ * Notifications are a side effect, so failures are logged and never thrown.
+ * Pass actorId for notifications caused by another user; they are dropped if the recipient blocked that user.
+ * @param {Pool} pool - Database connection pool
+ * @param {string} userId - Recipient
+ * @param {string} type - Notification type (e.g. 'bounty_completed', 'appeal_reviewed')
+ * @param {object} payload - { title, message, data, actorId }
+ * @returns {Promise<object|null>} Stored notification row, or null when skipped or on failure
+ */
+async function notify(pool, userId, type, { title, message, data = {}, actorId = null } = {}) {
+  if (!userId || !type || !title || !message) {
+    console.warn(`⚠️  Skipping notification "${type}": userId, title and message are required`);
+    return null;
+  }
+
+  try {
+    if (actorId && await isBlocked(pool, userId, actorId)) {
+      return null;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, type, String(title).slice(0, MAX_TITLE_LENGTH), message, JSON.stringify(data || {})]
+    );
+
+    const notification = result.rows[0];
+    await publish(TOPICS.NOTIFICATION_ADDED, { notificationAdded: notification });
+    return notification;
+  } catch (error) {
+    console.error(`Failed to notify user ${userId} (${type}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function countUnread(pool, userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND read = false',
+    [userId]
+  );
+  return parseInt(result.rows[0]?.count || 0, 10);
+}
+
+module.exports = {
+  notify,
+  countUnread
+};
@@ -0,0 +1,171 @@
+// src/backend/utils/pubsub.js
+// Pub/sub layer for GraphQL subscriptions (Redis when configured, in-memory fallback)
+
+const { PubSub, PubSubEngine } = require('graphql-subscriptions');
+const { getSecret, getNumber } = require('../../config/secrets');
+
+// Subscription topics (one per Subscription field)
+const TOPICS = {
+  FACT_CHECK_ADDED: 'FACT_CHECK_ADDED',
+  BOUNTY_CREATED: 'BOUNTY_CREATED',
+  BOUNTY_UPDATED: 'BOUNTY_UPDATED',
+  APP_VERIFIED: 'APP_VERIFIED',
+  NOTIFICATION_ADDED: 'NOTIFICATION_ADDED'
+};
+
+const CHANNEL_PREFIX = 'appwhistler:pubsub:';
+const REDIS_MAX_RECONNECT_ATTEMPTS = 10;
+const PUBLISH_TIMEOUT_MS = getNumber('PUBSUB_PUBLISH_TIMEOUT_MS', 2000);
+
+/**
+ * Reject when a Redis command has not settled in time (commands queue while offline)
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Redis-backed pub/sub so events reach subscribers on every server instance.
+ * Uses separate publisher/subscriber connections as required by Redis. If Redis cannot be
+ * reached at startup it falls back to in-memory pub/sub for the life of the process.
+ */
+class RedisPubSub extends PubSubEngine {
+  constructor(redisUrl) {
+    super();
+    const redis = require('redis');
+
+    // Bounded like the cache client, so `ready` settles (and falls back) when Redis stays down
+    this.publisher = redis.createClient({
+      url: redisUrl,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > REDIS_MAX_RECONNECT_ATTEMPTS) {
+            return new Error('Redis max retries exceeded');
+          }
+          return retries * 50;
+        }
+      }
+    });
+    this.subscriber = this.publisher.duplicate();
+    this.subscriptions = new Map(); // subId -> { channel, listener }
+    this.nextSubId = 1;
+    this.fallback = null;
+
+    this.publisher.on('error', (err) => console.error('Redis pub/sub publisher error:', err));
+    this.subscriber.on('error', (err) => console.error('Redis pub/sub subscriber error:', err));
+
+    this.ready = Promise.all([this.publisher.connect(), this.subscriber.connect()])
+      .then(() => console.log('✅ Redis pub/sub connected'))
+      .catch((error) => {
+        console.error('❌ Redis pub/sub connection failed, using in-memory pub/sub (single instance only):', error.message);
+        this.fallback = new PubSub();
+        // Stop reconnect attempts; the clients may never have opened
+        this.close().catch(() => {});
+      });
+  }
+
+  async publish(triggerName, payload) {
+    await this.ready;
+    if (this.fallback) {
+      await this.fallback.publish(triggerName, payload);
+      return;
+    }
+    await withTimeout(
+      this.publisher.publish(`${CHANNEL_PREFIX}${triggerName}`, JSON.stringify(payload)),
+      PUBLISH_TIMEOUT_MS,
+      `Redis publish timed out after ${PUBLISH_TIMEOUT_MS}ms`
+    );
+  }
+
+  async subscribe(triggerName, onMessage) {
+    await this.ready;
+    if (this.fallback) {
+      return this.fallback.subscribe(triggerName, onMessage);
+    }
+    const channel = `${CHANNEL_PREFIX}${triggerName}`;
+    const listener = (message) => {
+      try {
+        onMessage(JSON.parse(message));
+      } catch (error) {
+        console.error(`Failed to parse pub/sub message on ${channel}:`, error.message);
+      }
+    };
+
+    await this.subscriber.subscribe(channel, listener);
+
+    const subId = this.nextSubId++;
+    this.subscriptions.set(subId, { channel, listener });
+    return subId;
+  }
+
+  unsubscribe(subId) {
+    if (this.fallback) {
+      this.fallback.unsubscribe(subId);
+      return;
+    }
+
+    const subscription = this.subscriptions.get(subId);
+    if (!subscription) return;
+
+    this.subscriptions.delete(subId);
+    this.subscriber.unsubscribe(subscription.channel, subscription.listener).catch((error) => {
+      console.error('Redis pub/sub unsubscribe failed:', error.message);
+    });
+  }
+
+  async close() {
+    await Promise.allSettled([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+/**
+ * Create pub/sub engine (Redis or in-memory fallback)
+ * @returns {PubSubEngine}
+ */
+function createPubSub() {
+  const redisUrl = getSecret('REDIS_URL');
+
+  if (!redisUrl) {
+    console.log('⚠️  Redis not configured. Using in-memory pub/sub (single instance only).');
+    return new PubSub();
+  }
+
+  try {
+    return new RedisPubSub(redisUrl);
+  } catch (error) {
+    console.warn('⚠️  Redis pub/sub initialization failed, using in-memory pub/sub:', error.message);
+    return new PubSub();
+  }
+}
+
+// Singleton instance
+const pubsub = createPubSub();
+
+/**
+ * Publish an event without letting pub/sub failures break the calling mutation
+ * @param {string} topic - One of TOPICS
+ * @param {object} payload - Payload keyed by subscription field name
+ */
+async function publish(topic, payload) {
+  try {
+    await pubsub.publish(topic, payload);
+  } catch (error) {
+    console.error(`Failed to publish ${topic}:`, error.message);
+  }
+}
+
+module.exports = {
+  TOPICS,
+  RedisPubSub,
+  createPubSub,
+  pubsub,
+  publish
+};
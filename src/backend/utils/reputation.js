@@ -0,0 +1,216 @@
+// src/backend/utils/reputation.js
+// Reputation ledger: rule-based awards and manual adjustments; truth_score is their running sum
+
+const cacheManager = require('./cacheManager');
+
+const REPUTATION_EVENTS = {
+  FACT_CHECK_SUBMITTED: 'fact_check_submitted',
+  FACT_CHECK_VERIFIED: 'fact_check_verified',
+  APPEAL_APPROVED: 'appeal_approved',
+  UPVOTE_RECEIVED: 'upvote_received',
+  DOWNVOTE_RECEIVED: 'downvote_received',
+  REPORT_UPHELD: 'report_upheld'
+};
+
+const MANUAL_ADJUSTMENT = 'manual_adjustment';
+const ACCOUNT_DELETED = 'account_deleted';
+const MAX_MANUAL_ADJUSTMENT = 1000;
+
+// Used until the rules table is migrated, and for events missing from it
+const DEFAULT_REPUTATION_RULES = {
+  [REPUTATION_EVENTS.FACT_CHECK_SUBMITTED]: 10,
+  [REPUTATION_EVENTS.FACT_CHECK_VERIFIED]: 50,
+  [REPUTATION_EVENTS.APPEAL_APPROVED]: 25,
+  [REPUTATION_EVENTS.UPVOTE_RECEIVED]: 1,
+  [REPUTATION_EVENTS.DOWNVOTE_RECEIVED]: -1,
+  [REPUTATION_EVENTS.REPORT_UPHELD]: 5
+};
+
+const RULES_CACHE_KEY = 'reputation:rules';
+const RULES_CACHE_TTL_SECONDS = 300;
+
+/**
+ * Points per event, from the rules table (inactive rules score 0)
+ * @param {Pool} pool
+ * @returns {Promise<object>} Map of event → delta
+ */
+async function getReputationRules(pool) {
+  const cached = await cacheManager.get(RULES_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const rules = { ...DEFAULT_REPUTATION_RULES };
+  try {
+    const result = await pool.query('SELECT event, delta, active FROM reputation_rules');
+    result.rows.forEach(rule => {
+      rules[rule.event] = rule.active ? rule.delta : 0;
+    });
+  } catch (error) {
+    if (error.code !== '42P01') {
+      throw error;
+    }
+  }
+
+  await cacheManager.set(RULES_CACHE_KEY, rules, RULES_CACHE_TTL_SECONDS);
+  return rules;
+}
+
+/**
+ * Drop cached rules after an admin edits them
+ */
+async function forgetReputationRules() {
+  await cacheManager.delete(RULES_CACHE_KEY);
+}
+
+/**
+ * Append a ledger entry and apply it to the user's truth_score in one statement
+ * @param {Pool} pool
+ * @param {object} entry - { userId, delta, reason, sourceType, sourceId, justification, createdBy, voterId }
+ * @returns {Promise<object|null>} Ledger row plus the new truth_score, or null if the user is gone
+ */
+async function recordReputation(pool, { userId, delta, reason, sourceType = null, sourceId = null, justification = null, createdBy = null, voterId = null }) {
+  const result = await pool.query(
+    `WITH entry AS (
+       INSERT INTO reputation_ledger (user_id, delta, reason, source_type, source_id, justification, created_by, voter_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *
+     ), updated AS (
+       UPDATE users SET truth_score = truth_score + $2
+       WHERE id = $1
+       RETURNING truth_score
+     )
+     SELECT entry.*, updated.truth_score FROM entry, updated`,
+    [
+      userId,
+      delta,
+      reason,
+      sourceType,
+      sourceId === null || sourceId === undefined ? null : String(sourceId),
+      justification,
+      createdBy,
+      voterId
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Award (or deduct) the points configured for an event
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {string} event - One of REPUTATION_EVENTS
+ * @param {object} source - { sourceType, sourceId } the entity that earned it
+ * @returns {Promise<object|null>} Ledger entry, or null when the rule scores 0
+ */
+async function awardReputation(pool, userId, event, { sourceType = null, sourceId = null } = {}) {
+  if (!userId) {
+    return null;
+  }
+
+  const rules = await getReputationRules(pool);
+  const delta = rules[event] || 0;
+  if (delta === 0) {
+    return null;
+  }
+
+  return recordReputation(pool, { userId, delta, reason: event, sourceType, sourceId });
+}
+
+/**
+ * Reputation event for a vote value
+ * @param {number} vote - 1 or -1
+ * @returns {string}
+ */
+function voteEvent(vote) {
+  return vote > 0 ? REPUTATION_EVENTS.UPVOTE_RECEIVED : REPUTATION_EVENTS.DOWNVOTE_RECEIVED;
+}
+
+/**
+ * Net reputation a voter's vote has earned a fact-check author so far
+ * @param {Pool} pool
+ * @param {object} vote - { authorId, voterId, factCheckId }
+ * @returns {Promise<number|null>} Sum of the ledger entries, or null when there are none
+ */
+async function creditedVoteReputation(pool, { authorId, voterId, factCheckId }) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS entries, COALESCE(SUM(delta), 0)::int AS total
+     FROM reputation_ledger
+     WHERE user_id = $1 AND source_type = 'fact_check' AND source_id = $2 AND voter_id = $3`,
+    [authorId, String(factCheckId), voterId]
+  );
+
+  const row = result.rows[0];
+  return row && row.entries > 0 ? row.total : null;
+}
+
+/**
+ * Credit a fact-check author for a vote, reversing the voter's previous vote if they changed it.
+ * A vote of 0 withdraws the previous vote's credit (e.g. when a moderator rejects the vote).
+ * The reversal is what the earlier vote actually earned according to the ledger, so rule
+ * changes in between never leave the author with a windfall or a deficit; previousVote is
+ * only priced at today's rule for votes cast before entries recorded their voter.
+ * @param {Pool} pool
+ * @param {object} vote - { authorId, voterId, factCheckId, vote, previousVote, reason }
+ * @returns {Promise<object|null>} Ledger entry, or null when nothing changed
+ */
+async function awardVoteReputation(pool, { authorId, voterId, factCheckId, vote, previousVote = 0, reason = null }) {
+  if (!authorId || String(authorId) === String(voterId)) {
+    return null; // Self-votes never count
+  }
+
+  const rules = await getReputationRules(pool);
+  const credited = await creditedVoteReputation(pool, { authorId, voterId, factCheckId });
+  const previousCredit = credited ?? (previousVote ? rules[voteEvent(previousVote)] || 0 : 0);
+  const delta = (vote ? rules[voteEvent(vote)] || 0 : 0) - previousCredit;
+  if (delta === 0) {
+    return null;
+  }
+
+  return recordReputation(pool, {
+    userId: authorId,
+    delta,
+    reason: reason || (previousCredit ? 'vote_changed' : voteEvent(vote)),
+    sourceType: 'fact_check',
+    sourceId: factCheckId,
+    voterId
+  });
+}
+
+/**
+ * Bring a user's truth_score to 0 with a correcting ledger entry, so the ledger
+ * still sums to the score (account deletion)
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<object|null>} { truth_score }, or null when there was nothing to clear
+ */
+async function clearReputation(pool, userId) {
+  const result = await pool.query(
+    `WITH entry AS (
+       INSERT INTO reputation_ledger (user_id, delta, reason)
+       SELECT id, -truth_score, $2 FROM users WHERE id = $1 AND truth_score <> 0
+       RETURNING user_id, delta
+     )
+     UPDATE users u SET truth_score = u.truth_score + entry.delta
+     FROM entry
+     WHERE u.id = entry.user_id
+     RETURNING u.truth_score`,
+    [userId, ACCOUNT_DELETED]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  REPUTATION_EVENTS,
+  MANUAL_ADJUSTMENT,
+  MAX_MANUAL_ADJUSTMENT,
+  DEFAULT_REPUTATION_RULES,
+  getReputationRules,
+  forgetReputationRules,
+  recordReputation,
+  awardReputation,
+  awardVoteReputation,
+  clearReputation
+};
@@ -0,0 +1,146 @@
+// src/backend/utils/reviewRanking.js
+// Orders app reviews by how helpful readers found them, favouring recent reviews
+
+// z for a 95% confidence interval
+const WILSON_Z = 1.96;
+// A review's recency weight halves every this many days
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+const REVIEW_SORTS = ['RELEVANT', 'NEWEST', 'MOST_HELPFUL', 'CRITICAL'];
+
+// Most reviews listed per app. Ranking runs in SQL before the cut, so it keeps the
+// best-ranked reviews for the sort rather than the newest ones.
+const REVIEWS_PER_APP = 100;
+
+// ORDER BY for each sort, over the columns computed by RANKED_REVIEWS_SQL (same order as sortReviews)
+const REVIEW_ORDER_SQL = {
+  NEWEST: 'created_at DESC',
+  MOST_HELPFUL: 'helpfulness_score DESC, created_at DESC',
+  CRITICAL: 'rating ASC, rank_score DESC, created_at DESC',
+  RELEVANT: 'rank_score DESC, created_at DESC'
+};
+
+// Visible reviews of $1 (app ids), at most $2 per app, with helpfulness_score (the Wilson
+// lower bound of reviewHelpfulness) and rank_score (decayed like reviewRankScore)
+const RANKED_REVIEWS_SQL = Object.fromEntries(REVIEW_SORTS.map(sort => [sort, `
+  WITH scored AS (
+    SELECT r.*, w.helpfulness_score,
+           w.helpfulness_score * power(0.5, (GREATEST(0, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - r.created_at)))
+             / ${RECENCY_HALF_LIFE_DAYS * 24 * 60 * 60})::float8) AS rank_score
+    FROM reviews r
+    CROSS JOIN LATERAL (
+      SELECT r.helpful_count::float8 AS helpful,
+             (r.helpful_count + r.unhelpful_count)::float8 AS total,
+             ${WILSON_Z}::float8 AS z
+    ) t
+    CROSS JOIN LATERAL (
+      SELECT CASE WHEN t.total = 0 THEN 0::float8
+             ELSE (t.helpful / t.total + t.z * t.z / (2 * t.total)
+                   - t.z * sqrt((t.helpful / t.total * (1 - t.helpful / t.total) + t.z * t.z / (4 * t.total)) / t.total))
+                  / (1 + t.z * t.z / t.total)
+             END AS helpfulness_score
+    ) w
+    WHERE r.app_id = ANY($1) AND r.hidden_at IS NULL
+  ), ranked AS (
+    SELECT scored.*, ROW_NUMBER() OVER (PARTITION BY app_id ORDER BY ${REVIEW_ORDER_SQL[sort]}) AS app_position
+    FROM scored
+  )
+  SELECT * FROM ranked
+  WHERE app_position <= $2
+  ORDER BY app_id, app_position`]));
+
+/**
+ * Lower bound of the Wilson score interval for the share of helpful votes, so a review
+ * with 40/50 helpful ranks above one with 1/1
+ * @param {number} helpful
+ * @param {number} total - helpful + unhelpful
+ * @returns {number} 0-1 (0 with no votes)
+ */
+function wilsonLowerBound(helpful, total) {
+  if (!total) return 0;
+  const z2 = WILSON_Z * WILSON_Z;
+  const p = helpful / total;
+  const centre = p + z2 / (2 * total);
+  const margin = WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * total)) / total);
+  return (centre - margin) / (1 + z2 / total);
+}
+
+/**
+ * Helpfulness of a review row from its vote tallies
+ * @param {object} review - reviews row
+ * @returns {number}
+ */
+function reviewHelpfulness(review) {
+  const helpful = parseInt(review.helpful_count || 0, 10);
+  const unhelpful = parseInt(review.unhelpful_count || 0, 10);
+  return wilsonLowerBound(helpful, helpful + unhelpful);
+}
+
+/**
+ * Helpfulness decayed by age (exponential, RECENCY_HALF_LIFE_DAYS half-life)
+ * @param {object} review - reviews row
+ * @param {Date} now
+ * @returns {number}
+ */
+function reviewRankScore(review, now = new Date()) {
+  const ageDays = Math.max(0, (now - new Date(review.created_at)) / (24 * 60 * 60 * 1000));
+  return reviewHelpfulness(review) * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+/**
+ * Sort reviews for display (returns a new array); the in-memory twin of RANKED_REVIEWS_SQL
+ * @param {Array} reviews - reviews rows
+ * @param {string} sort - One of REVIEW_SORTS; RELEVANT ranks by reviewRankScore
+ * @param {Date} now
+ * @returns {Array}
+ */
+function sortReviews(reviews, sort = 'RELEVANT', now = new Date()) {
+  const scored = reviews.map(review => ({
+    review,
+    rank: reviewRankScore(review, now),
+    helpfulness: reviewHelpfulness(review)
+  }));
+
+  const comparators = {
+    NEWEST: (a, b) => newestFirst(a.review, b.review),
+    MOST_HELPFUL: (a, b) => b.helpfulness - a.helpfulness || newestFirst(a.review, b.review),
+    // Lowest ratings first, the most useful of them on top
+    CRITICAL: (a, b) => Number(a.review.rating) - Number(b.review.rating) || b.rank - a.rank || newestFirst(a.review, b.review),
+    RELEVANT: (a, b) => b.rank - a.rank || newestFirst(a.review, b.review)
+  };
+
+  return scored
+    .sort(comparators[sort] || comparators.RELEVANT)
+    .map(item => item.review);
+}
+
+/**
+ * Ranked reviews of several apps, at most REVIEWS_PER_APP each
+ * @param {Pool} pool
+ * @param {Array} appIds
+ * @param {string} sort - One of REVIEW_SORTS
+ * @returns {Promise<Map>} appId → reviews in display order
+ */
+async function loadRankedReviews(pool, appIds, sort = 'RELEVANT') {
+  const result = await pool.query(RANKED_REVIEWS_SQL[sort] || RANKED_REVIEWS_SQL.RELEVANT, [appIds, REVIEWS_PER_APP]);
+
+  const reviewsMap = new Map(appIds.map(appId => [appId, []]));
+  result.rows.forEach(review => {
+    if (reviewsMap.has(review.app_id)) {
+      reviewsMap.get(review.app_id).push(review);
+    }
+  });
+  return reviewsMap;
+}
+
+module.exports = {
+  REVIEW_SORTS,
+  REVIEWS_PER_APP,
+  wilsonLowerBound,
+  reviewHelpfulness,
+  reviewRankScore,
+  sortReviews,
+  loadRankedReviews
+};
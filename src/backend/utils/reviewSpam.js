@@ -0,0 +1,213 @@
+// src/backend/utils/reviewSpam.js
+// Review fraud and spam scoring: rating bursts, copied texts, new or unverified authors,
+// promotional links and sentiment that contradicts the star rating
+
+const { getNumber } = require('../../config/secrets');
+const { normalizeClaimText, claimSimilarity } = require('./claimSimilarity');
+const { HIDDEN_REASONS, hideContent } = require('./moderation');
+
+// What each signal adds to the 0-1 spam score
+const SPAM_SIGNALS = {
+  RATING_BURST: { type: 'rating_burst', weight: 0.3, label: 'part of a rating burst' },
+  DUPLICATE_TEXT: { type: 'duplicate_text', weight: 0.5, label: 'text copied from another account' },
+  NEW_ACCOUNT: { type: 'new_account', weight: 0.2, label: 'brand-new account' },
+  UNVERIFIED_ACCOUNT: { type: 'unverified_account', weight: 0.15, label: 'unverified email' },
+  PROMOTIONAL_LINK: { type: 'promotional_link', weight: 0.4, label: 'promotional link' },
+  SENTIMENT_MISMATCH: { type: 'sentiment_mismatch', weight: 0.3, label: 'text contradicts the rating' }
+};
+
+const NEW_ACCOUNT_DAYS = 3;
+// Same-rating reviews on one app within BURST_WINDOW_HOURS, and how far above the app's
+// usual hourly rate that has to be
+const BURST_WINDOW_HOURS = 1;
+const BURST_MIN_REVIEWS = 8;
+const BURST_RATE_MULTIPLIER = 4;
+const BURST_BASELINE_DAYS = 7;
+// Other accounts' recent reviews compared for copied text
+const DUPLICATE_LOOKBACK_DAYS = 30;
+const DUPLICATE_CANDIDATES = 200;
+const DUPLICATE_MIN_LENGTH = 30;
+const DUPLICATE_THRESHOLD = 0.8;
+
+const LINK_PATTERN = /https?:\/\/|www\.|href\s*=|\b[a-z0-9-]+\.(?:com|net|org|io|co|xyz|top|shop|store|site|online|ly|gg|me|app)\b/i;
+const PROMO_PATTERN = /\b(?:promo code|coupon|discount code|referral code|use (?:my )?code|free gift|giveaway|dm me|whatsapp|telegram|earn money|click here)\b/i;
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'excellent', 'amazing', 'awesome', 'love', 'loved', 'perfect', 'best', 'fantastic',
+  'helpful', 'recommend', 'easy', 'reliable', 'useful', 'wonderful', 'smooth', 'fast', 'happy', 'brilliant'
+]);
+const NEGATIVE_WORDS = new Set([
+  'bad', 'terrible', 'awful', 'worst', 'hate', 'hated', 'scam', 'useless', 'broken', 'crash', 'crashes',
+  'buggy', 'horrible', 'poor', 'waste', 'fraud', 'garbage', 'disappointing', 'slow', 'refund', 'unusable'
+]);
+const NEGATIONS = new Set(['not', 'never', 'no', 'dont', 'doesnt', 'isnt', 'wasnt', 'cant', 'wont', 'hardly']);
+
+/**
+ * Score at or above which a review is held for moderation
+ * @returns {number}
+ */
+function spamThreshold() {
+  return getNumber('REVIEW_SPAM_THRESHOLD', 0.6);
+}
+
+/**
+ * Links and advertising phrases in review text
+ * @param {string} text
+ * @returns {{links: boolean, promo: boolean}}
+ */
+function findPromotionalContent(text) {
+  const value = String(text || '');
+  return { links: LINK_PATTERN.test(value), promo: PROMO_PATTERN.test(value) };
+}
+
+/**
+ * Lexicon sentiment of review text; a negation flips the next sentiment word
+ * @param {string} text
+ * @returns {{score: number, words: number}} score from -1 (negative) to 1 (positive)
+ */
+function textSentiment(text) {
+  const tokens = normalizeClaimText(String(text || '').replace(/'/g, '')).split(' ');
+  let positive = 0;
+  let negative = 0;
+
+  tokens.forEach((token, index) => {
+    const polarity = POSITIVE_WORDS.has(token) ? 1 : NEGATIVE_WORDS.has(token) ? -1 : 0;
+    if (!polarity) return;
+    const negated = NEGATIONS.has(tokens[index - 1]) || NEGATIONS.has(tokens[index - 2]);
+    if ((polarity > 0) !== negated) positive += 1;
+    else negative += 1;
+  });
+
+  const words = positive + negative;
+  return { score: words ? (positive - negative) / words : 0, words };
+}
+
+/**
+ * Whether clearly worded text says the opposite of the star rating
+ * @param {string} text
+ * @param {number} rating - 0-5
+ * @returns {boolean}
+ */
+function sentimentContradictsRating(text, rating) {
+  const { score, words } = textSentiment(text);
+  if (words < 2) return false;
+  return (rating >= 4 && score <= -0.5) || (rating <= 2 && score >= 0.5);
+}
+
+/**
+ * Run every signal over a review
+ * @param {Pool} pool
+ * @param {object} review - reviews row
+ * @param {Date} now
+ * @returns {Promise<object>} { score, signals: [{ type, detail }], suspicious }
+ */
+async function scoreReview(pool, review, now = new Date()) {
+  const signals = [];
+  const add = (signal, detail = null) => signals.push({ type: signal.type, detail });
+  const rating = Number(review.rating);
+  const text = review.review_text || '';
+
+  const author = await pool.query(
+    'SELECT created_at, is_verified FROM users WHERE id = $1',
+    [review.user_id]
+  );
+  if (author.rows[0]) {
+    const ageDays = (now - new Date(author.rows[0].created_at)) / (24 * 60 * 60 * 1000);
+    if (ageDays < NEW_ACCOUNT_DAYS) add(SPAM_SIGNALS.NEW_ACCOUNT, `${Math.max(0, Math.floor(ageDays))} days old`);
+    if (!author.rows[0].is_verified) add(SPAM_SIGNALS.UNVERIFIED_ACCOUNT);
+  }
+
+  const windowStart = new Date(now.getTime() - BURST_WINDOW_HOURS * 60 * 60 * 1000);
+  const burst = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE created_at >= $3 AND abs(rating - $2) < 0.5) AS burst,
+            COUNT(*) FILTER (WHERE created_at < $3) AS baseline
+     FROM reviews
+     WHERE app_id = $1 AND user_id <> $4 AND created_at >= $5`,
+    [review.app_id, rating, windowStart, review.user_id, new Date(now.getTime() - BURST_BASELINE_DAYS * 24 * 60 * 60 * 1000)]
+  );
+  const burstCount = parseInt(burst.rows[0]?.burst || 0, 10);
+  const hourlyBaseline = parseInt(burst.rows[0]?.baseline || 0, 10) / (BURST_BASELINE_DAYS * 24);
+  if (burstCount >= BURST_MIN_REVIEWS && burstCount >= BURST_RATE_MULTIPLIER * hourlyBaseline * BURST_WINDOW_HOURS) {
+    add(SPAM_SIGNALS.RATING_BURST, `${burstCount} other ${rating}-star reviews in the last hour`);
+  }
+
+  const normalized = normalizeClaimText(text);
+  if (normalized.length >= DUPLICATE_MIN_LENGTH) {
+    const candidates = await pool.query(
+      `SELECT id, review_text FROM reviews
+       WHERE user_id <> $1 AND review_text IS NOT NULL AND created_at >= $2
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [review.user_id, new Date(now.getTime() - DUPLICATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000), DUPLICATE_CANDIDATES]
+    );
+    const copied = candidates.rows.find(row => claimSimilarity(normalized, normalizeClaimText(row.review_text)) >= DUPLICATE_THRESHOLD);
+    if (copied) add(SPAM_SIGNALS.DUPLICATE_TEXT, `matches review ${copied.id}`);
+  }
+
+  const promotion = findPromotionalContent(text);
+  if (promotion.links || promotion.promo) {
+    add(SPAM_SIGNALS.PROMOTIONAL_LINK, promotion.links ? 'contains a link' : 'advertising wording');
+  }
+
+  if (sentimentContradictsRating(text, rating)) {
+    add(SPAM_SIGNALS.SENTIMENT_MISMATCH, `${rating}-star rating`);
+  }
+
+  const weights = Object.fromEntries(Object.values(SPAM_SIGNALS).map(signal => [signal.type, signal.weight]));
+  const score = Math.min(1, Math.round(signals.reduce((sum, signal) => sum + weights[signal.type], 0) * 1000) / 1000);
+  return { score, signals, suspicious: score >= spamThreshold() };
+}
+
+/**
+ * Score a newly submitted or edited review, store the result, and hold suspicious reviews:
+ * hidden from listings and averageRating, with a spam report in the moderation queue.
+ * Dismissing the report restores the review.
+ * @param {Pool} pool
+ * @param {object} review - reviews row
+ * @returns {Promise<object|null>} The scoring result, or null when scoring could not run
+ */
+async function screenReview(pool, review) {
+  try {
+    const result = await scoreReview(pool, review);
+
+    await pool.query(
+      'UPDATE reviews SET spam_score = $2, spam_signals = $3 WHERE id = $1',
+      [review.id, result.score, JSON.stringify(result.signals)]
+    );
+
+    // Reviews a moderator already hid stay under the moderator's decision
+    if (result.suspicious && !review.hidden_at) {
+      await hideContent(pool, 'review', review.id, HIDDEN_REASONS.SPAM_FILTER);
+
+      const labels = Object.fromEntries(Object.values(SPAM_SIGNALS).map(signal => [signal.type, signal.label]));
+      await pool.query(
+        `INSERT INTO content_reports (reporter_id, content_type, content_id, reason, details)
+         SELECT NULL, 'review', $1, 'spam', $2
+         WHERE NOT EXISTS (
+           SELECT 1 FROM content_reports
+           WHERE reporter_id IS NULL AND content_type = 'review' AND content_id = $1
+             AND status IN ('open', 'escalated')
+         )`,
+        [review.id, `Spam filter (score ${result.score}): ${result.signals.map(signal => labels[signal.type]).join(', ')}`]
+      );
+      console.warn(`🚫 Review ${review.id} held for moderation (spam score ${result.score})`);
+    }
+
+    return result;
+  } catch (error) {
+    if (error.code !== '42703' && error.code !== '42P01') {
+      console.error(`Failed to screen review ${review.id}:`, error.message);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  SPAM_SIGNALS,
+  spamThreshold,
+  findPromotionalContent,
+  textSentiment,
+  sentimentContradictsRating,
+  scoreReview,
+  screenReview
+};
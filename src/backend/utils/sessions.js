@@ -0,0 +1,127 @@
+// src/backend/utils/sessions.js
+// Active session listing: one session per refresh-token family
+
+// Country headers set by common edge proxies/CDNs in front of the API
+const COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'cloudfront-viewer-country', 'x-country-code'];
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Summarize a user agent as "Browser on Platform"
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return userAgent.slice(0, 60);
+  }
+
+  return [browser?.[0] || 'Unknown browser', platform?.[0]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Check whether an IP belongs to a private, loopback or link-local range
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isPrivateIp(ip) {
+  const address = ip.replace(/^::ffff:/, '');
+  return address === '::1'
+    || /^127\./.test(address)
+    || /^10\./.test(address)
+    || /^192\.168\./.test(address)
+    || /^172\.(1[6-9]|2\d|3[01])\./.test(address)
+    || /^169\.254\./.test(address)
+    || /^f[cd][0-9a-f]{2}:/i.test(address)
+    || /^fe80:/i.test(address);
+}
+
+/**
+ * Derive a location label for the request's IP.
+ * Uses the country header from the edge proxy when present; there is no
+ * GeoIP database, so public IPs without one are labelled generically.
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function describeLocation(req) {
+  if (!req) {
+    return null;
+  }
+
+  const headers = req.headers || {};
+  const country = COUNTRY_HEADERS.map(name => headers[name]).find(Boolean);
+  if (country && /^[A-Z]{2}$/i.test(country) && country.toUpperCase() !== 'XX') {
+    return country.toUpperCase();
+  }
+
+  if (!req.ip) {
+    return null;
+  }
+
+  return isPrivateIp(req.ip) ? 'Local network' : 'Unknown location';
+}
+
+/**
+ * List a user's active sessions (unrevoked, unexpired refresh-token families)
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {string|null} currentSessionId - Session of the calling access token
+ * @returns {Promise<Array>} Session rows
+ */
+async function listSessions(pool, userId, currentSessionId = null) {
+  const result = await pool.query(
+    `SELECT family_id,
+            MIN(created_at) AS created_at,
+            MAX(COALESCE(last_used_at, created_at)) AS last_seen_at,
+            (ARRAY_AGG(user_agent ORDER BY created_at DESC))[1] AS user_agent,
+            (ARRAY_AGG(ip_address ORDER BY created_at DESC))[1] AS ip_address,
+            (ARRAY_AGG(location ORDER BY created_at DESC))[1] AS location
+     FROM auth_tokens
+     WHERE user_id = $1
+       AND family_id IS NOT NULL
+     GROUP BY family_id
+     HAVING BOOL_AND(revoked_at IS NULL)
+        AND MAX(expires_at) > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map(row => ({
+    id: row.family_id,
+    device: describeDevice(row.user_agent),
+    user_agent: row.user_agent,
+    ip_address: row.ip_address,
+    location: row.location,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at,
+    current: !!currentSessionId && String(row.family_id) === String(currentSessionId)
+  }));
+}
+
+module.exports = {
+  describeDevice,
+  describeLocation,
+  isPrivateIp,
+  listSessions
+};
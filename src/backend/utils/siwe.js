@@ -0,0 +1,178 @@
+// src/backend/utils/siwe.js
+// Sign-In with Ethereum (EIP-4361): nonces, message parsing and verification
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getSecret, getNumber, getArray } = require('../../config/secrets');
+const cacheManager = require('./cacheManager');
+
+const APP_URL = getSecret('APP_URL', 'http://localhost:3000');
+const SIWE_DOMAIN = getSecret('SIWE_DOMAIN', new URL(APP_URL).host);
+const SIWE_CHAIN_IDS = getArray('SIWE_CHAIN_IDS', ',', ['1', '5', '11155111']).map(Number);
+const SIWE_NONCE_TTL_SECONDS = getNumber('SIWE_NONCE_TTL_SECONDS', 300);
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Issue a single-use nonce for a SIWE message
+ * @returns {Promise<string>}
+ */
+async function createNonce() {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await cacheManager.set(`siwe-nonce:${nonce}`, true, SIWE_NONCE_TTL_SECONDS);
+  return nonce;
+}
+
+/**
+ * Burn a nonce; returns false if it was never issued, expired or already used
+ * @param {string} nonce
+ * @returns {Promise<boolean>}
+ */
+async function consumeNonce(nonce) {
+  // A single delete, so concurrent sign-ins with the same nonce cannot both succeed
+  return cacheManager.delete(`siwe-nonce:${nonce}`);
+}
+
+/**
+ * Parse an EIP-4361 message into its fields
+ * @param {string} message
+ * @returns {object|null} Parsed fields, or null when the message is malformed
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    return null;
+  }
+
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX) || !lines[1]) {
+    return null;
+  }
+
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1].trim(),
+    statement: null,
+    resources: []
+  };
+
+  // An optional statement sits between the address and the URI field
+  const uriIndex = lines.findIndex(line => line.startsWith('URI: '));
+  if (uriIndex === -1) {
+    return null;
+  }
+  const statement = lines.slice(2, uriIndex).join('\n').trim();
+  parsed.statement = statement || null;
+
+  let inResources = false;
+  for (const line of lines.slice(uriIndex)) {
+    if (inResources && line.startsWith('- ')) {
+      parsed.resources.push(line.slice(2));
+      continue;
+    }
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const field = FIELD_NAMES[line.slice(0, separator)];
+    if (separator === -1 || !field) {
+      if (line.trim()) return null;
+      continue;
+    }
+    parsed[field] = line.slice(separator + 2).trim();
+  }
+
+  if (!parsed.uri || !parsed.version || !parsed.chainId || !parsed.nonce || !parsed.issuedAt) {
+    return null;
+  }
+
+  parsed.chainId = Number(parsed.chainId);
+  return parsed;
+}
+
+/**
+ * Validate a signed SIWE message and return the signing address.
+ * Checks domain, version, chain id, timestamps, signature and (last) the nonce,
+ * so a bad request does not burn a valid nonce.
+ * @param {string} message - The exact message that was signed
+ * @param {string} signature - personal_sign signature
+ * @param {object} options - { now }
+ * @returns {Promise<{address: string, chainId: number}>}
+ * @throws {Error} With a user-facing reason when validation fails
+ */
+async function verifySiweMessage(message, signature, { now = Date.now() } = {}) {
+  const fields = parseSiweMessage(message);
+  if (!fields) {
+    throw new Error('Malformed sign-in message');
+  }
+
+  if (fields.domain !== SIWE_DOMAIN) {
+    throw new Error('Sign-in message was created for a different domain');
+  }
+
+  if (fields.version !== '1') {
+    throw new Error('Unsupported sign-in message version');
+  }
+
+  if (!SIWE_CHAIN_IDS.includes(fields.chainId)) {
+    throw new Error(`Unsupported chain id ${fields.chainId}`);
+  }
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (Number.isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) {
+    throw new Error('Invalid issued-at time');
+  }
+
+  if (fields.expirationTime) {
+    const expiresAt = Date.parse(fields.expirationTime);
+    if (Number.isNaN(expiresAt) || expiresAt <= now) {
+      throw new Error('Sign-in message has expired');
+    }
+  }
+
+  if (fields.notBefore) {
+    const notBefore = Date.parse(fields.notBefore);
+    if (Number.isNaN(notBefore) || notBefore > now + CLOCK_SKEW_MS) {
+      throw new Error('Sign-in message is not valid yet');
+    }
+  }
+
+  let address;
+  try {
+    address = ethers.utils.getAddress(fields.address);
+    const recovered = ethers.utils.verifyMessage(message, signature);
+    if (recovered !== address) {
+      throw new Error('mismatch');
+    }
+  } catch (error) {
+    throw new Error('Invalid signature');
+  }
+
+  if (!(await consumeNonce(fields.nonce))) {
+    throw new Error('Sign-in nonce is invalid or has already been used');
+  }
+
+  return { address, chainId: fields.chainId };
+}
+
+module.exports = {
+  SIWE_DOMAIN,
+  SIWE_CHAIN_IDS,
+  createNonce,
+  consumeNonce,
+  parseSiweMessage,
+  verifySiweMessage
+};
@@ -0,0 +1,210 @@
+// src/backend/utils/totp.js
+// RFC 6238 time-based one-time passwords, recovery codes and secret encryption
+
+const crypto = require('crypto');
+const { requireSecret, getSecret } = require('../../config/secrets');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = 'AppWhistler';
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are stored encrypted; the key defaults to one derived from JWT_SECRET
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(getSecret('TWO_FACTOR_ENCRYPTION_KEY') || `${requireSecret('JWT_SECRET')}:two-factor`)
+  .digest();
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new base32 TOTP secret (160 bits, as recommended by RFC 4226)
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code for a time step counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current time step counter
+ * @param {number} now - Milliseconds since epoch
+ * @returns {number}
+ */
+function getCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - { window, now }
+ * @returns {number|null} Matching time step counter, or null when invalid
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getCounter(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateCode(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+function buildOtpAuthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes (shown to the user once, stored hashed)
+ * @param {number} count
+ * @returns {string[]} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage/lookup (dashes and case are ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret
+ * @param {Buffer} key - 32-byte key; defaults to the two-factor key
+ * @returns {string} iv:tag:ciphertext (hex)
+ */
+function encryptSecret(secret, key = ENCRYPTION_KEY) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Output of encryptSecret
+ * @param {Buffer} key - The key it was encrypted with
+ * @returns {string}
+ */
+function decryptSecret(payload, key = ENCRYPTION_KEY) {
+  const [iv, tag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getCounter,
+  verifyCode,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};
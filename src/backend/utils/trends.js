@@ -0,0 +1,409 @@
+// src/backend/utils/trends.js
+// Emerging-claim detection: cluster recent fact-checks, bounties and searches, and flag
+// clusters whose volume is accelerating against their own baseline
+
+const crypto = require('crypto');
+const { getNumber, requireSecret } = require('../../config/secrets');
+const { notify } = require('./notifications');
+const { normalizeClaimText, claimSimilarity } = require('./claimSimilarity');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Window length and the baseline period before it that volume is compared against
+const TREND_WINDOWS = {
+  HOUR: { windowMs: HOUR_MS, baselineMs: 24 * HOUR_MS, label: 'hour' },
+  DAY: { windowMs: 24 * HOUR_MS, baselineMs: 7 * 24 * HOUR_MS, label: '24 hours' },
+  WEEK: { windowMs: 7 * 24 * HOUR_MS, baselineMs: 28 * 24 * HOUR_MS, label: 'week' }
+};
+
+// A cluster trends once it has this many signals in the window...
+const TREND_MIN_VOLUME = 3;
+// ...at this multiple (or more) of its baseline rate
+const TREND_MIN_ACCELERATION = 2;
+// Signals join a cluster at this similarity to its first member...
+const TREND_CLUSTER_SIMILARITY = 0.5;
+// ...or, for short texts such as searches, when this share of their keywords appear in it
+const TREND_KEYWORD_CONTAINMENT = 0.75;
+// Upper bounds per run: signals loaded per window, clusters remembered per keyword and
+// clusters a signal is scored against, so clustering stays linear in the signal count
+const MAX_TREND_SIGNALS = 2000;
+const MAX_CLUSTERS_PER_KEYWORD = 50;
+const MAX_CLUSTER_CANDIDATES = 20;
+const MAX_TRENDS_PER_WINDOW = 20;
+const CLUSTER_KEYWORDS = 4;
+// A searcher repeating a search within this long is only recorded once
+const SEARCH_DEDUPE_MINUTES = 60;
+
+// Searchers are stored as a keyed hash, separate from the vote fingerprints
+const SEARCHER_KEY = `${requireSecret('JWT_SECRET')}:search-signal`;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'that', 'this', 'with', 'from', 'have', 'has', 'had',
+  'not', 'but', 'you', 'they', 'their', 'its', 'can', 'will', 'all', 'any', 'into', 'than', 'then',
+  'been', 'being', 'about', 'does', 'did', 'what', 'when', 'who', 'why', 'how', 'is', 'it', 'of',
+  'to', 'in', 'on', 'at', 'by', 'an', 'as', 'or', 'be', 'do', 'if', 'so', 'no', 'we', 'he', 'she'
+]);
+
+// New signals across all sources since $1, newest first (capped at $2).
+// Only fact-checks and bounties carry their original wording; searches are never shown.
+const TREND_SIGNALS_SQL = `
+  SELECT * FROM (
+    SELECT 'fact_check' AS source, id::text AS source_id, claim,
+           COALESCE(normalized_claim, claim) AS text, NULL AS searcher_hash, created_at
+    FROM fact_checks
+    WHERE created_at >= $1 AND hidden_at IS NULL
+    UNION ALL
+    SELECT 'bounty', id::text, claim, claim, NULL, created_at
+    FROM bounties
+    WHERE created_at >= $1
+    UNION ALL
+    SELECT 'search', id::text, NULL, normalized_text, searcher_hash, created_at
+    FROM search_queries
+    WHERE created_at >= $1
+  ) signals
+  ORDER BY created_at DESC
+  LIMIT $2`;
+
+// $1 window, $2 key, $3 label, $4 keywords, $5 volume, $6 baseline, $7 acceleration,
+// $8-$10 per-source counts, $11 fact-check ids, $12 first seen
+const UPSERT_TREND_SQL = `
+  INSERT INTO claim_trends
+    (time_window, cluster_key, label, keywords, volume, baseline_volume, acceleration,
+     fact_check_count, bounty_count, search_count, fact_check_ids, first_seen_at, computed_at)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+  ON CONFLICT (time_window, cluster_key) DO UPDATE
+    SET label = EXCLUDED.label,
+        keywords = EXCLUDED.keywords,
+        volume = EXCLUDED.volume,
+        baseline_volume = EXCLUDED.baseline_volume,
+        acceleration = EXCLUDED.acceleration,
+        fact_check_count = EXCLUDED.fact_check_count,
+        bounty_count = EXCLUDED.bounty_count,
+        search_count = EXCLUDED.search_count,
+        fact_check_ids = EXCLUDED.fact_check_ids,
+        first_seen_at = LEAST(claim_trends.first_seen_at, EXCLUDED.first_seen_at),
+        computed_at = EXCLUDED.computed_at
+  RETURNING *`;
+
+/**
+ * Content words of a normalized text
+ * @param {string} text
+ * @returns {string[]} Unique keywords in order of appearance
+ */
+function keywordTokens(text) {
+  const tokens = normalizeClaimText(text).split(' ')
+    .filter(token => token.length >= 2 && !STOPWORDS.has(token));
+  return [...new Set(tokens)];
+}
+
+/**
+ * How well a signal fits a cluster: text similarity to the cluster's first member, or keyword
+ * containment for short texts (a three-word search can't score high against a full claim)
+ * @returns {number} 0..1
+ */
+function clusterFit(signal, cluster) {
+  const similarity = claimSimilarity(signal.text, cluster.representative);
+  if (signal.tokens.length < 2) {
+    return similarity;
+  }
+  const shared = signal.tokens.filter(token => cluster.tokenSet.has(token)).length;
+  const containment = shared / signal.tokens.length;
+  return containment >= TREND_KEYWORD_CONTAINMENT ? Math.max(similarity, containment) : similarity;
+}
+
+/**
+ * Group signals into clusters of the same narrative, oldest signal first. Candidate clusters
+ * are found through shared keywords so each signal is only compared with plausible matches.
+ * @param {Array} signals - [{ source, source_id, claim, text, created_at }]
+ * @returns {Array} [{ key, keywords, label, signals }]
+ */
+function clusterSignals(signals) {
+  const clusters = [];
+  const clustersByToken = new Map();
+
+  const ordered = signals
+    .map(signal => ({ ...signal, text: normalizeClaimText(signal.text), tokens: keywordTokens(signal.text) }))
+    .filter(signal => signal.tokens.length > 0)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  ordered.forEach(signal => {
+    // Clusters sharing the most keywords are scored first; the rest are skipped
+    const shared = new Map();
+    signal.tokens.forEach(token => (clustersByToken.get(token) || []).forEach(index => shared.set(index, (shared.get(index) || 0) + 1)));
+    const candidates = [...shared.entries()]
+      .sort((a, b) => b[1] - a[1] || b[0] - a[0])
+      .slice(0, MAX_CLUSTER_CANDIDATES)
+      .map(([index]) => index);
+
+    let best = null;
+    let bestFit = 0;
+    candidates.forEach(index => {
+      const fit = clusterFit(signal, clusters[index]);
+      if (fit > bestFit) {
+        best = index;
+        bestFit = fit;
+      }
+    });
+
+    if (best !== null && bestFit >= TREND_CLUSTER_SIMILARITY) {
+      clusters[best].signals.push(signal);
+      return;
+    }
+
+    const index = clusters.length;
+    clusters.push({ representative: signal.text, tokenSet: new Set(signal.tokens), signals: [signal] });
+    signal.tokens.forEach(token => {
+      if (!clustersByToken.has(token)) clustersByToken.set(token, []);
+      const bucket = clustersByToken.get(token);
+      bucket.push(index);
+      // Common keywords only remember their newest clusters
+      if (bucket.length > MAX_CLUSTERS_PER_KEYWORD) bucket.shift();
+    });
+  });
+
+  // Clusters are identified by their most common keywords, so a narrative keeps the same key
+  // from run to run; clusters that end up with the same key are combined.
+  const byKey = new Map();
+  clusters.forEach(cluster => {
+    const frequency = new Map();
+    cluster.signals.forEach(signal => signal.tokens.forEach(token => frequency.set(token, (frequency.get(token) || 0) + 1)));
+    const keywords = [...frequency.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, CLUSTER_KEYWORDS)
+      .map(([token]) => token);
+    const key = [...keywords].sort().join(' ');
+
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.signals.push(...cluster.signals);
+    } else {
+      byKey.set(key, { key, keywords, signals: [...cluster.signals] });
+    }
+  });
+
+  return [...byKey.values()].map(cluster => {
+    const labelled = cluster.signals.find(signal => signal.claim);
+    return { ...cluster, label: labelled ? labelled.claim : cluster.keywords.join(' ') };
+  });
+}
+
+/**
+ * Signals with each searcher's searches counted once
+ * @param {Array} signals
+ * @returns {Array}
+ */
+function dedupeSearchers(signals) {
+  const seen = new Set();
+  return signals.filter(signal => {
+    if (signal.source !== 'search' || !signal.searcher_hash) return true;
+    if (seen.has(signal.searcher_hash)) return false;
+    seen.add(signal.searcher_hash);
+    return true;
+  });
+}
+
+/**
+ * Volume in the window against the cluster's own baseline rate. A searcher counts once in
+ * the window and once in the baseline, however often they repeat the search.
+ * @param {object} cluster - From clusterSignals
+ * @param {object} windowDef - { windowMs, baselineMs }
+ * @param {Date} now
+ * @returns {object} { volume, baselineVolume, acceleration, counts, factCheckIds, firstSeenAt }
+ */
+function scoreCluster(cluster, { windowMs, baselineMs }, now) {
+  const windowStart = now.getTime() - windowMs;
+  const inWindow = signal => new Date(signal.created_at).getTime() >= windowStart;
+  const recent = dedupeSearchers(cluster.signals.filter(inWindow));
+  const baselineCount = dedupeSearchers(cluster.signals.filter(signal => !inWindow(signal))).length;
+
+  // Expected volume per window, from the baseline period
+  const baselineVolume = baselineMs > 0 ? (baselineCount * windowMs) / baselineMs : 0;
+  // +1 smoothing keeps a brand-new cluster with a handful of signals from scoring infinity
+  const acceleration = (recent.length + 1) / (baselineVolume + 1);
+
+  const counts = { fact_check: 0, bounty: 0, search: 0 };
+  recent.forEach(signal => {
+    counts[signal.source] = (counts[signal.source] || 0) + 1;
+  });
+
+  return {
+    volume: recent.length,
+    baselineVolume: Math.round(baselineVolume * 100) / 100,
+    acceleration: Math.round(acceleration * 100) / 100,
+    counts,
+    factCheckIds: recent.filter(signal => signal.source === 'fact_check').map(signal => signal.source_id).slice(-10),
+    firstSeenAt: cluster.signals[0]?.created_at || null
+  };
+}
+
+/**
+ * Tell moderators about a trend the first time it crosses the alert threshold
+ * @returns {Promise<boolean>} Whether an alert was sent
+ */
+async function alertModerators(pool, window, trend) {
+  // Claiming alerted_at first means overlapping job runs alert only once
+  const claimed = await pool.query(
+    `UPDATE claim_trends SET alerted_at = CURRENT_TIMESTAMP
+     WHERE time_window = $1 AND cluster_key = $2 AND alerted_at IS NULL
+     RETURNING cluster_key`,
+    [window, trend.cluster_key]
+  );
+  if (claimed.rows.length === 0) {
+    return false;
+  }
+
+  const moderators = await pool.query(
+    `SELECT id FROM users
+     WHERE role IN ('admin', 'moderator') AND account_status <> 'banned'`
+  );
+  const label = trend.label.length > 120 ? `${trend.label.slice(0, 117)}...` : trend.label;
+
+  await Promise.all(moderators.rows.map(moderator => notify(pool, moderator.id, 'trend_alert', {
+    title: `Trending claim: ${label}`,
+    message: `${trend.volume} related claims, bounties and searches in the last ${TREND_WINDOWS[window].label}, ` +
+      `${Number(trend.acceleration)}x the usual rate.`,
+    data: { window, clusterKey: trend.cluster_key, factCheckIds: trend.fact_check_ids }
+  })));
+  return true;
+}
+
+/**
+ * Recompute trending clusters for every window, replace the stored trends and alert
+ * moderators about clusters over the alert threshold
+ * @param {Pool} pool
+ * @param {Date} now
+ * @returns {Promise<object>} { trends, alerts }
+ */
+async function detectTrends(pool, now = new Date()) {
+  const alertVolume = getNumber('TREND_ALERT_MIN_VOLUME', 10);
+  const alertAcceleration = getNumber('TREND_ALERT_ACCELERATION', 3);
+  let trends = 0;
+  let alerts = 0;
+
+  try {
+    for (const [window, windowDef] of Object.entries(TREND_WINDOWS)) {
+      const since = new Date(now.getTime() - windowDef.windowMs - windowDef.baselineMs);
+      const signals = (await pool.query(TREND_SIGNALS_SQL, [since, MAX_TREND_SIGNALS])).rows;
+
+      // When the cap cut the lookback short, only the baseline that was loaded counts
+      let baselineMs = windowDef.baselineMs;
+      if (signals.length >= MAX_TREND_SIGNALS) {
+        const oldest = new Date(signals[signals.length - 1].created_at).getTime();
+        baselineMs = Math.max(0, now.getTime() - windowDef.windowMs - oldest);
+      }
+
+      const trending = clusterSignals(signals)
+        .map(cluster => ({ cluster, score: scoreCluster(cluster, { ...windowDef, baselineMs }, now) }))
+        .filter(({ score }) => score.volume >= TREND_MIN_VOLUME && score.acceleration >= TREND_MIN_ACCELERATION)
+        .sort((a, b) => b.score.acceleration - a.score.acceleration || b.score.volume - a.score.volume)
+        .slice(0, MAX_TRENDS_PER_WINDOW);
+
+      for (const { cluster, score } of trending) {
+        const result = await pool.query(UPSERT_TREND_SQL, [
+          window,
+          cluster.key,
+          cluster.label,
+          JSON.stringify(cluster.keywords),
+          score.volume,
+          score.baselineVolume,
+          score.acceleration,
+          score.counts.fact_check,
+          score.counts.bounty,
+          score.counts.search,
+          JSON.stringify(score.factCheckIds),
+          score.firstSeenAt
+        ]);
+        trends += 1;
+
+        if (score.volume >= alertVolume && score.acceleration >= alertAcceleration) {
+          if (await alertModerators(pool, window, result.rows[0])) {
+            alerts += 1;
+          }
+        }
+      }
+
+      await pool.query(
+        'DELETE FROM claim_trends WHERE time_window = $1 AND NOT (cluster_key = ANY($2::text[]))',
+        [window, trending.map(({ cluster }) => cluster.key)]
+      );
+    }
+
+    // Searches older than the longest lookback are no longer needed
+    const retentionMs = Math.max(...Object.values(TREND_WINDOWS).map(def => def.windowMs + def.baselineMs));
+    await pool.query('DELETE FROM search_queries WHERE created_at < $1', [new Date(now.getTime() - retentionMs)]);
+  } catch (error) {
+    if (error.code === '42P01') {
+      return { trends, alerts }; // Trend tables not migrated yet
+    }
+    throw error;
+  }
+
+  console.log(`📈 Detected ${trends} trending claim cluster(s), ${alerts} moderator alert(s)`);
+  return { trends, alerts };
+}
+
+/**
+ * Store a fact-check search as a trend signal. A side effect of searching, so it never throws.
+ * @param {Pool} pool
+ * @param {string} text - Search text as entered
+ * @param {string|null} searcher - User id, or client IP for anonymous searches; stored hashed
+ */
+async function recordSearchQuery(pool, text, searcher = null) {
+  const normalized = normalizeClaimText(text).slice(0, 500);
+  if (normalized.length < 3) {
+    return;
+  }
+
+  const searcherHash = searcher ? crypto.createHmac('sha256', SEARCHER_KEY).update(String(searcher)).digest('hex') : null;
+  try {
+    await pool.query(
+      `INSERT INTO search_queries (normalized_text, searcher_hash)
+       SELECT $1, $2
+       WHERE $2::text IS NULL OR NOT EXISTS (
+         SELECT 1 FROM search_queries
+         WHERE searcher_hash = $2 AND normalized_text = $1
+           AND created_at >= CURRENT_TIMESTAMP - make_interval(mins => $3)
+       )`,
+      [normalized, searcherHash, SEARCH_DEDUPE_MINUTES]
+    );
+  } catch (error) {
+    if (error.code !== '42P01') {
+      console.error('Failed to record search query:', error.message);
+    }
+  }
+}
+
+/**
+ * Stored trends for a window, fastest-accelerating first
+ * @param {Pool} pool
+ * @param {string} window - Key of TREND_WINDOWS
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+async function getTrendingClaims(pool, window, limit = 10) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM claim_trends
+       WHERE time_window = $1
+       ORDER BY acceleration DESC, volume DESC
+       LIMIT $2`,
+      [window, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    if (error.code === '42P01') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  TREND_WINDOWS,
+  keywordTokens,
+  clusterSignals,
+  scoreCluster,
+  detectTrends,
+  recordSearchQuery,
+  getTrendingClaims
+};
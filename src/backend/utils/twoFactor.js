@@ -0,0 +1,199 @@
+// src/backend/utils/twoFactor.js
+// Two-factor login challenges, code verification and per-role policy
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { requireSecret, getNumber } = require('../../config/secrets');
+const cacheManager = require('./cacheManager');
+const {
+  verifyCode,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('./totp');
+
+// Challenge tokens use their own key so they can never pass as access tokens
+const CHALLENGE_SECRET = `${requireSecret('JWT_SECRET')}:2fa-challenge`;
+const CHALLENGE_TTL_SECONDS = getNumber('TWO_FACTOR_CHALLENGE_TTL_SECONDS', 300);
+const MAX_CHALLENGE_ATTEMPTS = getNumber('TWO_FACTOR_MAX_ATTEMPTS', 5);
+
+// Roles a policy can require 2FA for. The policy is enforced by requireRole, which only
+// guards privileged operations, so plain users are not covered.
+const TWO_FACTOR_ROLES = ['moderator', 'admin'];
+
+/**
+ * Issue the short-lived token returned by `login` when a second factor is needed
+ * @param {string} userId
+ * @returns {string}
+ */
+function createLoginChallenge(userId) {
+  return jwt.sign(
+    { userId, type: '2fa_challenge', jti: crypto.randomUUID() },
+    CHALLENGE_SECRET,
+    { expiresIn: CHALLENGE_TTL_SECONDS, issuer: 'appwhistler' }
+  );
+}
+
+/**
+ * Verify a login challenge token
+ * @param {string} token
+ * @returns {object|null} Decoded payload, or null when invalid/expired
+ */
+function verifyLoginChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, CHALLENGE_SECRET, { issuer: 'appwhistler' });
+    return decoded.type === '2fa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Take one of a challenge's attempts before checking a code. The count is an atomic
+ * increment taken up front, so parallel guesses can't all slip in under the limit.
+ * @param {string} jti - Challenge token ID
+ * @returns {Promise<boolean>} False once the attempts are used up (or can't be counted)
+ */
+async function claimChallengeAttempt(jti) {
+  const attempts = await cacheManager.increment(`2fa-attempts:${jti}`, CHALLENGE_TTL_SECONDS);
+  return attempts !== null && attempts <= MAX_CHALLENGE_ATTEMPTS;
+}
+
+/**
+ * Check whether a challenge has used up its attempts
+ * @param {string} jti
+ * @returns {Promise<boolean>}
+ */
+async function isChallengeExhausted(jti) {
+  return ((await cacheManager.get(`2fa-attempts:${jti}`)) || 0) >= MAX_CHALLENGE_ATTEMPTS;
+}
+
+/**
+ * Burn a challenge after a successful verification so it cannot be replayed
+ * @param {string} jti
+ */
+async function consumeLoginChallenge(jti) {
+  await cacheManager.set(`2fa-attempts:${jti}`, MAX_CHALLENGE_ATTEMPTS, CHALLENGE_TTL_SECONDS);
+}
+
+/**
+ * Verify a TOTP code for an enrolled user, rejecting replays of an already used time step
+ * @param {Pool} pool
+ * @param {object} user - User row with two_factor_secret
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpForUser(pool, user, code) {
+  if (!user.two_factor_secret) {
+    return false;
+  }
+
+  const counter = verifyCode(decryptSecret(user.two_factor_secret), code);
+  if (counter === null) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE users
+     SET two_factor_last_counter = $1
+     WHERE id = $2
+       AND (two_factor_last_counter IS NULL OR two_factor_last_counter < $1)
+     RETURNING id`,
+    [counter, user.id]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Consume a one-time recovery code
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(pool, userId, code) {
+  const result = await pool.query(
+    `UPDATE two_factor_recovery_codes
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Verify a second factor: a TOTP code, or else a recovery code
+ * @param {Pool} pool
+ * @param {object} user
+ * @param {string} code
+ * @returns {Promise<string|null>} 'totp', 'recovery' or null
+ */
+async function verifySecondFactor(pool, user, code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+
+  if (/^\s*\d{6}\s*$/.test(code)) {
+    return (await verifyTotpForUser(pool, user, code)) ? 'totp' : null;
+  }
+
+  return (await consumeRecoveryCode(pool, user.id, code)) ? 'recovery' : null;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<string[]>} Plain codes (only ever shown once)
+ */
+async function replaceRecoveryCodes(pool, userId) {
+  const codes = generateRecoveryCodes();
+
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await pool.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Check the admin-configured policy for a role
+ * @param {Pool} pool
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequiredForRole(pool, role) {
+  try {
+    const result = await pool.query(
+      'SELECT required FROM two_factor_policies WHERE role = $1',
+      [role]
+    );
+    return result.rows[0]?.required === true;
+  } catch (error) {
+    if (error.code === '42P01') {
+      return false; // Policy table not migrated yet
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  MAX_CHALLENGE_ATTEMPTS,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  claimChallengeAttempt,
+  isChallengeExhausted,
+  consumeLoginChallenge,
+  verifyTotpForUser,
+  consumeRecoveryCode,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  isTwoFactorRequiredForRole
+};
@@ -0,0 +1,76 @@
+// src/backend/utils/verdictHistory.js
+// History of verdict and confidence changes on fact-checks (fact_check_updates)
+
+const VERDICT_CHANGE_REASONS = {
+  AUTOMATED_REVERIFICATION: 'automated_reverification',
+  APPEAL: 'appeal',
+  ADMIN_EDIT: 'admin_edit'
+};
+
+/**
+ * Record a verdict change. Call after the fact_checks row has been updated.
+ * @param {Pool} pool
+ * @param {object} change - { factCheckId, oldVerdict, newVerdict, oldConfidence, newConfidence,
+ *   reason, actorId, appealId, note }; no actorId means the change was made by an automated job
+ * @returns {Promise<object>} The history row
+ */
+async function recordVerdictChange(pool, {
+  factCheckId,
+  oldVerdict = null,
+  newVerdict = null,
+  oldConfidence = null,
+  newConfidence = null,
+  reason,
+  actorId = null,
+  appealId = null,
+  note = null
+}) {
+  const result = await pool.query(
+    `INSERT INTO fact_check_updates
+     (fact_check_id, old_verdict, new_verdict, old_confidence, new_confidence, reason, actor_type, changed_by, appeal_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      factCheckId,
+      oldVerdict,
+      newVerdict,
+      oldConfidence,
+      newConfidence,
+      reason,
+      actorId ? 'user' : 'automated',
+      actorId,
+      appealId,
+      note
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * A fact-check's verdict changes, oldest first
+ * @param {Pool} pool
+ * @param {string} factCheckId
+ * @returns {Promise<Array>}
+ */
+async function getVerdictHistory(pool, factCheckId) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM fact_check_updates
+       WHERE fact_check_id = $1
+       ORDER BY created_at ASC`,
+      [factCheckId]
+    );
+    return result.rows;
+  } catch (error) {
+    if (error.code === '42P01') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  VERDICT_CHANGE_REASONS,
+  recordVerdictChange,
+  getVerdictHistory
+};
@@ -0,0 +1,302 @@
+// src/backend/utils/voteIntegrity.js
+// Vote weighting by account standing, and detection of coordinated voting on fact-checks
+
+const crypto = require('crypto');
+const { getNumber, getSecret, requireSecret } = require('../../config/secrets');
+
+// How a voter's account standing scales their vote (before the expert multiplier)
+const VOTE_WEIGHT_RULES = {
+  // Accounts reach full weight at this age; younger ones scale linearly from minAgeFactor
+  fullWeightAgeDays: 30,
+  minAgeFactor: 0.1,
+  unverifiedFactor: 0.5,
+  // Reputation adds up to maxReputationBonus (×2 at reputationCap)
+  reputationCap: 1000,
+  maxReputationBonus: 1,
+  // Voters with fewer votes than this count a little less
+  newVoterVotes: 5,
+  newVoterFactor: 0.75,
+  minWeight: 0.05
+};
+
+// Vote statuses that count towards weighted_score
+const COUNTED_VOTE_STATUSES = ['counted', 'approved'];
+
+const QUARANTINE_REASONS = {
+  NEW_ACCOUNT_BURST: 'new_account_burst',
+  SHARED_FINGERPRINT: 'shared_fingerprint',
+  CORRELATED_PAIR: 'correlated_pair'
+};
+
+// Detector thresholds
+const NEW_ACCOUNT_DAYS = 7;
+const BURST_WINDOW_MINUTES = 60;
+const BURST_MIN_VOTES = 5;
+const SHARED_FINGERPRINT_MIN_USERS = 3;
+const PAIR_MIN_SHARED_VOTES = 5;
+const PAIR_SYNC_SECONDS = 600;
+const PAIR_MIN_SYNC_RATIO = 0.8;
+const PAIR_LOOKBACK_DAYS = 30;
+const PAIR_MAX_RECENT_VOTERS = 200;
+
+// Moves flagged votes ($1 fact-check ids, $2 user ids, $3 reasons) into quarantine and takes
+// their contribution out of each fact-check's weighted score in the same statement
+const QUARANTINE_VOTES_SQL = `
+  WITH flagged AS (
+    SELECT DISTINCT ON (fact_check_id, user_id) *
+    FROM unnest($1::uuid[], $2::uuid[], $3::text[]) AS f(fact_check_id, user_id, reason)
+  ), quarantined AS (
+    UPDATE fact_check_votes v
+    SET status = 'quarantined', quarantine_reason = f.reason, quarantined_at = CURRENT_TIMESTAMP
+    FROM flagged f
+    WHERE v.fact_check_id = f.fact_check_id AND v.user_id = f.user_id AND v.status = 'counted'
+    RETURNING v.fact_check_id, v.vote_value * v.weight AS contribution
+  ), adjusted AS (
+    UPDATE fact_checks fc
+    SET weighted_score = fc.weighted_score - q.total
+    FROM (SELECT fact_check_id, SUM(contribution) AS total FROM quarantined GROUP BY fact_check_id) q
+    WHERE fc.id = q.fact_check_id
+    RETURNING fc.id
+  )
+  SELECT (SELECT COUNT(*) FROM quarantined)::int AS quarantined,
+         (SELECT COUNT(*) FROM adjusted)::int AS fact_checks`;
+
+// Fingerprints are keyed so a leaked votes table can't be brute-forced back to IP addresses;
+// the key defaults to one derived from JWT_SECRET
+const FINGERPRINT_KEY = getSecret('VOTE_FINGERPRINT_KEY') || `${requireSecret('JWT_SECRET')}:vote-fingerprint`;
+
+/**
+ * HMAC of a request fingerprint part (client IP or user agent), so votes can be compared
+ * without storing the raw value
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function fingerprintHash(value) {
+  if (!value) return null;
+  return crypto.createHmac('sha256', FINGERPRINT_KEY).update(String(value)).digest('hex');
+}
+
+/**
+ * Account standing used to weight a vote
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<object|null>} { created_at, is_verified, truth_score, votes_cast, votes_rejected }
+ */
+async function loadVoterProfile(pool, userId) {
+  const result = await pool.query(
+    `SELECT u.created_at, u.is_verified, u.truth_score,
+            (SELECT COUNT(*) FROM fact_check_votes v WHERE v.user_id = u.id) AS votes_cast,
+            (SELECT COUNT(*) FROM fact_check_votes v WHERE v.user_id = u.id AND v.status = 'rejected') AS votes_rejected
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Weight of a vote from account age, verified email, reputation and voting history
+ * (votes a moderator rejected count against the voter), times the expert multiplier
+ * @param {object|null} profile - From loadVoterProfile
+ * @param {object} options - { expertMultiplier, now }
+ * @returns {number}
+ */
+function computeVoteWeight(profile, { expertMultiplier = 1, now = new Date() } = {}) {
+  const rules = VOTE_WEIGHT_RULES;
+  let weight = 1;
+
+  if (profile) {
+    const createdAt = profile.created_at ? new Date(profile.created_at) : now;
+    const ageDays = Math.max(0, (now - createdAt) / (24 * 60 * 60 * 1000));
+    const ageFactor = Math.min(1, Math.max(rules.minAgeFactor, ageDays / rules.fullWeightAgeDays));
+
+    const verifiedFactor = profile.is_verified ? 1 : rules.unverifiedFactor;
+
+    const reputation = Math.min(Math.max(Number(profile.truth_score) || 0, 0), rules.reputationCap);
+    const reputationFactor = 1 + (reputation / rules.reputationCap) * rules.maxReputationBonus;
+
+    const votesCast = parseInt(profile.votes_cast || 0, 10);
+    const votesRejected = parseInt(profile.votes_rejected || 0, 10);
+    const historyFactor = (votesCast < rules.newVoterVotes ? rules.newVoterFactor : 1) *
+      (1 - votesRejected / Math.max(votesCast, 1));
+
+    weight = Math.max(rules.minWeight, ageFactor * verifiedFactor * reputationFactor * historyFactor);
+  }
+
+  return Math.round(weight * expertMultiplier * 100) / 100;
+}
+
+/**
+ * Bursts of same-direction votes on one fact-check from new accounts
+ * @param {Array} votes - [{ fact_check_id, user_id, vote_value, created_at, account_created_at }]
+ * @returns {Array} Flagged [{ factCheckId, userId, reason }]
+ */
+function findNewAccountBursts(votes) {
+  const newAccountMs = NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000;
+  const windowMs = BURST_WINDOW_MINUTES * 60 * 1000;
+  const groups = new Map();
+
+  votes
+    .filter(vote => new Date(vote.created_at) - new Date(vote.account_created_at) < newAccountMs)
+    .forEach(vote => {
+      const key = `${vote.fact_check_id}:${vote.vote_value}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(vote);
+    });
+
+  const flagged = [];
+  groups.forEach(group => {
+    group.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const inBurst = new Set();
+    let start = 0;
+    group.forEach((vote, end) => {
+      while (new Date(vote.created_at) - new Date(group[start].created_at) > windowMs) start += 1;
+      if (end - start + 1 >= BURST_MIN_VOTES) {
+        for (let i = start; i <= end; i++) inBurst.add(group[i]);
+      }
+    });
+    inBurst.forEach(vote => flagged.push({
+      factCheckId: vote.fact_check_id,
+      userId: vote.user_id,
+      reason: QUARANTINE_REASONS.NEW_ACCOUNT_BURST
+    }));
+  });
+  return flagged;
+}
+
+/**
+ * Several accounts voting on one fact-check from the same IP and user agent
+ * @param {Array} votes - [{ fact_check_id, user_id, ip_hash, user_agent_hash }]
+ * @returns {Array} Flagged [{ factCheckId, userId, reason }]
+ */
+function findSharedFingerprints(votes) {
+  const groups = new Map();
+  votes
+    .filter(vote => vote.ip_hash && vote.user_agent_hash)
+    .forEach(vote => {
+      const key = `${vote.fact_check_id}:${vote.ip_hash}:${vote.user_agent_hash}`;
+      if (!groups.has(key)) groups.set(key, new Map());
+      groups.get(key).set(String(vote.user_id), vote);
+    });
+
+  const flagged = [];
+  groups.forEach(voters => {
+    if (voters.size < SHARED_FINGERPRINT_MIN_USERS) return;
+    voters.forEach(vote => flagged.push({
+      factCheckId: vote.fact_check_id,
+      userId: vote.user_id,
+      reason: QUARANTINE_REASONS.SHARED_FINGERPRINT
+    }));
+  });
+  return flagged;
+}
+
+/**
+ * Run every detector over recent votes and quarantine what they flag
+ * @param {Pool} pool
+ * @param {Date} now
+ * @returns {Promise<object>} { flagged, quarantined, factChecks }
+ */
+async function detectCoordinatedVoting(pool, now = new Date()) {
+  const lookbackHours = getNumber('VOTE_FRAUD_LOOKBACK_HOURS', 24);
+  const since = new Date(now.getTime() - lookbackHours * 60 * 60 * 1000);
+  const flagged = [];
+
+  try {
+    const recent = await pool.query(
+      `SELECT v.fact_check_id, v.user_id, v.vote_value, v.created_at, v.ip_hash, v.user_agent_hash,
+              u.created_at AS account_created_at
+       FROM fact_check_votes v
+       JOIN users u ON u.id = v.user_id
+       WHERE v.created_at >= $1 AND v.status = 'counted'`,
+      [since]
+    );
+    flagged.push(...findNewAccountBursts(recent.rows), ...findSharedFingerprints(recent.rows));
+
+    // Pairs of accounts that keep casting the same vote within minutes of each other. Only
+    // pairs that voted in sync since $5 are candidates, among at most $6 recent voters per
+    // fact-check; their shared history is then read through each voter's own votes, so the
+    // cost follows recent activity rather than every voter a fact-check ever had.
+    const pairs = await pool.query(
+      `WITH recent AS (
+         SELECT fact_check_id, user_id, vote_value, created_at
+         FROM (
+           SELECT fact_check_id, user_id, vote_value, created_at,
+                  ROW_NUMBER() OVER (PARTITION BY fact_check_id ORDER BY created_at DESC) AS position
+           FROM fact_check_votes
+           WHERE created_at >= $5
+         ) ranked
+         WHERE position <= $6
+       ), candidates AS (
+         SELECT a.user_id AS user_a, b.user_id AS user_b, a.fact_check_id
+         FROM recent a
+         JOIN recent b ON b.fact_check_id = a.fact_check_id AND a.user_id < b.user_id
+         WHERE a.vote_value = b.vote_value
+           AND abs(extract(epoch FROM a.created_at - b.created_at)) <= $2
+       ), pair_votes AS (
+         SELECT c.user_a, c.user_b,
+                (va.vote_value = vb.vote_value
+                  AND abs(extract(epoch FROM va.created_at - vb.created_at)) <= $2) AS synchronized
+         FROM (SELECT DISTINCT user_a, user_b FROM candidates) c
+         JOIN fact_check_votes va ON va.user_id = c.user_a AND va.created_at >= $1
+         JOIN fact_check_votes vb ON vb.user_id = c.user_b AND vb.fact_check_id = va.fact_check_id
+                                 AND vb.created_at >= $1
+       ), suspicious AS (
+         SELECT user_a, user_b
+         FROM pair_votes
+         GROUP BY user_a, user_b
+         HAVING COUNT(*) >= $3
+            AND COUNT(*) FILTER (WHERE synchronized)::numeric / COUNT(*) >= $4
+       )
+       SELECT c.fact_check_id, unnest(ARRAY[c.user_a, c.user_b]) AS user_id
+       FROM candidates c
+       JOIN suspicious s ON s.user_a = c.user_a AND s.user_b = c.user_b`,
+      [
+        new Date(now.getTime() - PAIR_LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+        PAIR_SYNC_SECONDS,
+        PAIR_MIN_SHARED_VOTES,
+        PAIR_MIN_SYNC_RATIO,
+        since,
+        PAIR_MAX_RECENT_VOTERS
+      ]
+    );
+    pairs.rows.forEach(row => flagged.push({
+      factCheckId: row.fact_check_id,
+      userId: row.user_id,
+      reason: QUARANTINE_REASONS.CORRELATED_PAIR
+    }));
+
+    if (flagged.length === 0) {
+      return { flagged: 0, quarantined: 0, factChecks: 0 };
+    }
+
+    const result = await pool.query(QUARANTINE_VOTES_SQL, [
+      flagged.map(item => item.factCheckId),
+      flagged.map(item => item.userId),
+      flagged.map(item => item.reason)
+    ]);
+    const { quarantined = 0, fact_checks: factChecks = 0 } = result.rows[0] || {};
+
+    if (quarantined > 0) {
+      console.warn(`🚨 Quarantined ${quarantined} suspicious vote(s) on ${factChecks} fact-check(s)`);
+    }
+    return { flagged: flagged.length, quarantined, factChecks };
+  } catch (error) {
+    if (error.code === '42703' || error.code === '42P01') {
+      return { flagged: 0, quarantined: 0, factChecks: 0 }; // Vote columns not migrated yet
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  VOTE_WEIGHT_RULES,
+  COUNTED_VOTE_STATUSES,
+  QUARANTINE_REASONS,
+  fingerprintHash,
+  loadVoterProfile,
+  computeVoteWeight,
+  findNewAccountBursts,
+  findSharedFingerprints,
+  detectCoordinatedVoting
+};
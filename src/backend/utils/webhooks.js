@@ -0,0 +1,440 @@
+// src/backend/utils/webhooks.js
+// Outbound partner webhooks: endpoint validation, signing, queued delivery with retries
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getSecret, getNumber, requireSecret } = require('../../config/secrets');
+const jobManager = require('../queues/jobManager');
+const { encryptSecret, decryptSecret } = require('./totp');
+
+const WEBHOOK_EVENTS = [
+  'factcheck.published',
+  'factcheck.verdict_changed',
+  'app.verified',
+  'appeal.resolved'
+];
+const TEST_EVENT = 'webhook.test';
+
+const WEBHOOK_QUEUE = 'webhook-jobs';
+const WEBHOOK_MAX_ATTEMPTS = getNumber('WEBHOOK_MAX_ATTEMPTS', 6);
+const WEBHOOK_RETRY_BASE_SECONDS = getNumber('WEBHOOK_RETRY_BASE_SECONDS', 30);
+const WEBHOOK_TIMEOUT_MS = getNumber('WEBHOOK_TIMEOUT_MS', 10000);
+const WEBHOOK_MAX_ENDPOINTS = getNumber('WEBHOOK_MAX_ENDPOINTS', 10);
+const RETRY_BATCH_SIZE = 50;
+const NODE_ENV = getSecret('NODE_ENV', 'development');
+
+const SIGNATURE_HEADER = 'X-AppWhistler-Signature';
+
+// Signing secrets are encrypted under their own key, not the one protecting 2FA secrets
+const SECRET_ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(getSecret('WEBHOOK_SECRET_ENCRYPTION_KEY') || `${requireSecret('JWT_SECRET')}:webhook-secret`)
+  .digest();
+
+/**
+ * Build a BlockList from [address, prefix] pairs
+ * @param {Array} subnets
+ * @returns {net.BlockList}
+ */
+function blockListOf(subnets) {
+  const list = new net.BlockList();
+  subnets.forEach(([address, prefix]) => list.addSubnet(address, prefix, net.isIP(address) === 6 ? 'ipv6' : 'ipv4'));
+  return list;
+}
+
+// Never reachable: unspecified, link-local, multicast and broadcast ranges, plus cloud metadata
+// services that are not on a link-local address
+const ALWAYS_BLOCKED = blockListOf([
+  ['0.0.0.0', 8], ['169.254.0.0', 16], ['224.0.0.0', 4], ['255.255.255.255', 32], ['100.100.100.200', 32],
+  ['::', 128], ['fe80::', 10], ['ff00::', 8], ['fd00:ec2::254', 128]
+]);
+
+// Loopback, private, shared (CGNAT) and unique local ranges, blocked in production
+const INTERNAL_ADDRESSES = blockListOf([
+  ['127.0.0.0', 8], ['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['100.64.0.0', 10],
+  ['::1', 128], ['fc00::', 7]
+]);
+
+/**
+ * Expand an IPv6 address to its eight hextets
+ * @param {string} address - Valid IPv6 address in any notation
+ * @returns {string[]} Lowercase hextets without leading zeros
+ */
+function ipv6Hextets(address) {
+  // The URL parser canonicalizes dotted-quad tails and leading zeros
+  const canonical = new URL(`http://[${address}]/`).hostname.slice(1, -1);
+  const [head, tail] = canonical.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...zeros, ...right];
+}
+
+/**
+ * Whether deliveries may connect to an address. Link-local, unspecified and cloud metadata
+ * addresses are never allowed; private and loopback addresses only outside production.
+ * IPv4-mapped addresses (::ffff:0:0/96) are always refused, and IPv4 addresses embedded in
+ * IPv4-compatible (::/96) or NAT64 (64:ff9b::/96) addresses are checked as IPv4.
+ * @param {string} address - Resolved IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const ip = String(address).split('%')[0].toLowerCase();
+  const family = net.isIP(ip);
+  if (!family) {
+    return true;
+  }
+
+  if (family === 6) {
+    const hextets = ipv6Hextets(ip);
+    const prefix = hextets.slice(0, 6).join(':');
+    if (prefix === '0:0:0:0:0:ffff') {
+      return true;
+    }
+    const isLoopbackOrUnspecified = prefix === '0:0:0:0:0:0' && hextets[6] === '0' && ['0', '1'].includes(hextets[7]);
+    if ((prefix === '0:0:0:0:0:0' || prefix === '64:ff9b:0:0:0:0') && !isLoopbackOrUnspecified) {
+      const [high, low] = hextets.slice(6).map(hextet => parseInt(hextet, 16));
+      return isBlockedAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+  }
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return ALWAYS_BLOCKED.check(ip, type) || (NODE_ENV === 'production' && INTERNAL_ADDRESSES.check(ip, type));
+}
+
+/**
+ * Generate a signing secret for a new endpoint
+ * @returns {string} Only ever shown to the owner once
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Encrypt an endpoint's signing secret for storage
+ * @param {string} secret
+ * @returns {string}
+ */
+function encryptWebhookSecret(secret) {
+  return encryptSecret(secret, SECRET_ENCRYPTION_KEY);
+}
+
+/**
+ * Decrypt a stored signing secret
+ * @param {string} payload - Output of encryptWebhookSecret
+ * @returns {string}
+ */
+function decryptWebhookSecret(payload) {
+  return decryptSecret(payload, SECRET_ENCRYPTION_KEY);
+}
+
+/**
+ * Check a webhook URL before registering it.
+ * In production only public https hosts are accepted; local hosts are allowed in development.
+ * Hostnames are checked again against their resolved addresses on every delivery.
+ * @param {string} url
+ * @returns {{valid: boolean, message?: string}}
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { valid: false, message: 'Webhook URL is not a valid URL' };
+  }
+
+  const allowedProtocols = NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowedProtocols.includes(parsed.protocol)) {
+    return { valid: false, message: `Webhook URL must use ${allowedProtocols.join(' or ').replace(/:/g, '')}` };
+  }
+
+  if (parsed.username || parsed.password) {
+    return { valid: false, message: 'Webhook URL must not contain credentials' };
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if ((net.isIP(host) && isBlockedAddress(host))
+    || (NODE_ENV === 'production' && (host === 'localhost' || host.endsWith('.localhost')))) {
+    return { valid: false, message: 'Webhook URL must point to a public host' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * dns.lookup for outgoing deliveries that fails on blocked addresses. The socket connects to
+ * the address checked here, so a host cannot be re-pointed between check and connect.
+ * @param {string} hostname
+ * @param {object} options - dns.lookup options from the socket
+ * @param {Function} callback
+ */
+function lookupDeliveryAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      callback(new Error(`Webhook host resolves to a disallowed address (${blocked.address})`));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * POST a delivery body. Redirects are not followed.
+ * @param {string} url
+ * @param {object} headers
+ * @param {string} body
+ * @returns {Promise<number>} HTTP status code
+ */
+function postDelivery(url, headers, body) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  // IP literals are connected to directly without a lookup
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(new Error(`Webhook host is a disallowed address (${host})`));
+  }
+
+  const transport = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupDeliveryAddress,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Sign a delivery body. Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>")
+ * and compare it with the signature header.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, also sent as X-AppWhistler-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value, e.g. "sha256=ab12…"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Seconds to wait before the next attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number}
+ */
+function getRetryDelaySeconds(attempts) {
+  return WEBHOOK_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0);
+}
+
+/**
+ * Hand a delivery to the webhook queue without blocking the caller
+ * @param {string} deliveryId
+ */
+function queueDelivery(deliveryId) {
+  Promise.resolve()
+    .then(() => jobManager.submitJob(WEBHOOK_QUEUE, { type: 'deliver', deliveryId }, { attempts: 1 }))
+    .catch(error => console.error(`❌ Failed to queue webhook delivery ${deliveryId}:`, error.message));
+}
+
+/**
+ * Record a delivery for every active endpoint subscribed to an event and queue them.
+ * Never throws: a partner outage must not fail the action that raised the event.
+ * @param {Pool} pool
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event payload
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(pool, event, data) {
+  try {
+    const payload = { event, createdAt: new Date().toISOString(), data };
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, event, payload)
+       SELECT id, $1::text, $2::jsonb
+       FROM webhook_endpoints
+       WHERE active = TRUE AND $1::text = ANY(events)
+       RETURNING id`,
+      [event, JSON.stringify(payload)]
+    );
+
+    result.rows.forEach(row => queueDelivery(row.id));
+    return result.rows.length;
+  } catch (error) {
+    if (error.code !== '42P01') {
+      console.error(`❌ Failed to emit webhook event ${event}:`, error.message);
+    }
+    return 0;
+  }
+}
+
+/**
+ * Attempt one delivery and record the outcome.
+ * Failures are rescheduled with backoff until WEBHOOK_MAX_ATTEMPTS, then dead-lettered.
+ * @param {Pool} pool
+ * @param {string} deliveryId
+ * @returns {Promise<object|null>} Updated delivery row, or null if there was nothing to send
+ */
+async function deliverWebhook(pool, deliveryId) {
+  const result = await pool.query(
+    `SELECT d.*, e.url, e.secret, e.active
+     FROM webhook_deliveries d
+     JOIN webhook_endpoints e ON e.id = d.endpoint_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+
+  const delivery = result.rows[0];
+  if (!delivery || delivery.status === 'delivered' || delivery.status === 'dead') {
+    return null;
+  }
+
+  const attempts = delivery.attempts + 1;
+  let statusCode = null;
+  let errorMessage = null;
+
+  if (!delivery.active) {
+    errorMessage = 'Endpoint is disabled';
+  } else {
+    // Retries resend the identical body; only the timestamp and signature change
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      statusCode = await postDelivery(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AppWhistler-Webhooks/1.0',
+        'X-AppWhistler-Event': delivery.event,
+        'X-AppWhistler-Delivery': delivery.id,
+        'X-AppWhistler-Timestamp': String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(decryptWebhookSecret(delivery.secret), timestamp, body)
+      }, body);
+      if (statusCode >= 300 && statusCode < 400) {
+        errorMessage = `Endpoint redirected with HTTP ${statusCode}; redirects are not followed`;
+      } else if (statusCode < 200 || statusCode >= 300) {
+        errorMessage = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+  }
+
+  let updated;
+  if (!errorMessage) {
+    updated = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = $1, last_status_code = $2, last_error = NULL,
+           next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [attempts, statusCode, delivery.id]
+    );
+    console.log(`📬 Webhook ${delivery.event} delivered to ${delivery.url}`);
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS || !delivery.active) {
+    updated = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'dead', attempts = $1, last_status_code = $2, last_error = $3,
+           next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [attempts, statusCode, errorMessage, delivery.id]
+    );
+    console.warn(`⚠️  Webhook delivery ${delivery.id} dead-lettered after ${attempts} attempts: ${errorMessage}`);
+  } else {
+    updated = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'retrying', attempts = $1, last_status_code = $2, last_error = $3,
+           next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $4), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [attempts, statusCode, errorMessage, getRetryDelaySeconds(attempts), delivery.id]
+    );
+  }
+
+  return updated.rows[0];
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed (run periodically by the scheduler).
+ * Rows are claimed by clearing next_attempt_at so overlapping sweeps skip them.
+ * @param {Pool} pool
+ * @returns {Promise<{retried: number}>}
+ */
+async function retryDueDeliveries(pool) {
+  const due = await pool.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'retrying' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id`,
+    [RETRY_BATCH_SIZE]
+  );
+
+  for (const row of due.rows) {
+    try {
+      await deliverWebhook(pool, row.id);
+    } catch (error) {
+      console.error(`❌ Webhook retry failed for ${row.id}:`, error.message);
+    }
+  }
+
+  return { retried: due.rows.length };
+}
+
+/**
+ * Shape a fact-check row for webhook payloads
+ * @param {object} factCheck - fact_checks row
+ * @returns {object}
+ */
+function serializeFactCheck(factCheck) {
+  return {
+    id: factCheck.id,
+    claim: factCheck.claim,
+    verdict: factCheck.verdict,
+    confidenceScore: factCheck.confidence_score !== undefined ? Number(factCheck.confidence_score) : null,
+    category: factCheck.category || null,
+    appId: factCheck.app_id || null,
+    updatedAt: factCheck.updated_at ? new Date(factCheck.updated_at).toISOString() : null
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  WEBHOOK_QUEUE,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_MAX_ENDPOINTS,
+  SIGNATURE_HEADER,
+  generateWebhookSecret,
+  encryptWebhookSecret,
+  decryptWebhookSecret,
+  isBlockedAddress,
+  validateWebhookUrl,
+  signPayload,
+  getRetryDelaySeconds,
+  queueDelivery,
+  emitWebhookEvent,
+  deliverWebhook,
+  retryDueDeliveries,
+  serializeFactCheck
+};
@@ -111,6 +111,19 @@ function getArray(key, delimiter = ',', fallback = []) {
     .filter(Boolean);
 }
 
+/**
+ * Express 'trust proxy' setting from TRUST_PROXY, so req.ip is the client behind a load balancer.
+ * Accepts true/false, a hop count, or comma-separated addresses/subnets; unset trusts no proxy.
+ */
+function getTrustProxy() {
+  const raw = getSecret('TRUST_PROXY');
+  if (raw === undefined || raw === null || raw === '') return false;
+  const value = String(raw).trim().toLowerCase();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return getArray('TRUST_PROXY');
+}
+
 function getDatabaseConfig() {
   return {
     host: getSecret('DB_HOST', 'localhost'),
@@ -131,5 +144,6 @@ module.exports = {
   getNumber,
   getBoolean,
   getArray,
+  getTrustProxy,
   getDatabaseConfig
 };
@@ -2,14 +2,27 @@
 // Main React application for AppWhistler
 // Minimalist design with greys, blues, and whites + dark mode
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import {
   fetchApps,
   fetchFactChecks,
   loginUser,
-  submitFactCheck as submitFactCheckRequest
+  verifyTwoFactorLogin,
+  requestSiweNonce,
+  siweLogin,
+  verifyEmailAddress,
+  resendVerificationEmail,
+  confirmEmailChange,
+  logoutUser,
+  refreshSession,
+  submitFactCheck as submitFactCheckRequest,
+  reportContent as reportContentRequest,
+  fetchMyAchievements,
+  fetchFactCheckHistory,
+  fetchSimilarClaims
 } from './services/api';
+import { signSiweMessage } from './services/siwe';
 import NotificationCenter from './components/NotificationCenter';
 import ErrorBoundary from './components/ErrorBoundary';
 import { OnboardingTutorial } from './components/OnboardingTutorial';
@@ -18,6 +31,9 @@ import { AccessibilityHelper } from './components/AccessibilityHelper';
 import { auditAccessibility, reportA11yMetrics } from './utils/a11yChecker';
 import { detectSystemColorScheme, listenToSystemColorScheme, reportDarkModeMetrics } from './utils/darkModeValidator';
 
+// Access tokens live 15 minutes by default; refresh a little before they lapse
+const SESSION_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
 const HERO_FEATURES = [
   'Realtime disinformation radar',
   'AI-vetted developer reputation',
@@ -32,6 +48,13 @@ const DISCOVER_METRICS = [
 
 const FILTER_OPTIONS = ['All', 'Social', 'Productivity', 'Finance', 'Health', 'Civic'];
 const FACT_CHECK_CATEGORIES = ['General', 'Policy', 'Finance', 'Health', 'Civic', 'Security'];
+const REPORT_REASONS = [
+  { value: 'misinformation', label: 'Misinformation' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'off_topic', label: 'Off topic' }
+];
 
 const DEFAULT_FACT_CHECKS = [
   {
@@ -57,10 +80,19 @@ const DEFAULT_FACT_CHECKS = [
   }
 ];
 
-const PROFILE_BADGES = [
-  { label: 'Signal Booster', color: 'from-emerald-400 to-teal-500' },
-  { label: 'Truth Scout', color: 'from-blue-400 to-indigo-500' },
-  { label: 'Chain Ally', color: 'from-amber-400 to-orange-500' }
+const VERDICT_CHANGE_LABELS = {
+  automated_reverification: 'Automated re-check',
+  appeal: 'Appeal upheld',
+  admin_edit: 'Admin correction'
+};
+
+// Badges are awarded server-side; colours just cycle through this palette
+const BADGE_COLORS = [
+  'from-emerald-400 to-teal-500',
+  'from-blue-400 to-indigo-500',
+  'from-amber-400 to-orange-500',
+  'from-fuchsia-400 to-pink-500',
+  'from-sky-400 to-cyan-500'
 ];
 
 /**
@@ -83,6 +115,8 @@ function App() {
     }
   });
   const [authToken, setAuthToken] = useState(() => localStorage.getItem('appwhistler_token'));
+  const [refreshToken, setRefreshToken] = useState(() => localStorage.getItem('appwhistler_refresh_token'));
+  const sessionRestoredRef = useRef(false);
 
   const [searchQuery, setSearchQuery] = useState('');
   const [activeTab, setActiveTab] = useState('discover');
@@ -100,6 +134,7 @@ function App() {
   const [factCheckSubmit, setFactCheckSubmit] = useState({ loading: false, error: null, message: null });
 
   const [isAuthModalOpen, setAuthModalOpen] = useState(false);
+  const [accountNotice, setAccountNotice] = useState(null);
 
   useEffect(() => {
     document.body.classList.toggle('dark', darkMode);
@@ -122,6 +157,79 @@ function App() {
     }
   }, [authToken]);
 
+  useEffect(() => {
+    if (refreshToken) {
+      localStorage.setItem('appwhistler_refresh_token', refreshToken);
+    } else {
+      localStorage.removeItem('appwhistler_refresh_token');
+    }
+  }, [refreshToken]);
+
+  // Keep the session alive by rotating the refresh token before the access token expires.
+  // On page load the stored access token may already be stale, so refresh right away.
+  useEffect(() => {
+    if (!refreshToken) {
+      sessionRestoredRef.current = true;
+      return undefined;
+    }
+
+    const delay = sessionRestoredRef.current ? SESSION_REFRESH_INTERVAL_MS : 0;
+    sessionRestoredRef.current = true;
+
+    const timer = setTimeout(async () => {
+      try {
+        const session = await refreshSession(refreshToken);
+        setAuthToken(session.token);
+        setRefreshToken(session.refreshToken);
+      } catch (error) {
+        console.warn('Session refresh failed, signing out', error);
+        setUser(null);
+        setAuthToken(null);
+        setRefreshToken(null);
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [refreshToken]);
+
+  // Links from verification / email-change emails land on /verify-email or /confirm-email-change
+  useEffect(() => {
+    const { pathname, search } = window.location;
+    const linkToken = new URLSearchParams(search).get('token');
+    if (!linkToken || !['/verify-email', '/confirm-email-change'].includes(pathname)) {
+      return;
+    }
+
+    window.history.replaceState(null, '', '/');
+
+    if (pathname === '/verify-email') {
+      verifyEmailAddress(linkToken)
+        .then(() => {
+          setUser(current => (current ? { ...current, isVerified: true } : current));
+          setAccountNotice({ tone: 'success', message: 'Your email address is verified.' });
+        })
+        .catch(err => setAccountNotice({ tone: 'error', message: err.message || 'Verification failed.' }));
+    } else {
+      confirmEmailChange(linkToken)
+        .then(updated => {
+          setUser(current => (current && String(current.id) === String(updated.id)
+            ? { ...current, email: updated.email, isVerified: updated.isVerified }
+            : current));
+          setAccountNotice({ tone: 'success', message: `Your email address is now ${updated.email}.` });
+        })
+        .catch(err => setAccountNotice({ tone: 'error', message: err.message || 'Email change failed.' }));
+    }
+  }, []);
+
+  const handleResendVerification = useCallback(async () => {
+    try {
+      await resendVerificationEmail(authToken);
+      setAccountNotice({ tone: 'success', message: `Verification email sent to ${user?.email}.` });
+    } catch (err) {
+      setAccountNotice({ tone: 'error', message: err.message || 'Could not send the verification email.' });
+    }
+  }, [authToken, user]);
+
   // Accessibility: Enable keyboard focus styles and run audit in development
   useEffect(() => {
     if (process.env.NODE_ENV === 'development') {
@@ -231,20 +339,52 @@ function App() {
     loadApps(appQuery);
   }, [appQuery, loadApps]);
 
-  const handleLogout = useCallback(() => {
+  const handleLogout = useCallback(async () => {
+    try {
+      await logoutUser(authToken);
+    } catch (error) {
+      console.warn('Logout request failed', error);
+    }
     setUser(null);
     setAuthToken(null);
-  }, []);
+    setRefreshToken(null);
+  }, [authToken]);
 
-  const handleLogin = useCallback(async ({ email, password }) => {
-    const authResponse = await loginUser({ email, password });
+  const completeLogin = useCallback((authResponse) => {
     const normalizedUser = normalizeUser(authResponse.user);
     setUser(normalizedUser);
     setAuthToken(authResponse.token);
+    setRefreshToken(authResponse.refreshToken);
     setAuthModalOpen(false);
   }, []);
 
-  const handleSubmitFactCheck = useCallback(async ({ claim, category, sourceUrl, context }) => {
+  const handleLogin = useCallback(async ({ email, password }) => {
+    const authResponse = await loginUser({ email, password });
+    if (authResponse.twoFactorRequired) {
+      // The modal asks for a code and calls handleVerifyTwoFactor with this challenge
+      return { challengeToken: authResponse.challengeToken };
+    }
+    completeLogin(authResponse);
+    return null;
+  }, [completeLogin]);
+
+  const handleWalletLogin = useCallback(async () => {
+    const nonce = await requestSiweNonce();
+    const signed = await signSiweMessage(nonce);
+    const authResponse = await siweLogin(signed);
+    if (authResponse.twoFactorRequired) {
+      return { challengeToken: authResponse.challengeToken };
+    }
+    completeLogin(authResponse);
+    return null;
+  }, [completeLogin]);
+
+  const handleVerifyTwoFactor = useCallback(async ({ challengeToken, code }) => {
+    const authResponse = await verifyTwoFactorLogin({ challengeToken, code });
+    completeLogin(authResponse);
+  }, [completeLogin]);
+
+  const handleSubmitFactCheck = useCallback(async ({ claim, category, sourceUrl, context, allowDuplicate = false }) => {
     if (!authToken) {
       setAuthModalOpen(true);
       throw new Error('Please sign in to submit a claim.');
@@ -258,7 +398,8 @@ function App() {
         verdict: 'UNVERIFIED',
         confidenceScore: 0,
         sources: sourceUrl ? [{ label: 'User submission', url: sourceUrl.trim() }] : null,
-        explanation: context?.trim() || 'Community submission awaiting analyst review.'
+        explanation: context?.trim() || 'Community submission awaiting analyst review.',
+        allowDuplicate
       };
 
       const newFactCheck = await submitFactCheckRequest(payload, authToken);
@@ -270,6 +411,15 @@ function App() {
     }
   }, [authToken]);
 
+  const handleReportFactCheck = useCallback(async (factCheckId, reason) => {
+    if (!authToken) {
+      setAuthModalOpen(true);
+      throw new Error('Please sign in to report content.');
+    }
+
+    await reportContentRequest({ contentType: 'fact_check', contentId: factCheckId, reason }, authToken);
+  }, [authToken]);
+
   const isAuthenticated = Boolean(authToken && user);
   const factCheckCount = factChecks.length || DEFAULT_FACT_CHECKS.length;
   const hasOnboarded = localStorage.getItem('appwhistler_onboarded') === 'true';
@@ -277,7 +427,7 @@ function App() {
   return (
     <ErrorBoundary>
       <AccessibilityHelper>
-        <NotificationCenter />
+        <NotificationCenter token={isAuthenticated ? authToken : null} />
         {user && !hasOnboarded && <OnboardingTutorial userId={user.id} />}
         <a href="#main-content" className="sr-only focus:not-sr-only">Skip to main content</a>
         <div className={`relative min-h-screen overflow-hidden ${darkMode ? 'bg-slate-950' : 'bg-slate-50'} transition-colors duration-500`}>
@@ -296,6 +446,26 @@ function App() {
             onSignIn={() => setAuthModalOpen(true)}
           />
 
+          {(accountNotice || (user && user.isVerified === false)) && (
+            <div
+              role="status"
+              className={`container mx-auto mt-4 w-full max-w-6xl px-4 text-sm ${
+                accountNotice?.tone === 'error' ? 'text-rose-400' : darkMode ? 'text-slate-300' : 'text-slate-600'
+              }`}
+            >
+              {accountNotice ? (
+                <span>{accountNotice.message}</span>
+              ) : (
+                <span>
+                  Verify your email address to vote, file appeals and take part in bounties.{' '}
+                  <button onClick={handleResendVerification} className="font-semibold text-blue-500 hover:underline">
+                    Resend verification email
+                  </button>
+                </span>
+              )}
+            </div>
+          )}
+
           <HeroSection darkMode={darkMode} user={user} factChecks={factCheckCount} />
 
           <Navigation activeTab={activeTab} setActiveTab={setActiveTab} darkMode={darkMode} />
@@ -328,11 +498,12 @@ function App() {
               submitMessage={factCheckSubmit.message}
               canSubmit={isAuthenticated}
               onRequestAuth={() => setAuthModalOpen(true)}
+              onReport={handleReportFactCheck}
             />
           )}
 
           {activeTab === 'profile' && (
-            <ProfileTab user={user} darkMode={darkMode} />
+            <ProfileTab user={user} authToken={authToken} darkMode={darkMode} />
           )}
         </main>
 
@@ -344,6 +515,8 @@ function App() {
           darkMode={darkMode}
           onClose={() => setAuthModalOpen(false)}
           onLogin={handleLogin}
+          onWalletLogin={handleWalletLogin}
+          onVerifyTwoFactor={handleVerifyTwoFactor}
         />
       )}
     </div>
@@ -689,6 +862,12 @@ function AppCard({ app, darkMode }) {
           </div>
         </div>
 
+        {app.filtered_review_count > 0 && (
+          <p className="text-xs text-amber-400">
+            {app.filtered_review_count} suspicious {app.filtered_review_count === 1 ? 'review' : 'reviews'} filtered from the rating
+          </p>
+        )}
+
         <div className="mt-auto flex items-center justify-between text-sm">
           <p className="text-slate-400">Chain proofs</p>
           <p className="font-semibold text-emerald-300">{app.chain_proofs || 'Goerli'}</p>
@@ -761,17 +940,45 @@ function FactCheckTab({
   submitError,
   submitMessage,
   canSubmit,
-  onRequestAuth
+  onRequestAuth,
+  onReport
 }) {
   const [claim, setClaim] = useState('');
   const [category, setCategory] = useState(FACT_CHECK_CATEGORIES[0]);
   const [sourceUrl, setSourceUrl] = useState('');
   const [context, setContext] = useState('');
   const [localError, setLocalError] = useState(null);
+  const [similarClaims, setSimilarClaims] = useState([]);
+  const [duplicateBlocked, setDuplicateBlocked] = useState(false);
 
   const feed = factChecks.length ? factChecks : DEFAULT_FACT_CHECKS;
 
-  const handleSubmit = async () => {
+  // Look for already-checked versions of the claim while the user types
+  useEffect(() => {
+    setDuplicateBlocked(false);
+    const text = claim.trim();
+    if (!canSubmit || text.length < 10) {
+      setSimilarClaims([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const matches = await fetchSimilarClaims(text);
+        if (!cancelled) setSimilarClaims(matches);
+      } catch (error) {
+        if (!cancelled) setSimilarClaims([]);
+      }
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [claim, canSubmit]);
+
+  const handleSubmit = async ({ allowDuplicate = false } = {}) => {
     if (!claim.trim()) {
       setLocalError('Please describe the claim you want verified.');
       return;
@@ -783,12 +990,18 @@ function FactCheckTab({
     }
 
     try {
-      await onSubmitClaim({ claim, category, sourceUrl, context });
+      await onSubmitClaim({ claim, category, sourceUrl, context, allowDuplicate });
       setClaim('');
       setSourceUrl('');
       setContext('');
       setLocalError(null);
+      setDuplicateBlocked(false);
     } catch (error) {
+      if (error.code === 'CONFLICT') {
+        setDuplicateBlocked(true);
+        setLocalError('This claim looks like one we have already checked.');
+        return;
+      }
       setLocalError(error.message || 'Submission failed.');
     }
   };
@@ -853,6 +1066,21 @@ function FactCheckTab({
           } focus:outline-none focus:ring-2 focus:ring-blue-500/50`}
           rows={3}
         />
+        {similarClaims.length > 0 && (
+          <div className={`mt-4 rounded-2xl border p-4 text-sm ${darkMode ? 'border-amber-400/30 bg-amber-500/10' : 'border-amber-200 bg-amber-50'}`}>
+            <p className={`text-xs uppercase tracking-widest ${darkMode ? 'text-amber-300' : 'text-amber-600'}`}>Already checked</p>
+            <ul className="mt-2 space-y-2">
+              {similarClaims.map(({ factCheck: match, similarity }) => (
+                <li key={match.id} className="flex items-start justify-between gap-3">
+                  <span className={darkMode ? 'text-slate-200' : 'text-slate-700'}>{match.claim}</span>
+                  <span className={`shrink-0 text-xs font-semibold ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                    {(match.verdict || 'UNVERIFIED').toUpperCase()} · {Math.round(similarity * 100)}% match
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         <div className="mt-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
           <div className="space-y-1 text-xs">
             {localError && <p className="text-rose-400">{localError}</p>}
@@ -860,8 +1088,19 @@ function FactCheckTab({
             {submitMessage && <p className="text-emerald-400">{submitMessage}</p>}
             {!canSubmit && <p className={darkMode ? 'text-slate-500' : 'text-slate-500'}>Sign in to fast-track analyst review.</p>}
           </div>
+          {duplicateBlocked && (
+            <button
+              onClick={() => handleSubmit({ allowDuplicate: true })}
+              disabled={submitting}
+              className={`rounded-2xl border px-5 py-3 text-sm font-semibold ${
+                darkMode ? 'border-amber-400/50 text-amber-200' : 'border-amber-300 text-amber-700'
+              } ${submitting ? 'opacity-70 cursor-not-allowed' : ''}`}
+            >
+              Submit anyway
+            </button>
+          )}
           <button
-            onClick={handleSubmit}
+            onClick={() => handleSubmit()}
             disabled={submitting}
             className={`rounded-2xl bg-gradient-to-r from-emerald-400 to-blue-500 px-6 py-3 text-sm font-semibold text-white shadow-lg shadow-emerald-400/30 ${
               submitting ? 'opacity-70 cursor-not-allowed' : ''
@@ -884,7 +1123,14 @@ function FactCheckTab({
           </div>
         )}
         {feed.map((fc, index) => (
-          <FactCheckCard key={fc.id || index} factCheck={fc} darkMode={darkMode} index={index} />
+          <FactCheckCard
+            key={fc.id || index}
+            factCheck={fc}
+            darkMode={darkMode}
+            index={index}
+            onReport={factChecks.length ? onReport : undefined}
+            showHistory={factChecks.length > 0}
+          />
         ))}
       </div>
     </div>
@@ -894,7 +1140,13 @@ function FactCheckTab({
 /**
  * Fact Check Card Component
  */
-function FactCheckCard({ factCheck, darkMode, index }) {
+function FactCheckCard({ factCheck, darkMode, index, onReport, showHistory }) {
+  const [reportOpen, setReportOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyState, setHistoryState] = useState({ loading: false, loaded: false, entries: [], error: null });
+  const [reportReason, setReportReason] = useState(REPORT_REASONS[0].value);
+  const [reportState, setReportState] = useState({ sending: false, sent: false, error: null });
+
   const verdictColors = {
     TRUE: 'from-emerald-400 to-green-500 text-white',
     FALSE: 'from-rose-500 to-red-600 text-white',
@@ -906,6 +1158,31 @@ function FactCheckCard({ factCheck, darkMode, index }) {
   const sourceLabel = extractPrimarySource(factCheck);
   const updatedAgo = formatRelativeTime(factCheck.updated_at || factCheck.updatedAt);
 
+  const handleReport = async () => {
+    setReportState({ sending: true, sent: false, error: null });
+    try {
+      await onReport(factCheck.id, reportReason);
+      setReportState({ sending: false, sent: true, error: null });
+      setReportOpen(false);
+    } catch (error) {
+      setReportState({ sending: false, sent: false, error: error.message || 'Report failed.' });
+    }
+  };
+
+  const toggleHistory = async () => {
+    const opening = !historyOpen;
+    setHistoryOpen(opening);
+    if (!opening || historyState.loaded || historyState.loading) return;
+
+    setHistoryState(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const { history } = await fetchFactCheckHistory(factCheck.id);
+      setHistoryState({ loading: false, loaded: true, entries: history, error: null });
+    } catch (error) {
+      setHistoryState({ loading: false, loaded: false, entries: [], error: error.message || 'Unable to load history.' });
+    }
+  };
+
   return (
     <div className="relative pl-8">
       <div className="absolute left-3 top-0 h-full w-px bg-gradient-to-b from-blue-400/60 via-transparent to-transparent" />
@@ -925,17 +1202,143 @@ function FactCheckCard({ factCheck, darkMode, index }) {
         </p>
         <div className="mt-4 flex flex-wrap items-center justify-between text-xs text-slate-400 gap-3">
           <span>Source · {sourceLabel}</span>
-          <span>{updatedAgo}</span>
+          <span className="flex items-center gap-3">
+            {updatedAgo}
+            {showHistory && (
+              <button
+                type="button"
+                onClick={toggleHistory}
+                aria-expanded={historyOpen}
+                className="font-semibold text-slate-400 hover:text-blue-400"
+              >
+                {historyOpen ? 'Hide history' : 'History'}
+              </button>
+            )}
+            {onReport && !reportState.sent && (
+              <button
+                type="button"
+                onClick={() => setReportOpen(open => !open)}
+                className="font-semibold text-slate-400 hover:text-rose-400"
+              >
+                Report
+              </button>
+            )}
+            {reportState.sent && <span className="text-emerald-400">Reported</span>}
+          </span>
         </div>
+        {reportOpen && (
+          <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+            <select
+              value={reportReason}
+              onChange={(e) => setReportReason(e.target.value)}
+              aria-label="Report reason"
+              className={`rounded-xl border px-3 py-2 ${
+                darkMode ? 'border-slate-800 bg-slate-900 text-white' : 'border-slate-200 bg-white text-slate-900'
+              }`}
+            >
+              {REPORT_REASONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleReport}
+              disabled={reportState.sending}
+              className="rounded-xl bg-rose-500 px-3 py-2 font-semibold text-white disabled:opacity-70"
+            >
+              {reportState.sending ? 'Sending…' : 'Send report'}
+            </button>
+            {reportState.error && <span className="text-rose-400">{reportState.error}</span>}
+          </div>
+        )}
+        {historyOpen && (
+          <VerdictTimeline
+            factCheck={factCheck}
+            entries={historyState.entries}
+            loading={historyState.loading}
+            error={historyState.error}
+            darkMode={darkMode}
+          />
+        )}
       </div>
     </div>
   );
 }
 
+/**
+ * Verdict Timeline - how a fact-check's rating evolved since publication
+ */
+function VerdictTimeline({ factCheck, entries, loading, error, darkMode }) {
+  if (loading) {
+    return <p className="mt-4 text-xs text-slate-400">Loading history…</p>;
+  }
+  if (error) {
+    return <p className="mt-4 text-xs text-rose-400">{error}</p>;
+  }
+
+  const publishedVerdict = entries.length ? entries[0].oldVerdict : factCheck.verdict;
+  const formatConfidence = value => (value === null || value === undefined ? null : `${Math.round(Number(value) * 100)}%`);
+
+  return (
+    <ol className={`mt-4 space-y-3 border-l pl-4 text-xs ${darkMode ? 'border-white/10' : 'border-slate-200'}`}>
+      <li>
+        <p className={`font-semibold ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+          Published as {(publishedVerdict || 'UNVERIFIED').toUpperCase()}
+        </p>
+        <p className="text-slate-400">{formatRelativeTime(factCheck.created_at || factCheck.createdAt)}</p>
+      </li>
+      {entries.map(entry => {
+        const verdictMoved = entry.oldVerdict !== entry.newVerdict;
+        const oldConfidence = formatConfidence(entry.oldConfidence);
+        const newConfidence = formatConfidence(entry.newConfidence);
+        return (
+          <li key={entry.id}>
+            <p className={`font-semibold ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+              {verdictMoved
+                ? `${entry.oldVerdict || 'UNVERIFIED'} → ${entry.newVerdict}`
+                : `Confidence ${oldConfidence || '—'} → ${newConfidence || '—'}`}
+            </p>
+            <p className="text-slate-400">
+              {VERDICT_CHANGE_LABELS[entry.reason] || entry.reason} · {formatRelativeTime(entry.createdAt)}
+              {verdictMoved && newConfidence && ` · ${newConfidence} confidence`}
+            </p>
+            {entry.note && (
+              <p className={darkMode ? 'text-slate-300' : 'text-slate-600'}>{entry.note}</p>
+            )}
+          </li>
+        );
+      })}
+      {entries.length === 0 && (
+        <li className="text-slate-400">The verdict has not changed since publication.</li>
+      )}
+    </ol>
+  );
+}
+
 /**
  * Profile Tab - User Info & Stats
  */
-function ProfileTab({ user, darkMode }) {
+function ProfileTab({ user, authToken, darkMode }) {
+  const [achievements, setAchievements] = useState({ level: null, badges: [], loading: false, error: null });
+
+  useEffect(() => {
+    if (!user || !authToken) return undefined;
+    let cancelled = false;
+
+    setAchievements(prev => ({ ...prev, loading: true, error: null }));
+    fetchMyAchievements(authToken)
+      .then(result => {
+        if (!cancelled) setAchievements({ level: result.level, badges: result.badges, loading: false, error: null });
+      })
+      .catch(error => {
+        if (!cancelled) setAchievements(prev => ({ ...prev, loading: false, error: error.message || 'Unable to load badges' }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id, authToken]);
+
   if (!user) {
     return (
       <div className={`${darkMode ? 'bg-slate-950/70 border-white/10' : 'bg-white border-slate-200'} rounded-3xl border p-10 text-center`}>
@@ -956,7 +1359,11 @@ function ProfileTab({ user, darkMode }) {
           <div>
             <p className="text-sm text-blue-400">Analyst Profile</p>
             <h2 className={`text-2xl font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{user.username}</h2>
-            <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>Truth Score {truthScore}</p>
+            <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+              Truth Score {truthScore}
+              {achievements.level && ` · Level ${achievements.level.level} ${achievements.level.name}`}
+              {achievements.level?.nextLevelScore != null && ` · ${achievements.level.nextLevelScore - truthScore} to next level`}
+            </p>
           </div>
           <button className="rounded-2xl border border-blue-500/40 px-4 py-2 text-sm font-semibold text-blue-300">
             Manage alerts
@@ -979,11 +1386,21 @@ function ProfileTab({ user, darkMode }) {
           <button className="text-sm font-semibold text-blue-400">View history</button>
         </div>
         <div className="mt-4 flex flex-wrap gap-3">
-          {PROFILE_BADGES.map(badge => (
-            <span key={badge.label} className={`rounded-2xl bg-gradient-to-r ${badge.color} px-4 py-2 text-xs font-semibold text-white shadow-lg shadow-slate-900/20`}>
-              {badge.label}
+          {achievements.badges.map((badge, index) => (
+            <span
+              key={badge.key}
+              title={badge.description}
+              className={`rounded-2xl bg-gradient-to-r ${BADGE_COLORS[index % BADGE_COLORS.length]} px-4 py-2 text-xs font-semibold text-white shadow-lg shadow-slate-900/20`}
+            >
+              {badge.name}
             </span>
           ))}
+          {!achievements.loading && !achievements.error && achievements.badges.length === 0 && (
+            <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+              No badges yet. Submit a fact-check to earn your first.
+            </p>
+          )}
+          {achievements.error && <p className="text-sm text-rose-400">{achievements.error}</p>}
         </div>
       </section>
     </div>
@@ -1006,9 +1423,11 @@ function ProfileStatCard({ label, value, hint, darkMode }) {
 /**
  * Authentication Modal
  */
-function AuthModal({ darkMode, onClose, onLogin }) {
+function AuthModal({ darkMode, onClose, onLogin, onWalletLogin, onVerifyTwoFactor }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
 
@@ -1021,7 +1440,10 @@ function AuthModal({ darkMode, onClose, onLogin }) {
     try {
       setSubmitting(true);
       setError(null);
-      await onLogin({ email, password });
+      const challenge = await onLogin({ email, password });
+      if (challenge?.challengeToken) {
+        setChallengeToken(challenge.challengeToken);
+      }
     } catch (err) {
       setError(err.message || 'Login failed.');
     } finally {
@@ -1029,42 +1451,101 @@ function AuthModal({ darkMode, onClose, onLogin }) {
     }
   };
 
+  const handleWalletLogin = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const challenge = await onWalletLogin();
+      if (challenge?.challengeToken) {
+        setChallengeToken(challenge.challengeToken);
+      }
+    } catch (err) {
+      setError(err.message || 'Wallet sign-in failed.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await onVerifyTwoFactor({ challengeToken, code: code.trim() });
+    } catch (err) {
+      setError(err.message || 'Verification failed.');
+      if (/sign in again|locked/i.test(err.message || '')) {
+        setChallengeToken(null);
+        setCode('');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 backdrop-blur">
       <div className={`${darkMode ? 'bg-slate-950/90 border-white/10' : 'bg-white border-slate-200'} relative w-full max-w-md rounded-3xl border p-8 shadow-2xl`}>
         <div className="absolute -top-6 right-6 h-16 w-16 rounded-full bg-blue-500/30 blur-2xl" />
         <h2 className={`text-2xl font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>Sign In</h2>
-        <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>Unlock analyst-only dashboards.</p>
-        <input
-          type="email"
-          value={email}
-          onChange={(e) => setEmail(e.target.value)}
-          placeholder="Email"
-          className={`mt-6 w-full rounded-2xl border px-4 py-3 text-sm ${
-            darkMode ? 'border-slate-800 bg-slate-900 text-white' : 'border-slate-200 bg-slate-50 text-slate-900'
-          } focus:outline-none focus:ring-2 focus:ring-blue-500/60`}
-        />
-        <input
-          type="password"
-          value={password}
-          onChange={(e) => setPassword(e.target.value)}
-          placeholder="Password"
-          className={`mt-3 w-full rounded-2xl border px-4 py-3 text-sm ${
-            darkMode ? 'border-slate-800 bg-slate-900 text-white' : 'border-slate-200 bg-slate-50 text-slate-900'
-          } focus:outline-none focus:ring-2 focus:ring-blue-500/60`}
-        />
+        {challengeToken ? (
+          <>
+            <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={`mt-6 w-full rounded-2xl border px-4 py-3 text-sm tracking-widest ${
+                darkMode ? 'border-slate-800 bg-slate-900 text-white' : 'border-slate-200 bg-slate-50 text-slate-900'
+              } focus:outline-none focus:ring-2 focus:ring-blue-500/60`}
+            />
+          </>
+        ) : (
+          <>
+            <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>Unlock analyst-only dashboards.</p>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email"
+              className={`mt-6 w-full rounded-2xl border px-4 py-3 text-sm ${
+                darkMode ? 'border-slate-800 bg-slate-900 text-white' : 'border-slate-200 bg-slate-50 text-slate-900'
+              } focus:outline-none focus:ring-2 focus:ring-blue-500/60`}
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              className={`mt-3 w-full rounded-2xl border px-4 py-3 text-sm ${
+                darkMode ? 'border-slate-800 bg-slate-900 text-white' : 'border-slate-200 bg-slate-50 text-slate-900'
+              } focus:outline-none focus:ring-2 focus:ring-blue-500/60`}
+            />
+          </>
+        )}
         <div className="mt-4 text-sm text-rose-400 h-5">
           {error && <span>{error}</span>}
         </div>
         <div className="mt-2 flex gap-3">
           <button
-            onClick={handleLogin}
+            onClick={challengeToken ? handleVerify : handleLogin}
             disabled={submitting}
             className={`flex-1 rounded-2xl bg-gradient-to-r from-blue-500 to-indigo-500 px-4 py-3 text-sm font-semibold text-white shadow-lg shadow-blue-500/30 ${
               submitting ? 'opacity-70 cursor-not-allowed' : ''
             }`}
           >
-            {submitting ? 'Signing in…' : 'Login'}
+            {challengeToken
+              ? (submitting ? 'Verifying…' : 'Verify')
+              : (submitting ? 'Signing in…' : 'Login')}
           </button>
           <button
             onClick={onClose}
@@ -1075,6 +1556,17 @@ function AuthModal({ darkMode, onClose, onLogin }) {
             Cancel
           </button>
         </div>
+        {!challengeToken && (
+          <button
+            onClick={handleWalletLogin}
+            disabled={submitting}
+            className={`mt-3 w-full rounded-2xl border px-4 py-3 text-sm font-semibold ${
+              darkMode ? 'border-slate-700 text-slate-200 hover:bg-slate-900' : 'border-slate-200 text-slate-700 hover:bg-slate-50'
+            } ${submitting ? 'opacity-70 cursor-not-allowed' : ''}`}
+          >
+            Sign in with Ethereum
+          </button>
+        )}
       </div>
     </div>
   );
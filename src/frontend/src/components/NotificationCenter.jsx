@@ -1,17 +1,95 @@
 // src/frontend/src/components/NotificationCenter.jsx
-// Toast-based notification display with animations
+// Toast-based notification display with animations, plus stored notification history
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import notificationService from '../utils/NotificationService';
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} from '../services/api';
 
-const NotificationCenter = () => {
+const HISTORY_PAGE_SIZE = 20;
+
+const NotificationCenter = ({ token }) => {
   const [notifications, setNotifications] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [pageInfo, setPageInfo] = useState({ hasNextPage: false, endCursor: null });
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
 
   useEffect(() => {
     const unsubscribe = notificationService.subscribe(setNotifications);
     return unsubscribe;
   }, []);
 
+  const loadHistory = useCallback(async (after = null) => {
+    if (!token) return;
+    setIsLoading(true);
+    try {
+      const page = await fetchNotifications({ after, first: HISTORY_PAGE_SIZE }, token);
+      setHistory(prev => (after ? [...prev, ...page.items] : page.items));
+      setPageInfo(page.pageInfo);
+      setUnreadCount(page.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token]);
+
+  // Refresh history on login and whenever the panel is opened
+  useEffect(() => {
+    if (!token) {
+      setHistory([]);
+      setUnreadCount(0);
+      setIsOpen(false);
+      return;
+    }
+    loadHistory();
+  }, [token, loadHistory]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadHistory();
+    }
+  }, [isOpen, loadHistory]);
+
+  const handleMarkRead = async (notif) => {
+    if (notif.read) return;
+    try {
+      await markNotificationRead(notif.id, token);
+      setHistory(prev => prev.map(item => (item.id === notif.id ? { ...item, read: true } : item)));
+      setUnreadCount(count => Math.max(count - 1, 0));
+    } catch (error) {
+      notificationService.notify(error.message, 'error');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead(token);
+      setHistory(prev => prev.map(item => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      notificationService.notify(error.message, 'error');
+    }
+  };
+
+  const handleDelete = async (notif) => {
+    try {
+      await deleteNotification(notif.id, token);
+      setHistory(prev => prev.filter(item => item.id !== notif.id));
+      if (!notif.read) {
+        setUnreadCount(count => Math.max(count - 1, 0));
+      }
+    } catch (error) {
+      notificationService.notify(error.message, 'error');
+    }
+  };
+
   const getIcon = (type) => {
     const icons = {
       success: '✅',
@@ -33,33 +111,110 @@ const NotificationCenter = () => {
   };
 
   return (
-    <div className="fixed top-4 right-4 z-50 max-w-md space-y-3">
-      {notifications.map((notif) => (
-        <div
-          key={notif.id}
-          className={`
-            animate-slideIn border rounded-lg p-4 text-white
-            backdrop-blur-sm shadow-lg
-            ${getStyles(notif.type)}
-          `}
-        >
-          <div className="flex items-start gap-3">
-            <span className="text-xl mt-0.5 flex-shrink-0">
-              {getIcon(notif.type)}
-            </span>
-            <div className="flex-1">
-              <p className="text-sm font-medium">{notif.message}</p>
+    <>
+      {token && (
+        <div className="fixed bottom-4 right-4 z-50">
+          <button
+            onClick={() => setIsOpen(open => !open)}
+            className="relative rounded-full bg-slate-800 p-3 text-white shadow-lg hover:bg-slate-700 transition-colors"
+            aria-label={`Notifications (${unreadCount} unread)`}
+          >
+            🔔
+            {unreadCount > 0 && (
+              <span className="absolute -top-1 -right-1 min-w-[1.25rem] rounded-full bg-red-600 px-1 text-xs font-semibold">
+                {unreadCount > 99 ? '99+' : unreadCount}
+              </span>
+            )}
+          </button>
+
+          {isOpen && (
+            <div className="absolute bottom-14 right-0 w-96 max-h-[28rem] overflow-y-auto rounded-lg border border-slate-700 bg-slate-900/95 text-white shadow-xl backdrop-blur-sm">
+              <div className="flex items-center justify-between border-b border-slate-700 px-4 py-3">
+                <h2 className="text-sm font-semibold">Notifications</h2>
+                <button
+                  onClick={handleMarkAllRead}
+                  disabled={unreadCount === 0}
+                  className="text-xs text-blue-400 hover:text-blue-300 disabled:text-slate-500"
+                >
+                  Mark all read
+                </button>
+              </div>
+
+              {history.length === 0 && !isLoading && (
+                <p className="px-4 py-6 text-center text-sm text-slate-400">No notifications yet</p>
+              )}
+
+              <ul>
+                {history.map((notif) => (
+                  <li
+                    key={notif.id}
+                    onClick={() => handleMarkRead(notif)}
+                    className={`flex cursor-pointer items-start gap-3 border-b border-slate-800 px-4 py-3 hover:bg-slate-800/60 ${notif.read ? 'opacity-60' : ''}`}
+                  >
+                    {!notif.read && <span className="mt-1.5 h-2 w-2 flex-shrink-0 rounded-full bg-blue-500" />}
+                    <div className="flex-1">
+                      <p className="text-sm font-medium">{notif.title}</p>
+                      <p className="text-xs text-slate-300">{notif.message}</p>
+                      <p className="mt-1 text-[11px] text-slate-500">
+                        {new Date(notif.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <button
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        handleDelete(notif);
+                      }}
+                      className="text-white/50 hover:text-white transition-colors flex-shrink-0"
+                      aria-label="Delete notification"
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              {pageInfo.hasNextPage && (
+                <button
+                  onClick={() => loadHistory(pageInfo.endCursor)}
+                  disabled={isLoading}
+                  className="w-full py-2 text-xs text-blue-400 hover:text-blue-300"
+                >
+                  {isLoading ? 'Loading…' : 'Load more'}
+                </button>
+              )}
             </div>
-            <button
-              onClick={() => notificationService.remove(notif.id)}
-              className="text-white/70 hover:text-white transition-colors flex-shrink-0"
-            >
-              ✕
-            </button>
-          </div>
+          )}
         </div>
-      ))}
-    </div>
+      )}
+
+      <div className="fixed top-4 right-4 z-50 max-w-md space-y-3">
+        {notifications.map((notif) => (
+          <div
+            key={notif.id}
+            className={`
+              animate-slideIn border rounded-lg p-4 text-white
+              backdrop-blur-sm shadow-lg
+              ${getStyles(notif.type)}
+            `}
+          >
+            <div className="flex items-start gap-3">
+              <span className="text-xl mt-0.5 flex-shrink-0">
+                {getIcon(notif.type)}
+              </span>
+              <div className="flex-1">
+                <p className="text-sm font-medium">{notif.message}</p>
+              </div>
+              <button
+                onClick={() => notificationService.remove(notif.id)}
+                className="text-white/70 hover:text-white transition-colors flex-shrink-0"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
   );
 };
 
@@ -16,7 +16,9 @@ async function graphqlRequest(query, variables = {}, token) {
 
   if (payload?.errors?.length) {
     const [graphQLError] = payload.errors;
-    throw new Error(graphQLError?.message || 'GraphQL request failed');
+    const error = new Error(graphQLError?.message || 'GraphQL request failed');
+    error.code = graphQLError?.code || graphQLError?.extensions?.code;
+    throw error;
   }
 
   return payload?.data || {};
@@ -72,6 +74,11 @@ export async function loginUser({ email, password }) {
   const data = await graphqlRequest(LOGIN_MUTATION, variables);
   const authPayload = data?.login;
 
+  // Accounts with 2FA get a challenge instead of tokens; finish with verifyTwoFactorLogin
+  if (authPayload?.twoFactorRequired && authPayload.challengeToken) {
+    return authPayload;
+  }
+
   if (!authPayload?.token) {
     throw new Error('Authentication failed');
   }
@@ -79,6 +86,102 @@ export async function loginUser({ email, password }) {
   return authPayload;
 }
 
+export async function verifyTwoFactorLogin({ challengeToken, code }) {
+  if (!challengeToken || !code) {
+    throw new Error('Verification code is required');
+  }
+
+  const data = await graphqlRequest(VERIFY_TWO_FACTOR_LOGIN_MUTATION, { challengeToken, code });
+  const authPayload = data?.verifyTwoFactorLogin;
+
+  if (!authPayload?.token) {
+    throw new Error('Verification failed');
+  }
+
+  return authPayload;
+}
+
+export async function requestSiweNonce() {
+  const data = await graphqlRequest(SIWE_NONCE_MUTATION);
+  if (!data?.siweNonce) {
+    throw new Error('Could not start wallet sign-in');
+  }
+  return data.siweNonce;
+}
+
+export async function siweLogin({ message, signature }) {
+  const data = await graphqlRequest(SIWE_LOGIN_MUTATION, { message, signature });
+  const authPayload = data?.siweLogin;
+
+  if (authPayload?.twoFactorRequired && authPayload.challengeToken) {
+    return authPayload;
+  }
+
+  if (!authPayload?.token) {
+    throw new Error('Wallet sign-in failed');
+  }
+
+  return authPayload;
+}
+
+export async function linkWallet({ message, signature }, token) {
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const data = await graphqlRequest(LINK_WALLET_MUTATION, { message, signature }, token);
+  return data?.linkWallet;
+}
+
+export async function refreshSession(refreshToken) {
+  if (!refreshToken) {
+    throw new Error('Refresh token is required');
+  }
+
+  const data = await graphqlRequest(REFRESH_TOKEN_MUTATION, { token: refreshToken });
+  const authPayload = data?.refreshToken;
+
+  if (!authPayload?.token) {
+    throw new Error('Session refresh failed');
+  }
+
+  return authPayload;
+}
+
+export async function logoutUser(token) {
+  if (!token) {
+    return false;
+  }
+
+  const data = await graphqlRequest(LOGOUT_MUTATION, {}, token);
+  return Boolean(data?.logout);
+}
+
+export async function verifyEmailAddress(verificationToken) {
+  const data = await graphqlRequest(VERIFY_EMAIL_MUTATION, { token: verificationToken });
+  return Boolean(data?.verifyEmail);
+}
+
+export async function resendVerificationEmail(token) {
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const data = await graphqlRequest(RESEND_VERIFICATION_EMAIL_MUTATION, {}, token);
+  return Boolean(data?.resendVerificationEmail);
+}
+
+export async function confirmEmailChange(confirmationToken) {
+  const data = await graphqlRequest(CONFIRM_EMAIL_CHANGE_MUTATION, { token: confirmationToken });
+  const user = data?.confirmEmailChange;
+
+  if (!user) {
+    throw new Error('Email change failed');
+  }
+
+  return user;
+}
+
 export async function submitFactCheck(input, token) {
   if (!token) {
     throw new Error('Authentication required');
@@ -95,6 +198,95 @@ export async function submitFactCheck(input, token) {
   return normalizeFactCheckRecord(factCheck);
 }
 
+export async function fetchSimilarClaims(text, limit = 3) {
+  if (!text || text.trim().length < 10) {
+    return [];
+  }
+
+  const data = await graphqlRequest(SIMILAR_CLAIMS_QUERY, { text: text.trim(), limit });
+  return (data?.similarClaims || []).map(match => ({
+    factCheck: normalizeFactCheckRecord(match.factCheck),
+    similarity: match.similarity,
+    isDuplicate: match.isDuplicate
+  }));
+}
+
+export async function reportContent({ contentType, contentId, reason, details }, token) {
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const data = await graphqlRequest(REPORT_CONTENT_MUTATION, { contentType, contentId, reason, details }, token);
+  const report = data?.reportContent;
+
+  if (!report) {
+    throw new Error('Report could not be submitted');
+  }
+
+  return report;
+}
+
+export async function fetchFactCheckHistory(factCheckId) {
+  if (!factCheckId) {
+    throw new Error('Fact-check id is required');
+  }
+
+  const data = await graphqlRequest(FACT_CHECK_HISTORY_QUERY, { id: factCheckId });
+  const factCheck = data?.factCheck;
+
+  if (!factCheck) {
+    throw new Error('Fact-check not found');
+  }
+
+  return {
+    createdAt: factCheck.createdAt,
+    history: factCheck.history || []
+  };
+}
+
+export async function fetchMyAchievements(token) {
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const data = await graphqlRequest(MY_ACHIEVEMENTS_QUERY, {}, token);
+  return {
+    truthScore: fallbackNumber(data?.me?.truthScore, 0),
+    level: data?.me?.level || null,
+    badges: data?.me?.badges || []
+  };
+}
+
+export async function fetchNotifications({ unreadOnly = false, after = null, first = 20 } = {}, token) {
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const data = await graphqlRequest(NOTIFICATIONS_QUERY, { unreadOnly, after, first }, token);
+  const connection = data?.notifications || { edges: [], pageInfo: {} };
+
+  return {
+    items: (connection.edges || []).map(edge => edge.node),
+    pageInfo: connection.pageInfo || DEFAULT_PAGE_INFO,
+    unreadCount: fallbackNumber(data?.unreadNotificationCount, 0)
+  };
+}
+
+export async function markNotificationRead(id, token) {
+  const data = await graphqlRequest(MARK_NOTIFICATION_READ_MUTATION, { id }, token);
+  return data?.markNotificationRead;
+}
+
+export async function markAllNotificationsRead(token) {
+  const data = await graphqlRequest(MARK_ALL_NOTIFICATIONS_READ_MUTATION, {}, token);
+  return fallbackNumber(data?.markAllNotificationsRead, 0);
+}
+
+export async function deleteNotification(id, token) {
+  const data = await graphqlRequest(DELETE_NOTIFICATION_MUTATION, { id }, token);
+  return Boolean(data?.deleteNotification);
+}
+
 const DEFAULT_PAGE_INFO = {
   hasNextPage: false,
   hasPreviousPage: false,
@@ -118,6 +310,7 @@ const APPS_QUERY = `
         security_score: securityScore
         truth_rating: truthRating
         download_count: downloadCount
+        filtered_review_count: filteredReviewCount
         platform
         is_verified: isVerified
         created_at: createdAt
@@ -166,6 +359,8 @@ const LOGIN_MUTATION = `
     login(input: $input) {
       token
       refreshToken
+      twoFactorRequired
+      challengeToken
       user {
         id
         username
@@ -179,6 +374,83 @@ const LOGIN_MUTATION = `
   }
 `;
 
+const SIWE_NONCE_MUTATION = `
+  mutation SiweNonce {
+    siweNonce
+  }
+`;
+
+const SIWE_LOGIN_MUTATION = `
+  mutation SiweLogin($message: String!, $signature: String!) {
+    siweLogin(message: $message, signature: $signature) {
+      token
+      refreshToken
+      twoFactorRequired
+      challengeToken
+      user {
+        id
+        username
+        email
+        walletAddress
+        role
+        isVerified
+        truthScore
+      }
+    }
+  }
+`;
+
+const LINK_WALLET_MUTATION = `
+  mutation LinkWallet($message: String!, $signature: String!) {
+    linkWallet(message: $message, signature: $signature) {
+      id
+      walletAddress
+    }
+  }
+`;
+
+const VERIFY_TWO_FACTOR_LOGIN_MUTATION = `
+  mutation VerifyTwoFactorLogin($challengeToken: String!, $code: String!) {
+    verifyTwoFactorLogin(challengeToken: $challengeToken, code: $code) {
+      token
+      refreshToken
+      user {
+        id
+        username
+        email
+        walletAddress
+        role
+        isVerified
+        truthScore
+      }
+    }
+  }
+`;
+
+const REFRESH_TOKEN_MUTATION = `
+  mutation RefreshToken($token: String!) {
+    refreshToken(token: $token) {
+      token
+      refreshToken
+      user {
+        id
+        username
+        email
+        walletAddress
+        role
+        isVerified
+        truthScore
+      }
+    }
+  }
+`;
+
+const LOGOUT_MUTATION = `
+  mutation Logout {
+    logout
+  }
+`;
+
 const SUBMIT_FACT_CHECK_MUTATION = `
   mutation SubmitFactCheck($input: FactCheckInput!) {
     submitFactCheck(input: $input) {
@@ -199,11 +471,147 @@ const SUBMIT_FACT_CHECK_MUTATION = `
   }
 `;
 
+const REPORT_CONTENT_MUTATION = `
+  mutation ReportContent($contentType: String!, $contentId: ID!, $reason: String!, $details: String) {
+    reportContent(contentType: $contentType, contentId: $contentId, reason: $reason, details: $details) {
+      id
+      status
+      contentHidden
+    }
+  }
+`;
+
+const SIMILAR_CLAIMS_QUERY = `
+  query SimilarClaims($text: String!, $limit: Int) {
+    similarClaims(text: $text, limit: $limit) {
+      similarity
+      isDuplicate
+      factCheck {
+        id
+        claim
+        verdict
+        confidenceScore
+        category
+        createdAt
+      }
+    }
+  }
+`;
+
+const FACT_CHECK_HISTORY_QUERY = `
+  query FactCheckHistory($id: ID!) {
+    factCheck(id: $id) {
+      id
+      createdAt
+      history {
+        id
+        oldVerdict
+        newVerdict
+        oldConfidence
+        newConfidence
+        reason
+        note
+        actorType
+        appealId
+        createdAt
+      }
+    }
+  }
+`;
+
+const MY_ACHIEVEMENTS_QUERY = `
+  query MyAchievements {
+    me {
+      id
+      truthScore
+      level {
+        level
+        name
+        minScore
+        nextLevelScore
+      }
+      badges {
+        key
+        name
+        description
+        awardedAt
+      }
+    }
+  }
+`;
+
+const NOTIFICATIONS_QUERY = `
+  query Notifications($unreadOnly: Boolean, $after: String, $first: Int) {
+    notifications(unreadOnly: $unreadOnly, after: $after, first: $first) {
+      edges {
+        node {
+          id
+          type
+          title
+          message
+          data
+          read
+          createdAt
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+    unreadNotificationCount
+  }
+`;
+
+const MARK_NOTIFICATION_READ_MUTATION = `
+  mutation MarkNotificationRead($id: ID!) {
+    markNotificationRead(id: $id) {
+      id
+      read
+    }
+  }
+`;
+
+const VERIFY_EMAIL_MUTATION = `
+  mutation VerifyEmail($token: String!) {
+    verifyEmail(token: $token)
+  }
+`;
+
+const RESEND_VERIFICATION_EMAIL_MUTATION = `
+  mutation ResendVerificationEmail {
+    resendVerificationEmail
+  }
+`;
+
+const CONFIRM_EMAIL_CHANGE_MUTATION = `
+  mutation ConfirmEmailChange($token: String!) {
+    confirmEmailChange(token: $token) {
+      id
+      email
+      isVerified
+    }
+  }
+`;
+
+const MARK_ALL_NOTIFICATIONS_READ_MUTATION = `
+  mutation MarkAllNotificationsRead {
+    markAllNotificationsRead
+  }
+`;
+
+const DELETE_NOTIFICATION_MUTATION = `
+  mutation DeleteNotification($id: ID!) {
+    deleteNotification(id: $id)
+  }
+`;
+
 function normalizeAppRecord(app = {}) {
   return {
     ...app,
     truth_rating: fallbackNumber(app.truth_rating ?? app.truthRating, 0),
     download_count: fallbackNumber(app.download_count ?? app.downloadCount, 0),
+    filtered_review_count: fallbackNumber(app.filtered_review_count ?? app.filteredReviewCount, 0),
     updated_at: app.updated_at || app.updatedAt || null,
     icon_url: app.icon_url || app.iconUrl || null
   };
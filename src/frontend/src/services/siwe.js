@@ -0,0 +1,54 @@
+// Sign-In with Ethereum (EIP-4361) helpers for MetaMask-compatible wallets
+
+const SIWE_STATEMENT = 'Sign in to AppWhistler.';
+const SIWE_MESSAGE_TTL_MS = 5 * 60 * 1000;
+
+export function buildSiweMessage({ domain, address, uri, chainId, nonce, statement = SIWE_STATEMENT, issuedAt = new Date() }) {
+  const expirationTime = new Date(issuedAt.getTime() + SIWE_MESSAGE_TTL_MS);
+
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Ask the browser wallet to sign a SIWE message for the given server nonce
+ * @returns {Promise<{message: string, signature: string}>}
+ */
+export async function signSiweMessage(nonce, statement) {
+  if (!window.ethereum) {
+    throw new Error('MetaMask not installed. Please install MetaMask extension.');
+  }
+
+  const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+  if (!address) {
+    throw new Error('No wallet account selected');
+  }
+
+  const chainIdHex = await window.ethereum.request({ method: 'eth_chainId' });
+  const message = buildSiweMessage({
+    domain: window.location.host,
+    address,
+    uri: window.location.origin,
+    chainId: parseInt(chainIdHex, 16),
+    nonce,
+    statement
+  });
+
+  const signature = await window.ethereum.request({
+    method: 'personal_sign',
+    params: [message, address]
+  });
+
+  return { message, signature };
+}
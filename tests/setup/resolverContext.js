@@ -0,0 +1,102 @@
+// tests/setup/resolverContext.js
+// Shared fixtures for calling resolvers directly against a mocked pool
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Resolver context for a signed-in user
+ * @param {object} pool - Mocked pool
+ * @param {string} userId
+ * @param {string} role
+ * @param {object} req - Extra request fields (ip, headers, accountRestriction, ...)
+ * @returns {object}
+ */
+function authContext(pool, userId, role = 'user', req = {}) {
+  const token = jwt.sign({ userId, role }, process.env.JWT_SECRET);
+  return {
+    pool,
+    user: { userId, role },
+    req: { ...req, headers: { authorization: `Bearer ${token}`, ...req.headers } }
+  };
+}
+
+/**
+ * Pool whose query answers with the rows of the first SQL fragment it contains
+ * @param {object} handlers - { fragment: rows | (params) => rows }
+ * @returns {object}
+ */
+function mockPool(handlers = {}) {
+  return {
+    query: jest.fn(async (sql, params) => {
+      for (const [fragment, rows] of Object.entries(handlers)) {
+        if (sql.includes(fragment)) return { rows: typeof rows === 'function' ? rows(params) : rows };
+      }
+      return { rows: [] };
+    })
+  };
+}
+
+/**
+ * Calls of a mocked pool (or client) whose SQL contains a fragment
+ * @param {object} pool
+ * @param {string} fragment
+ * @returns {Array} [[sql, params], ...]
+ */
+const callsMatching = (pool, fragment) => pool.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+/**
+ * Minimal in-memory stand-in for the auth_tokens/users queries used by the token helpers
+ * @param {object} user - Row returned for every users lookup
+ * @returns {object} Pool with the stored tokens exposed
+ */
+function createTokenPool(user) {
+  const tokens = [];
+  let nextId = 1;
+
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.includes('INSERT INTO auth_tokens')) {
+      const [userId, tokenHash, jti, familyId, expiresAt, userAgent, ipAddress] = params;
+      const row = {
+        id: `t${nextId++}`, user_id: userId, token_hash: tokenHash, jti, family_id: familyId,
+        expires_at: expiresAt, user_agent: userAgent, ip_address: ipAddress,
+        rotated_at: null, revoked_at: null, replaced_by: null
+      };
+      tokens.push(row);
+      return { rows: [{ id: row.id }], rowCount: 1 };
+    }
+    if (sql.includes('SELECT * FROM auth_tokens WHERE token_hash')) {
+      return { rows: tokens.filter(t => t.token_hash === params[0]) };
+    }
+    if (sql.includes('SET rotated_at')) {
+      const row = tokens.find(t => t.id === params[0] && !t.rotated_at && !t.revoked_at);
+      if (!row) return { rows: [], rowCount: 0 };
+      row.rotated_at = new Date();
+      return { rows: [{ id: row.id }], rowCount: 1 };
+    }
+    if (sql.includes('SET replaced_by')) {
+      tokens.find(t => t.id === params[1]).replaced_by = params[0];
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET revoked_at')) {
+      const family = tokens.filter(t => t.family_id === params[0] && !t.revoked_at);
+      family.forEach(t => { t.revoked_at = new Date(); t.revoked_reason = params[1]; });
+      return { rows: [], rowCount: family.length };
+    }
+    if (sql.includes('FROM auth_tokens WHERE family_id')) {
+      return { rows: tokens.filter(t => t.family_id === params[0] && t.revoked_at).map(() => ({ '?column?': 1 })) };
+    }
+    if (sql.includes('FROM users')) {
+      return { rows: [user] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return { query, tokens };
+}
+
+module.exports = {
+  authContext,
+  mockPool,
+  callsMatching,
+  createTokenPool
+};
@@ -0,0 +1,53 @@
+// tests/setup/siweMessage.js
+// Sign-In with Ethereum messages signed by a fixed test wallet
+
+const { ethers } = require('ethers');
+const { createNonce } = require('../../src/backend/utils/siwe');
+
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+
+/**
+ * EIP-4361 message text
+ * @param {object} fields
+ * @returns {string}
+ */
+function buildMessage({
+  domain = 'localhost:3000',
+  address = wallet.address,
+  chainId = 1,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+  statement = 'Sign in to AppWhistler.'
+}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    'URI: http://localhost:3000',
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    expirationTime && `Expiration Time: ${expirationTime}`
+  ].filter(line => line !== undefined).join('\n');
+}
+
+/**
+ * A message signed by the test wallet, with a freshly issued nonce unless one is given
+ * @param {object} overrides - Message fields
+ * @returns {Promise<object>} { message, signature, nonce }
+ */
+async function signed(overrides = {}) {
+  const nonce = overrides.nonce || await createNonce();
+  const message = buildMessage({ ...overrides, nonce });
+  return { message, signature: await wallet.signMessage(message), nonce };
+}
+
+module.exports = {
+  wallet,
+  buildMessage,
+  signed
+};
@@ -0,0 +1,74 @@
+// tests/unit/config/trustProxy.test.js
+// Client IPs behind a load balancer, and the vote fingerprints keyed on them
+
+const express = require('express');
+const request = require('supertest');
+
+function loadWith(env) {
+  jest.resetModules();
+  Object.assign(process.env, env);
+  return {
+    secrets: require('../../../src/config/secrets'),
+    voteIntegrity: require('../../../src/backend/utils/voteIntegrity')
+  };
+}
+
+afterEach(() => {
+  delete process.env.TRUST_PROXY;
+  delete process.env.VOTE_FINGERPRINT_KEY;
+});
+
+function ipEcho(trustProxy, fingerprintHash) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.get('/ip', (req, res) => res.json({ ip: req.ip, hash: fingerprintHash(req.ip) }));
+  return app;
+}
+
+describe('TRUST_PROXY', () => {
+  test.each([
+    [undefined, false],
+    ['true', true],
+    ['1', 1],
+    ['loopback, 10.0.0.0/8', ['loopback', '10.0.0.0/8']]
+  ])('%s is read as %o', (value, expected) => {
+    const { secrets } = loadWith(value === undefined ? {} : { TRUST_PROXY: value });
+    expect(secrets.getTrustProxy()).toEqual(expected);
+  });
+
+  test('voters behind the same proxy get different fingerprints', async () => {
+    const { secrets, voteIntegrity } = loadWith({ TRUST_PROXY: '1' });
+    const app = ipEcho(secrets.getTrustProxy(), voteIntegrity.fingerprintHash);
+
+    const first = await request(app).get('/ip').set('X-Forwarded-For', '198.51.100.7');
+    const second = await request(app).get('/ip').set('X-Forwarded-For', '203.0.113.9');
+
+    expect(first.body.ip).toBe('198.51.100.7');
+    expect(second.body.ip).toBe('203.0.113.9');
+    expect(first.body.hash).not.toBe(second.body.hash);
+  });
+
+  test('without TRUST_PROXY every proxied voter shares the proxy address', async () => {
+    const { secrets, voteIntegrity } = loadWith({});
+    const app = ipEcho(secrets.getTrustProxy(), voteIntegrity.fingerprintHash);
+
+    const first = await request(app).get('/ip').set('X-Forwarded-For', '198.51.100.7');
+    const second = await request(app).get('/ip').set('X-Forwarded-For', '203.0.113.9');
+
+    expect(first.body.hash).toBe(second.body.hash);
+  });
+});
+
+describe('fingerprint hashing', () => {
+  test('fingerprints are keyed, not a plain SHA-256 of the address', () => {
+    const crypto = require('crypto');
+    const { voteIntegrity } = loadWith({ VOTE_FINGERPRINT_KEY: 'key-one' });
+    const hash = voteIntegrity.fingerprintHash('198.51.100.7');
+
+    expect(hash).not.toBe(crypto.createHash('sha256').update('198.51.100.7').digest('hex'));
+    expect(hash).toBe(crypto.createHmac('sha256', 'key-one').update('198.51.100.7').digest('hex'));
+
+    const { voteIntegrity: rekeyed } = loadWith({ VOTE_FINGERPRINT_KEY: 'key-two' });
+    expect(rekeyed.fingerprintHash('198.51.100.7')).not.toBe(hash);
+  });
+});
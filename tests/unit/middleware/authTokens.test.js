@@ -0,0 +1,138 @@
+const jwt = require('jsonwebtoken');
+const {
+  authenticateToken,
+  authenticateConnectionParams,
+  issueTokens,
+  refreshAccessToken,
+  revokeTokenFamily,
+  isSessionRevoked,
+  checkTokenBlacklist,
+  blacklistToken
+} = require('../../../src/backend/middleware/auth');
+const cacheManager = require('../../../src/backend/utils/cacheManager');
+const { createTokenPool } = require('../../setup/resolverContext');
+
+const user = { id: 'user-1', email: 'user@example.com', role: 'user', password_hash: 'secret' };
+
+describe('refresh token rotation', () => {
+  test('issueTokens stores only a hash and ties both tokens to one family', async () => {
+    const pool = createTokenPool(user);
+
+    const { token, refreshToken, familyId } = await issueTokens(pool, user, { userAgent: 'jest' });
+
+    expect(pool.tokens).toHaveLength(1);
+    expect(pool.tokens[0].token_hash).not.toBe(refreshToken);
+    expect(pool.tokens[0].token_hash).toHaveLength(64);
+    expect(jwt.decode(token)).toMatchObject({ userId: 'user-1', sid: familyId });
+    expect(jwt.decode(token).jti).toBeTruthy();
+    expect(jwt.decode(refreshToken)).toMatchObject({ type: 'refresh', sid: familyId });
+  });
+
+  test('refreshing rotates the token within the same family', async () => {
+    const pool = createTokenPool(user);
+    const first = await issueTokens(pool, user);
+
+    const rotated = await refreshAccessToken(first.refreshToken, pool);
+
+    expect(rotated.refreshToken).not.toBe(first.refreshToken);
+    expect(rotated.user).not.toHaveProperty('password_hash');
+    expect(pool.tokens).toHaveLength(2);
+    expect(pool.tokens[0].rotated_at).toBeTruthy();
+    expect(pool.tokens[0].replaced_by).toBe(pool.tokens[1].id);
+    expect(pool.tokens[1].family_id).toBe(first.familyId);
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const pool = createTokenPool(user);
+    const first = await issueTokens(pool, user);
+    const second = await refreshAccessToken(first.refreshToken, pool);
+
+    await expect(refreshAccessToken(first.refreshToken, pool))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+
+    expect(pool.tokens.every(t => t.revoked_reason === 'reuse_detected')).toBe(true);
+    await expect(refreshAccessToken(second.refreshToken, pool))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+  });
+
+  test('rejects tokens that were never issued', async () => {
+    const pool = createTokenPool(user);
+    const forged = jwt.sign({ userId: 'user-1', type: 'refresh' }, process.env.JWT_SECRET);
+
+    await expect(refreshAccessToken(forged, pool))
+      .rejects.toThrow('Invalid or expired refresh token');
+    await expect(refreshAccessToken('garbage', pool))
+      .rejects.toThrow('Invalid or expired refresh token');
+  });
+
+  test('revokeTokenFamily reports how many tokens were revoked', async () => {
+    const pool = createTokenPool(user);
+    const { familyId } = await issueTokens(pool, user);
+
+    await expect(revokeTokenFamily(pool, familyId, 'logout')).resolves.toBe(1);
+    await expect(revokeTokenFamily(pool, familyId, 'logout')).resolves.toBe(0);
+  });
+});
+
+describe('session revocation', () => {
+  test('revoked sessions stay revoked after the cache marker is gone', async () => {
+    const pool = createTokenPool(user);
+    const { token, familyId } = await issueTokens(pool, user);
+    await revokeTokenFamily(pool, familyId, 'logout');
+    await cacheManager.delete(`revoked-session:${familyId}`);
+
+    await expect(isSessionRevoked(familyId, pool)).resolves.toBe(true);
+    await expect(cacheManager.get(`revoked-session:${familyId}`)).resolves.toBe(true);
+
+    await cacheManager.delete(`revoked-session:${familyId}`);
+    await expect(authenticateConnectionParams({ authToken: token }, pool)).resolves.toBeNull();
+  });
+
+  test('live sessions are not reported as revoked', async () => {
+    const pool = createTokenPool(user);
+    const { familyId } = await issueTokens(pool, user);
+
+    await expect(isSessionRevoked(familyId, pool)).resolves.toBe(false);
+    await expect(isSessionRevoked(null, pool)).resolves.toBe(false);
+  });
+});
+
+describe('access token verification', () => {
+  test('refresh tokens are not accepted as access tokens', async () => {
+    const pool = createTokenPool(user);
+    const { refreshToken } = await issueTokens(pool, user);
+    const req = { headers: { authorization: `Bearer ${refreshToken}` }, app: { locals: { pool } } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    await expect(authenticateConnectionParams({ authToken: refreshToken })).resolves.toBeNull();
+  });
+
+  test('typed tokens signed with the access key are rejected as well', async () => {
+    const typed = jwt.sign({ userId: 'user-1', type: 'refresh' }, process.env.JWT_SECRET);
+
+    await expect(authenticateConnectionParams({ Authorization: `Bearer ${typed}` })).resolves.toBeNull();
+  });
+
+  test('access tokens still authenticate websocket connections', async () => {
+    const pool = createTokenPool(user);
+    const { token } = await issueTokens(pool, user);
+
+    await expect(authenticateConnectionParams({ authToken: token }))
+      .resolves.toMatchObject({ userId: 'user-1', role: 'user' });
+  });
+});
+
+describe('access token blacklist', () => {
+  test('blacklisted jti values are rejected until they expire', async () => {
+    await expect(checkTokenBlacklist('jti-1')).resolves.toBe(false);
+    await blacklistToken('jti-1', 60);
+    await expect(checkTokenBlacklist('jti-1')).resolves.toBe(true);
+    await expect(checkTokenBlacklist(undefined)).resolves.toBe(false);
+  });
+});
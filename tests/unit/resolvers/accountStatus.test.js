@@ -0,0 +1,56 @@
+// tests/unit/resolvers/accountStatus.test.js
+// Suspended and banned accounts, and the moderator tools that restrict them, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool } = require('../../setup/resolverContext');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('enforcement', () => {
+  const suspension = { status: 'suspended', reason: 'Spam', until: new Date(Date.now() + HOUR).toISOString() };
+
+  test('GraphQL mutations reject suspended and banned accounts', async () => {
+    const pool = mockPool();
+
+    await expect(resolvers.Mutation.reportContent({}, { contentType: 'review', contentId: 'r1', reason: 'spam' }, authContext(pool, 'u1', 'user', { accountRestriction: suspension })))
+      .rejects.toMatchObject({ extensions: { code: 'ACCOUNT_SUSPENDED', suspendedUntil: suspension.until } });
+
+    await expect(resolvers.Mutation.reportContent({}, { contentType: 'review', contentId: 'r1', reason: 'spam' }, authContext(pool, 'u1', 'user', { accountRestriction: { status: 'banned', reason: 'Fraud', until: null } })))
+      .rejects.toMatchObject({ extensions: { code: 'ACCOUNT_BANNED' } });
+  });
+});
+
+describe('suspendUser', () => {
+  function moderationPool(target) {
+    return {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.includes('SELECT id, email, username, role, account_status')) return { rows: [target] };
+        if (sql.startsWith('UPDATE users')) return { rows: [{ ...target, account_status: 'suspended', password_hash: 'x' }] };
+        return { rows: [] };
+      })
+    };
+  }
+
+  const member = { id: 'u2', email: 'u2@example.com', username: 'member', role: 'user', account_status: 'active' };
+
+  test('suspends the account and logs the action', async () => {
+    const pool = moderationPool(member);
+    const until = new Date(Date.now() + 24 * HOUR).toISOString();
+
+    const user = await resolvers.Mutation.suspendUser({}, { id: 'u2', reason: 'Repeated spam', until }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(user.account_status).toBe('suspended');
+    expect(user.password_hash).toBeUndefined();
+    const log = pool.query.mock.calls.find(([sql, params]) => sql.includes('activity_log') && params[1] === 'suspend_user');
+    expect(JSON.parse(log[1][2])).toMatchObject({ target_user_id: 'u2', reason: 'Repeated spam', until });
+  });
+
+  test('rejects past end dates and staff targets', async () => {
+    await expect(resolvers.Mutation.suspendUser({}, { id: 'u2', reason: 'Repeated spam', until: new Date(Date.now() - HOUR).toISOString() }, authContext(moderationPool(member), 'mod-1', 'moderator')))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+
+    await expect(resolvers.Mutation.banUser({}, { id: 'u3', reason: 'Abuse of tools' }, authContext(moderationPool({ ...member, id: 'u3', role: 'moderator' }), 'mod-1', 'moderator')))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+});
@@ -0,0 +1,42 @@
+// tests/unit/resolvers/apiKeys.test.js
+// API key scopes and key creation, through the resolvers
+
+const { API_KEY_SCOPES, hashApiKey } = require('../../../src/backend/utils/apiKeys');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool } = require('../../setup/resolverContext');
+
+describe('API key scopes', () => {
+  const apiKeyContext = (scopes, pool = { query: jest.fn().mockResolvedValue({ rows: [] }) }) => ({
+    pool,
+    req: { headers: {}, apiKey: { id: 'k5', userId: 'u5', role: 'user', scopes } }
+  });
+
+  test('read queries require the matching scope', async () => {
+    await expect(resolvers.Query.factCheck({}, { id: 'fc-1' }, apiKeyContext(['read:apps'])))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+    await expect(resolvers.Query.factCheck({}, { id: 'fc-1' }, apiKeyContext(['read:factchecks'])))
+      .resolves.toBeUndefined();
+  });
+
+  test('account mutations are never available to API keys', async () => {
+    await expect(resolvers.Mutation.createApiKey({}, { name: 'x', scopes: ['read:apps'] }, apiKeyContext(API_KEY_SCOPES)))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+
+  test('createApiKey validates scopes and returns the plain key once', async () => {
+    const pool = mockPool({
+      'COUNT(*)': [{ count: '0' }],
+      'INSERT INTO api_keys': params => [{ id: 'k6', prefix: params[2], key_hash: params[3], scopes: params[4] }]
+    });
+    const context = authContext(pool, 'u6');
+
+    await expect(resolvers.Mutation.createApiKey({}, { name: 'Research', scopes: ['admin:all'] }, context))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+
+    const created = await resolvers.Mutation.createApiKey({}, { name: 'Research', scopes: ['read:apps', 'read:apps'], expiresInDays: 30 }, context);
+
+    expect(created.apiKey.scopes).toEqual(['read:apps']);
+    expect(created.apiKey.key_hash).toBe(hashApiKey(created.key));
+    expect(created.key.startsWith(created.apiKey.prefix)).toBe(true);
+  });
+});
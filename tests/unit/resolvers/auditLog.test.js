@@ -0,0 +1,51 @@
+// tests/unit/resolvers/auditLog.test.js
+// Privileged mutations leave audit entries, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+
+describe('privileged mutations', () => {
+  test('setUserRole records the role change with before and after snapshots', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'admin', two_factor_enabled: true }] };
+        if (sql.includes('SELECT * FROM users')) return { rows: [{ id: 'u1', role: 'user', password_hash: 'x' }] };
+        if (sql.startsWith('UPDATE users')) return { rows: [{ id: 'u1', role: 'moderator', password_hash: 'x' }] };
+        return { rows: [] };
+      })
+    };
+
+    const user = await resolvers.Mutation.setUserRole({}, { id: 'u1', role: 'moderator' }, authContext(pool, 'admin-1', 'admin'));
+
+    expect(user).toEqual({ id: 'u1', role: 'moderator' });
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO activity_log'));
+    expect(params[1]).toBe('change_user_role');
+    expect(JSON.parse(params[5]).role).toBe('user');
+    expect(JSON.parse(params[6]).role).toBe('moderator');
+  });
+
+  test('rejecting an app keeps the deleted row as the before snapshot', async () => {
+    const app = { id: 'app-1', name: 'Deleted app', is_verified: false };
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.startsWith('DELETE FROM apps')) return { rows: [app] };
+        return { rows: [] };
+      })
+    };
+
+    await resolvers.Mutation.rejectApp({}, { id: 'app-1', reason: 'Malware' }, authContext(pool, 'mod-1', 'moderator'));
+
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO activity_log'));
+    expect([params[1], params[3], params[4]]).toEqual(['reject_app', 'app', 'app-1']);
+    expect(JSON.parse(params[5])).toEqual(app);
+    expect(params[6]).toBeNull();
+  });
+
+  test('auditLog is admin only', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ role: 'moderator', two_factor_enabled: true }] }) };
+
+    await expect(resolvers.Query.auditLog({}, {}, authContext(pool, 'mod-1', 'moderator')))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+});
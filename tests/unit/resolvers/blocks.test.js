@@ -0,0 +1,63 @@
+// tests/unit/resolvers/blocks.test.js
+// What a block hides and prevents, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool } = require('../../setup/resolverContext');
+
+// blocks is a list of [blocker, blocked] pairs
+function blocksPool(blocks, handlers = {}) {
+  return mockPool({
+    'SELECT 1 FROM user_blocks': ([blocker, blocked]) => (blocks.some(pair => pair[0] === blocker && pair[1] === blocked) ? [{}] : []),
+    'SELECT blocked_id FROM user_blocks': ([blocker]) => blocks.filter(pair => pair[0] === blocker).map(pair => ({ blocked_id: pair[1] })),
+    ...handlers
+  });
+}
+
+describe('blocking effects', () => {
+  test('reviews by blocked users are filtered out of App.reviews', async () => {
+    const pool = blocksPool([['alice', 'bob']], {
+      'FROM reviews': [{ id: 'r1', app_id: 'app-1', user_id: 'bob' }, { id: 'r2', app_id: 'app-1', user_id: 'carol' }]
+    });
+
+    const reviews = await resolvers.App.reviews({ id: 'app-1' }, {}, authContext(pool, 'alice'));
+    expect(reviews.map(review => review.id)).toEqual(['r2']);
+
+    const anonymous = await resolvers.App.reviews({ id: 'app-1' }, {}, { pool, user: null });
+    expect(anonymous).toHaveLength(2);
+  });
+
+  test('blocked users cannot appeal the blocker\'s fact-checks', async () => {
+    const pool = blocksPool([['alice', 'bob']], {
+      is_verified: [{ is_verified: true }],
+      'FROM fact_checks': [{ id: 'f1', submitted_by: 'alice' }]
+    });
+
+    await expect(resolvers.Mutation.submitFactCheckAppeal({}, {
+      factCheckId: 'f1',
+      proposedVerdict: 'FALSE',
+      reasoning: 'The cited study was retracted last year.'
+    }, authContext(pool, 'bob'))).rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+});
+
+describe('blockUser', () => {
+  test('cannot block yourself', async () => {
+    await expect(resolvers.Mutation.blockUser({}, { id: 'alice' }, authContext(blocksPool([]), 'alice')))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+  });
+
+  test('stores the block once and never returns the password hash', async () => {
+    const pool = blocksPool([], {
+      'SELECT * FROM users': [{ id: 'bob', username: 'bob', password_hash: 'x' }],
+      'COUNT(*)': [{ count: '0' }],
+      'INSERT INTO user_blocks': [{ blocked_id: 'bob' }]
+    });
+
+    const user = await resolvers.Mutation.blockUser({}, { id: 'bob' }, authContext(pool, 'alice'));
+
+    expect(user).toEqual({ id: 'bob', username: 'bob' });
+    const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO user_blocks'));
+    expect(insert[0]).toContain('ON CONFLICT');
+    expect(insert[1]).toEqual(['alice', 'bob']);
+  });
+});
@@ -0,0 +1,80 @@
+// tests/unit/resolvers/claimSimilarity.test.js
+// Duplicate-claim lookup, submission and merging, through the resolvers
+
+jest.mock('../../../src/ai/languageDetection', () => ({
+  translateToEnglish: jest.fn(async (text) => ({ translatedText: text }))
+}));
+
+const { normalizeClaimText } = require('../../../src/backend/utils/claimSimilarity');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool } = require('../../setup/resolverContext');
+
+const existingClaim = 'Drinking coffee every day causes heart disease';
+
+const candidatePool = () => mockPool({
+  'normalized_claim % $1': [{ id: 'fc-1', claim: existingClaim, verdict: 'FALSE', normalized_claim: normalizeClaimText(existingClaim) }],
+  'INSERT INTO fact_checks': [{ id: 'fc-new', verdict: 'UNVERIFIED' }]
+});
+
+const submission = {
+  claim: 'Drinking coffee every day causes heart disease!',
+  verdict: 'UNVERIFIED',
+  confidenceScore: 0,
+  explanation: 'Community submission awaiting analyst review.',
+  category: 'health'
+};
+
+describe('similarClaims', () => {
+  test('the lookup is only open to signed-in users', async () => {
+    const pool = candidatePool();
+
+    await expect(resolvers.Query.similarClaims({}, { text: existingClaim }, { pool, req: { headers: {} } }))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+    await expect(resolvers.Query.similarClaims({}, { text: existingClaim }, authContext(pool, 'u-1')))
+      .resolves.toHaveLength(1);
+  });
+});
+
+describe('submitting and merging', () => {
+  test('duplicate submissions are rejected unless explicitly allowed', async () => {
+    const pool = candidatePool();
+    const context = authContext(pool, 'user-1');
+
+    await expect(resolvers.Mutation.submitFactCheck({}, { input: submission }, context))
+      .rejects.toMatchObject({ extensions: { code: 'CONFLICT', duplicates: [{ id: 'fc-1', verdict: 'FALSE' }] } });
+
+    await resolvers.Mutation.submitFactCheck({}, { input: { ...submission, allowDuplicate: true } }, context);
+
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO fact_checks'));
+    expect(params[8]).toBe('drinking coffee every day causes heart disease');
+  });
+
+  test('merging moves everything in one statement and records the audit', async () => {
+    const rows = [
+      { id: 'src', claim: existingClaim, submitted_by: 'author-1', merged_into: null },
+      { id: 'dst', claim: existingClaim, submitted_by: 'author-2', merged_into: null }
+    ];
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.includes('WHERE id = ANY($1::uuid[])')) return { rows };
+        if (sql.includes('moved_votes AS')) {
+          return { rows: [{ merged: 1, votes_moved: 3, votes_dropped: 1, appeals_moved: 1, bounties_moved: 0, target: { ...rows[1], upvotes: 5 } }] };
+        }
+        return { rows: [] };
+      })
+    };
+
+    const target = await resolvers.Mutation.mergeFactChecks({}, { sourceId: 'src', targetId: 'dst' }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(target).toMatchObject({ id: 'dst', upvotes: 5 });
+    const [, mergeParams] = pool.query.mock.calls.find(([sql]) => sql.includes('moved_votes AS'));
+    expect(mergeParams).toEqual(['src', 'dst']);
+    const [, auditParams] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO activity_log'));
+    expect(auditParams.slice(0, 2)).toEqual(['mod-1', 'merge_fact_checks']);
+    expect(pool.query.mock.calls.some(([sql, p]) => sql.includes('INSERT INTO notifications') && p[1] === 'fact_check_merged')).toBe(true);
+
+    await expect(resolvers.Mutation.mergeFactChecks({}, { sourceId: 'src', targetId: 'src' }, authContext(pool, 'mod-1', 'moderator')))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+  });
+});
@@ -0,0 +1,76 @@
+// tests/unit/resolvers/emailVerification.test.js
+// Verifying and changing the account email, through the resolvers
+
+const bcrypt = require('bcrypt');
+const { PURPOSES, createEmailToken } = require('../../../src/backend/utils/emailVerification');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+
+describe('email verification', () => {
+  test('verifyEmail only accepts links for the current address', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'user-1' }] }) };
+    const token = createEmailToken('user-1', 'user@example.com');
+
+    await expect(resolvers.Mutation.verifyEmail({}, { token }, { pool })).resolves.toBe(true);
+    expect(pool.query.mock.calls[0][1]).toEqual(['user-1', 'user@example.com']);
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(resolvers.Mutation.verifyEmail({}, { token }, { pool }))
+      .rejects.toMatchObject({ extensions: { code: 'INVALID_TOKEN' } });
+  });
+
+  test('unverified users cannot vote', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ is_verified: false }] }) };
+
+    await expect(resolvers.Mutation.voteFactCheck({}, { id: 'fc-1', vote: 1 }, authContext(pool, 'user-2')))
+      .rejects.toMatchObject({ extensions: { code: 'EMAIL_NOT_VERIFIED' } });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('email change flow', () => {
+  test('requires the password and only the latest confirmation link works', async () => {
+    const user = {
+      id: 'user-3',
+      email: 'old@example.com',
+      username: 'changer',
+      password_hash: await bcrypt.hash('Passw0rd!', 4),
+      pending_email: null,
+      email_change_nonce: null
+    };
+    const pool = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('SET pending_email')) {
+          [user.pending_email, user.email_change_nonce] = params;
+          return { rows: [] };
+        }
+        if (sql.includes('SET email = pending_email')) {
+          if (params[1] !== user.email_change_nonce) return { rows: [] };
+          Object.assign(user, { email: user.pending_email, pending_email: null, email_change_nonce: null, is_verified: true });
+          return { rows: [{ ...user }] };
+        }
+        if (sql.includes('FROM users WHERE id = $1')) return { rows: [{ ...user }] };
+        return { rows: [] };
+      })
+    };
+    const context = authContext(pool, 'user-3');
+
+    await expect(resolvers.Mutation.changeEmail({}, { newEmail: 'new@example.com', password: 'wrong' }, context))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+    expect(user.pending_email).toBeNull();
+
+    await resolvers.Mutation.changeEmail({}, { newEmail: 'New@Example.com', password: 'Passw0rd!' }, context);
+    expect(user.pending_email).toBe('new@example.com');
+
+    const stale = createEmailToken('user-3', 'new@example.com', { purpose: PURPOSES.CHANGE, nonce: 'old-nonce' });
+    await expect(resolvers.Mutation.confirmEmailChange({}, { token: stale }, { pool }))
+      .rejects.toMatchObject({ extensions: { code: 'INVALID_TOKEN' } });
+
+    const current = createEmailToken('user-3', 'new@example.com', { purpose: PURPOSES.CHANGE, nonce: user.email_change_nonce });
+    const updated = await resolvers.Mutation.confirmEmailChange({}, { token: current }, { pool });
+
+    expect(updated).toMatchObject({ email: 'new@example.com', is_verified: true });
+    expect(updated).not.toHaveProperty('password_hash');
+    expect(pool.query.mock.calls.some(([sql, params]) => sql.includes('activity_log') && params[1] === 'email_changed')).toBe(true);
+  });
+});
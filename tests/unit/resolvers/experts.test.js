@@ -0,0 +1,93 @@
+// tests/unit/resolvers/experts.test.js
+// Expert-weighted votes, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool, callsMatching } = require('../../setup/resolverContext');
+
+describe('weighted votes', () => {
+  function votePool({ expert, existingVote }) {
+    return mockPool({
+      // An established voter, so only the expert multiplier changes the weight
+      votes_cast: [{ created_at: '2020-01-01T00:00:00Z', is_verified: true, truth_score: 0, votes_cast: '20', votes_rejected: '0' }],
+      is_verified: [{ is_verified: true }],
+      'SELECT id, upvotes, downvotes, submitted_by, category': [{ id: 'fc-1', upvotes: 0, downvotes: 0, submitted_by: 'author', category: 'Health' }],
+      'FROM fact_check_votes WHERE': existingVote ? [existingVote] : [],
+      'FROM expert_credentials': expert ? [{ '?column?': 1 }] : [],
+      'SELECT * FROM fact_checks': [{ id: 'fc-1' }]
+    });
+  }
+
+  test('an expert upvote in their category counts extra in the weighted score only', async () => {
+    const pool = votePool({ expert: true });
+
+    await resolvers.Mutation.voteFactCheck({}, { id: 'fc-1', vote: 1 }, authContext(pool, 'doctor'));
+
+    expect(callsMatching(pool, 'INSERT INTO fact_check_votes')[0][1].slice(0, 4)).toEqual(['fc-1', 'doctor', 1, 3]);
+    expect(callsMatching(pool, 'weighted_score = weighted_score + $4')[0][1]).toEqual([1, 0, 'fc-1', 3]);
+  });
+
+  test('changing a vote reverses the weight it was cast with', async () => {
+    const pool = votePool({ expert: false, existingVote: { vote_value: 1, weight: '3.00' } });
+
+    await resolvers.Mutation.voteFactCheck({}, { id: 'fc-1', vote: -1 }, authContext(pool, 'former-expert'));
+
+    expect(callsMatching(pool, 'weighted_score = weighted_score + $4')[0][1]).toEqual([-1, 1, 'fc-1', -4]);
+  });
+});
+
+describe('applications and appeal reviews', () => {
+  const application = { id: 'app-1', user_id: 'doctor', category: 'health', evidence: ['https://registry.example/doctor'], status: 'pending' };
+
+  test('approval grants the credential and keeps evidence out of the audit trail', async () => {
+    const pool = mockPool({
+      'SELECT role, two_factor_enabled': [{ role: 'admin', two_factor_enabled: true }],
+      'UPDATE expert_applications': params => [{ ...application, status: params[1], reviewed_by: params[2] }]
+    });
+
+    await resolvers.Mutation.reviewExpertApplication({}, { id: 'app-1', approved: true }, authContext(pool, 'admin-1', 'admin'));
+
+    expect(callsMatching(pool, 'INSERT INTO expert_credentials')[0][1]).toEqual(['doctor', 'health', 'app-1', 'admin-1']);
+    const [[, auditParams]] = callsMatching(pool, 'INSERT INTO activity_log');
+    expect(auditParams[1]).toBe('grant_expert');
+    expect(JSON.stringify(auditParams)).not.toContain('registry.example');
+  });
+
+  test('evidence is only shown to the applicant and admins', () => {
+    const { evidence } = resolvers.ExpertApplication;
+
+    expect(evidence(application, {}, { user: { userId: 'doctor', role: 'user' } })).toEqual(application.evidence);
+    expect(evidence(application, {}, { user: { userId: 'admin-1', role: 'admin' } })).toEqual(application.evidence);
+    expect(evidence(application, {}, { user: { userId: 'someone', role: 'moderator' } })).toBeNull();
+  });
+
+  test('expert appeal reviews are stored with the expert weight', async () => {
+    const appeal = { id: 'ap-1', user_id: 'appellant', fact_check_id: 'fc-1', status: 'pending', category: 'Health', fact_check_author: 'author' };
+    const pool = mockPool({
+      is_verified: [{ is_verified: true }],
+      'FROM fact_check_appeals a': [appeal],
+      'FROM expert_credentials': [{ '?column?': 1 }]
+    });
+
+    const result = await resolvers.Mutation.submitAppealReview({}, { appealId: 'ap-1', supports: true, proposedVerdict: 'FALSE' }, authContext(pool, 'doctor'));
+
+    expect(callsMatching(pool, 'INSERT INTO appeal_reviews')[0][1]).toEqual(['ap-1', 'doctor', true, 'FALSE', null, 3, true]);
+    expect(result).not.toHaveProperty('fact_check_author');
+
+    await expect(resolvers.Mutation.submitAppealReview({}, { appealId: 'ap-1', supports: false }, authContext(pool, 'author')))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+
+  test('the review queue lists every unverified claim in the expert\'s categories', async () => {
+    const pool = mockPool({
+      'SELECT category FROM expert_credentials': [{ category: 'health' }],
+      'SELECT * FROM fact_checks': [{ id: 'fc-1', verdict: 'FALSE', verified_by: null }]
+    });
+
+    await expect(resolvers.Query.expertReviewQueue({}, {}, authContext(pool, 'doctor'))).resolves.toHaveLength(1);
+
+    const [[sql, params]] = callsMatching(pool, 'SELECT * FROM fact_checks');
+    expect(sql).toContain('verified_by IS NULL');
+    expect(sql).not.toContain('verdict');
+    expect(params).toEqual([['health'], 'doctor', 20, 0]);
+  });
+});
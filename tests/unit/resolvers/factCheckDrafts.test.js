@@ -0,0 +1,113 @@
+// tests/unit/resolvers/factCheckDrafts.test.js
+// Collaborative draft editing and publishing, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool } = require('../../setup/resolverContext');
+
+function draftRow(overrides = {}) {
+  return {
+    id: 'd1',
+    owner_id: 'owner',
+    claim: 'The bridge opened in 1932 to traffic',
+    verdict: 'TRUE',
+    confidence_score: '0.800',
+    sources: ['https://example.org/archive'],
+    explanation: 'City records confirm the opening date.',
+    category: 'history',
+    image_url: null,
+    status: 'draft',
+    version: 4,
+    section_versions: { claim: 2, verdict: 1, explanation: 4 },
+    fact_check_id: null,
+    ...overrides
+  };
+}
+
+function draftPool(role, handlers = {}) {
+  return mockPool({
+    'a.role AS viewer_role': role ? [{ ...draftRow(), viewer_role: role }] : [],
+    ...handlers
+  });
+}
+
+describe('editing drafts', () => {
+  test('non-authors cannot see a draft', async () => {
+    const pool = draftPool(null);
+
+    await expect(resolvers.Query.factCheckDraft({}, { id: 'd1' }, authContext(pool, 'stranger')))
+      .rejects.toMatchObject({ extensions: { code: 'NOT_FOUND' } });
+  });
+
+  test('a section save bumps the version and records a revision with a diff', async () => {
+    const pool = draftPool('coauthor', {
+      'SET claim = $3': params => [draftRow({ claim: params[2], version: 5, section_versions: { claim: 5 } })],
+      'INSERT INTO fact_check_revisions': params => [{ id: 'r1', diff: params[5] }]
+    });
+
+    const draft = await resolvers.Mutation.updateFactCheckDraft({}, {
+      id: 'd1',
+      section: 'CLAIM',
+      baseVersion: 3,
+      input: { claim: 'The bridge opened in 1933 to traffic' }
+    }, authContext(pool, 'coauthor-1'));
+
+    expect(draft.version).toBe(5);
+    const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO fact_check_revisions'));
+    expect(params.slice(0, 4)).toEqual(['d1', 5, 'claim', 'coauthor-1']);
+    expect(JSON.parse(params[5]).claim).toContainEqual({ op: 'insert', text: '1933' });
+  });
+
+  test('saving over a co-author\'s newer edit of the same section is a conflict', async () => {
+    const pool = draftPool('coauthor', {
+      'SELECT * FROM fact_check_drafts WHERE id = $1': [draftRow({ version: 6, section_versions: { claim: 6 } })]
+    });
+
+    await expect(resolvers.Mutation.updateFactCheckDraft({}, {
+      id: 'd1',
+      section: 'CLAIM',
+      baseVersion: 4,
+      input: { claim: 'A different wording of the claim' }
+    }, authContext(pool, 'coauthor-1'))).rejects.toMatchObject({
+      extensions: { code: 'CONFLICT', section: 'claim', sectionVersion: 6 }
+    });
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO fact_check_revisions'))).toBe(false);
+  });
+});
+
+describe('submitting for review', () => {
+  test('only the owner can submit', async () => {
+    const pool = draftPool('coauthor');
+
+    await expect(resolvers.Mutation.submitDraftForReview({}, { id: 'd1' }, authContext(pool, 'coauthor-1')))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+
+  test('publishes an unverified fact-check and links it to the draft', async () => {
+    const pool = draftPool('owner', {
+      "SET status = 'submitted'": [draftRow({ status: 'submitted' })],
+      'INSERT INTO fact_checks': [{ id: 'fc-1', claim: draftRow().claim, category: 'history', verified_by: null }],
+      'SET fact_check_id = $2': params => [draftRow({ status: 'submitted', fact_check_id: params[1] })],
+      "role = 'coauthor'": [{ user_id: 'coauthor-1' }]
+    });
+
+    const draft = await resolvers.Mutation.submitDraftForReview({}, { id: 'd1' }, authContext(pool, 'owner'));
+
+    expect(draft).toMatchObject({ status: 'submitted', fact_check_id: 'fc-1' });
+    const [, insertParams] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO fact_checks'));
+    expect(insertParams[7]).toBe('owner');
+    expect(pool.query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO notifications') && params[1] === 'draft_submitted')).toBe(true);
+  });
+
+  test('incomplete drafts are rejected before anything is published', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('a.role AS viewer_role')) return { rows: [{ ...draftRow({ verdict: null }), viewer_role: 'owner' }] };
+        return { rows: [] };
+      })
+    };
+
+    await expect(resolvers.Mutation.submitDraftForReview({}, { id: 'd1' }, authContext(pool, 'owner')))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO fact_checks'))).toBe(false);
+  });
+});
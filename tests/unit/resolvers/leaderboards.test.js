@@ -0,0 +1,44 @@
+// tests/unit/resolvers/leaderboards.test.js
+// Paging through a leaderboard, through the resolvers
+
+const { encodeRankCursor } = require('../../../src/backend/utils/leaderboards');
+const resolvers = require('../../../src/backend/resolvers');
+
+function boardRow(rank, overrides = {}) {
+  return {
+    user_id: `u${rank}`,
+    score: String(100 - rank),
+    previous_score: '10',
+    previous_rank: String(rank + 2),
+    total_count: '3',
+    rank: String(rank),
+    computed_at: new Date('2026-10-19T12:00:00Z'),
+    ...overrides
+  };
+}
+
+describe('leaderboard', () => {
+  test('pages by rank', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [boardRow(26)] }) };
+
+    const connection = await resolvers.Query.leaderboard({}, {
+      window: 'ALL_TIME',
+      category: ' health ',
+      first: 25,
+      after: encodeRankCursor(25)
+    }, { pool });
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['ALL_TIME', 'health', 25, 26]);
+    expect(connection.edges[0].cursor).toBe(encodeRankCursor(26));
+    expect(connection.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true });
+    expect(connection.category).toBe('health');
+  });
+
+  test('rejects cursors from other queries', async () => {
+    const pool = { query: jest.fn() };
+
+    await expect(resolvers.Query.leaderboard({}, { after: 'bm9wZQ==' }, { pool }))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,31 @@
+// tests/unit/resolvers/logout.test.js
+// Logging out revokes the access token and its refresh family
+
+const jwt = require('jsonwebtoken');
+const { issueTokens, checkTokenBlacklist } = require('../../../src/backend/middleware/auth');
+const resolvers = require('../../../src/backend/resolvers');
+const { createTokenPool } = require('../../setup/resolverContext');
+
+const user = { id: 'user-1', email: 'user@example.com', role: 'user', password_hash: 'secret' };
+
+describe('logout', () => {
+  test('revokes the current access token and its refresh family', async () => {
+    const pool = createTokenPool(user);
+    const { token, familyId } = await issueTokens(pool, user);
+    const context = { pool, req: { headers: { authorization: `Bearer ${token}` } } };
+
+    await expect(resolvers.Mutation.logout({}, {}, context)).resolves.toBe(true);
+
+    await expect(checkTokenBlacklist(jwt.decode(token).jti)).resolves.toBe(true);
+    expect(pool.tokens.filter(t => t.family_id === familyId).every(t => t.revoked_reason === 'logout')).toBe(true);
+  });
+
+  test('requireAuth rejects a request the auth middleware marked as revoked', async () => {
+    const pool = createTokenPool(user);
+    const { token } = await issueTokens(pool, user);
+    const context = { pool, req: { user: null, headers: { authorization: `Bearer ${token}` } } };
+
+    await expect(resolvers.Mutation.logout({}, {}, context))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+  });
+});
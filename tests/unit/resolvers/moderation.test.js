@@ -0,0 +1,84 @@
+// tests/unit/resolvers/moderation.test.js
+// Reporting content and resolving reports, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+
+describe('reportContent', () => {
+  function reportPool({ ownerId = 'owner-1', duplicate = false } = {}) {
+    return {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('is_verified')) return { rows: [{ is_verified: true }] };
+        if (sql.includes('FROM fact_checks')) return { rows: [{ id: 'f1', owner_id: ownerId, hidden_at: null }] };
+        if (sql.includes('INSERT INTO content_reports')) {
+          return { rows: duplicate ? [] : [{ id: 'rep-1', content_type: 'fact_check', content_id: 'f1', status: 'open' }] };
+        }
+        if (sql.includes('COUNT(*)')) return { rows: [{ count: '1' }] };
+        return { rows: [] };
+      })
+    };
+  }
+
+  test('records the report and logs it', async () => {
+    const pool = reportPool();
+    const report = await resolvers.Mutation.reportContent({}, { contentType: 'fact_check', contentId: 'f1', reason: 'spam' }, authContext(pool, 'reporter-1'));
+
+    expect(report).toMatchObject({ id: 'rep-1', report_count: 1 });
+    expect(pool.query.mock.calls.some(([sql, params]) => sql.includes('activity_log') && params[1] === 'report_content')).toBe(true);
+  });
+
+  test('rejects unknown reasons, own content and repeat reports', async () => {
+    await expect(resolvers.Mutation.reportContent({}, { contentType: 'fact_check', contentId: 'f1', reason: 'boring' }, authContext(reportPool(), 'reporter-1')))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+
+    await expect(resolvers.Mutation.reportContent({}, { contentType: 'fact_check', contentId: 'f1', reason: 'spam' }, authContext(reportPool(), 'owner-1')))
+      .rejects.toMatchObject({ message: 'You cannot report your own content' });
+
+    await expect(resolvers.Mutation.reportContent({}, { contentType: 'fact_check', contentId: 'f1', reason: 'spam' }, authContext(reportPool({ duplicate: true }), 'reporter-1')))
+      .rejects.toMatchObject({ extensions: { code: 'ALREADY_EXISTS' } });
+  });
+});
+
+describe('resolveReport', () => {
+  function resolvePool(report, role = 'moderator') {
+    return {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role, two_factor_enabled: true }] };
+        if (sql.includes('SELECT * FROM content_reports WHERE id')) return { rows: [report] };
+        if (sql.includes('FROM fact_checks')) return { rows: [{ id: 'f1', owner_id: 'owner-1', hidden_at: new Date(), hidden_reason: 'auto_reported' }] };
+        if (sql.startsWith('UPDATE fact_checks')) return { rows: [{ id: 'f1' }] };
+        if (sql.includes('UPDATE content_reports')) return { rows: [{ id: report.id }, { id: 'rep-2' }] };
+        if (sql.includes('FROM content_reports r')) return { rows: [{ ...report, status: 'dismissed' }] };
+        return { rows: [] };
+      })
+    };
+  }
+
+  const openReport = { id: 'rep-1', content_type: 'fact_check', content_id: 'f1', reason: 'spam', status: 'open' };
+
+  test('dismissing restores auto-hidden content and closes every open report on it', async () => {
+    const pool = resolvePool(openReport);
+    await resolvers.Mutation.resolveReport({}, { id: 'rep-1', action: 'dismiss' }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes("hidden_reason = 'auto_reported'"))).toBe(true);
+    const close = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE content_reports'));
+    expect(close[1].slice(0, 2)).toEqual(['dismissed', 'dismiss']);
+    const log = pool.query.mock.calls.find(([sql, params]) => sql.includes('activity_log') && params[1] === 'resolve_report');
+    expect(JSON.parse(log[1][2])).toMatchObject({ action: 'dismiss', reports_affected: 2, content_restored: true });
+  });
+
+  test('warning the user notifies the content owner', async () => {
+    const pool = resolvePool(openReport);
+    await resolvers.Mutation.resolveReport({}, { id: 'rep-1', action: 'warn_user' }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(pool.query.mock.calls.some(([sql, params]) => sql.includes('moderation_warning_count') && params[0] === 'owner-1')).toBe(true);
+    expect(pool.query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO notifications') && params[1] === 'moderation_warning')).toBe(true);
+  });
+
+  test('escalated reports need an admin', async () => {
+    const pool = resolvePool({ ...openReport, status: 'escalated' });
+
+    await expect(resolvers.Mutation.resolveReport({}, { id: 'rep-1', action: 'hide_content' }, authContext(pool, 'mod-1', 'moderator')))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+  });
+});
@@ -0,0 +1,55 @@
+// tests/unit/resolvers/notifications.test.js
+// Reading and managing notifications, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+
+describe('notification resolvers', () => {
+  const context = (query) => authContext({ query }, 'u1');
+
+  test('require authentication', async () => {
+    await expect(resolvers.Query.unreadNotificationCount({}, {}, { req: { headers: {} }, pool: {} }))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+  });
+
+  test('markNotificationRead is scoped to the current user', async () => {
+    const query = jest.fn().mockResolvedValue({ rows: [] });
+    await expect(resolvers.Mutation.markNotificationRead({}, { id: 'n1' }, context(query)))
+      .rejects.toMatchObject({ extensions: { code: 'NOT_FOUND' } });
+    expect(query.mock.calls[0][1]).toEqual(['n1', 'u1']);
+  });
+
+  test('markAllNotificationsRead returns the number of updated rows', async () => {
+    const query = jest.fn().mockResolvedValue({ rowCount: 3 });
+    await expect(resolvers.Mutation.markAllNotificationsRead({}, {}, context(query))).resolves.toBe(3);
+  });
+
+  test('deleteNotification reports NOT_FOUND for other users\' notifications', async () => {
+    const query = jest.fn().mockResolvedValue({ rowCount: 0 });
+    await expect(resolvers.Mutation.deleteNotification({}, { id: 'n9' }, context(query)))
+      .rejects.toMatchObject({ extensions: { code: 'NOT_FOUND' } });
+  });
+
+  test('notifications pages through the user\'s history newest first', async () => {
+    const rows = [
+      { id: 'n3', created_at: '2026-10-03T00:00:00Z' },
+      { id: 'n2', created_at: '2026-10-02T00:00:00Z' },
+      { id: 'n1', created_at: '2026-10-01T00:00:00Z' }
+    ];
+    const query = jest.fn().mockResolvedValue({ rows });
+
+    const page = await resolvers.Query.notifications({}, { unreadOnly: true, first: 2 }, context(query));
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('user_id = $1 AND read = false');
+    expect(sql).toContain('ORDER BY created_at DESC');
+    expect(params).toEqual(['u1', 3]);
+    expect(page.edges.map(edge => edge.node.id)).toEqual(['n3', 'n2']);
+    expect(page.pageInfo.hasNextPage).toBe(true);
+  });
+
+  test('notifications rejects malformed cursors', async () => {
+    await expect(resolvers.Query.notifications({}, { after: 'not-a-cursor' }, context(jest.fn())))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+  });
+});
@@ -0,0 +1,51 @@
+// tests/unit/resolvers/reputation.test.js
+// Manual reputation adjustments, through the resolvers
+
+const cacheManager = require('../../../src/backend/utils/cacheManager');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, mockPool } = require('../../setup/resolverContext');
+
+// No reputation rules, so only the manual entry is recorded
+function ledgerPool(handlers = {}) {
+  return mockPool({
+    'FROM reputation_rules': [],
+    'INSERT INTO reputation_ledger': ([userId, delta, reason]) => [{ id: 'entry-1', user_id: userId, delta, reason, truth_score: 100 + delta }],
+    ...handlers
+  });
+}
+
+function ledgerInserts(pool) {
+  return pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO reputation_ledger'));
+}
+
+beforeEach(async () => {
+  await cacheManager.clear();
+});
+
+describe('adjustReputation', () => {
+  const staff = { 'SELECT role, two_factor_enabled': [{ role: 'moderator', two_factor_enabled: true }] };
+
+  test('requires a justification', async () => {
+    const pool = ledgerPool(staff);
+
+    await expect(resolvers.Mutation.adjustReputation({}, { userId: 'u1', delta: -20, justification: 'spam' }, authContext(pool, 'mod-1', 'moderator')))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    expect(ledgerInserts(pool)).toHaveLength(0);
+  });
+
+  test('records a manual entry, audits it and tells the user', async () => {
+    const pool = ledgerPool({ ...staff, 'SELECT id, username, truth_score': [{ id: 'u1', username: 'member', truth_score: 100 }] });
+
+    const entry = await resolvers.Mutation.adjustReputation({}, {
+      userId: 'u1',
+      delta: -20,
+      justification: 'Points farmed through coordinated votes'
+    }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(entry).toMatchObject({ reason: 'manual_adjustment', truth_score: 80 });
+    expect(ledgerInserts(pool)[0][1].slice(5, 7)).toEqual(['Points farmed through coordinated votes', 'mod-1']);
+    const audit = pool.query.mock.calls.find(([sql, params]) => sql.includes('activity_log') && params[1] === 'adjust_reputation');
+    expect(JSON.parse(audit[1][6]).truth_score).toBe(80);
+    expect(pool.query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO notifications') && params[1] === 'reputation_adjusted')).toBe(true);
+  });
+});
@@ -0,0 +1,96 @@
+// tests/unit/resolvers/reviewRanking.test.js
+// Sorted app reviews and helpfulness votes, through the resolvers
+
+const resolvers = require('../../../src/backend/resolvers');
+const { REVIEWS_PER_APP } = require('../../../src/backend/utils/reviewRanking');
+const { authContext, callsMatching } = require('../../setup/resolverContext');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('App.reviews', () => {
+  const reviews = [
+    { id: 'old-useful', rating: 4, helpful_count: 30, unhelpful_count: 2, created_at: daysAgo(400) },
+    { id: 'recent-useful', rating: 5, helpful_count: 12, unhelpful_count: 1, created_at: daysAgo(10) },
+    { id: 'angry', rating: 1, helpful_count: 0, unhelpful_count: 4, created_at: daysAgo(5) },
+    { id: 'fair-critique', rating: 1, helpful_count: 6, unhelpful_count: 0, created_at: daysAgo(30) },
+    { id: 'brand-new', rating: 3, helpful_count: 0, unhelpful_count: 0, created_at: daysAgo(0) }
+  ];
+
+  test('App.reviews uses the loader for the requested sort and rejects unknown sorts', async () => {
+    const load = jest.fn().mockResolvedValue(reviews);
+    const context = { pool: { query: jest.fn() }, loaders: { reviewsByAppId: { NEWEST: { load } } } };
+
+    await expect(resolvers.App.reviews({ id: 'app-1' }, { sort: 'NEWEST' }, context)).resolves.toEqual(reviews);
+    expect(load).toHaveBeenCalledWith('app-1');
+    await expect(resolvers.App.reviews({ id: 'app-1' }, { sort: 'RANDOM' }, context))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+  });
+
+  test('without loaders the reviews are ranked and capped in SQL as well', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: reviews.map(review => ({ ...review, app_id: 'app-1' })) }) };
+
+    const listed = await resolvers.App.reviews({ id: 'app-1' }, { sort: 'MOST_HELPFUL' }, { pool });
+
+    expect(listed.map(review => review.id)).toEqual(reviews.map(review => review.id));
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('ORDER BY helpfulness_score DESC, created_at DESC');
+    expect(sql).toContain('app_position <= $2');
+    expect(params).toEqual([['app-1'], REVIEWS_PER_APP]);
+  });
+});
+
+describe('markReviewHelpful', () => {
+  // Transaction statements must all run on one checked-out client
+  function reviewPool({ author = 'author', previous = null } = {}) {
+    const client = {
+      query: jest.fn(async sql => {
+        if (sql.includes('FOR UPDATE')) return { rows: [{ id: 'r-1', user_id: author }] };
+        if (sql.includes('FROM review_helpful_votes')) return { rows: previous === null ? [] : [{ helpful: previous }] };
+        if (sql.includes('SELECT * FROM reviews')) return { rows: [{ id: 'r-1', helpful_count: 1 }] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    return {
+      client,
+      query: jest.fn(async sql => (sql.includes('is_verified') ? { rows: [{ is_verified: true }] } : { rows: [] })),
+      connect: jest.fn(async () => client)
+    };
+  }
+
+  test('a first vote is stored inside the transaction and counted', async () => {
+    const pool = reviewPool();
+
+    const review = await resolvers.Mutation.markReviewHelpful({}, { id: 'r-1' }, authContext(pool, 'reader'));
+
+    expect(review.id).toBe('r-1');
+    const statements = pool.client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements).toEqual(['BEGIN', 'SELECT', 'SELECT', 'INSERT', 'UPDATE', 'SELECT', 'COMMIT']);
+    expect(callsMatching(pool.client, 'INSERT INTO review_helpful_votes')[0][1]).toEqual(['r-1', 'reader', true]);
+    expect(callsMatching(pool.client, 'UPDATE reviews')[0][1]).toEqual([1, 0, 'r-1']);
+    expect(callsMatching(pool, 'BEGIN')).toHaveLength(0);
+    expect(pool.client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('switching to unhelpful moves the vote; repeating it changes nothing', async () => {
+    const switched = reviewPool({ previous: true });
+    await resolvers.Mutation.markReviewHelpful({}, { id: 'r-1', helpful: false }, authContext(switched, 'reader'));
+    expect(callsMatching(switched.client, 'UPDATE reviews')[0][1]).toEqual([-1, 1, 'r-1']);
+
+    const repeated = reviewPool({ previous: false });
+    await resolvers.Mutation.markReviewHelpful({}, { id: 'r-1', helpful: false }, authContext(repeated, 'reader'));
+    expect(callsMatching(repeated.client, 'INSERT INTO review_helpful_votes')).toHaveLength(0);
+    expect(callsMatching(repeated.client, 'UPDATE reviews')).toHaveLength(0);
+  });
+
+  test('authors cannot rate their own review', async () => {
+    const pool = reviewPool({ author: 'reader' });
+
+    await expect(resolvers.Mutation.markReviewHelpful({}, { id: 'r-1' }, authContext(pool, 'reader')))
+      .rejects.toMatchObject({ extensions: { code: 'FORBIDDEN' } });
+    expect(callsMatching(pool.client, 'ROLLBACK')).toHaveLength(1);
+    expect(callsMatching(pool.client, 'INSERT INTO review_helpful_votes')).toHaveLength(0);
+    expect(pool.client.release).toHaveBeenCalledTimes(1);
+  });
+});
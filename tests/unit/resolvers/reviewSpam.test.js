@@ -0,0 +1,71 @@
+// tests/unit/resolvers/reviewSpam.test.js
+// Held reviews through submitReview, resolveReport and the rating aggregates
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, callsMatching } = require('../../setup/resolverContext');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+function spamPool({ author = { created_at: daysAgo(400), is_verified: true }, burst = { burst: '0', baseline: '0' }, others = [] } = {}) {
+  return {
+    query: jest.fn(async sql => {
+      if (sql.includes('SELECT created_at, is_verified FROM users')) return { rows: [author] };
+      if (sql.includes('AS burst')) return { rows: [burst] };
+      if (sql.includes('SELECT id, review_text FROM reviews')) return { rows: others };
+      if (sql.includes('SELECT id FROM apps')) return { rows: [{ id: 'app-1' }] };
+      if (sql.includes('INSERT INTO reviews')) return { rows: [{ id: 'r-1', app_id: 'app-1', user_id: 'u-1', rating: 5, review_text: 'Use my code SAVE50 at deals-hub.shop for a free gift' }] };
+      return { rows: [] };
+    })
+  };
+}
+
+describe('resolveReport on a held review', () => {
+  function heldPool(report) {
+    return {
+      query: jest.fn(async sql => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.includes('SELECT * FROM content_reports WHERE id')) return { rows: [report] };
+        if (sql.includes('FROM reviews WHERE id')) return { rows: [{ id: 'r-1', owner_id: 'spammer', hidden_at: daysAgo(0), hidden_reason: 'spam_filter' }] };
+        return { rows: [] };
+      })
+    };
+  }
+  const userReport = { id: 'rep-friend', reporter_id: 'friend', content_type: 'review', content_id: 'r-1', reason: 'other', status: 'open' };
+
+  test('dismissing a throwaway user report keeps the review held and the filter report open', async () => {
+    const pool = heldPool(userReport);
+
+    await resolvers.Mutation.resolveReport({}, { id: 'rep-friend', action: 'dismiss' }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(callsMatching(pool, "'spam_filter'")).toHaveLength(0);
+    const [[sql, params]] = callsMatching(pool, 'UPDATE content_reports');
+    expect(sql).toContain('reporter_id IS NOT NULL OR $7');
+    expect(params[6]).toBe(false);
+  });
+
+  test('dismissing the filter\'s own report releases the review', async () => {
+    const pool = heldPool({ ...userReport, id: 'rep-filter', reporter_id: null, reason: 'spam' });
+
+    await resolvers.Mutation.resolveReport({}, { id: 'rep-filter', action: 'dismiss' }, authContext(pool, 'mod-1', 'moderator'));
+
+    expect(callsMatching(pool, "'spam_filter'")).toHaveLength(1);
+    expect(callsMatching(pool, 'UPDATE content_reports')[0][1][6]).toBe(true);
+  });
+});
+
+describe('submitReview', () => {
+  test('submitReview returns the held review and averages leave hidden reviews out', async () => {
+    const pool = spamPool({ author: { created_at: daysAgo(0.5), is_verified: false } });
+
+    const submitted = await resolvers.Mutation.submitReview({}, { input: { appId: 'app-1', rating: 5, reviewText: 'Use my code SAVE50 at deals-hub.shop for a free gift' } }, authContext(pool, 'u-1'));
+
+    expect(submitted.hidden_reason).toBe('spam_filter');
+    expect(callsMatching(pool, 'INSERT INTO activity_log')[0][1][1]).toBe('review_held_for_moderation');
+
+    const averagePool = { query: jest.fn().mockResolvedValue({ rows: [{ avg: '4.5', count: '3' }] }) };
+    await resolvers.App.averageRating({ id: 'app-1' }, {}, { pool: averagePool });
+    expect(averagePool.query.mock.calls[0][0]).toContain('hidden_at IS NULL');
+    await expect(resolvers.App.filteredReviewCount({ id: 'app-1' }, {}, { pool: averagePool })).resolves.toBe(3);
+  });
+});
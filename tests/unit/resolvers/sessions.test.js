@@ -0,0 +1,39 @@
+// tests/unit/resolvers/sessions.test.js
+// Revoking sessions, through the resolvers
+
+const jwt = require('jsonwebtoken');
+const resolvers = require('../../../src/backend/resolvers');
+
+// Access tokens carry the session (refresh token family) id as sid
+const sessionToken = (userId, sid) => jwt.sign({ userId, sid }, process.env.JWT_SECRET);
+
+describe('session revocation', () => {
+  test('revokeSession refuses sessions owned by someone else', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const context = { pool, req: { headers: { authorization: `Bearer ${sessionToken('user-2', 'fam-10')}` } } };
+
+    await expect(resolvers.Mutation.revokeSession({}, { id: 'fam-1' }, context))
+      .rejects.toMatchObject({ extensions: { code: 'NOT_FOUND' } });
+    expect(pool.query.mock.calls[0][1]).toEqual(['fam-1', 'user-2']);
+  });
+
+  test('revokeAllOtherSessions keeps the caller\'s session', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT DISTINCT family_id')) {
+          return { rows: [{ family_id: 'fam-a' }, { family_id: 'fam-b' }] };
+        }
+        return { rows: [], rowCount: 1 };
+      })
+    };
+    const context = { pool, req: { headers: { authorization: `Bearer ${sessionToken('user-3', 'fam-keep')}` } } };
+
+    await expect(resolvers.Mutation.revokeAllOtherSessions({}, {}, context)).resolves.toBe(2);
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['user-3', 'fam-keep']);
+    const revoked = pool.query.mock.calls
+      .filter(([sql]) => sql.includes('SET revoked_at'))
+      .map(([, params]) => params[0]);
+    expect(revoked).toEqual(['fam-a', 'fam-b']);
+  });
+});
@@ -0,0 +1,46 @@
+// tests/unit/resolvers/siwe.test.js
+// Wallet sign-in, linking and registration, through the resolvers
+
+const jwt = require('jsonwebtoken');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+const { wallet, signed } = require('../../setup/siweMessage');
+
+describe('wallet sign-in', () => {
+  test('siweLogin creates a wallet-only account on first sign-in', async () => {
+    const pool = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('INSERT INTO users')) {
+          return { rows: [{ id: 'user-w', username: params[0], wallet_address: params[1], role: 'user', email: null }] };
+        }
+        if (sql.includes('INSERT INTO auth_tokens')) return { rows: [{ id: 't1' }] };
+        return { rows: [] };
+      })
+    };
+    const { message, signature } = await signed();
+
+    const payload = await resolvers.Mutation.siweLogin({}, { message, signature }, { pool, req: { headers: {} } });
+
+    expect(payload.user).toMatchObject({ id: 'user-w', wallet_address: wallet.address });
+    expect(payload.user.username).toBe(`wallet_${wallet.address.slice(2, 10).toLowerCase()}`);
+    expect(jwt.decode(payload.token)).toMatchObject({ userId: 'user-w' });
+  });
+
+  test('linkWallet refuses a wallet another account has already proven', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'user-2' }] }) };
+    const { message, signature } = await signed();
+
+    await expect(resolvers.Mutation.linkWallet({}, { message, signature }, authContext(pool, 'user-1')))
+      .rejects.toMatchObject({ extensions: { code: 'ALREADY_EXISTS' } });
+    expect(pool.query.mock.calls[0][1]).toEqual([wallet.address.toLowerCase(), 'user-1']);
+  });
+
+  test('register no longer accepts an unproven wallet address', async () => {
+    const pool = { query: jest.fn() };
+    const input = { username: 'someone', email: 'someone@example.com', password: 'Passw0rd!123', walletAddress: wallet.address };
+
+    await expect(resolvers.Mutation.register({}, { input }, { pool, req: { headers: {} } }))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
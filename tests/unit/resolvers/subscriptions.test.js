@@ -0,0 +1,67 @@
+// tests/unit/resolvers/subscriptions.test.js
+// GraphQL subscriptions executed against the full schema
+
+const { parse, subscribe } = require('graphql');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { TOPICS, publish } = require('../../../src/backend/utils/pubsub');
+const typeDefs = require('../../../src/backend/schema');
+const resolvers = require('../../../src/backend/resolvers');
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+async function startSubscription(query, variables, user) {
+  return subscribe({
+    schema,
+    document: parse(query),
+    variableValues: variables,
+    contextValue: { user, loaders: {} }
+  });
+}
+
+describe('GraphQL subscriptions', () => {
+  test('factCheckAdded only delivers matching categories', async () => {
+    const iterator = await startSubscription(
+      'subscription ($category: String) { factCheckAdded(category: $category) { id claim category } }',
+      { category: 'health' }
+    );
+
+    const next = iterator.next();
+    await publish(TOPICS.FACT_CHECK_ADDED, { factCheckAdded: { id: 'f1', claim: 'Skip me', category: 'politics' } });
+    await publish(TOPICS.FACT_CHECK_ADDED, { factCheckAdded: { id: 'f2', claim: 'Deliver me', category: 'health' } });
+
+    const { value } = await next;
+    expect(value.data.factCheckAdded).toEqual({ id: 'f2', claim: 'Deliver me', category: 'health' });
+    await iterator.return();
+  });
+
+  test('notificationAdded rejects subscribing to another user', async () => {
+    const result = await startSubscription(
+      'subscription { notificationAdded(userId: "u2") { id } }',
+      {},
+      { userId: 'u1' }
+    );
+
+    expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+  });
+
+  test('notificationAdded requires an authenticated connection', async () => {
+    const result = await startSubscription('subscription { notificationAdded(userId: "u1") { id } }', {});
+    expect(result.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+  });
+
+  test('notificationAdded only delivers the subscriber\'s own notifications', async () => {
+    const iterator = await startSubscription(
+      'subscription { notificationAdded(userId: "u1") { id message } }',
+      {},
+      { userId: 'u1' }
+    );
+
+    const next = iterator.next();
+    await publish(TOPICS.NOTIFICATION_ADDED, { notificationAdded: { id: 'n1', user_id: 'u2', message: 'not yours' } });
+    await publish(TOPICS.NOTIFICATION_ADDED, { notificationAdded: { id: 'n2', user_id: 'u1', message: 'yours' } });
+
+    const { value } = await next;
+    expect(value.data.notificationAdded).toEqual({ id: 'n2', message: 'yours' });
+    await iterator.return();
+  });
+});
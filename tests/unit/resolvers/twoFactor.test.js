@@ -0,0 +1,96 @@
+// tests/unit/resolvers/twoFactor.test.js
+// Two-step login and the per-role 2FA policy, through the resolvers
+
+const bcrypt = require('bcrypt');
+const { generateSecret, encryptSecret } = require('../../../src/backend/utils/totp');
+const { createLoginChallenge, verifyLoginChallenge, MAX_CHALLENGE_ATTEMPTS } = require('../../../src/backend/utils/twoFactor');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+
+describe('two-factor resolvers', () => {
+  const secret = generateSecret();
+
+  async function buildUser(overrides = {}) {
+    return {
+      id: 'user-4',
+      email: 'mfa@example.com',
+      username: 'mfa',
+      role: 'user',
+      password_hash: await bcrypt.hash('Passw0rd!', 4),
+      failed_login_attempts: 0,
+      lockout_until: null,
+      two_factor_enabled: true,
+      two_factor_secret: encryptSecret(secret),
+      ...overrides
+    };
+  }
+
+  test('login returns a challenge instead of tokens when 2FA is enabled', async () => {
+    const user = await buildUser();
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [user] }) };
+
+    const payload = await resolvers.Mutation.login(
+      {},
+      { input: { email: user.email, password: 'Passw0rd!' } },
+      { pool, req: { headers: {} } }
+    );
+
+    expect(payload).toMatchObject({ token: null, refreshToken: null, twoFactorRequired: true });
+    expect(payload.user).not.toHaveProperty('password_hash');
+    expect(verifyLoginChallenge(payload.challengeToken)).toMatchObject({ userId: 'user-4' });
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('last_login'))).toBe(false);
+  });
+
+  test('verifyTwoFactorLogin counts a wrong code as a failed login', async () => {
+    const user = await buildUser();
+    const pool = {
+      query: jest.fn(async (sql) => (sql.includes('SELECT * FROM users') ? { rows: [user] } : { rows: [] }))
+    };
+    const challengeToken = createLoginChallenge('user-4');
+
+    await expect(resolvers.Mutation.verifyTwoFactorLogin({}, { challengeToken, code: '000000' }, { pool, req: { headers: {} } }))
+      .rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+
+    const failed = pool.query.mock.calls.find(([sql]) => sql.includes('failed_login_attempts = $1'));
+    expect(failed[1]).toEqual([1, null, 'user-4']);
+  });
+
+  test('verifyTwoFactorLogin checks at most the allowed number of parallel codes', async () => {
+    const user = await buildUser();
+    const pool = {
+      query: jest.fn(async (sql) => (sql.includes('SELECT * FROM users') ? { rows: [user] } : { rows: [] }))
+    };
+    const challengeToken = createLoginChallenge('user-4');
+
+    const attempts = await Promise.allSettled(Array.from({ length: MAX_CHALLENGE_ATTEMPTS * 2 }, () => (
+      resolvers.Mutation.verifyTwoFactorLogin({}, { challengeToken, code: '000000' }, { pool, req: { headers: {} } })
+    )));
+
+    expect(attempts.every(({ status }) => status === 'rejected')).toBe(true);
+    expect(pool.query.mock.calls.filter(([sql]) => sql.includes('SELECT * FROM users'))).toHaveLength(MAX_CHALLENGE_ATTEMPTS);
+  });
+
+  test('requireRole enforces the per-role 2FA policy', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM two_factor_policies WHERE role')) return { rows: [{ required: true }] };
+        if (sql.includes('FROM users')) return { rows: [{ role: 'admin', two_factor_enabled: false }] };
+        return { rows: [] };
+      })
+    };
+
+    await expect(resolvers.Query.twoFactorPolicies({}, {}, authContext(pool, 'admin-1', 'admin')))
+      .rejects.toMatchObject({ extensions: { code: 'TWO_FACTOR_REQUIRED' } });
+  });
+
+  test('policies only cover the privileged roles requireRole guards', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => (sql.includes('FROM users') ? { rows: [{ role: 'admin', two_factor_enabled: true }] } : { rows: [] }))
+    };
+    const context = authContext(pool, 'admin-1', 'admin');
+
+    await expect(resolvers.Mutation.setTwoFactorPolicy({}, { role: 'user', required: true }, context))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO two_factor_policies'))).toBe(false);
+  });
+});
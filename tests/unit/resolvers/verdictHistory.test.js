@@ -0,0 +1,70 @@
+// tests/unit/resolvers/verdictHistory.test.js
+// Verdict changes made through the API are recorded in the history
+
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext } = require('../../setup/resolverContext');
+
+function historyInserts(pool) {
+  return pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO fact_check_updates'));
+}
+
+describe('verdict changes through the API', () => {
+  const factCheck = { id: 'fc-1', verdict: 'TRUE', confidence_score: '0.900', submitted_by: 'author-1' };
+
+  function editPool() {
+    return {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'admin', two_factor_enabled: true }] };
+        if (sql.includes('SELECT * FROM fact_checks')) return { rows: [factCheck] };
+        if (sql.startsWith('UPDATE fact_checks')) return { rows: [{ ...factCheck, verdict: params[0], confidence_score: String(params[1]) }] };
+        return { rows: [] };
+      })
+    };
+  }
+
+  test('admin edits record the old and new verdict with the reason', async () => {
+    const pool = editPool();
+
+    await resolvers.Mutation.editFactCheckVerdict({}, {
+      id: 'fc-1',
+      verdict: 'MISLEADING',
+      confidenceScore: 0.7,
+      reason: 'Source was later retracted'
+    }, authContext(pool, 'admin-1', 'admin'));
+
+    const [[, params]] = historyInserts(pool);
+    expect(params).toEqual(['fc-1', 'TRUE', 'MISLEADING', '0.900', '0.7', 'admin_edit', 'user', 'admin-1', null, 'Source was later retracted']);
+    expect(pool.query.mock.calls.some(([sql, p]) => sql.includes('INSERT INTO notifications') && p[1] === 'verdict_changed')).toBe(true);
+  });
+
+  test('admin edits need a reason and an actual change', async () => {
+    const pool = editPool();
+    const context = authContext(pool, 'admin-1', 'admin');
+
+    await expect(resolvers.Mutation.editFactCheckVerdict({}, { id: 'fc-1', verdict: 'FALSE', reason: '' }, context))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    await expect(resolvers.Mutation.editFactCheckVerdict({}, { id: 'fc-1', verdict: 'TRUE', reason: 'No change really' }, context))
+      .rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT' } });
+    expect(historyInserts(pool)).toHaveLength(0);
+  });
+
+  test('an approved appeal that changes the verdict is linked in the history', async () => {
+    const appeal = { id: 'ap-1', fact_check_id: 'fc-1', user_id: 'appellant', status: 'pending' };
+    const pool = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.includes('SELECT * FROM fact_check_appeals')) return { rows: [appeal] };
+        if (sql.includes('UPDATE fact_check_appeals')) return { rows: [{ ...appeal, status: 'approved' }] };
+        if (sql.includes('SELECT verdict, confidence_score FROM fact_checks')) return { rows: [{ verdict: 'TRUE', confidence_score: '0.900' }] };
+        if (sql.includes('UPDATE fact_checks')) return { rows: [{ ...factCheck, verdict: params[0] }] };
+        return { rows: [] };
+      })
+    };
+
+    await resolvers.Mutation.reviewFactCheckAppeal({}, { appealId: 'ap-1', approved: true, newVerdict: 'FALSE' }, authContext(pool, 'mod-1', 'moderator'));
+
+    const [[, params]] = historyInserts(pool);
+    expect(params.slice(0, 3)).toEqual(['fc-1', 'TRUE', 'FALSE']);
+    expect(params.slice(5, 9)).toEqual(['appeal', 'user', 'mod-1', 'ap-1']);
+  });
+});
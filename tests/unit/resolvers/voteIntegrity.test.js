@@ -0,0 +1,71 @@
+// tests/unit/resolvers/voteIntegrity.test.js
+// Weighted voting and the quarantine review, through the resolvers
+
+const { fingerprintHash } = require('../../../src/backend/utils/voteIntegrity');
+const resolvers = require('../../../src/backend/resolvers');
+const { authContext, callsMatching } = require('../../setup/resolverContext');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+const voterRequest = { ip: '203.0.113.7', headers: { 'user-agent': 'test' } };
+
+describe('voting and review', () => {
+  test('votes store hashed fingerprints, and a quarantined vote stays out of the score when changed', async () => {
+    const pool = {
+      query: jest.fn(async sql => {
+        if (sql.includes('votes_cast')) return { rows: [{ created_at: daysAgo(400), is_verified: true, truth_score: 0, votes_cast: '50', votes_rejected: '0' }] };
+        if (sql.includes('is_verified')) return { rows: [{ is_verified: true }] };
+        if (sql.includes('SELECT id, upvotes')) return { rows: [{ id: 'fc-1', upvotes: 1, downvotes: 0, submitted_by: 'author', category: null }] };
+        if (sql.includes('FROM fact_check_votes WHERE')) return { rows: [{ vote_value: 1, weight: '1.00', status: 'quarantined' }] };
+        return { rows: [] };
+      })
+    };
+
+    await resolvers.Mutation.voteFactCheck({}, { id: 'fc-1', vote: -1 }, authContext(pool, 'voter', 'user', voterRequest));
+
+    const [[, upsert]] = callsMatching(pool, 'INSERT INTO fact_check_votes');
+    expect(upsert.slice(4)).toEqual([fingerprintHash('203.0.113.7'), fingerprintHash('test')]);
+    expect(upsert[4]).not.toContain('203.0.113.7');
+    expect(callsMatching(pool, 'weighted_score = weighted_score + $4')[0][1]).toEqual([-1, 1, 'fc-1', 0]);
+    expect(callsMatching(pool, 'INSERT INTO reputation_ledger')).toHaveLength(0);
+  });
+
+  test('rejecting quarantined votes withdraws the reputation they earned', async () => {
+    const pool = {
+      query: jest.fn(async sql => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.includes('WITH reviewed AS')) return { rows: [{ user_id: 'sock-1', vote_value: 1, submitted_by: 'author' }] };
+        return { rows: [] };
+      })
+    };
+
+    const count = await resolvers.Mutation.reviewQuarantinedVotes({}, { factCheckId: 'fc-1', userIds: ['sock-1'], approve: false }, authContext(pool, 'mod-1', 'moderator', voterRequest));
+
+    expect(count).toBe(1);
+    expect(callsMatching(pool, 'WITH reviewed AS')[0][1]).toEqual(['fc-1', ['sock-1'], 'rejected', 'mod-1']);
+    const [[, ledger]] = callsMatching(pool, 'INSERT INTO reputation_ledger');
+    expect(ledger).toContain('vote_rejected');
+    const [[, audit]] = callsMatching(pool, 'INSERT INTO activity_log');
+    expect(audit[1]).toBe('reject_quarantined_votes');
+  });
+
+  test('approving a vote changed while quarantined settles the author\'s reputation', async () => {
+    const pool = {
+      query: jest.fn(async sql => {
+        if (sql.includes('SELECT role, two_factor_enabled')) return { rows: [{ role: 'moderator', two_factor_enabled: true }] };
+        if (sql.includes('WITH reviewed AS')) return { rows: [{ user_id: 'voter', vote_value: -1, submitted_by: 'author' }] };
+        // The upvote it started as earned the author 1 point
+        if (sql.includes('FROM reputation_ledger')) return { rows: [{ entries: 1, total: 1 }] };
+        if (sql.includes('INSERT INTO reputation_ledger')) return { rows: [{ id: 'entry-1' }] };
+        return { rows: [] };
+      })
+    };
+
+    await resolvers.Mutation.reviewQuarantinedVotes({}, { factCheckId: 'fc-1', userIds: ['voter'], approve: true }, authContext(pool, 'mod-1', 'moderator', voterRequest));
+
+    const [[, ledger]] = callsMatching(pool, 'INSERT INTO reputation_ledger');
+    expect(ledger.slice(0, 3)).toEqual(['author', -2, 'vote_changed']);
+    const [[, audit]] = callsMatching(pool, 'INSERT INTO activity_log');
+    expect(audit[1]).toBe('approve_quarantined_votes');
+  });
+});
@@ -0,0 +1,70 @@
+const cacheManager = require('../../../src/backend/utils/cacheManager');
+const {
+  getAccountRestriction,
+  liftExpiredSuspensions
+} = require('../../../src/backend/utils/accountStatus');
+const { requireAuth: requireAuthMiddleware, issueTokens } = require('../../../src/backend/middleware/auth');
+
+const HOUR = 60 * 60 * 1000;
+
+function statusPool(row) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('SELECT account_status')) return { rows: [row] };
+      return { rows: [] };
+    })
+  };
+}
+
+beforeEach(async () => {
+  await cacheManager.clear();
+});
+
+describe('getAccountRestriction', () => {
+  test('returns the active suspension', async () => {
+    const until = new Date(Date.now() + HOUR);
+    const pool = statusPool({ account_status: 'suspended', suspension_reason: 'Spam', suspended_until: until });
+
+    await expect(getAccountRestriction(pool, 'u1')).resolves.toEqual({
+      status: 'suspended',
+      reason: 'Spam',
+      until: until.toISOString()
+    });
+  });
+
+  test('lifts a suspension once its end time has passed', async () => {
+    const pool = statusPool({ account_status: 'suspended', suspension_reason: 'Spam', suspended_until: new Date(Date.now() - 1000) });
+
+    await expect(getAccountRestriction(pool, 'u1')).resolves.toBeNull();
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes("SET account_status = 'active'"))).toBe(true);
+  });
+
+  test('the maintenance sweep reports how many suspensions were lifted', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'u1' }, { id: 'u2' }] }) };
+
+    await expect(liftExpiredSuspensions(pool)).resolves.toEqual({ lifted: 2 });
+  });
+});
+
+describe('enforcement', () => {
+  const suspension = { status: 'suspended', reason: 'Spam', until: new Date(Date.now() + HOUR).toISOString() };
+
+  test('REST requireAuth responds 403 ACCOUNT_SUSPENDED', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    requireAuthMiddleware({ user: { userId: 'u1' }, accountRestriction: suspension }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe('ACCOUNT_SUSPENDED');
+  });
+
+  test('no tokens are issued to a banned account', async () => {
+    const pool = statusPool({ account_status: 'banned', suspension_reason: 'Fraud', suspended_until: null });
+
+    await expect(issueTokens(pool, { id: 'u1', email: 'u1@example.com', role: 'user' }))
+      .rejects.toMatchObject({ extensions: { code: 'ACCOUNT_BANNED' } });
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO refresh_tokens'))).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  generateApiKey,
+  hashApiKey,
+  resolveApiKey,
+  recordApiKeyUsage
+} = require('../../../src/backend/utils/apiKeys');
+const { authenticateToken } = require('../../../src/backend/middleware/auth');
+const { perUserRateLimiter } = require('../../../src/backend/middleware/rateLimiter');
+
+function keyPool(row) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM api_keys k')) return { rows: row ? [row] : [] };
+      return { rows: [] };
+    })
+  };
+}
+
+function mockResponse() {
+  const res = { headers: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.setHeader = jest.fn((name, value) => { res.headers[name] = value; });
+  return res;
+}
+
+describe('API key storage', () => {
+  test('keys are random, prefixed and only their hash is kept', () => {
+    const first = generateApiKey();
+    const second = generateApiKey();
+
+    expect(first.key).toMatch(/^aw_[A-Za-z0-9_-]{32}$/);
+    expect(first.key).not.toBe(second.key);
+    expect(first.prefix).toBe(first.key.slice(0, 10));
+    expect(first.keyHash).toBe(hashApiKey(first.key));
+    expect(first.keyHash).toHaveLength(64);
+  });
+
+  test('resolveApiKey looks up by hash and rejects expired keys', async () => {
+    const { key, keyHash } = generateApiKey();
+    const pool = keyPool({ id: 'k1', user_id: 'u1', role: 'user', scopes: ['read:apps'], daily_quota: 50, expires_at: null });
+
+    await expect(resolveApiKey(pool, key)).resolves.toMatchObject({ id: 'k1', userId: 'u1', scopes: ['read:apps'], dailyQuota: 50 });
+    expect(pool.query.mock.calls[0][1]).toEqual([keyHash]);
+
+    const expired = generateApiKey();
+    const expiredPool = keyPool({ id: 'k2', user_id: 'u1', role: 'user', scopes: [], daily_quota: 50, expires_at: new Date(Date.now() - 1000) });
+    await expect(resolveApiKey(expiredPool, expired.key)).resolves.toBeNull();
+
+    await expect(resolveApiKey(keyPool(null), 'not-a-key')).resolves.toBeNull();
+  });
+
+  test('recordApiKeyUsage reports the remaining daily quota', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ request_count: 11 }] }) };
+
+    await expect(recordApiKeyUsage(pool, { id: 'k1', dailyQuota: 10 }))
+      .resolves.toEqual({ used: 11, remaining: 0, exceeded: true });
+    expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (api_key_id, usage_date)');
+  });
+});
+
+describe('API key middleware', () => {
+  test('authenticateToken attaches the key without treating it as a user session', async () => {
+    const { key } = generateApiKey();
+    const pool = keyPool({ id: 'k3', user_id: 'u3', role: 'user', scopes: ['read:factchecks'], daily_quota: 100, expires_at: null });
+    const req = { headers: { 'x-api-key': key }, app: { locals: { pool } } };
+    const next = jest.fn();
+
+    await authenticateToken(req, mockResponse(), next);
+
+    expect(req.user).toBeNull();
+    expect(req.apiKey).toMatchObject({ id: 'k3', userId: 'u3' });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('authenticateToken rejects unknown keys', async () => {
+    const req = { headers: { 'x-api-key': generateApiKey().key }, app: { locals: { pool: keyPool(null) } } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_API_KEY' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('perUserRateLimiter enforces the per-key daily quota', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ request_count: 6 }] }) };
+    const req = { apiKey: { id: 'k4', dailyQuota: 5 }, app: { locals: { pool } }, headers: {}, ip: '127.0.0.1' };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await perUserRateLimiter(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0].error.code).toBe('QUOTA_EXCEEDED');
+    expect(res.headers['X-API-Quota-Remaining']).toBe(0);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  AUDIT_CSV_COLUMNS,
+  toAuditSnapshot,
+  recordAudit,
+  buildAuditFilterParams,
+  formatAuditLine,
+  serializeAuditEntry,
+  streamAuditLog
+} = require('../../../src/backend/utils/auditLog');
+
+function entryRow(n) {
+  return {
+    id: `a${n}`,
+    user_id: 'admin-1',
+    action: 'verify_app',
+    target_type: 'app',
+    target_id: `app-${n}`,
+    metadata: { app_id: `app-${n}` },
+    before_state: { is_verified: false },
+    after_state: { is_verified: true },
+    created_at: new Date(Date.UTC(2026, 9, 19, 12, 0, 60 - n))
+  };
+}
+
+describe('recording', () => {
+  test('snapshots drop credential columns', () => {
+    expect(toAuditSnapshot({ id: 'u1', role: 'user', password_hash: 'x', two_factor_secret: 'y' })).toEqual({ id: 'u1', role: 'user' });
+    expect(toAuditSnapshot(null)).toBeNull();
+  });
+
+  test('stores target and before/after snapshots alongside the metadata', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await recordAudit(pool, {
+      actorId: 'admin-1',
+      action: 'change_user_role',
+      targetType: 'user',
+      targetId: 'u1',
+      before: { id: 'u1', role: 'user', password_hash: 'x' },
+      after: { id: 'u1', role: 'moderator', password_hash: 'x' },
+      metadata: { from: 'user', to: 'moderator' }
+    });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO activity_log');
+    expect(params.slice(0, 5)).toEqual(['admin-1', 'change_user_role', JSON.stringify({ from: 'user', to: 'moderator' }), 'user', 'u1']);
+    expect(JSON.parse(params[5])).toEqual({ id: 'u1', role: 'user' });
+    expect(JSON.parse(params[6])).toEqual({ id: 'u1', role: 'moderator' });
+  });
+});
+
+describe('filters and export', () => {
+  test('unused filters become NULL parameters and bad ranges are rejected', () => {
+    expect(buildAuditFilterParams({ action: 'ban_user' })).toEqual([null, 'ban_user', null, null, null, null]);
+    expect(() => buildAuditFilterParams({ from: 'yesterday' })).toThrow('from must be a valid date');
+    expect(() => buildAuditFilterParams({ from: '2026-10-19', to: '2026-10-18' })).toThrow('from must be earlier than to');
+  });
+
+  test('CSV cells are quoted and guarded against formula injection', () => {
+    const line = formatAuditLine(serializeAuditEntry({ ...entryRow(1), action: '=HYPERLINK("x")' }), 'csv');
+
+    expect(line.startsWith('a1,2026-10-19T12:00:59.000Z,admin-1,')).toBe(true);
+    expect(line).toContain('"\'=HYPERLINK(""x"")"');
+    expect(line).toContain('"{""is_verified"":true}"\n');
+  });
+
+  test('streams matching rows, one JSON object per line', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [1, 2, 3].map(entryRow) }) };
+    const chunks = [];
+
+    const written = await streamAuditLog(pool, { action: 'verify_app' }, 'jsonl', chunk => chunks.push(chunk));
+
+    expect(written).toBe(3);
+    expect(chunks.map(chunk => JSON.parse(chunk).id)).toEqual(['a1', 'a2', 'a3']);
+    expect(pool.query.mock.calls[0][1][1]).toBe('verify_app');
+  });
+
+  test('CSV exports start with a header row', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [entryRow(1)] }) };
+    const chunks = [];
+
+    await streamAuditLog(pool, {}, 'csv', chunk => chunks.push(chunk));
+
+    expect(chunks[0]).toBe(`${AUDIT_CSV_COLUMNS.join(',')}\n`);
+    expect(chunks).toHaveLength(2);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  BADGES,
+  getContributorLevel,
+  evaluateBadges,
+  getUserBadges
+} = require('../../../src/backend/utils/badges');
+
+function notificationInserts(pool) {
+  return pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO notifications'));
+}
+
+describe('contributor levels', () => {
+  test('thresholds are inclusive and report the next level', () => {
+    expect(getContributorLevel(0)).toEqual({ level: 1, name: 'Newcomer', minScore: 0, nextLevelScore: 100 });
+    expect(getContributorLevel(100)).toMatchObject({ level: 2, name: 'Contributor', nextLevelScore: 500 });
+    expect(getContributorLevel(1499)).toMatchObject({ level: 3, name: 'Analyst' });
+  });
+
+  test('the top level has no next level and negative scores stay at level 1', () => {
+    expect(getContributorLevel(9000)).toMatchObject({ level: 5, nextLevelScore: null });
+    expect(getContributorLevel(-40).level).toBe(1);
+    expect(getContributorLevel(null).level).toBe(1);
+  });
+});
+
+describe('evaluateBadges', () => {
+  test('notifies only the users who newly earned a badge', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes("'first_fact_check'")) return { rows: [{ user_id: 'u1' }] };
+        return { rows: [] };
+      })
+    };
+
+    const result = await evaluateBadges(pool, { userId: 'u1' });
+
+    expect(result).toEqual({ awarded: 1 });
+    const awardCalls = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO user_badges'));
+    expect(awardCalls).toHaveLength(BADGES.length);
+    awardCalls.forEach(([, params]) => expect(params).toEqual(['u1']));
+    const [[, params]] = notificationInserts(pool);
+    expect(params[0]).toBe('u1');
+    expect(params[1]).toBe('badge_earned');
+  });
+
+  test('skips badges whose source tables are not migrated yet', async () => {
+    const missing = Object.assign(new Error('relation "reputation_ledger" does not exist'), { code: '42P01' });
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('reputation_ledger')) throw missing;
+        return { rows: [] };
+      })
+    };
+
+    await expect(evaluateBadges(pool)).resolves.toEqual({ awarded: 0 });
+    expect(pool.query.mock.calls[0][1]).toEqual([null]);
+  });
+});
+
+describe('getUserBadges', () => {
+  test('describes held badges and leaves out retired ones', async () => {
+    const awardedAt = new Date('2026-10-01T00:00:00Z');
+    const pool = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { badge_key: 'first_fact_check', awarded_at: awardedAt },
+          { badge_key: 'beta_tester', awarded_at: awardedAt }
+        ]
+      })
+    };
+
+    await expect(getUserBadges(pool, 'u1')).resolves.toEqual([
+      { key: 'first_fact_check', name: 'Truth Scout', description: 'Submitted a first fact-check', awardedAt }
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+const { isBlocked, getBlockedUserIds } = require('../../../src/backend/utils/blocks');
+const { notify } = require('../../../src/backend/utils/notifications');
+const { mockPool } = require('../../setup/resolverContext');
+
+// blocks is a list of [blocker, blocked] pairs
+function blocksPool(blocks, handlers = {}) {
+  return mockPool({
+    'SELECT 1 FROM user_blocks': ([blocker, blocked]) => (blocks.some(pair => pair[0] === blocker && pair[1] === blocked) ? [{}] : []),
+    'SELECT blocked_id FROM user_blocks': ([blocker]) => blocks.filter(pair => pair[0] === blocker).map(pair => ({ blocked_id: pair[1] })),
+    ...handlers
+  });
+}
+
+describe('block lookups', () => {
+  test('blocking is one-directional', async () => {
+    const pool = blocksPool([['alice', 'bob']]);
+
+    await expect(isBlocked(pool, 'alice', 'bob')).resolves.toBe(true);
+    await expect(isBlocked(pool, 'bob', 'alice')).resolves.toBe(false);
+    await expect(getBlockedUserIds(pool, 'alice')).resolves.toEqual(new Set(['bob']));
+  });
+
+  test('treats a missing blocks table as no blocks', async () => {
+    const error = Object.assign(new Error('relation "user_blocks" does not exist'), { code: '42P01' });
+    const pool = { query: jest.fn().mockRejectedValue(error) };
+
+    await expect(isBlocked(pool, 'alice', 'bob')).resolves.toBe(false);
+    await expect(getBlockedUserIds(pool, 'alice')).resolves.toEqual(new Set());
+  });
+});
+
+describe('blocking effects', () => {
+  test('notifications caused by a blocked user are dropped', async () => {
+    const pool = blocksPool([['alice', 'bob']]);
+
+    await expect(notify(pool, 'alice', 'bounty_disputed', { title: 'T', message: 'M', actorId: 'bob' })).resolves.toBeNull();
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO notifications'))).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+const { GraphQLError } = require('graphql');
+const {
+  canTransition,
+  assertTransition,
+  getClaimExpiry,
+  isClaimExpired,
+  isBountyExpired,
+  expireStaleBounties,
+  BOUNTY_CLAIM_TTL_HOURS
+} = require('../../../src/backend/utils/bounties');
+
+describe('bounty state machine', () => {
+  test('allows the happy path open → claimed → submitted → completed', () => {
+    expect(canTransition('open', 'claimed')).toBe(true);
+    expect(canTransition('claimed', 'submitted')).toBe(true);
+    expect(canTransition('submitted', 'completed')).toBe(true);
+  });
+
+  test('rejects skipping states and leaving terminal states', () => {
+    expect(canTransition('open', 'completed')).toBe(false);
+    expect(canTransition('completed', 'open')).toBe(false);
+    expect(canTransition('expired', 'claimed')).toBe(false);
+    expect(canTransition('unknown', 'open')).toBe(false);
+  });
+
+  test('assertTransition throws a CONFLICT GraphQLError', () => {
+    expect(() => assertTransition({ status: 'completed' }, 'claimed')).toThrow(GraphQLError);
+    try {
+      assertTransition({ status: 'open' }, 'submitted');
+    } catch (error) {
+      expect(error.extensions.code).toBe('CONFLICT');
+    }
+    expect(() => assertTransition({ status: 'submitted' }, 'disputed')).not.toThrow();
+  });
+});
+
+describe('bounty expiry helpers', () => {
+  const now = new Date('2026-01-10T12:00:00Z');
+
+  test('getClaimExpiry adds the configured claim TTL', () => {
+    const expiry = getClaimExpiry(now);
+    expect(expiry.getTime() - now.getTime()).toBe(BOUNTY_CLAIM_TTL_HOURS * 60 * 60 * 1000);
+  });
+
+  test('isClaimExpired only applies to claimed bounties past their window', () => {
+    const past = new Date('2026-01-09T12:00:00Z');
+    expect(isClaimExpired({ status: 'claimed', claim_expires_at: past }, now)).toBe(true);
+    expect(isClaimExpired({ status: 'submitted', claim_expires_at: past }, now)).toBe(false);
+    expect(isClaimExpired({ status: 'claimed', claim_expires_at: null }, now)).toBe(false);
+  });
+
+  test('isBountyExpired respects optional deadline', () => {
+    expect(isBountyExpired({ expires_at: null }, now)).toBe(false);
+    expect(isBountyExpired({ expires_at: '2026-01-11T00:00:00Z' }, now)).toBe(false);
+    expect(isBountyExpired({ expires_at: '2026-01-01T00:00:00Z' }, now)).toBe(true);
+  });
+
+  test('expireStaleBounties reports released claims and expired bounties', async () => {
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 'b1', status: 'expired' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'b2', status: 'open' }, { id: 'b3', status: 'open' }], rowCount: 2 })
+    };
+    global.broadcastBounty = jest.fn();
+
+    const result = await expireStaleBounties(pool);
+
+    expect(result).toEqual({ released: 2, expired: 1 });
+    expect(pool.query).toHaveBeenCalledTimes(2);
+    expect(global.broadcastBounty).toHaveBeenCalledTimes(3);
+    delete global.broadcastBounty;
+  });
+});
@@ -55,6 +55,15 @@ describe('CacheManager', () => {
       expect(await cacheManager.get(key)).toBeNull();
     });
 
+    test('should report whether delete removed a key', async () => {
+      await cacheManager.set('delete:once', true);
+
+      const results = await Promise.all([cacheManager.delete('delete:once'), cacheManager.delete('delete:once')]);
+
+      expect(results.sort()).toEqual([false, true]);
+      expect(await cacheManager.delete('delete:missing')).toBe(false);
+    });
+
     test('should handle null/undefined values gracefully', async () => {
       await cacheManager.set('null:key', null);
       await cacheManager.set('undefined:key', undefined);
@@ -184,6 +193,20 @@ describe('CacheManager', () => {
         expect(result?.value).toBe(idx);
       });
     });
+
+    test('should count every concurrent increment', async () => {
+      const results = await Promise.all(Array.from({ length: 10 }, () => cacheManager.increment('counter:test', 60)));
+
+      expect(results.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      expect(await cacheManager.get('counter:test')).toBe(10);
+    });
+
+    test('should restart an expired counter', async () => {
+      await cacheManager.increment('counter:short', 1);
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      expect(await cacheManager.increment('counter:short', 1)).toBe(1);
+    });
   });
 
   describe('error handling', () => {
@@ -0,0 +1,73 @@
+jest.mock('../../../src/ai/languageDetection', () => ({
+  translateToEnglish: jest.fn(async (text) => ({ translatedText: text }))
+}));
+
+const { translateToEnglish } = require('../../../src/ai/languageDetection');
+const {
+  normalizeClaimText,
+  toMatchingText,
+  claimSimilarity,
+  findSimilarClaims
+} = require('../../../src/backend/utils/claimSimilarity');
+const { mockPool } = require('../../setup/resolverContext');
+
+const existingClaim = 'Drinking coffee every day causes heart disease';
+
+describe('matching text', () => {
+  test('normalization drops case, punctuation and extra spacing', () => {
+    expect(normalizeClaimText('  Vaccines   cause AUTISM?!  ')).toBe('vaccines cause autism');
+    expect(normalizeClaimText('Café — 5G towers')).toBe('café 5g towers');
+  });
+
+  test('claims are matched on their English translation', async () => {
+    translateToEnglish.mockResolvedValueOnce({ translatedText: 'Coffee causes heart disease.' });
+    await expect(toMatchingText('El café causa enfermedades del corazón.')).resolves.toBe('coffee causes heart disease');
+  });
+
+  test('translation failures fall back to the original wording', async () => {
+    translateToEnglish.mockRejectedValueOnce(new Error('quota exceeded'));
+    await expect(toMatchingText('Coffee causes heart disease')).resolves.toBe('coffee causes heart disease');
+  });
+
+  test('a claim is translated once per wording, ignoring case and punctuation', async () => {
+    translateToEnglish.mockClear();
+    translateToEnglish.mockResolvedValueOnce({ translatedText: 'Vaccines contain microchips.' });
+
+    await expect(toMatchingText('Las vacunas contienen microchips')).resolves.toBe('vaccines contain microchips');
+    await expect(toMatchingText('las VACUNAS contienen microchips!')).resolves.toBe('vaccines contain microchips');
+    expect(translateToEnglish).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('scoring', () => {
+  test('rewordings score higher than unrelated claims', () => {
+    const base = normalizeClaimText(existingClaim);
+    const reworded = claimSimilarity(base, normalizeClaimText('Drinking coffee each day causes heart disease'));
+    const unrelated = claimSimilarity(base, normalizeClaimText('The moon landing was filmed in a studio'));
+
+    expect(claimSimilarity(base, base)).toBe(1);
+    expect(reworded).toBeGreaterThan(0.6);
+    expect(unrelated).toBeLessThan(0.2);
+  });
+
+  test('weak candidates are dropped and strong ones flagged as duplicates', async () => {
+    const pool = mockPool({
+      'normalized_claim % $1': [
+        { id: 'fc-1', normalized_claim: normalizeClaimText(existingClaim) },
+        { id: 'fc-2', normalized_claim: 'coffee prices rise every day' }
+      ]
+    });
+
+    const matches = await findSimilarClaims(pool, normalizeClaimText(existingClaim));
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({ factCheck: { id: 'fc-1' }, similarity: 1, isDuplicate: true });
+  });
+
+  test('no matches before pg_trgm is installed', async () => {
+    const missing = Object.assign(new Error('operator does not exist: text % unknown'), { code: '42883' });
+    const pool = { query: jest.fn().mockRejectedValue(missing) };
+
+    await expect(findSimilarClaims(pool, 'coffee causes heart disease')).resolves.toEqual([]);
+  });
+});
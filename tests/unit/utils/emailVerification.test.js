@@ -0,0 +1,28 @@
+const jwt = require('jsonwebtoken');
+const {
+  PURPOSES,
+  createEmailToken,
+  verifyEmailToken,
+  assertEmailVerified
+} = require('../../../src/backend/utils/emailVerification');
+
+describe('email tokens', () => {
+  test('are bound to their purpose and cannot be used as access tokens', () => {
+    const token = createEmailToken('user-1', 'User@Example.com');
+
+    expect(verifyEmailToken(token, PURPOSES.VERIFY)).toMatchObject({ userId: 'user-1', email: 'user@example.com' });
+    expect(verifyEmailToken(token, PURPOSES.CHANGE)).toBeNull();
+    expect(() => jwt.verify(token, process.env.JWT_SECRET)).toThrow();
+    expect(verifyEmailToken('garbage', PURPOSES.VERIFY)).toBeNull();
+    expect(verifyEmailToken(undefined, PURPOSES.VERIFY)).toBeNull();
+  });
+
+  test('assertEmailVerified blocks unverified accounts', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ is_verified: false }] }) };
+    await expect(assertEmailVerified(pool, 'user-1', 'vote'))
+      .rejects.toMatchObject({ message: 'Verify your email address before you can vote', extensions: { code: 'EMAIL_NOT_VERIFIED' } });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ is_verified: true }] });
+    await expect(assertEmailVerified(pool, 'user-1', 'vote')).resolves.toBeUndefined();
+  });
+});
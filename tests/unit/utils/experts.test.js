@@ -0,0 +1,36 @@
+const { getExpertConsensus, routeToExperts } = require('../../../src/backend/utils/experts');
+const { mockPool, callsMatching } = require('../../setup/resolverContext');
+
+describe('expert consensus', () => {
+  test.each([
+    [{ agree: '3', disagree: '0' }, 'SUPPORTS'],
+    [{ agree: '1', disagree: '4' }, 'DISPUTES'],
+    [{ agree: '2', disagree: '2' }, 'SPLIT'],
+    [{ agree: '1', disagree: '0' }, 'INSUFFICIENT']
+  ])('%o is %s', async (counts, status) => {
+    const pool = mockPool({ 'JOIN expert_credentials': [counts] });
+
+    const consensus = await getExpertConsensus(pool, { id: 'fc-1', category: 'Health' });
+
+    expect(consensus.status).toBe(status);
+    expect(callsMatching(pool, 'JOIN expert_credentials')[0][1]).toEqual(['fc-1', 'health']);
+  });
+});
+
+describe('routing', () => {
+  test('the least recently asked experts are notified, never the author', async () => {
+    const pool = mockPool({ 'WITH picked AS': [{ user_id: 'expert-1' }, { user_id: 'expert-2' }] });
+
+    const notified = await routeToExperts(pool, { category: 'Health', factCheckId: 'fc-1', claim: 'Vitamin C cures colds', excludeUserIds: ['author'] });
+
+    expect(notified).toEqual(['expert-1', 'expert-2']);
+    expect(callsMatching(pool, 'WITH picked AS')[0][1]).toEqual(['health', ['author'], 5]);
+    const notifications = callsMatching(pool, 'INSERT INTO notifications');
+    expect(notifications.map(([, params]) => params.slice(0, 2))).toEqual([['expert-1', 'expert_review_request'], ['expert-2', 'expert_review_request']]);
+  });
+
+  test('routing failures never block submissions', async () => {
+    const pool = { query: jest.fn().mockRejectedValue(new Error('connection reset')) };
+    await expect(routeToExperts(pool, { category: 'Health', factCheckId: 'fc-1' })).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,40 @@
+const { diffText, diffSection, sectionContent } = require('../../../src/backend/utils/factCheckDrafts');
+
+function draftRow(overrides = {}) {
+  return {
+    id: 'd1',
+    owner_id: 'owner',
+    claim: 'The bridge opened in 1932 to traffic',
+    verdict: 'TRUE',
+    confidence_score: '0.800',
+    sources: ['https://example.org/archive'],
+    explanation: 'City records confirm the opening date.',
+    category: 'history',
+    image_url: null,
+    status: 'draft',
+    version: 4,
+    section_versions: { claim: 2, verdict: 1, explanation: 4 },
+    fact_check_id: null,
+    ...overrides
+  };
+}
+
+describe('diffs', () => {
+  test('text diffs keep unchanged words and mark edits', () => {
+    expect(diffText('opened in 1932', 'opened in 1933')).toEqual([
+      { op: 'equal', text: 'opened in ' },
+      { op: 'delete', text: '1932' },
+      { op: 'insert', text: '1933' }
+    ]);
+    expect(diffText(null, 'new claim')).toEqual([{ op: 'insert', text: 'new claim' }]);
+  });
+
+  test('section diffs only include changed fields', () => {
+    const before = draftRow();
+    const after = draftRow({ confidence_score: '0.950', sources: ['https://example.org/archive', 'https://example.org/news'] });
+
+    expect(diffSection('verdict', before, after)).toEqual({ confidenceScore: { from: '0.800', to: '0.950' } });
+    expect(diffSection('sources', before, after)).toEqual({ sources: { added: ['https://example.org/news'], removed: [] } });
+    expect(sectionContent('details', after)).toEqual({ category: 'history', imageUrl: null });
+  });
+});
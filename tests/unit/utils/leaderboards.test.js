@@ -0,0 +1,89 @@
+const { encodeCursor } = require('../../../src/backend/utils/cursor');
+const {
+  LEADERBOARD_WINDOWS,
+  refreshLeaderboards,
+  encodeRankCursor,
+  decodeRankCursor,
+  fetchLeaderboardPage
+} = require('../../../src/backend/utils/leaderboards');
+
+function boardRow(rank, overrides = {}) {
+  return {
+    user_id: `u${rank}`,
+    score: String(100 - rank),
+    previous_score: '10',
+    previous_rank: String(rank + 2),
+    total_count: '3',
+    rank: String(rank),
+    computed_at: new Date('2026-10-19T12:00:00Z'),
+    ...overrides
+  };
+}
+
+describe('refreshLeaderboards', () => {
+  test('rebuilds every window overall and for each category', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT DISTINCT category')) return { rows: [{ category: 'health' }, { category: 'politics' }] };
+        return { rows: [{ entries: 4, removed: 0 }] };
+      })
+    };
+
+    const result = await refreshLeaderboards(pool);
+
+    const windowCount = Object.keys(LEADERBOARD_WINDOWS).length;
+    expect(result).toEqual({ boards: windowCount * 3, entries: windowCount * 3 * 4 });
+    const boardParams = pool.query.mock.calls.slice(1).map(([, params]) => params);
+    expect(boardParams[0]).toEqual(['WEEK', '', 7, 7]);
+    expect(boardParams).toContainEqual(['MONTH', 'health', 30, 7]);
+    expect(boardParams).toContainEqual(['ALL_TIME', 'politics', null, 7]);
+  });
+
+  test('does nothing before the tables are migrated', async () => {
+    const missing = Object.assign(new Error('relation "leaderboard_entries" does not exist'), { code: '42P01' });
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('SELECT DISTINCT category')) return { rows: [] };
+        throw missing;
+      })
+    };
+
+    await expect(refreshLeaderboards(pool)).resolves.toEqual({ boards: 0, entries: 0 });
+  });
+});
+
+describe('reading a board', () => {
+  test('rank cursors round-trip and reject timestamp cursors', () => {
+    expect(decodeRankCursor(encodeRankCursor(40))).toBe(40);
+    expect(decodeRankCursor(encodeCursor({ id: 'n1', created_at: '2026-10-19T00:00:00Z' }))).toBeNull();
+    expect(decodeRankCursor('not a cursor')).toBeNull();
+  });
+
+  test('reports movement against the previous period and marks newcomers', async () => {
+    const pool = {
+      query: jest.fn().mockResolvedValue({
+        rows: [boardRow(1), boardRow(2, { previous_score: '0', previous_rank: '9' }), boardRow(3)]
+      })
+    };
+
+    const page = await fetchLeaderboardPage(pool, { window: 'WEEK', afterRank: 0, first: 2 });
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['WEEK', '', 0, 3]);
+    expect(page.entries).toEqual([
+      { user_id: 'u1', rank: 1, score: 99, previous_rank: 3, rank_change: 2 },
+      { user_id: 'u2', rank: 2, score: 98, previous_rank: null, rank_change: null }
+    ]);
+    expect(page.hasNextPage).toBe(true);
+    expect(page.totalCount).toBe(3);
+  });
+
+  test('ranking skips users who hide their reputation', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await fetchLeaderboardPage(pool, { window: 'MONTH', category: 'health' });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("'{privacy,showReputation}'");
+    expect(params.slice(0, 2)).toEqual(['MONTH', 'health']);
+  });
+});
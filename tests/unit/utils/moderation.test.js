@@ -0,0 +1,36 @@
+const {
+  AUTO_HIDE_THRESHOLD,
+  HIDDEN_REASONS,
+  applyAutoHide,
+  canViewHidden
+} = require('../../../src/backend/utils/moderation');
+
+describe('auto-hide', () => {
+  test('hides content once open reports reach the threshold', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('COUNT(*)')) return { rows: [{ count: String(AUTO_HIDE_THRESHOLD) }] };
+        if (sql.includes('FROM reviews')) return { rows: [{ id: 'r1', owner_id: 'u2', hidden_at: null }] };
+        return { rows: [{ id: 'r1' }] };
+      })
+    };
+
+    await expect(applyAutoHide(pool, 'review', 'r1')).resolves.toEqual({ reportCount: AUTO_HIDE_THRESHOLD, hidden: true });
+    const hide = pool.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE reviews'));
+    expect(hide[1]).toEqual(['r1', HIDDEN_REASONS.AUTO]);
+  });
+
+  test('leaves content visible below the threshold', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ count: String(AUTO_HIDE_THRESHOLD - 1) }] }) };
+
+    await expect(applyAutoHide(pool, 'fact_check', 'f1')).resolves.toEqual({ reportCount: AUTO_HIDE_THRESHOLD - 1, hidden: false });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('hidden content is visible to moderators and the owner only', () => {
+    expect(canViewHidden({ user: { userId: 'm1', role: 'moderator' } }, 'u1')).toBe(true);
+    expect(canViewHidden({ user: { userId: 'u1', role: 'user' } }, 'u1')).toBe(true);
+    expect(canViewHidden({ user: { userId: 'u2', role: 'user' } }, 'u1')).toBe(false);
+    expect(canViewHidden({ user: null }, 'u1')).toBe(false);
+  });
+});
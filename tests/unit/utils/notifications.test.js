@@ -0,0 +1,38 @@
+const { notify, countUnread } = require('../../../src/backend/utils/notifications');
+const { pubsub, TOPICS } = require('../../../src/backend/utils/pubsub');
+
+describe('notify', () => {
+  test('stores the notification and publishes it to subscribers', async () => {
+    const row = { id: 'n1', user_id: 'u1', type: 'bounty_completed', title: 'Done', message: 'Paid', read: false };
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [row] }) };
+    const received = [];
+    const subId = await pubsub.subscribe(TOPICS.NOTIFICATION_ADDED, payload => received.push(payload));
+
+    const result = await notify(pool, 'u1', 'bounty_completed', { title: 'Done', message: 'Paid', data: { bountyId: 'b1' } });
+
+    expect(result).toBe(row);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO notifications');
+    expect(params).toEqual(['u1', 'bounty_completed', 'Done', 'Paid', JSON.stringify({ bountyId: 'b1' })]);
+    expect(received).toEqual([{ notificationAdded: row }]);
+
+    pubsub.unsubscribe(subId);
+  });
+
+  test('skips incomplete notifications without touching the database', async () => {
+    const pool = { query: jest.fn() };
+    await expect(notify(pool, null, 'x', { title: 'T', message: 'M' })).resolves.toBeNull();
+    await expect(notify(pool, 'u1', 'x', { title: 'T' })).resolves.toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('never throws when the insert fails', async () => {
+    const pool = { query: jest.fn().mockRejectedValue(new Error('db down')) };
+    await expect(notify(pool, 'u1', 'x', { title: 'T', message: 'M' })).resolves.toBeNull();
+  });
+
+  test('countUnread parses the count', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ count: '7' }] }) };
+    await expect(countUnread(pool, 'u1')).resolves.toBe(7);
+  });
+});
@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+const redis = require('redis');
+const { RedisPubSub } = require('../../../src/backend/utils/pubsub');
+const { authenticateConnectionParams, generateAccessToken } = require('../../../src/backend/middleware/auth');
+
+jest.mock('redis', () => ({
+  createClient: jest.fn(() => {
+    const client = {
+      on: jest.fn(),
+      connect: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:6379')),
+      quit: jest.fn().mockResolvedValue(),
+      publish: jest.fn(),
+      subscribe: jest.fn()
+    };
+    client.duplicate = jest.fn(() => ({ ...client }));
+    return client;
+  })
+}), { virtual: true });
+
+describe('RedisPubSub', () => {
+  test('falls back to in-memory delivery when Redis cannot be reached', async () => {
+    const engine = new RedisPubSub('redis://127.0.0.1:6379');
+    const received = [];
+
+    const subId = await engine.subscribe('TOPIC', payload => received.push(payload));
+    await engine.publish('TOPIC', { id: 1 });
+    engine.unsubscribe(subId);
+    await engine.publish('TOPIC', { id: 2 });
+
+    expect(received).toEqual([{ id: 1 }]);
+    expect(engine.publisher.publish).not.toHaveBeenCalled();
+    expect(engine.publisher.quit).toHaveBeenCalled();
+  });
+
+  test('gives up reconnecting after a bounded number of attempts', () => {
+    const engine = new RedisPubSub('redis://127.0.0.1:6379');
+    const { socket } = redis.createClient.mock.calls[redis.createClient.mock.calls.length - 1][0];
+
+    expect(socket.reconnectStrategy(1)).toBe(50);
+    expect(socket.reconnectStrategy(11)).toBeInstanceOf(Error);
+    return engine.ready;
+  });
+
+  test('publishes that never settle time out instead of hanging the caller', async () => {
+    const engine = new RedisPubSub('redis://127.0.0.1:6379');
+    await engine.ready;
+    // Act as if Redis connected and then went away, leaving commands queued
+    engine.fallback = null;
+    engine.publisher.publish.mockReturnValue(new Promise(() => {}));
+
+    jest.useFakeTimers();
+    const published = engine.publish('TOPIC', { id: 1 });
+    const assertion = expect(published).rejects.toThrow('Redis publish timed out');
+    await jest.advanceTimersByTimeAsync(2000);
+    await assertion;
+    jest.useRealTimers();
+  });
+});
+
+describe('authenticateConnectionParams', () => {
+  test('accepts authToken and Bearer Authorization params', async () => {
+    const token = generateAccessToken({ userId: 'u1', email: 'u1@example.com', role: 'user' });
+
+    await expect(authenticateConnectionParams({ authToken: token }))
+      .resolves.toEqual({ userId: 'u1', email: 'u1@example.com', role: 'user' });
+    await expect(authenticateConnectionParams({ Authorization: `Bearer ${token}` }))
+      .resolves.toMatchObject({ userId: 'u1' });
+  });
+
+  test('returns null for missing or invalid tokens', async () => {
+    await expect(authenticateConnectionParams({})).resolves.toBeNull();
+    await expect(authenticateConnectionParams(undefined)).resolves.toBeNull();
+    await expect(authenticateConnectionParams({ authToken: jwt.sign({ userId: 'u1' }, 'wrong-secret') }))
+      .resolves.toBeNull();
+  });
+});
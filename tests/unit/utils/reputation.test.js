@@ -0,0 +1,107 @@
+const cacheManager = require('../../../src/backend/utils/cacheManager');
+const {
+  REPUTATION_EVENTS,
+  DEFAULT_REPUTATION_RULES,
+  awardReputation,
+  awardVoteReputation,
+  clearReputation
+} = require('../../../src/backend/utils/reputation');
+const { mockPool } = require('../../setup/resolverContext');
+
+function ledgerPool(rules = [], credited = []) {
+  return mockPool({
+    'FROM reputation_rules': rules,
+    'FROM reputation_ledger': credited,
+    'INSERT INTO reputation_ledger': ([userId, delta, reason]) => [{ id: 'entry-1', user_id: userId, delta, reason, truth_score: 100 + delta }]
+  });
+}
+
+function ledgerInserts(pool) {
+  return pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO reputation_ledger'));
+}
+
+beforeEach(async () => {
+  await cacheManager.clear();
+});
+
+describe('rule-based awards', () => {
+  test('records a ledger entry and updates truth_score in the same statement', async () => {
+    const pool = ledgerPool([{ event: 'appeal_approved', delta: 30, active: true }]);
+
+    const entry = await awardReputation(pool, 'u1', REPUTATION_EVENTS.APPEAL_APPROVED, { sourceType: 'appeal', sourceId: 'ap-1' });
+
+    expect(entry).toMatchObject({ delta: 30, reason: 'appeal_approved', truth_score: 130 });
+    const [sql, params] = ledgerInserts(pool)[0];
+    expect(sql).toContain('UPDATE users SET truth_score = truth_score + $2');
+    expect(params).toEqual(['u1', 30, 'appeal_approved', 'appeal', 'ap-1', null, null, null]);
+  });
+
+  test('inactive rules award nothing', async () => {
+    const pool = ledgerPool([{ event: 'fact_check_verified', delta: 50, active: false }]);
+
+    await expect(awardReputation(pool, 'u1', REPUTATION_EVENTS.FACT_CHECK_VERIFIED)).resolves.toBeNull();
+    expect(ledgerInserts(pool)).toHaveLength(0);
+  });
+
+  test('falls back to the default rules before the table exists', async () => {
+    const missing = Object.assign(new Error('relation "reputation_rules" does not exist'), { code: '42P01' });
+    const pool = ledgerPool();
+    pool.query.mockRejectedValueOnce(missing);
+
+    const entry = await awardReputation(pool, 'u1', REPUTATION_EVENTS.FACT_CHECK_SUBMITTED);
+    expect(entry.delta).toBe(DEFAULT_REPUTATION_RULES.fact_check_submitted);
+  });
+});
+
+describe('vote reputation', () => {
+  test('a changed vote reverses the earlier one', async () => {
+    const pool = ledgerPool();
+
+    const entry = await awardVoteReputation(pool, { authorId: 'author', voterId: 'voter', factCheckId: 'f1', vote: -1, previousVote: 1 });
+
+    expect(entry).toMatchObject({ delta: -2, reason: 'vote_changed' });
+    expect(ledgerInserts(pool)[0][1][7]).toBe('voter');
+  });
+
+  test('reversals undo what the earlier vote earned, not what the rule pays today', async () => {
+    // The upvote earned 5 under an older rule; upvotes now earn 1
+    const pool = ledgerPool([], [{ entries: 1, total: 5 }]);
+
+    const changed = await awardVoteReputation(pool, { authorId: 'author', voterId: 'voter', factCheckId: 'f1', vote: -1, previousVote: 1 });
+    expect(changed.delta).toBe(-6);
+
+    const [sql, params] = pool.query.mock.calls.find(([query]) => query.includes('FROM reputation_ledger'));
+    expect(sql).toContain('voter_id = $3');
+    expect(params).toEqual(['author', 'f1', 'voter']);
+
+    const rejected = await awardVoteReputation(pool, { authorId: 'author', voterId: 'voter', factCheckId: 'f1', vote: 0, previousVote: 1, reason: 'vote_rejected' });
+    expect(rejected).toMatchObject({ delta: -5, reason: 'vote_rejected' });
+  });
+
+  test('votes whose credit is already settled record nothing', async () => {
+    const pool = ledgerPool([], [{ entries: 2, total: 0 }]);
+
+    await expect(awardVoteReputation(pool, { authorId: 'author', voterId: 'voter', factCheckId: 'f1', vote: 0, previousVote: -1 })).resolves.toBeNull();
+    expect(ledgerInserts(pool)).toHaveLength(0);
+  });
+
+  test('self-votes and repeated votes earn nothing', async () => {
+    const pool = ledgerPool();
+
+    await expect(awardVoteReputation(pool, { authorId: 'u1', voterId: 'u1', factCheckId: 'f1', vote: 1 })).resolves.toBeNull();
+    await expect(awardVoteReputation(pool, { authorId: 'u1', voterId: 'u2', factCheckId: 'f1', vote: 1, previousVote: 1 })).resolves.toBeNull();
+    expect(ledgerInserts(pool)).toHaveLength(0);
+  });
+});
+
+describe('clearing reputation', () => {
+  test('zeroes truth_score through a correcting ledger entry', async () => {
+    const pool = mockPool({ 'INSERT INTO reputation_ledger': [{ truth_score: 0 }] });
+
+    await expect(clearReputation(pool, 'u1')).resolves.toEqual({ truth_score: 0 });
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('SELECT id, -truth_score, $2 FROM users');
+    expect(sql).toContain('SET truth_score = u.truth_score + entry.delta');
+    expect(params).toEqual(['u1', 'account_deleted']);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  REVIEWS_PER_APP,
+  wilsonLowerBound,
+  reviewRankScore,
+  sortReviews,
+  loadRankedReviews
+} = require('../../../src/backend/utils/reviewRanking');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('ranking', () => {
+  test('the Wilson bound prefers many helpful votes over a lucky few', () => {
+    expect(wilsonLowerBound(0, 0)).toBe(0);
+    expect(wilsonLowerBound(40, 50)).toBeGreaterThan(wilsonLowerBound(1, 1));
+    expect(wilsonLowerBound(40, 50)).toBeGreaterThan(wilsonLowerBound(10, 50));
+    expect(wilsonLowerBound(40, 50)).toBeLessThan(0.8);
+  });
+
+  test('helpfulness halves every 90 days', () => {
+    const fresh = { helpful_count: 40, unhelpful_count: 10, created_at: now.toISOString() };
+    const old = { ...fresh, created_at: daysAgo(90) };
+
+    expect(reviewRankScore(old, now)).toBeCloseTo(reviewRankScore(fresh, now) / 2, 6);
+  });
+
+  const reviews = [
+    { id: 'old-useful', rating: 4, helpful_count: 30, unhelpful_count: 2, created_at: daysAgo(400) },
+    { id: 'recent-useful', rating: 5, helpful_count: 12, unhelpful_count: 1, created_at: daysAgo(10) },
+    { id: 'angry', rating: 1, helpful_count: 0, unhelpful_count: 4, created_at: daysAgo(5) },
+    { id: 'fair-critique', rating: 1, helpful_count: 6, unhelpful_count: 0, created_at: daysAgo(30) },
+    { id: 'brand-new', rating: 3, helpful_count: 0, unhelpful_count: 0, created_at: daysAgo(0) }
+  ];
+  const ids = list => list.map(review => review.id);
+
+  test.each([
+    ['RELEVANT', ['recent-useful', 'fair-critique', 'old-useful', 'brand-new', 'angry']],
+    ['NEWEST', ['brand-new', 'angry', 'recent-useful', 'fair-critique', 'old-useful']],
+    ['MOST_HELPFUL', ['old-useful', 'recent-useful', 'fair-critique', 'brand-new', 'angry']],
+    ['CRITICAL', ['fair-critique', 'angry', 'brand-new', 'old-useful', 'recent-useful']]
+  ])('%s order', (sort, expected) => {
+    expect(ids(sortReviews(reviews, sort, now))).toEqual(expected);
+  });
+});
+
+describe('loadRankedReviews', () => {
+  test('ranks in SQL and groups the capped rows by app', async () => {
+    const pool = {
+      query: jest.fn().mockResolvedValue({ rows: [{ id: 'r1', app_id: 'a1' }, { id: 'r2', app_id: 'a1' }, { id: 'r3', app_id: 'a2' }] })
+    };
+
+    const byApp = await loadRankedReviews(pool, ['a1', 'a2', 'a3'], 'CRITICAL');
+
+    expect(byApp.get('a1').map(review => review.id)).toEqual(['r1', 'r2']);
+    expect(byApp.get('a3')).toEqual([]);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('PARTITION BY app_id ORDER BY rating ASC, rank_score DESC, created_at DESC');
+    expect(params).toEqual([['a1', 'a2', 'a3'], REVIEWS_PER_APP]);
+  });
+});
@@ -0,0 +1,127 @@
+const {
+  findPromotionalContent,
+  textSentiment,
+  sentimentContradictsRating,
+  scoreReview,
+  screenReview
+} = require('../../../src/backend/utils/reviewSpam');
+const { restoreAutoHiddenContent } = require('../../../src/backend/utils/moderation');
+const { callsMatching } = require('../../setup/resolverContext');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+function spamPool({ author = { created_at: daysAgo(400), is_verified: true }, burst = { burst: '0', baseline: '0' }, others = [] } = {}) {
+  return {
+    query: jest.fn(async sql => {
+      if (sql.includes('SELECT created_at, is_verified FROM users')) return { rows: [author] };
+      if (sql.includes('AS burst')) return { rows: [burst] };
+      if (sql.includes('SELECT id, review_text FROM reviews')) return { rows: others };
+      if (sql.includes('SELECT id FROM apps')) return { rows: [{ id: 'app-1' }] };
+      if (sql.includes('INSERT INTO reviews')) return { rows: [{ id: 'r-1', app_id: 'app-1', user_id: 'u-1', rating: 5, review_text: 'Use my code SAVE50 at deals-hub.shop for a free gift' }] };
+      return { rows: [] };
+    })
+  };
+}
+
+const review = (rating, text) => ({ id: 'r-1', app_id: 'app-1', user_id: 'u-1', rating, review_text: text });
+
+describe('text signals', () => {
+  test('links and advertising wording are promotional', () => {
+    expect(findPromotionalContent('Get it cheaper at https://example.test')).toEqual({ links: true, promo: false });
+    expect(findPromotionalContent('Visit cheap-apps.xyz now')).toEqual({ links: true, promo: false });
+    expect(findPromotionalContent('DM me for a promo code')).toEqual({ links: false, promo: true });
+    expect(findPromotionalContent('Works well on my phone, version 2.0 fixed the sync')).toEqual({ links: false, promo: false });
+  });
+
+  test('sentiment follows the lexicon and negations flip it', () => {
+    expect(textSentiment('Great app, I love it').score).toBe(1);
+    expect(textSentiment("Terrible and buggy, it's not good").score).toBe(-1);
+    expect(textSentiment('Does what it says').words).toBe(0);
+  });
+
+  test('only clearly worded text can contradict the rating', () => {
+    expect(sentimentContradictsRating('Terrible app, crashes constantly, total waste', 5)).toBe(true);
+    expect(sentimentContradictsRating('Amazing, excellent, the best budgeting app', 1)).toBe(true);
+    expect(sentimentContradictsRating('Amazing, excellent, the best budgeting app', 5)).toBe(false);
+    expect(sentimentContradictsRating('Terrible', 5)).toBe(false);
+  });
+});
+
+describe('scoring', () => {
+  test('an established author writing an honest review is not suspicious', async () => {
+    const result = await scoreReview(spamPool(), review(4, 'Good app, the offline mode is really useful on flights'), now);
+
+    expect(result).toEqual({ score: 0, signals: [], suspicious: false });
+  });
+
+  test('a brand-new unverified account posting a link is held', async () => {
+    const pool = spamPool({ author: { created_at: daysAgo(0.5), is_verified: false } });
+
+    const result = await scoreReview(pool, review(5, 'Download the premium version free at apk-mirror.top'), now);
+
+    expect(result.signals.map(signal => signal.type)).toEqual(['new_account', 'unverified_account', 'promotional_link']);
+    expect(result.score).toBe(0.75);
+    expect(result.suspicious).toBe(true);
+  });
+
+  test('copied text and rating bursts are detected across accounts', async () => {
+    const text = 'Best app ever, changed my life, five stars from me and my whole family!';
+    const pool = spamPool({
+      burst: { burst: '12', baseline: '14' },
+      others: [{ id: 'r-9', review_text: 'Okay app' }, { id: 'r-7', review_text: 'Best app ever!! Changed my life, five stars from me and my whole family' }]
+    });
+
+    const result = await scoreReview(pool, review(5, text), now);
+
+    expect(result.signals).toEqual([
+      { type: 'rating_burst', detail: '12 other 5-star reviews in the last hour' },
+      { type: 'duplicate_text', detail: 'matches review r-7' }
+    ]);
+    expect(result.suspicious).toBe(true);
+    expect(callsMatching(pool, 'AS burst')[0][1].slice(0, 2)).toEqual(['app-1', 5]);
+  });
+
+  test('a busy app is not a burst', async () => {
+    const pool = spamPool({ burst: { burst: '12', baseline: '1000' } });
+
+    const result = await scoreReview(pool, review(5, 'Solid app'), now);
+
+    expect(result.signals).toEqual([]);
+  });
+});
+
+describe('holding suspicious reviews', () => {
+  test('held reviews are hidden and queued once for moderators', async () => {
+    const pool = spamPool({ author: { created_at: daysAgo(0.5), is_verified: true } });
+
+    const result = await screenReview(pool, review(5, 'Claim your free gift at promo-deals.shop'));
+
+    expect(result.suspicious).toBe(true);
+    expect(callsMatching(pool, 'SET spam_score')[0][1]).toEqual(['r-1', 0.6, JSON.stringify(result.signals)]);
+    expect(callsMatching(pool, 'UPDATE reviews SET hidden_at')[0][1]).toEqual(['r-1', 'spam_filter']);
+    const [[sql, params]] = callsMatching(pool, 'INSERT INTO content_reports');
+    expect(sql).toContain('WHERE NOT EXISTS');
+    expect(params[1]).toBe('Spam filter (score 0.6): brand-new account, promotional link');
+  });
+
+  test('reviews a moderator already hid are left alone, and scoring failures never block', async () => {
+    const pool = spamPool({ author: { created_at: daysAgo(0.5), is_verified: false } });
+    await screenReview(pool, { ...review(5, 'Cheap followers at likes4u.me'), hidden_at: daysAgo(1) });
+    expect(callsMatching(pool, 'UPDATE reviews SET hidden_at')).toHaveLength(0);
+    expect(callsMatching(pool, 'INSERT INTO content_reports')).toHaveLength(0);
+
+    const failing = { query: jest.fn().mockRejectedValue(new Error('connection reset')) };
+    await expect(screenReview(failing, review(5, 'Fine'))).resolves.toBeNull();
+  });
+
+  test('only the spam filter\'s own report can lift a spam hold', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'r-1' }] }) };
+
+    await expect(restoreAutoHiddenContent(pool, 'review', 'r-1', { liftSpamHold: true })).resolves.toBe(true);
+    expect(pool.query.mock.calls[0][0]).toContain("'spam_filter'");
+
+    await restoreAutoHiddenContent(pool, 'review', 'r-1');
+    expect(pool.query.mock.calls[1][0]).not.toContain("'spam_filter'");
+  });
+});
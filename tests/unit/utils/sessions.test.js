@@ -0,0 +1,66 @@
+const { describeDevice, describeLocation, listSessions } = require('../../../src/backend/utils/sessions');
+const {
+  authenticateToken,
+  generateAccessToken,
+  revokeTokenFamily
+} = require('../../../src/backend/middleware/auth');
+
+describe('session labels', () => {
+  test('describeDevice summarizes common user agents', () => {
+    expect(describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'))
+      .toBe('Chrome on macOS');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile Safari/604.1'))
+      .toBe('Safari on iOS');
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0'))
+      .toBe('Firefox on Windows');
+    expect(describeDevice(null)).toBe('Unknown device');
+    expect(describeDevice('curl/8.4.0')).toBe('curl/8.4.0');
+  });
+
+  test('describeLocation prefers the edge country header', () => {
+    expect(describeLocation({ headers: { 'cf-ipcountry': 'de' }, ip: '203.0.113.9' })).toBe('DE');
+    expect(describeLocation({ headers: {}, ip: '::ffff:192.168.1.20' })).toBe('Local network');
+    expect(describeLocation({ headers: {}, ip: '127.0.0.1' })).toBe('Local network');
+    expect(describeLocation({ headers: {}, ip: '203.0.113.9' })).toBe('Unknown location');
+    expect(describeLocation(undefined)).toBeNull();
+  });
+});
+
+describe('listSessions', () => {
+  test('maps token families to sessions and flags the current one', async () => {
+    const pool = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { family_id: 'fam-1', user_agent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0', ip_address: '10.0.0.2', location: 'Local network', created_at: 'a', last_seen_at: 'b' },
+          { family_id: 'fam-2', user_agent: null, ip_address: null, location: null, created_at: 'c', last_seen_at: 'd' }
+        ]
+      })
+    };
+
+    const sessions = await listSessions(pool, 'user-1', 'fam-2');
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['user-1']);
+    expect(sessions.map(s => [s.id, s.device, s.current])).toEqual([
+      ['fam-1', 'Firefox on Linux', false],
+      ['fam-2', 'Unknown device', true]
+    ]);
+  });
+});
+
+describe('session revocation', () => {
+  const token = generateAccessToken({ userId: 'user-1', email: 'u@example.com', role: 'user', sessionId: 'fam-9' });
+
+  test('authenticateToken drops access tokens from a revoked session', async () => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const next = jest.fn();
+
+    await authenticateToken(req, {}, next);
+    expect(req.user).toMatchObject({ userId: 'user-1', sessionId: 'fam-9' });
+
+    await revokeTokenFamily({ query: jest.fn().mockResolvedValue({ rowCount: 2 }) }, 'fam-9', 'user_revoked');
+
+    await authenticateToken(req, {}, next);
+    expect(req.user).toBeNull();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,72 @@
+const { ethers } = require('ethers');
+const {
+  createNonce,
+  parseSiweMessage,
+  verifySiweMessage
+} = require('../../../src/backend/utils/siwe');
+const { wallet, buildMessage, signed } = require('../../setup/siweMessage');
+
+describe('parseSiweMessage', () => {
+  test('reads the header, statement and fields', () => {
+    const parsed = parseSiweMessage(buildMessage({ nonce: 'abc12345', issuedAt: '2026-10-19T10:00:00.000Z' }));
+
+    expect(parsed).toMatchObject({
+      domain: 'localhost:3000',
+      address: wallet.address,
+      statement: 'Sign in to AppWhistler.',
+      uri: 'http://localhost:3000',
+      version: '1',
+      chainId: 1,
+      nonce: 'abc12345',
+      issuedAt: '2026-10-19T10:00:00.000Z'
+    });
+  });
+
+  test('rejects messages that are not EIP-4361', () => {
+    expect(parseSiweMessage('hello')).toBeNull();
+    expect(parseSiweMessage(buildMessage({ nonce: 'x' }).replace(/Nonce: .*\n/, ''))).toBeNull();
+    expect(parseSiweMessage(null)).toBeNull();
+  });
+});
+
+describe('verifySiweMessage', () => {
+  test('returns the checksummed address and burns the nonce', async () => {
+    const { message, signature } = await signed();
+
+    await expect(verifySiweMessage(message, signature)).resolves.toEqual({ address: wallet.address, chainId: 1 });
+    await expect(verifySiweMessage(message, signature)).rejects.toThrow('already been used');
+  });
+
+  test('checks domain, chain id, expiry and signature before using the nonce', async () => {
+    const nonce = await createNonce();
+
+    const otherDomain = await signed({ nonce, domain: 'evil.example' });
+    await expect(verifySiweMessage(otherDomain.message, otherDomain.signature)).rejects.toThrow('different domain');
+
+    const otherChain = await signed({ nonce, chainId: 999 });
+    await expect(verifySiweMessage(otherChain.message, otherChain.signature)).rejects.toThrow('Unsupported chain id 999');
+
+    const expired = await signed({ nonce, expirationTime: new Date(Date.now() - 1000).toISOString() });
+    await expect(verifySiweMessage(expired.message, expired.signature)).rejects.toThrow('expired');
+
+    const good = await signed({ nonce });
+    const forged = await ethers.Wallet.createRandom().signMessage(good.message);
+    await expect(verifySiweMessage(good.message, forged)).rejects.toThrow('Invalid signature');
+
+    // The nonce survived all of the rejected attempts
+    await expect(verifySiweMessage(good.message, good.signature)).resolves.toMatchObject({ address: wallet.address });
+  });
+
+  test('concurrent sign-ins with one nonce succeed only once', async () => {
+    const { message, signature } = await signed();
+
+    const results = await Promise.allSettled([verifySiweMessage(message, signature), verifySiweMessage(message, signature)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  test('rejects nonces the server never issued', async () => {
+    const { message, signature } = await signed({ nonce: 'deadbeefdeadbeef' });
+    await expect(verifySiweMessage(message, signature)).rejects.toThrow('nonce is invalid');
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../../../src/backend/utils/totp');
+
+// RFC 6238 appendix B test secret (ASCII "12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  test('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  test('matches the RFC 4648 vector and ignores case and padding', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw6ytboi======').toString()).toBe('foobar');
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  test('generateSecret returns a 160-bit secret', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('TOTP codes', () => {
+  test('matches the RFC 6238 SHA1 vectors (last six digits)', () => {
+    expect(generateCode(RFC_SECRET, 1)).toBe('287082');          // T = 59
+    expect(generateCode(RFC_SECRET, 37037036)).toBe('081804');   // T = 1111111109
+    expect(generateCode(RFC_SECRET, 41152263)).toBe('005924');   // T = 1234567890
+  });
+
+  test('verifyCode accepts one step of clock drift and returns the counter', () => {
+    const now = 1111111109 * 1000;
+    expect(verifyCode(RFC_SECRET, '081804', { now })).toBe(37037036);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, 37037035), { now })).toBe(37037035);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, 37037038), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '08 1804', { now })).toBe(37037036);
+    expect(verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '', { now })).toBeNull();
+  });
+
+  test('buildOtpAuthUri encodes the issuer and account', () => {
+    const uri = buildOtpAuthUri('JBSWY3DPEHPK3PXP', 'user@example.com');
+    expect(uri).toMatch(/^otpauth:\/\/totp\/AppWhistler%3Auser%40example\.com\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=AppWhistler');
+  });
+});
+
+describe('recovery codes and secret storage', () => {
+  test('generates unique codes whose hash ignores formatting', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ''))).toBe(hashRecoveryCode(codes[0]));
+  });
+
+  test('encrypts secrets with a fresh IV and detects tampering', () => {
+    const secret = generateSecret();
+    const first = encryptSecret(secret);
+    const second = encryptSecret(secret);
+
+    expect(first).not.toBe(second);
+    expect(first).not.toContain(secret);
+    expect(decryptSecret(first)).toBe(secret);
+
+    const [iv, tag, data] = first.split(':');
+    const tampered = [iv, tag, (data[0] === '0' ? '1' : '0') + data.slice(1)].join(':');
+    expect(() => decryptSecret(tampered)).toThrow();
+  });
+});
@@ -0,0 +1,155 @@
+// Secrets are read once at startup
+process.env.TREND_ALERT_MIN_VOLUME = '5';
+
+const {
+  TREND_WINDOWS,
+  clusterSignals,
+  scoreCluster,
+  detectTrends,
+  recordSearchQuery
+} = require('../../../src/backend/utils/trends');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const minutesAgo = minutes => new Date(now.getTime() - minutes * 60 * 1000);
+
+function signal(source, id, text, createdAt, claim = source === 'search' ? null : text, searcherHash = null) {
+  return { source, source_id: id, claim, text, searcher_hash: searcherHash, created_at: createdAt };
+}
+
+// A narrative taking off in the last hour, plus a steady claim seen earlier in the day
+const surge = [
+  signal('fact_check', 'fc-1', '5G towers spread the virus', minutesAgo(50)),
+  signal('bounty', 'b-1', '5G towers are spreading the virus', minutesAgo(40)),
+  signal('search', 's-1', '5g towers virus', minutesAgo(30)),
+  signal('search', 's-2', 'virus 5g towers', minutesAgo(20)),
+  signal('fact_check', 'fc-2', '5G towers spread the virus!', minutesAgo(10))
+];
+const background = [
+  signal('fact_check', 'fc-3', 'Drinking coffee every day causes heart disease', minutesAgo(600)),
+  signal('fact_check', 'fc-4', 'Drinking coffee every day causes heart disease', minutesAgo(30))
+];
+
+describe('clustering', () => {
+  test('claims, bounties and short searches about the same narrative are grouped', () => {
+    const clusters = clusterSignals([...surge, ...background]);
+
+    expect(clusters).toHaveLength(2);
+    const towers = clusters.find(cluster => cluster.keywords.includes('5g'));
+    expect(towers.signals.map(s => s.source_id).sort()).toEqual(['b-1', 'fc-1', 'fc-2', 's-1', 's-2']);
+    expect(towers.label).toBe('5G towers spread the virus');
+  });
+
+  test('acceleration compares window volume with the baseline rate', () => {
+    const [coffee] = clusterSignals(background);
+    const score = scoreCluster(coffee, TREND_WINDOWS.HOUR, now);
+
+    expect(score.volume).toBe(1);
+    expect(score.baselineVolume).toBeCloseTo(1 / 24, 2);
+    expect(score.counts).toEqual({ fact_check: 1, bounty: 0, search: 0 });
+    expect(score.factCheckIds).toEqual(['fc-4']);
+  });
+
+  test('one searcher repeating a search counts once per window', () => {
+    const repeated = Array.from({ length: 20 }, (_, n) => signal('search', `s-${n}`, '5g towers virus', minutesAgo(n + 1), null, 'searcher-1'));
+    const [towers] = clusterSignals([...repeated, signal('search', 's-other', '5g towers virus', minutesAgo(5), null, 'searcher-2')]);
+
+    const score = scoreCluster(towers, TREND_WINDOWS.HOUR, now);
+
+    expect(score.volume).toBe(2);
+    expect(score.counts.search).toBe(2);
+  });
+
+  test('each signal is only scored against a bounded set of clusters', () => {
+    let comparisons;
+    jest.isolateModules(() => {
+      const similarity = jest.spyOn(require('../../../src/backend/utils/claimSimilarity'), 'claimSimilarity');
+      const { clusterSignals: isolatedClusterSignals } = require('../../../src/backend/utils/trends');
+      const word = n => [...n.toString(26).padStart(3, '0')].map(digit => 'bcdfghjklmnpqrstvwxyzaeiou'[parseInt(digit, 26)]).join('');
+      const distinct = Array.from({ length: 200 }, (_, n) => (
+        signal('fact_check', `fc-${n}`, `vaccine claim ${word(3 * n)}x ${word(3 * n + 1)}y ${word(3 * n + 2)}z`, minutesAgo(200 - n))
+      ));
+
+      expect(isolatedClusterSignals(distinct)).toHaveLength(200);
+      comparisons = similarity.mock.calls.length;
+    });
+
+    // Every signal shares 'vaccine' and 'claim'; without the cap this is ~20,000 comparisons
+    expect(comparisons).toBeGreaterThan(0);
+    expect(comparisons).toBeLessThanOrEqual(200 * 20);
+  });
+});
+
+describe('detection job', () => {
+  function trendPool({ signals = [...surge, ...background], alreadyAlerted = false } = {}) {
+    return {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('UNION ALL')) return { rows: [...signals].reverse() };
+        if (sql.includes('INSERT INTO claim_trends')) {
+          return { rows: [{ time_window: params[0], cluster_key: params[1], label: params[2], volume: params[4], acceleration: params[6], fact_check_ids: JSON.parse(params[10]) }] };
+        }
+        if (sql.includes('SET alerted_at')) return { rows: alreadyAlerted ? [] : [{ cluster_key: params[1] }] };
+        if (sql.includes("role IN ('admin', 'moderator')")) return { rows: [{ id: 'mod-1' }, { id: 'admin-1' }] };
+        return { rows: [] };
+      })
+    };
+  }
+
+  test('accelerating clusters are stored and moderators alerted once', async () => {
+    const pool = trendPool();
+
+    const result = await detectTrends(pool, now);
+
+    const upserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO claim_trends'));
+    expect(upserts.map(([, params]) => params[0])).toEqual(['HOUR', 'DAY', 'WEEK']);
+    expect(upserts[0][1].slice(4, 10)).toEqual([5, 0, 6, 2, 1, 2]);
+
+    const alerts = pool.query.mock.calls.filter(([sql, params]) => sql.includes('INSERT INTO notifications') && params[1] === 'trend_alert');
+    expect(alerts.map(([, params]) => params[0])).toEqual(['mod-1', 'admin-1', 'mod-1', 'admin-1', 'mod-1', 'admin-1']);
+    expect(result).toEqual({ trends: 3, alerts: 3 });
+  });
+
+  test('clusters below the alert threshold, or already alerted, do not notify', async () => {
+    const quiet = trendPool({ signals: surge.slice(0, 3) });
+    const quietResult = await detectTrends(quiet, now);
+    expect(quietResult).toEqual({ trends: 3, alerts: 0 });
+    expect(quiet.query.mock.calls.some(([sql]) => sql.includes('SET alerted_at'))).toBe(false);
+
+    const repeated = trendPool({ alreadyAlerted: true });
+    const result = await detectTrends(repeated, now);
+    expect(repeated.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO notifications'))).toBe(false);
+    expect(result.alerts).toBe(0);
+  });
+
+  test('the job is a no-op before the trend tables exist', async () => {
+    const missing = Object.assign(new Error('relation "search_queries" does not exist'), { code: '42P01' });
+    const pool = { query: jest.fn().mockRejectedValue(missing) };
+
+    await expect(detectTrends(pool, now)).resolves.toEqual({ trends: 0, alerts: 0 });
+  });
+});
+
+describe('search signals', () => {
+  test('searches are stored normalized and failures never reach the searcher', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    await recordSearchQuery(pool, '  5G Towers?! ');
+    await recordSearchQuery(pool, 'a!');
+    expect(pool.query.mock.calls).toHaveLength(1);
+    expect(pool.query.mock.calls[0][1]).toEqual(['5g towers', null, 60]);
+
+    const failing = { query: jest.fn().mockRejectedValue(new Error('connection reset')) };
+    await expect(recordSearchQuery(failing, '5g towers')).resolves.toBeUndefined();
+  });
+
+  test('searchers are stored as a keyed hash and repeats within the hour are skipped', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await recordSearchQuery(pool, '5g towers', 'user-1');
+    await recordSearchQuery(pool, '5g towers', '203.0.113.7');
+
+    const [[sql, [, userHash]], [, [, ipHash]]] = pool.query.mock.calls;
+    expect(sql).toContain('NOT EXISTS');
+    expect(userHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(userHash).not.toBe(ipHash);
+    expect(JSON.stringify(pool.query.mock.calls)).not.toContain('203.0.113.7');
+  });
+});
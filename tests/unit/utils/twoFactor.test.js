@@ -0,0 +1,85 @@
+const jwt = require('jsonwebtoken');
+const {
+  generateSecret,
+  generateCode,
+  getCounter,
+  encryptSecret,
+  hashRecoveryCode
+} = require('../../../src/backend/utils/totp');
+const {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  claimChallengeAttempt,
+  isChallengeExhausted,
+  verifyTotpForUser,
+  verifySecondFactor,
+  isTwoFactorRequiredForRole,
+  MAX_CHALLENGE_ATTEMPTS
+} = require('../../../src/backend/utils/twoFactor');
+
+describe('login challenges', () => {
+  test('challenge tokens verify but are not accepted as access tokens', () => {
+    const challenge = createLoginChallenge('user-1');
+
+    expect(verifyLoginChallenge(challenge)).toMatchObject({ userId: 'user-1', type: '2fa_challenge' });
+    expect(() => jwt.verify(challenge, process.env.JWT_SECRET)).toThrow();
+    expect(verifyLoginChallenge(jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET))).toBeNull();
+    expect(verifyLoginChallenge('garbage')).toBeNull();
+  });
+
+  test('a challenge is exhausted after repeated attempts', async () => {
+    const { jti } = verifyLoginChallenge(createLoginChallenge('user-2'));
+
+    for (let i = 0; i < MAX_CHALLENGE_ATTEMPTS; i++) {
+      await expect(claimChallengeAttempt(jti)).resolves.toBe(true);
+    }
+    await expect(claimChallengeAttempt(jti)).resolves.toBe(false);
+    await expect(isChallengeExhausted(jti)).resolves.toBe(true);
+  });
+
+  test('parallel attempts cannot exceed the limit', async () => {
+    const { jti } = verifyLoginChallenge(createLoginChallenge('user-2'));
+
+    const claims = await Promise.all(
+      Array.from({ length: MAX_CHALLENGE_ATTEMPTS * 3 }, () => claimChallengeAttempt(jti))
+    );
+
+    expect(claims.filter(Boolean)).toHaveLength(MAX_CHALLENGE_ATTEMPTS);
+  });
+});
+
+describe('second factor verification', () => {
+  const secret = generateSecret();
+  const user = { id: 'user-3', two_factor_secret: encryptSecret(secret) };
+
+  test('rejects a TOTP code whose time step was already used', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'user-3' }] }) };
+    const counter = getCounter();
+    const code = generateCode(secret, counter);
+
+    await expect(verifyTotpForUser(pool, user, code)).resolves.toBe(true);
+    expect(pool.query.mock.calls[0][1]).toEqual([counter, 'user-3']);
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(verifyTotpForUser(pool, user, code)).resolves.toBe(false);
+  });
+
+  test('falls back to single-use recovery codes', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'rc-1' }] }) };
+
+    await expect(verifySecondFactor(pool, user, 'ABCDE-12345')).resolves.toBe('recovery');
+    expect(pool.query.mock.calls[0][1]).toEqual(['user-3', hashRecoveryCode('abcde12345')]);
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(verifySecondFactor(pool, user, 'abcde-12345')).resolves.toBeNull();
+    await expect(verifySecondFactor(pool, user, '')).resolves.toBeNull();
+  });
+
+  test('role policy treats a missing table as not required', async () => {
+    const missing = Object.assign(new Error('relation does not exist'), { code: '42P01' });
+    await expect(isTwoFactorRequiredForRole({ query: jest.fn().mockRejectedValue(missing) }, 'admin'))
+      .resolves.toBe(false);
+    await expect(isTwoFactorRequiredForRole({ query: jest.fn().mockResolvedValue({ rows: [{ required: true }] }) }, 'admin'))
+      .resolves.toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+const { VERDICT_CHANGE_REASONS, recordVerdictChange, getVerdictHistory } = require('../../../src/backend/utils/verdictHistory');
+
+function historyInserts(pool) {
+  return pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO fact_check_updates'));
+}
+
+describe('recording changes', () => {
+  test('changes without an actor are attributed to the automated job', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'h1' }] }) };
+
+    await recordVerdictChange(pool, {
+      factCheckId: 'fc-1',
+      oldVerdict: 'TRUE',
+      newVerdict: 'MISLEADING',
+      oldConfidence: 0.9,
+      newConfidence: 0.6,
+      reason: VERDICT_CHANGE_REASONS.AUTOMATED_REVERIFICATION
+    });
+
+    const [[, params]] = historyInserts(pool);
+    expect(params).toEqual(['fc-1', 'TRUE', 'MISLEADING', 0.9, 0.6, 'automated_reverification', 'automated', null, null, null]);
+  });
+
+  test('history is empty before the table exists', async () => {
+    const missing = Object.assign(new Error('relation "fact_check_updates" does not exist'), { code: '42P01' });
+    const pool = { query: jest.fn().mockRejectedValue(missing) };
+
+    await expect(getVerdictHistory(pool, 'fc-1')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  computeVoteWeight,
+  findNewAccountBursts,
+  findSharedFingerprints,
+  detectCoordinatedVoting
+} = require('../../../src/backend/utils/voteIntegrity');
+const { callsMatching } = require('../../setup/resolverContext');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const minutesAgo = minutes => new Date(now.getTime() - minutes * 60 * 1000);
+const daysAgo = days => minutesAgo(days * 24 * 60);
+
+describe('vote weight', () => {
+  const established = { created_at: daysAgo(400), is_verified: true, truth_score: 0, votes_cast: '50', votes_rejected: '0' };
+
+  test('an established verified account counts fully and reputation adds up to double', () => {
+    expect(computeVoteWeight(established, { now })).toBe(1);
+    expect(computeVoteWeight({ ...established, truth_score: 500 }, { now })).toBe(1.5);
+    expect(computeVoteWeight({ ...established, truth_score: 5000 }, { now })).toBe(2);
+  });
+
+  test('new, unverified and rejected voters count less', () => {
+    const fresh = { created_at: minutesAgo(5), is_verified: false, truth_score: 0, votes_cast: '0', votes_rejected: '0' };
+    expect(computeVoteWeight(fresh, { now })).toBe(0.05);
+    expect(computeVoteWeight({ ...established, created_at: daysAgo(15) }, { now })).toBe(0.5);
+    expect(computeVoteWeight({ ...established, is_verified: false }, { now })).toBe(0.5);
+    expect(computeVoteWeight({ ...established, votes_rejected: '25' }, { now })).toBe(0.5);
+  });
+
+  test('the expert multiplier applies on top', () => {
+    expect(computeVoteWeight(established, { now, expertMultiplier: 3 })).toBe(3);
+    expect(computeVoteWeight(null, { expertMultiplier: 3 })).toBe(3);
+  });
+});
+
+describe('detectors', () => {
+  const vote = (userId, minutes, extra = {}) => ({
+    fact_check_id: 'fc-1',
+    user_id: userId,
+    vote_value: 1,
+    created_at: minutesAgo(minutes),
+    account_created_at: daysAgo(1),
+    ...extra
+  });
+
+  test('five same-direction votes from new accounts within an hour are a burst', () => {
+    const votes = [vote('u1', 50), vote('u2', 40), vote('u3', 30), vote('u4', 20), vote('u5', 10)];
+
+    expect(findNewAccountBursts(votes).map(item => item.userId).sort()).toEqual(['u1', 'u2', 'u3', 'u4', 'u5']);
+    expect(findNewAccountBursts(votes.slice(0, 4))).toEqual([]);
+    expect(findNewAccountBursts([...votes.slice(0, 4), vote('old', 10, { account_created_at: daysAgo(90) })])).toEqual([]);
+    expect(findNewAccountBursts([...votes.slice(0, 4), vote('late', -120)])).toEqual([]);
+  });
+
+  test('three accounts on one IP and user agent are flagged', () => {
+    const shared = { ip_hash: 'ip', user_agent_hash: 'ua' };
+    const votes = [vote('u1', 5, shared), vote('u2', 4, shared), vote('u3', 3, { ...shared, user_agent_hash: 'other' })];
+
+    expect(findSharedFingerprints(votes)).toEqual([]);
+    const flagged = findSharedFingerprints([...votes, vote('u4', 2, shared)]);
+    expect(flagged.map(item => item.userId)).toEqual(['u1', 'u2', 'u4']);
+    expect(flagged[0].reason).toBe('shared_fingerprint');
+  });
+
+  test('flagged votes are quarantined in one statement', async () => {
+    const recent = [1, 2, 3].map(n => vote(`u${n}`, n, { ip_hash: 'ip', user_agent_hash: 'ua' }));
+    const pool = {
+      query: jest.fn(async sql => {
+        if (sql.includes('JOIN users u')) return { rows: recent };
+        if (sql.includes('pair_votes')) return { rows: [{ fact_check_id: 'fc-2', user_id: 'ring-1' }] };
+        if (sql.includes('WITH flagged AS')) return { rows: [{ quarantined: 4, fact_checks: 2 }] };
+        return { rows: [] };
+      })
+    };
+
+    const result = await detectCoordinatedVoting(pool, now);
+
+    expect(result).toEqual({ flagged: 4, quarantined: 4, factChecks: 2 });
+    const [[, params]] = callsMatching(pool, 'WITH flagged AS');
+    expect(params).toEqual([
+      ['fc-1', 'fc-1', 'fc-1', 'fc-2'],
+      ['u1', 'u2', 'u3', 'ring-1'],
+      ['shared_fingerprint', 'shared_fingerprint', 'shared_fingerprint', 'correlated_pair']
+    ]);
+  });
+
+  test('pairs are only looked for among recent, capped voters', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await detectCoordinatedVoting(pool, now);
+
+    const [[sql, params]] = callsMatching(pool, 'pair_votes');
+    expect(sql).toContain('WHERE created_at >= $5');
+    expect(sql).toContain('WHERE position <= $6');
+    expect(sql).toContain('FROM candidates c');
+    expect(params[4]).toEqual(minutesAgo(24 * 60));
+    expect(params[5]).toBe(200);
+  });
+
+  test('the sweep is a no-op before the vote columns exist', async () => {
+    const missing = Object.assign(new Error('column v.status does not exist'), { code: '42703' });
+    const pool = { query: jest.fn().mockRejectedValue(missing) };
+
+    await expect(detectCoordinatedVoting(pool, now)).resolves.toEqual({ flagged: 0, quarantined: 0, factChecks: 0 });
+  });
+});